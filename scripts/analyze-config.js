@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+/**
+ * Rarity Config Analyzer
+ * Checks whether rarity-config.json can succeed before running generation
+ *
+ * Usage:
+ *   npm run analyze:config
+ *   npm run analyze:config -- --config=./my-config.json --json
+ *
+ * Options:
+ *   --config: Rarity config path (default: ./config/rarity-config.json)
+ *   --allocation: Analyze for planned or sequential allocation (default: allocation.mode from config)
+ *   --json: Print the report as JSON instead of the human summary
+ *
+ * Exits with code 1 when the config is infeasible.
+ */
+
+const ConfigAnalyzer = require('../src/utils/configAnalyzer');
+
+// Parse command-line arguments
+const parseArgs = () => {
+  const args = {};
+  process.argv.slice(2).forEach(arg => {
+    const [key, value] = arg.split('=');
+    args[key.replace('--', '')] = value || true;
+  });
+  return args;
+};
+
+const args = parseArgs();
+
+function main() {
+  let report;
+  try {
+    report = ConfigAnalyzer.analyzeFile(typeof args.config === 'string' ? args.config : null, {
+      allocation: typeof args.allocation === 'string' ? args.allocation : undefined
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    ConfigAnalyzer.logReport(report);
+  }
+
+  process.exit(report.feasible ? 0 : 1);
+}
+
+main();
@@ -4,6 +4,11 @@
  * Assumes aws-setup has stored credentials in .aws-config.json
  * Performs generation and uploads results to S3 bucket.
  * Simplified placeholder implementation.
+ *
+ * Options:
+ *   --seed: RNG seed (default: rng.seed from rarity-config.json, else a fresh random seed)
+ *   --rng: RNG algorithm - xoshiro128**, sha256-ctr or lcg
+ *   --allocation: planned or sequential (default: allocation.mode from config)
  */
 const fs = require('fs');
 const path = require('path');
@@ -12,6 +17,12 @@ const RarityEngine = require('../src/utils/rarityEngine');
 const MetadataGenerator = require('../src/utils/metadataGenerator');
 const rarityConfig = require('../config/rarity-config.json');
 
+const args = process.argv.slice(2).reduce((acc, arg) => {
+  const [key, value] = arg.split('=');
+  acc[key.replace('--', '')] = value || true;
+  return acc;
+}, {});
+
 const configPath = path.join(__dirname, '../.aws-config.json');
 if (!fs.existsSync(configPath)) {
   console.error('❌ AWS config not found. Run: npm run aws:setup');
@@ -31,9 +42,15 @@ async function uploadToS3(key, body) {
 
 async function main() {
   console.log(`\n🚀 AWS Generation started -> bucket: ${bucketName}`);
-  const engine = new RarityEngine();
+  const engine = new RarityEngine({
+    seed: typeof args.seed === 'string' ? args.seed : undefined,
+    rngAlgorithm: typeof args.rng === 'string' ? args.rng : undefined,
+    allocation: typeof args.allocation === 'string' ? args.allocation : undefined
+  });
   engine.loadConfig(rarityConfig);
-  const metadataGen = new MetadataGenerator('NFT Collection', 'A 10,000 piece collection with 9-tier rarity system', 'ipfs://{IMAGES_CID}/images');
+  const rngInfo = engine.getRngInfo();
+  console.log(`🎲 Seed: ${rngInfo.seed} (${rngInfo.algorithm})`);
+  const metadataGen = MetadataGenerator.fromConfig(rarityConfig, 'ipfs://{IMAGES_CID}/images');
 
   let generated = 0;
   let batchIndex = 0;
@@ -57,6 +74,14 @@ async function main() {
     generated = batchEnd;
   }
 
+  await uploadToS3('metadata/_generation-summary.json', JSON.stringify({
+    totalGenerated: TOTAL,
+    seed: rngInfo.seed,
+    rngAlgorithm: rngInfo.algorithm,
+    uniqueness: engine.getUniquenessInfo(),
+    generatedAt: new Date().toISOString()
+  }, null, 2));
+
   console.log(`\n🎉 AWS Generation complete. Metadata stored under s3://${bucketName}/metadata/`);
   console.log('➡️  Next: Run npm run download:aws to pull metadata locally then npm run upload:ipfs');
 }
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Collection Metadata Script
+ * Builds collection.json (tier and trait counts of the generated collection) and contract.json
+ * (contract-level metadata for marketplaces, served by the contract's contractURI())
+ * from rarity-config.json and the generated token files
+ *
+ * Usage:
+ *   npm run generate:collection
+ *   npm run generate:collection -- --input=./output/nfts-final --output=./output/collection
+ *
+ * Options:
+ *   --input: Directory with the generated {tokenId}.json files (default: ./output/nfts-final)
+ *   --output: Directory for collection.json and contract.json (default: ./output/collection)
+ *   --config: Rarity config path (default: ./config/rarity-config.json)
+ *
+ * Contract metadata comes from the "collection" section of the config:
+ *   name, description, image, banner, externalUrl, sellerFeeBasisPoints, feeRecipient
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MetadataGenerator = require('../src/utils/metadataGenerator');
+const RarityConfigLoader = require('../src/utils/rarityConfigLoader');
+const RarityRanking = require('../src/utils/rarityRanking');
+
+// Parse command-line arguments
+const parseArgs = () => {
+  const args = {};
+  process.argv.slice(2).forEach(arg => {
+    const [key, value] = arg.split('=');
+    args[key.replace('--', '')] = value || true;
+  });
+  return args;
+};
+
+const args = parseArgs();
+const inputDir = typeof args.input === 'string' ? args.input : './output/nfts-final';
+const outputDir = typeof args.output === 'string' ? args.output : './output/collection';
+
+try {
+  const config = RarityConfigLoader.loadRarityConfig(typeof args.config === 'string' ? args.config : null);
+  const tokens = RarityRanking.readCollection(inputDir);
+  if (tokens.length === 0) {
+    throw new Error(`No {tokenId}.json files in ${inputDir}. Run 'npm run generate:local' first`);
+  }
+
+  const metadataGen = MetadataGenerator.fromConfig(config);
+  const collectionMetadata = metadataGen.generateCollectionMetadata(config, tokens);
+  const contractMetadata = metadataGen.generateContractMetadata(config.collection);
+  const validation = metadataGen.validateContractMetadata(contractMetadata);
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  fs.writeFileSync(path.join(outputDir, 'collection.json'), JSON.stringify(collectionMetadata, null, 2));
+  fs.writeFileSync(path.join(outputDir, 'contract.json'), JSON.stringify(contractMetadata, null, 2));
+
+  console.log(`\n🗂️  Collection metadata for ${collectionMetadata.name}`);
+  console.log(`   Tokens: ${collectionMetadata.total_supply} of ${collectionMetadata.planned_supply} planned`);
+  // Partial runs and single shards cannot match the tier quotas yet
+  const complete = collectionMetadata.total_supply === collectionMetadata.planned_supply;
+  collectionMetadata.tiers.forEach(tier => {
+    const mismatch = complete && tier.total_count !== tier.quota ? ` ⚠️  quota ${tier.quota}` : '';
+    console.log(`   ${tier.tier_id} ${tier.tier_name}: ${tier.total_count} (${tier.percentage})${mismatch}`);
+  });
+  console.log(`   Royalty: ${contractMetadata.seller_fee_basis_points / 100}% to ${contractMetadata.fee_recipient || '(none)'}`);
+
+  validation.warnings.forEach(warning => console.warn(`   ⚠️  ${warning}`));
+  if (!validation.valid) {
+    validation.errors.forEach(error => console.error(`   ❌ ${error}`));
+    console.error(`\n❌ contract.json is not valid; fix the "collection" section of rarity-config.json`);
+    process.exit(1);
+  }
+
+  console.log(`\n📄 Saved to: ${path.resolve(outputDir)} (collection.json, contract.json)`);
+  console.log(`\n📋 Next Steps:`);
+  console.log(`   1. Upload contract.json to IPFS`);
+  console.log(`   2. Call setContractURI("ipfs://{CONTRACT_JSON_CID}") on the deployed contract\n`);
+} catch (error) {
+  console.error(`\n❌ Collection metadata failed: ${error.message}`);
+  process.exit(1);
+}
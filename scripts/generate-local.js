@@ -13,7 +13,23 @@
  *   --end: Ending token ID (default: 10000)
  *   --batch: Batch number for tracking (default: 1)
  *   --output: Output directory (default: ./output/nfts-final)
- *   --images: Whether to generate placeholder images (default: false)
+ *   --metadata-format: Metadata profile - standard, minimal, extended, metaplex, erc1155 or a profile module path (default: standard)
+ *   --images: Composite each token's layers into a PNG (default: false, needs the canvas package)
+ *   --layers: Layers directory, one folder per trait (default: render.layersDir from config, else ./layers)
+ *   --images-output: Directory for rendered {tokenId}.png (and animated .gif/.webp/.mp4) files (default: ./output/images)
+ *   --svg: Also compose each token's layers into one {tokenId}.svg (default: render.svg from config, implies --images)
+ *   --strict-mapping: Fail when a variant has no exactly named layer folder/file instead of guessing (default: render.strictMapping from config)
+ *   --render-workers: Worker threads compositing images in parallel (default: CPU count - 1, 0 renders in-process)
+ *   --seed: RNG seed (default: rng.seed from rarity-config.json, else a fresh random seed)
+ *   --rng: RNG algorithm - xoshiro128**, sha256-ctr or lcg (default: rng.algorithm from config)
+ *   --allocation: planned (solve all quotas up front) or sequential (default: allocation.mode from config)
+ *   --provenance: Published commitment.json - enables commit-reveal mode (requires --reveal)
+ *   --secret-file: File with the committed secret, or - for stdin (default: secret.json next to the commitment)
+ *   --reveal: Value of the committed reveal source - its block hash or drand randomness (commit-reveal mode)
+ *   --shard-plan: Shard plan from `npm run plan:shards` - generates one shard of the planned collection (requires --shard)
+ *   --shard: Index of the shard to generate (0-based)
+ *   --checkpoint-every: Save engine state to _checkpoint.json every N tokens (default: 500, 0 disables)
+ *   --resume: Continue an interrupted run from <output>/_checkpoint.json (settings come from the checkpoint)
  */
 
 const fs = require('fs');
@@ -23,6 +39,9 @@ const { performance } = require('perf_hooks');
 // Import utilities
 const RarityEngine = require('../src/utils/rarityEngine');
 const MetadataGenerator = require('../src/utils/metadataGenerator');
+const MetadataProfiles = require('../src/utils/metadataProfiles');
+const Provenance = require('../src/utils/provenance');
+const ShardPlanner = require('../src/utils/shardPlanner');
 const rarityConfig = require('../config/rarity-config.json');
 
 // Parse command-line arguments
@@ -36,34 +55,254 @@ const parseArgs = () => {
 };
 
 const args = parseArgs();
-const startId = parseInt(args.start) || 1;
-const endId = parseInt(args.end) || 10000;
-const batchNumber = parseInt(args.batch) || 1;
 const outputDir = args.output || './output/nfts-final';
-const generateImages = args.images === 'true' || args.images === true;
+const checkpointPath = path.join(outputDir, '_checkpoint.json');
+const checkpointEvery = args['checkpoint-every'] !== undefined ? parseInt(args['checkpoint-every']) || 0 : 500;
+
+/**
+ * Resume mode: the checkpoint fixes the token range, seed and allocation of the original run
+ */
+const loadCheckpoint = () => {
+  if (!args.resume) return null;
+
+  const conflicting = ['start', 'end', 'batch', 'seed', 'rng', 'allocation', 'provenance', 'shard-plan', 'shard'].filter(key => args[key] !== undefined);
+  if (conflicting.length > 0) {
+    console.error(`❌ --resume cannot be combined with ${conflicting.map(key => `--${key}`).join(', ')} (settings come from the checkpoint)`);
+    process.exit(1);
+  }
+  if (!fs.existsSync(checkpointPath)) {
+    console.error(`❌ No checkpoint found at ${checkpointPath}`);
+    process.exit(1);
+  }
+
+  return JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+};
+
+const checkpoint = loadCheckpoint();
+
+/**
+ * Shard mode: token range, seed and exact sub-quotas come from the shard plan
+ */
+const loadShard = () => {
+  if (!args['shard-plan']) return null;
+
+  const conflicting = ['start', 'end', 'seed', 'rng', 'allocation', 'provenance'].filter(key => args[key] !== undefined);
+  if (conflicting.length > 0) {
+    console.error(`❌ --shard-plan cannot be combined with ${conflicting.map(key => `--${key}`).join(', ')} (settings come from the shard plan)`);
+    process.exit(1);
+  }
+  if (typeof args.shard !== 'string' || isNaN(parseInt(args.shard))) {
+    console.error('❌ --shard-plan requires --shard=INDEX');
+    process.exit(1);
+  }
+
+  try {
+    const plan = JSON.parse(fs.readFileSync(args['shard-plan'], 'utf8'));
+    return ShardPlanner.getShard(plan, parseInt(args.shard));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+};
+
+const shard = checkpoint ? checkpoint.engine.shard : loadShard();
+const startId = checkpoint ? checkpoint.startId : shard ? shard.startId : parseInt(args.start) || 1;
+const endId = checkpoint ? checkpoint.endId : shard ? shard.endId : parseInt(args.end) || 10000;
+const batchNumber = checkpoint ? checkpoint.batch : parseInt(args.batch) || (shard ? shard.index + 1 : 1);
+const generateSvg = args.svg === 'true' || args.svg === true;
+const generateImages = args.images === 'true' || args.images === true || generateSvg;
+const imagesDir = typeof args['images-output'] === 'string' ? args['images-output'] : './output/images';
+const seed = typeof args.seed === 'string' ? args.seed : undefined;
+const rngAlgorithm = typeof args.rng === 'string' ? args.rng : undefined;
+const allocation = typeof args.allocation === 'string' ? args.allocation : undefined;
 const totalNFTs = endId - startId + 1;
 
+const loadMetadataProfile = () => {
+  try {
+    return MetadataProfiles.get(typeof args['metadata-format'] === 'string' ? args['metadata-format'] : 'standard');
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+};
+const metadataProfile = loadMetadataProfile();
+
+/**
+ * Commit-reveal mode: derive the seed from the committed secret and the reveal value
+ */
+const resolveProvenance = () => {
+  if (!args.provenance) return null;
+
+  if (args.secret !== undefined) {
+    console.error('❌ --secret is not accepted (it would end up in shell history); use --secret-file=PATH or --secret-file=- for stdin');
+    process.exit(1);
+  }
+  if (typeof args.reveal !== 'string') {
+    console.error('❌ --provenance requires --reveal (the value of the committed reveal source)');
+    process.exit(1);
+  }
+  if (seed !== undefined) {
+    console.error('❌ --seed cannot be combined with --provenance (the seed is derived from the reveal)');
+    process.exit(1);
+  }
+  if (allocation !== undefined) {
+    console.error('❌ --allocation cannot be combined with --provenance (set allocation.mode in the committed config)');
+    process.exit(1);
+  }
+
+  let commitment;
+  let secret;
+  try {
+    commitment = JSON.parse(fs.readFileSync(args.provenance, 'utf8'));
+    secret = Provenance.readSecret(typeof args['secret-file'] === 'string'
+      ? args['secret-file']
+      : path.join(path.dirname(args.provenance), 'secret.json'));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  const check = Provenance.verifyReveal(commitment, secret, rarityConfig, args.reveal);
+  if (!check.valid) {
+    check.errors.forEach(error => console.error(`❌ ${error}`));
+    process.exit(1);
+  }
+
+  return {
+    scheme: commitment.scheme,
+    commitment: commitment.commitment,
+    configHash: commitment.configHash,
+    revealSource: commitment.revealSource,
+    secret,
+    revealValue: args.reveal,
+    seed: Provenance.deriveFinalSeed(secret, args.reveal, commitment.revealSource),
+    rngAlgorithm: commitment.rngAlgorithm || rngAlgorithm
+  };
+};
+
+const provenance = checkpoint ? checkpoint.provenance : resolveProvenance();
+
 class LocalNFTGenerator {
   constructor(config, outputPath) {
-    this.engine = new RarityEngine();
+    if (checkpoint) {
+      const { rng } = checkpoint.engine;
+      this.engine = new RarityEngine({ seed: rng.seed, rngAlgorithm: rng.algorithm });
+    } else if (shard) {
+      this.engine = new RarityEngine({ seed: shard.seed, rngAlgorithm: shard.rngAlgorithm, allocation: 'planned' });
+    } else if (provenance) {
+      this.engine = new RarityEngine({ seed: provenance.seed, rngAlgorithm: provenance.rngAlgorithm });
+    } else {
+      this.engine = new RarityEngine({ seed, rngAlgorithm, allocation });
+    }
     this.engine.loadConfig(config);
     this.outputPath = outputPath;
-    this.metadataGen = new MetadataGenerator(
-      'NFT Collection',
-      'A 10,000 piece collection with 9-tier rarity system',
-      'ipfs://{IMAGES_CID}'
-    );
+    this.metadataGen = MetadataGenerator.fromConfig(config, 'ipfs://{IMAGES_CID}');
+    // Loaded only when rendering so JSON-only runs do not need the native canvas module
+    this.compositor = null;
+    this.renderPool = null;
+    if (generateImages) {
+      const ImageCompositor = require('../src/utils/imageCompositor');
+      const RenderPool = require('../src/utils/renderPool');
+      this.compositor = ImageCompositor.fromConfig(config, this.engine, {
+        ...(typeof args.layers === 'string' ? { layersDir: args.layers } : {}),
+        ...(generateSvg ? { svg: true } : {}),
+        ...(args['strict-mapping'] !== undefined ? { strictMapping: args['strict-mapping'] !== 'false' } : {})
+      });
+      this.renderPool = new RenderPool({
+        outputDir: imagesDir,
+        workers: args['render-workers'] !== undefined ? parseInt(args['render-workers']) || 0 : undefined,
+        width: this.compositor.width,
+        height: this.compositor.height
+      });
+      this.renderPool.on('tokenRendered', () => {
+        this.stats.images++;
+      });
+      this.renderPool.on('tokenFailed', ({ tokenId, error }) => {
+        this.stats.imagesFailed++;
+        console.error(`❌ Image #${tokenId}: ${error}`);
+      });
+    }
     this.stats = {
       success: 0,
       failed: 0,
+      images: 0,
+      imagesFailed: 0,
+      animated: 0,
       tierDistribution: {},
       totalPoints: 0,
       avgScore: 0,
       minScore: Infinity,
       maxScore: 0,
       startTime: null,
-      endTime: null
+      endTime: null,
+      previousDuration: 0
     };
+    this.nextTokenId = startId;
+
+    try {
+      if (checkpoint) {
+        this.restoreCheckpoint(checkpoint);
+      } else if (shard) {
+        this.engine.selectShard(shard);
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Restore engine state and running stats saved by saveCheckpoint()
+   */
+  restoreCheckpoint(saved) {
+    this.engine.restoreState(saved.engine);
+    this.stats = {
+      ...this.stats,
+      ...saved.stats,
+      // JSON has no Infinity; a checkpoint taken before any success stores null
+      minScore: saved.stats.minScore === null ? Infinity : saved.stats.minScore
+    };
+    this.nextTokenId = saved.lastTokenId + 1;
+  }
+
+  /**
+   * Write engine state and stats after lastTokenId; written to a temp file first so a crash
+   * mid-write never leaves a truncated checkpoint behind
+   */
+  saveCheckpoint(lastTokenId) {
+    const { startTime, endTime, ...stats } = this.stats;
+    const saved = {
+      startId,
+      endId,
+      batch: batchNumber,
+      lastTokenId,
+      provenance,
+      stats: {
+        ...stats,
+        previousDuration: this.stats.previousDuration + (performance.now() - startTime) / 1000
+      },
+      engine: this.engine.serializeState(),
+      savedAt: new Date().toISOString()
+    };
+
+    const tempPath = `${checkpointPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(saved));
+    fs.renameSync(tempPath, checkpointPath);
+  }
+
+  /**
+   * Remove the checkpoint once the run has completed
+   */
+  clearCheckpoint() {
+    if (fs.existsSync(checkpointPath)) {
+      fs.unlinkSync(checkpointPath);
+    }
+  }
+
+  /**
+   * Total generation time in seconds, including time spent before a resume
+   */
+  getDuration() {
+    return this.stats.previousDuration + (this.stats.endTime - this.stats.startTime) / 1000;
   }
 
   /**
@@ -74,6 +313,10 @@ class LocalNFTGenerator {
       fs.mkdirSync(this.outputPath, { recursive: true });
       console.log(`📁 Created output directory: ${this.outputPath}`);
     }
+    if (this.compositor && !fs.existsSync(imagesDir)) {
+      fs.mkdirSync(imagesDir, { recursive: true });
+      console.log(`📁 Created images directory: ${imagesDir}`);
+    }
   }
 
   /**
@@ -83,12 +326,30 @@ class LocalNFTGenerator {
     console.log(`\n🚀 Starting NFT Generation`);
     console.log(`📊 Generating NFTs #${startId} - #${endId} (${totalNFTs} total)`);
     console.log(`📦 Batch: ${batchNumber}`);
+    const rngInfo = this.engine.getRngInfo();
+    console.log(`🎲 Seed: ${rngInfo.seed} (${rngInfo.algorithm})`);
+    console.log(`🧩 Allocation: ${this.engine.getAllocationMode()}`);
+    if (shard) {
+      console.log(`🧩 Shard ${shard.index + 1}/${shard.shardCount} of a ${shard.collectionSize}-NFT plan (exact sub-quotas)`);
+    }
+    if (provenance) {
+      console.log(`🔒 Commit-reveal: commitment ${provenance.commitment}, reveal "${provenance.revealValue}" from ${Provenance.formatRevealSource(provenance.revealSource)}`);
+    }
+    if (checkpoint) {
+      console.log(`⏯️  Resuming after token #${checkpoint.lastTokenId} (checkpoint saved ${checkpoint.savedAt})`);
+    }
     console.log(`💾 Output: ${this.outputPath}\n`);
 
+    // Solve the whole collection before writing anything, so an infeasible config fails fast
+    if (!checkpoint && !shard && this.engine.getAllocationMode() === 'planned') {
+      const planned = this.engine.planAllocation();
+      console.log(`🧩 Planned ${planned} NFTs with exact tier and variant quotas\n`);
+    }
+
     this.stats.startTime = performance.now();
     let lastReportTime = this.stats.startTime;
 
-    for (let tokenId = startId; tokenId <= endId; tokenId++) {
+    for (let tokenId = this.nextTokenId; tokenId <= endId; tokenId++) {
       try {
         // Generate NFT
         const generationResult = this.engine.generateNFT();
@@ -115,13 +376,23 @@ class LocalNFTGenerator {
         this.stats.minScore = Math.min(this.stats.minScore, overallScore);
         this.stats.maxScore = Math.max(this.stats.maxScore, overallScore);
 
+        // The render spec decides whether the token is animated (and so its image/animation_url)
+        const renderSpec = this.compositor ? this.compositor.createRenderSpec(tokenId, generationResult) : null;
+        const media = renderSpec ? this.compositor.getMedia(renderSpec) : {};
+
         // Generate metadata
-        const metadata = this.metadataGen.generateMetadata(tokenId, generationResult);
+        const metadata = metadataProfile.generate(this.metadataGen, tokenId, generationResult, media);
 
         // Save metadata JSON
-        const metadataPath = path.join(this.outputPath, `${tokenId}.json`);
+        const metadataPath = path.join(this.outputPath, metadataProfile.getFileName(tokenId));
         fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
 
+        // Queue image compositing; blocks only while the render pool is full
+        if (this.renderPool) {
+          if (renderSpec.animation) this.stats.animated++;
+          await this.renderPool.submit(renderSpec);
+        }
+
         this.stats.success++;
 
         // Progress reporting every 100 NFTs
@@ -141,29 +412,31 @@ class LocalNFTGenerator {
           lastReportTime = currentTime;
         }
       } catch (error) {
+        // A failed render pool cannot render the remaining tokens; stop the run
+        if (this.renderPool && this.renderPool.error) throw error;
         this.stats.failed++;
         console.error(`❌ Token #${tokenId}: ${error.message}`);
+      } finally {
+        if (checkpointEvery > 0 && (tokenId - startId + 1) % checkpointEvery === 0 && tokenId < endId) {
+          // Images up to the checkpoint must be on disk before it claims those tokens are done
+          if (this.renderPool) await this.renderPool.drain();
+          this.saveCheckpoint(tokenId);
+        }
       }
     }
 
-    this.stats.endTime = performance.now();
-  }
+    if (this.renderPool) {
+      await this.renderPool.close();
+    }
 
-  /**
-   * Generate placeholder images if requested
-   */
-  generatePlaceholderImages(startId, endId) {
-    console.log(`\n🖼️  Generating placeholder images...`);
-    // Placeholder implementation - real implementation would use sharp/canvas
-    console.log(`📸 Placeholder generation not implemented in this version`);
-    console.log(`   Use your own image composition library or AWS Lambda`);
+    this.stats.endTime = performance.now();
   }
 
   /**
    * Generate summary report
    */
   generateReport() {
-    const duration = (this.stats.endTime - this.stats.startTime) / 1000;
+    const duration = this.getDuration();
     const durationMin = (duration / 60).toFixed(2);
     const avgScore = (this.stats.totalPoints / this.stats.success).toFixed(2);
     const nftsPerSec = (this.stats.success / duration).toFixed(1);
@@ -179,34 +452,44 @@ class LocalNFTGenerator {
     console.log(`📉 Min Score: ${this.stats.minScore}`);
     console.log(`📈 Max Score: ${this.stats.maxScore}`);
 
-    console.log(`\n🎯 Tier Distribution:`);
-    const tierNames = {
-      T1: 'Minimal (Ultra Rare)',
-      T2: 'Low (Very Rare)',
-      T3: 'BelowAverage (Rare)',
-      T4: 'Moderate (Uncommon)',
-      T5: 'Common',
-      T6: 'AboveAverage (Uncommon)',
-      T7: 'High (Rare)',
-      T8: 'Peak (Very Rare)',
-      T9: 'Maximal (Ultra Rare)'
-    };
-
-    for (const tier of ['T1', 'T2', 'T3', 'T4', 'T5', 'T6', 'T7', 'T8', 'T9']) {
-      const count = this.stats.tierDistribution[tier] || 0;
-      const percentage = ((count / this.stats.success) * 100).toFixed(2);
-      const bar = '█'.repeat(Math.round(count / (this.stats.success / 50)));
-      console.log(`  ${tier} ${tierNames[tier].padEnd(30)} ${count.toString().padStart(5)} (${percentage.padStart(5)}%) ${bar}`);
+    const uniqueness = this.engine.getUniquenessInfo();
+    if (uniqueness.enabled) {
+      console.log(`🧬 Uniqueness: ${uniqueness.uniqueCombinations} unique combinations, ${uniqueness.duplicateRejections} duplicates rejected`);
     }
 
+    console.log(`\n🎯 Tier Distribution (realized vs configured):`);
+    this.engine.getDistributionReport().forEach(tier => {
+      const bar = '█'.repeat(Math.round(tier.realizedPercent / 2));
+      const deviation = `${tier.deviation >= 0 ? '+' : ''}${tier.deviation.toFixed(2)}`;
+      console.log(
+        `  ${tier.id} ${tier.name.padEnd(20)} ${tier.realized.toString().padStart(5)} ` +
+        `(${tier.realizedPercent.toFixed(2).padStart(5)}% vs ${tier.configuredPercent.toFixed(2).padStart(5)}%, ${deviation.padStart(6)}) ${bar}`
+      );
+    });
+
     console.log(`\n💾 Metadata Files: ${this.stats.success} JSON files saved to:`);
     console.log(`   ${path.resolve(this.outputPath)}`);
+    if (this.compositor) {
+      console.log(`🖼️  Images: ${this.stats.images} PNG${this.compositor.svg ? ' + SVG' : ''} files (${this.compositor.width}x${this.compositor.height}, ${this.renderPool.size} render workers) saved to:`);
+      if (this.compositor.exports.length > 0) {
+        const exportNames = this.compositor.exports.map(exportSpec => `${exportSpec.name} (${exportSpec.width || this.compositor.width}px ${exportSpec.format})`);
+        console.log(`📐 Exports: ${exportNames.join(', ')} in subfolders of the images directory`);
+      }
+      if (this.stats.animated > 0) {
+        console.log(`🎞️  Animated: ${this.stats.animated} tokens also saved as ${this.compositor.getAnimationSettings().formats.join(', ')}`);
+      }
+      if (this.stats.imagesFailed > 0) {
+        console.log(`❌ Failed images: ${this.stats.imagesFailed}`);
+      }
+      console.log(`   ${path.resolve(imagesDir)}`);
+    }
 
     console.log(`\n📋 Next Steps:`);
     console.log(`   1. Review metadata in ${this.outputPath}`);
-    console.log(`   2. Generate composite images (use canvas/sharp or AWS Lambda)`);
-    console.log(`   3. Run: npm run upload:ipfs`);
-    console.log(`   4. Deploy smart contract with IPFS hash`);
+    console.log(`   2. ${this.compositor ? `Review images in ${imagesDir}` : 'Render images: npm run generate:local -- --images=true'}`);
+    console.log(`   3. Rank by trait frequency: npm run rank:rarity -- --input=${this.outputPath}`);
+    console.log(`   4. Run: npm run upload:ipfs`);
+    console.log(`   5. Deploy smart contract with IPFS hash`);
 
     console.log(`\n${'='.repeat(60)}\n`);
   }
@@ -215,24 +498,52 @@ class LocalNFTGenerator {
    * Save generation summary
    */
   saveSummary() {
-    const summaryPath = path.join(this.outputPath, '_generation-summary.json');
+    // Shards usually share one output folder, so each keeps its own summary
+    const summaryName = shard ? `_generation-summary-shard-${shard.index}.json` : '_generation-summary.json';
+    const summaryPath = path.join(this.outputPath, summaryName);
+    const rngInfo = this.engine.getRngInfo();
     const summary = {
       batch: batchNumber,
       startId: startId,
       endId: endId,
       totalGenerated: this.stats.success,
       totalFailed: this.stats.failed,
-      duration: ((this.stats.endTime - this.stats.startTime) / 1000).toFixed(2),
+      imagesRendered: this.stats.images,
+      imagesFailed: this.stats.imagesFailed,
+      animatedTokens: this.stats.animated,
+      duration: this.getDuration().toFixed(2),
       averageScore: (this.stats.totalPoints / this.stats.success).toFixed(2),
       minScore: this.stats.minScore,
       maxScore: this.stats.maxScore,
       tierDistribution: this.stats.tierDistribution,
+      distributionReport: this.engine.getDistributionReport(),
+      seed: rngInfo.seed,
+      rngAlgorithm: rngInfo.algorithm,
+      allocation: this.engine.getAllocationMode(),
+      // Name or module path of the metadata profile, so verify:provenance can read the files back
+      metadataProfile: typeof args['metadata-format'] === 'string' ? args['metadata-format'] : metadataProfile.name,
+      uniqueness: this.engine.getUniquenessInfo(),
+      shard: shard ? {
+        index: shard.index,
+        shardCount: shard.shardCount,
+        collectionSize: shard.collectionSize,
+        configHash: shard.configHash
+      } : null,
+      provenance: provenance ? {
+        scheme: provenance.scheme,
+        commitment: provenance.commitment,
+        configHash: provenance.configHash,
+        revealSource: provenance.revealSource,
+        secret: provenance.secret,
+        revealValue: provenance.revealValue
+      } : null,
       generatedAt: new Date().toISOString(),
       ipfsImagePath: 'ipfs://{IMAGES_CID}',
       instructions: [
         'Replace {IMAGES_CID} after uploading images',
         'Validate all 10000 metadata files are present',
-        'Check tier distribution matches expected bell curve'
+        'Check tier distribution matches expected bell curve',
+        'Re-run with the same --seed, --rng and --allocation to reproduce this collection exactly'
       ]
     };
 
@@ -248,14 +559,11 @@ class LocalNFTGenerator {
       this.ensureOutputDir();
       await this.generateBatch(startId, endId);
 
-      if (generateImages) {
-        this.generatePlaceholderImages(startId, endId);
-      }
-
       this.generateReport();
       this.saveSummary();
+      this.clearCheckpoint();
 
-      if (this.stats.failed === 0) {
+      if (this.stats.failed === 0 && this.stats.imagesFailed === 0) {
         process.exit(0);
       } else {
         process.exit(1);
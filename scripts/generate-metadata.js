@@ -14,7 +14,9 @@
  *   --collection: Collection name (default: NFT Collection)
  *   --description: Collection description
  *   --ipfs-hash: IPFS hash for images (default: ipfs://YOUR_IPFS_HASH/images)
- *   --format: Metadata format - standard, minimal, or extended (default: standard)
+ *   --format: Metadata profile to convert to - standard, minimal, extended, metaplex, erc1155
+ *             or the path of a profile module (default: copy the generated files unchanged)
+ *   --config: Rarity config the tokens were generated from (default: ./config/rarity-config.json)
  */
 
 const fs = require('fs');
@@ -22,6 +24,9 @@ const path = require('path');
 
 // Import utilities
 const MetadataGenerator = require('../src/utils/metadataGenerator');
+const MetadataProfiles = require('../src/utils/metadataProfiles');
+const RarityConfigLoader = require('../src/utils/rarityConfigLoader');
+const RarityRanking = require('../src/utils/rarityRanking');
 
 // Parse command-line arguments
 const parseArgs = () => {
@@ -39,13 +44,15 @@ const outputDir = args.output || './output/metadata';
 const collectionName = args.collection || 'NFT Collection';
 const collectionDescription = args.description || 'A 10,000 piece collection with 9-tier rarity system';
 const ipfsHash = args['ipfs-hash'] || 'ipfs://{IMAGES_CID}';
-const format = args.format || 'standard';
+const format = typeof args.format === 'string' ? args.format : null;
 
 class MetadataProcessor {
   constructor(inputPath, outputPath, collectionName, collectionDescription, ipfsHash) {
     this.inputPath = inputPath;
     this.outputPath = outputPath;
     this.metadataGen = new MetadataGenerator(collectionName, collectionDescription, ipfsHash);
+    this.profile = null;
+    this.config = null;
     this.stats = {
       processed: 0,
       failed: 0,
@@ -81,6 +88,37 @@ class MetadataProcessor {
     return { valid: true };
   }
 
+  /**
+   * Load the --format profile; converting needs the config to rebuild each token,
+   * and profiles read its "collection" section (symbol, creators, royalties)
+   */
+  loadProfile() {
+    this.profile = MetadataProfiles.get(format);
+    this.config = RarityConfigLoader.loadRarityConfig(typeof args.config === 'string' ? args.config : null);
+    this.metadataGen = MetadataGenerator.fromConfig(this.config, ipfsHash);
+    if (args.collection) this.metadataGen.collectionName = collectionName;
+    if (args.description) this.metadataGen.collectionDescription = collectionDescription;
+  }
+
+  /**
+   * Rebuild a generated token and write it in the selected profile
+   * @returns {object} { fileName, metadata, validation: { valid, error } }
+   */
+  convertMetadata(tokenId, metadata) {
+    const generationResult = MetadataGenerator.restoreGenerationResult(metadata, this.config);
+    // Keep the rendered file types (e.g. gif image, mp4 animation) of the source metadata
+    const extension = url => (url ? url.split('.').pop() : null);
+    const media = { image: extension(metadata.image) || 'png', animation: extension(metadata.animation_url) };
+    const converted = this.profile.generate(this.metadataGen, tokenId, generationResult, media);
+    const { valid, errors } = this.profile.validate(this.metadataGen, converted);
+
+    return {
+      fileName: this.profile.getFileName(tokenId),
+      metadata: converted,
+      validation: { valid, error: errors.join('; ') }
+    };
+  }
+
   /**
    * Process all metadata files
    */
@@ -91,19 +129,18 @@ class MetadataProcessor {
       process.exit(1);
     }
 
-    const files = fs.readdirSync(this.inputPath).filter(f => f.endsWith('.json'));
-    console.log(`\n📋 Processing ${files.length} metadata files from: ${this.inputPath}`);
-    console.log(`💾 Output format: ${format}`);
+    const tokens = RarityRanking.readCollection(this.inputPath);
+    console.log(`\n📋 Processing ${tokens.length} metadata files from: ${this.inputPath}`);
+    console.log(`💾 Output format: ${this.profile ? `${this.profile.name} (${this.profile.description})` : 'unchanged'}`);
     console.log(`🖼️  IPFS path: ${this.metadataGen.ipfsImageBasePath}\n`);
 
-    files.forEach((file, index) => {
+    tokens.forEach(({ tokenId, file: filePath, metadata: source }, index) => {
+      const file = path.basename(filePath);
       try {
-        const filePath = path.join(this.inputPath, file);
-        const rawData = fs.readFileSync(filePath, 'utf8');
-        const metadata = JSON.parse(rawData);
+        const { fileName, metadata, validation } = this.profile
+          ? this.convertMetadata(tokenId, source)
+          : { fileName: file, metadata: source, validation: this.validateMetadata(source) };
 
-        // Validate
-        const validation = this.validateMetadata(metadata);
         if (!validation.valid) {
           this.stats.errors.push({
             file: file,
@@ -114,13 +151,13 @@ class MetadataProcessor {
         }
 
         // Output metadata
-        const outputPath = path.join(this.outputPath, file);
+        const outputPath = path.join(this.outputPath, fileName);
         fs.writeFileSync(outputPath, JSON.stringify(metadata, null, 2));
         this.stats.processed++;
 
         // Progress reporting every 500
         if ((index + 1) % 500 === 0) {
-          console.log(`✅ Processed ${index + 1}/${files.length} metadata files`);
+          console.log(`✅ Processed ${index + 1}/${tokens.length} metadata files`);
         }
       } catch (error) {
         this.stats.errors.push({
@@ -169,6 +206,7 @@ class MetadataProcessor {
    */
   run() {
     try {
+      if (format) this.loadProfile();
       this.ensureOutputDir();
       this.processMetadata();
       this.generateReport();
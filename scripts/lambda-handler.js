@@ -7,9 +7,22 @@
  * - Timeout: 300 seconds (5 minutes)
  * - Environment Variables:
  *   - BATCH_SIZE: 100 (NFTs per Lambda invocation)
- *   - COLLECTION_NAME: NFT Collection
+ *   - COLLECTION_NAME: NFT Collection (default: collection.name from config)
+ *   - METADATA_PROFILE: standard, minimal, extended, metaplex or erc1155 (default: standard)
  *   - S3_BUCKET: your-nft-bucket
  *   - S3_REGION: us-east-1
+ *   - GENERATION_SEED: RNG seed (optional, event.seed takes precedence)
+ *   - RENDER_IMAGES: "true" to composite images and upload them to {prefix}/images/ (needs the canvas package):
+ *     the PNG plus animated GIF/WebP/MP4 for frame-sequence tokens, the SVG and image exports as configured
+ *   - LAYERS_DIR: Layers directory bundled with the function (default: render.layersDir from config)
+ *   - UPLOAD_CONCURRENCY: Tokens uploaded at once; each token is uploaded as soon as it is generated (default: 10)
+ *
+ * Sharding:
+ *   coordinateGeneration plans the whole collection once (ShardPlanner) and sends each invocation
+ *   a "shard" payload with its token range, seed and exact tier/variant sub-quotas, so the
+ *   parallel batches merge into a collection that matches rarity-config.json.
+ *   A shard from `npm run plan:shards` can also be sent by hand:
+ *     --payload '{"shard":{...ShardPlanner.getShard(plan, 0)},"bucket":"nft-metadata","prefix":"batch-1"}'
  * 
  * Deployment:
  * 1. Package: zip -r lambda-handler.zip . node_modules/
@@ -23,7 +36,9 @@
 
 const AWS = require('aws-sdk');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { generateSeed } = require('../src/utils/rng');
 
 // AWS clients
 const s3 = new AWS.S3({
@@ -34,8 +49,21 @@ const lambda = new AWS.Lambda({
   region: process.env.S3_REGION || 'us-east-1'
 });
 
+// Content types of the files ImageCompositor#renderSpecToFile writes
+const CONTENT_TYPES = {
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  svg: 'image/svg+xml',
+  jpg: 'image/jpeg'
+};
+
+// Tokens whose files are held in memory while uploading
+const UPLOAD_CONCURRENCY = Math.max(1, parseInt(process.env.UPLOAD_CONCURRENCY) || 10);
+
 // Import utilities
-let RarityEngine, MetadataGenerator, rarityConfig;
+let RarityEngine, MetadataGenerator, MetadataProfiles, ShardPlanner, ImageCompositor, rarityConfig;
 
 /**
  * Initialize utilities (lazy load to avoid Lambda cold start issues)
@@ -44,29 +72,76 @@ function initializeUtilities() {
   if (!RarityEngine) {
     RarityEngine = require('../src/utils/rarityEngine');
     MetadataGenerator = require('../src/utils/metadataGenerator');
+    MetadataProfiles = require('../src/utils/metadataProfiles');
+    ShardPlanner = require('../src/utils/shardPlanner');
     rarityConfig = require('../config/rarity-config.json');
   }
+  if (!ImageCompositor && process.env.RENDER_IMAGES === 'true') {
+    ImageCompositor = require('../src/utils/imageCompositor');
+  }
+}
+
+/**
+ * Paths of every file under a directory, relative to it and joined with /
+ */
+function listFiles(dir, relativeDir = '') {
+  return fs.readdirSync(path.join(dir, relativeDir), { withFileTypes: true }).flatMap(entry => {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    return entry.isDirectory() ? listFiles(dir, relativePath) : [relativePath];
+  });
 }
 
 /**
- * Generate a batch of NFTs
+ * Render one token into a scratch directory under /tmp and read back every file it wrote
+ * @returns {array} [{ key, body, contentType }] with keys relative to {prefix}/images/
  */
-async function generateNFTBatch(startId, endId) {
+async function renderTokenFiles(compositor, spec) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `nft-${spec.tokenId}-`));
+  try {
+    await compositor.renderSpecToFile(spec, dir);
+    return listFiles(dir).map(key => ({
+      key,
+      body: fs.readFileSync(path.join(dir, key)),
+      contentType: CONTENT_TYPES[path.extname(key).slice(1)] || 'application/octet-stream'
+    }));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Generate a batch of NFTs and upload each one to s3://{bucket}/{prefix} as soon as it is generated
+ * With a shard descriptor the batch draws only its slice of the planned collection;
+ * without one the engine starts from full quotas (only correct for a single batch)
+ */
+async function generateNFTBatch(startId, endId, seed, shard, bucket, prefix) {
   initializeUtilities();
   
-  const engine = new RarityEngine();
-  engine.loadConfig(rarityConfig);
+  let engine;
+  if (shard) {
+    engine = ShardPlanner.createEngine(rarityConfig, shard);
+  } else {
+    engine = new RarityEngine({ seed });
+    engine.loadConfig(rarityConfig);
+  }
+
+  const metadataGen = MetadataGenerator.fromConfig(rarityConfig, process.env.IPFS_HASH || 'ipfs://{IMAGES_CID}');
+  if (process.env.COLLECTION_NAME) {
+    metadataGen.collectionName = process.env.COLLECTION_NAME;
+  }
+  const profile = MetadataProfiles.get(process.env.METADATA_PROFILE || 'standard');
 
-  const metadataGen = new MetadataGenerator(
-    process.env.COLLECTION_NAME || 'NFT Collection',
-    'A 10,000 piece collection with 9-tier rarity system',
-    process.env.IPFS_HASH || 'ipfs://{IMAGES_CID}'
-  );
+  const compositor = ImageCompositor
+    ? ImageCompositor.fromConfig(rarityConfig, engine, process.env.LAYERS_DIR ? { layersDir: process.env.LAYERS_DIR } : {})
+    : null;
 
-  const batch = [];
+  // At most UPLOAD_CONCURRENCY tokens are uploading; rendering waits for the chunk to finish
+  let uploads = [];
   const stats = {
     success: 0,
     failed: 0,
+    images: 0,
+    animated: 0,
     tierDistribution: {}
   };
 
@@ -83,68 +158,89 @@ async function generateNFTBatch(startId, endId) {
       const tier = generationResult.tierId;
       stats.tierDistribution[tier] = (stats.tierDistribution[tier] || 0) + 1;
 
-      // Generate metadata
-      const metadata = metadataGen.generateMetadata(tokenId, generationResult);
-      
-      batch.push({
-        tokenId,
-        metadata
-      });
+      // Media decides image/animation_url, so the spec comes before the metadata
+      const renderSpec = compositor ? compositor.createRenderSpec(tokenId, generationResult) : null;
+      const metadata = profile.generate(metadataGen, tokenId, generationResult, renderSpec ? compositor.getMedia(renderSpec) : {});
+
+      // Composite layer images (every frame of animated tokens)
+      let files = [];
+      if (compositor) {
+        files = await renderTokenFiles(compositor, renderSpec);
+        stats.images++;
+        if (renderSpec.animation) stats.animated++;
+      }
+
+      const upload = uploadToken({ tokenId, fileName: profile.getFileName(tokenId), metadata, files }, bucket, prefix);
+      // Failures surface from Promise.all below, not as unhandled rejections while rendering continues
+      upload.catch(() => {});
+      uploads.push(upload);
 
       stats.success++;
     } catch (error) {
       console.error(`Failed to generate NFT #${tokenId}:`, error.message);
       stats.failed++;
     }
+
+    // A failed upload fails the invocation rather than one token
+    if (uploads.length >= UPLOAD_CONCURRENCY) {
+      await Promise.all(uploads);
+      uploads = [];
+    }
   }
 
-  return { batch, stats };
+  await Promise.all(uploads);
+  console.log(`✅ Uploaded ${stats.success} NFTs to s3://${bucket}/${prefix}`);
+
+  // Sharded batches are unique across the whole plan; unsharded ones only within this batch
+  stats.uniqueness = engine.getUniquenessInfo();
+
+  return { stats, rngInfo: engine.getRngInfo() };
 }
 
 /**
- * Upload batch to S3
+ * Upload one token's metadata and image files to S3
  */
-async function uploadBatchToS3(batch, bucket, prefix) {
-  const uploads = batch.map(item => {
-    const key = `${prefix}/${item.tokenId}.json`;
-    const body = JSON.stringify(item.metadata, null, 2);
+async function uploadToken(item, bucket, prefix) {
+  const uploads = [s3.putObject({
+    Bucket: bucket,
+    Key: `${prefix}/${item.fileName}`,
+    Body: JSON.stringify(item.metadata, null, 2),
+    ContentType: 'application/json',
+    Metadata: {
+      'tokenId': item.tokenId.toString(),
+      'generatedAt': new Date().toISOString()
+    }
+  }).promise()];
 
-    return s3.putObject({
+  item.files.forEach(file => {
+    uploads.push(s3.putObject({
       Bucket: bucket,
-      Key: key,
-      Body: body,
-      ContentType: 'application/json',
+      Key: `${prefix}/images/${file.key}`,
+      Body: file.body,
+      ContentType: file.contentType,
       Metadata: {
-        'tokenId': item.tokenId.toString(),
-        'generatedAt': new Date().toISOString()
+        'tokenId': item.tokenId.toString()
       }
-    }).promise();
+    }).promise());
   });
 
   await Promise.all(uploads);
-  console.log(`✅ Uploaded ${batch.length} NFTs to s3://${bucket}/${prefix}`);
 }
 
 /**
  * Invoke additional Lambda functions in parallel
  */
 async function invokeParallelGenerations(config) {
-  const { totalNFTs = 10000, batchesPerLambda = 100, lambdaFunctionName } = config;
-  const batchSize = batchesPerLambda;
-  const totalBatches = Math.ceil(totalNFTs / batchSize);
+  const { plan, lambdaFunctionName } = config;
   
   const invocations = [];
   
-  for (let i = 0; i < totalBatches; i++) {
-    const startId = i * batchSize + 1;
-    const endId = Math.min((i + 1) * batchSize, totalNFTs);
-
+  for (let i = 0; i < plan.shards.length; i++) {
     const params = {
       FunctionName: lambdaFunctionName,
       InvocationType: 'Event', // Asynchronous
       Payload: JSON.stringify({
-        startId,
-        endId,
+        shard: ShardPlanner.getShard(plan, i),
         bucket: config.bucket,
         prefix: config.prefix,
         isParallel: true
@@ -166,36 +262,44 @@ exports.handler = async (event, context) => {
   console.log('📊 Event:', JSON.stringify(event, null, 2));
 
   try {
-    // Parse input parameters
-    const startId = parseInt(event.startId) || 1;
-    const endId = parseInt(event.endId) || 1000;
+    // Parse input parameters (a shard fixes the token range and seed)
+    const shard = event.shard || null;
+    const startId = shard ? shard.startId : parseInt(event.startId) || 1;
+    const endId = shard ? shard.endId : parseInt(event.endId) || 1000;
     const bucket = event.bucket || process.env.S3_BUCKET || 'nft-metadata';
     const prefix = event.prefix || 'nft-metadata';
     const isParallel = event.isParallel || false;
+    const seed = shard ? shard.seed : event.seed || process.env.GENERATION_SEED;
 
     console.log(`📋 Generating NFTs #${startId} - #${endId}`);
+    if (shard) {
+      console.log(`🧩 Shard ${shard.index + 1}/${shard.shardCount}`);
+    }
     console.log(`📦 Output: s3://${bucket}/${prefix}`);
 
-    // Generate batch
-    const { batch, stats } = await generateNFTBatch(startId, endId);
+    // Generate the batch, uploading as it goes
+    const { stats, rngInfo } = await generateNFTBatch(startId, endId, seed, shard, bucket, prefix);
 
     console.log(`✅ Generated ${stats.success} NFTs`);
     console.log(`📊 Tier distribution:`, stats.tierDistribution);
 
-    // Upload to S3
-    await uploadBatchToS3(batch, bucket, prefix);
-
     return {
       statusCode: 200,
       body: JSON.stringify({
         success: true,
         generated: stats.success,
         failed: stats.failed,
+        images: stats.images,
+        animated: stats.animated,
         startId: startId,
         endId: endId,
         bucket: bucket,
         prefix: prefix,
         tierDistribution: stats.tierDistribution,
+        uniqueness: stats.uniqueness,
+        shard: shard ? shard.index : null,
+        seed: rngInfo.seed,
+        rngAlgorithm: rngInfo.algorithm,
         timestamp: new Date().toISOString()
       })
     };
@@ -224,11 +328,19 @@ exports.coordinateGeneration = async (event, context) => {
   const lambdaFunctionName = event.lambdaFunctionName || context.functionName;
   const bucket = event.bucket || process.env.S3_BUCKET;
   const prefix = event.prefix || 'nft-metadata';
+  const seed = event.seed || process.env.GENERATION_SEED || generateSeed();
 
   try {
+    initializeUtilities();
+
+    // One plan for the whole collection; every invocation generates a slice with exact sub-quotas
+    const plan = ShardPlanner.createPlan(rarityConfig, { seed, shardSize: nftsPerLambda });
+    if (plan.collectionSize !== totalNFTs) {
+      console.warn(`⚠️ totalNFTs ${totalNFTs} ignored: rarity config plans ${plan.collectionSize} NFTs`);
+    }
+
     const results = await invokeParallelGenerations({
-      totalNFTs,
-      batchesPerLambda: nftsPerLambda,
+      plan,
       lambdaFunctionName,
       bucket,
       prefix
@@ -242,10 +354,12 @@ exports.coordinateGeneration = async (event, context) => {
         success: true,
         message: 'Generation started in parallel',
         parallelInvocations: results.length,
-        totalNFTs: totalNFTs,
+        totalNFTs: plan.collectionSize,
         nftsPerLambda: nftsPerLambda,
+        configHash: plan.configHash,
         bucket: bucket,
-        prefix: prefix
+        prefix: prefix,
+        seed: seed
       })
     };
   } catch (error) {
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Layer Asset Linter
+ * Checks every layer image before rendering and reports all problems at once, with fixes
+ *
+ * Usage:
+ *   npm run lint:layers
+ *   npm run lint:layers -- --layers=./layers --json
+ *
+ * Options:
+ *   --layers: Layers directory (default: render.layersDir from config, else ./layers)
+ *   --config: Rarity config path for the canvas size (default: ./config/rarity-config.json)
+ *   --background: Comma-separated layer folders allowed to be opaque (folders named "Background" always are)
+ *   --json: Print the report as JSON instead of the human summary
+ *
+ * Exits with code 1 when any error is found.
+ */
+
+const LayerLinter = require('../src/utils/layerLinter');
+const RarityConfigLoader = require('../src/utils/rarityConfigLoader');
+
+// Parse command-line arguments
+const parseArgs = () => {
+  const args = {};
+  process.argv.slice(2).forEach(arg => {
+    const [key, value] = arg.split('=');
+    args[key.replace('--', '')] = value || true;
+  });
+  return args;
+};
+
+const args = parseArgs();
+
+function main() {
+  let config;
+  try {
+    config = RarityConfigLoader.loadRarityConfig(typeof args.config === 'string' ? args.config : null);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const render = config.render || {};
+  const layersDir = typeof args.layers === 'string' ? args.layers : render.layersDir || './layers';
+  const report = LayerLinter.lintDirectory(layersDir, {
+    width: render.width || 1024,
+    height: render.height || 1024,
+    backgroundLayers: typeof args.background === 'string' ? args.background.split(',') : []
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    LayerLinter.logReport(report);
+  }
+
+  process.exit(report.issues.some(issue => issue.severity === 'error') ? 1 : 0);
+}
+
+main();
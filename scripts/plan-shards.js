@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Shard Planning Script
+ * Splits the collection into shards that can be generated independently (separate batches or Lambdas)
+ * and still merge into a collection that matches rarity-config.json exactly
+ *
+ * Usage:
+ *   npm run plan:shards
+ *   npm run plan:shards -- --shard-size=1000 --seed=my-launch-seed
+ *
+ * Options:
+ *   --shard-size: NFTs per shard (default: 1000)
+ *   --seed: RNG seed shared by every shard (default: rng.seed from config, else a fresh random seed)
+ *   --rng: RNG algorithm - xoshiro128**, sha256-ctr or lcg (default: rng.algorithm from config)
+ *   --output: Shard plan path (default: ./output/shard-plan.json)
+ *
+ * Then run each shard with:
+ *   npm run generate:local -- --shard-plan=./output/shard-plan.json --shard=0
+ * Each shard writes _generation-summary-shard-<index>.json into its output folder
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ShardPlanner = require('../src/utils/shardPlanner');
+const rarityConfig = require('../config/rarity-config.json');
+
+// Parse command-line arguments
+const parseArgs = () => {
+  const args = {};
+  process.argv.slice(2).forEach(arg => {
+    const [key, value] = arg.split('=');
+    args[key.replace('--', '')] = value || true;
+  });
+  return args;
+};
+
+const args = parseArgs();
+const outputPath = typeof args.output === 'string' ? args.output : './output/shard-plan.json';
+
+try {
+  const plan = ShardPlanner.createPlan(rarityConfig, {
+    seed: typeof args.seed === 'string' ? args.seed : undefined,
+    rngAlgorithm: typeof args.rng === 'string' ? args.rng : undefined,
+    shardSize: parseInt(args['shard-size']) || undefined
+  });
+
+  const outputDir = path.dirname(outputPath);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  fs.writeFileSync(outputPath, JSON.stringify(plan, null, 2));
+
+  console.log(`\n🧩 Shard plan created`);
+  console.log(`   Collection: ${plan.collectionSize} NFTs in ${plan.shards.length} shards of up to ${plan.shardSize}`);
+  console.log(`   Seed: ${plan.seed} (${plan.rngAlgorithm})`);
+  console.log(`   Config hash: ${plan.configHash}`);
+  plan.shards.forEach(shard => {
+    const tiers = Object.keys(shard.tierQuotas)
+      .map(tierId => `${tierId}:${shard.tierQuotas[tierId]}`)
+      .join(' ');
+    console.log(`   #${shard.index} tokens ${shard.startId}-${shard.endId} | ${tiers}`);
+  });
+  console.log(`\n📄 Saved to: ${path.resolve(outputPath)}`);
+
+  console.log(`\n📋 Next Steps:`);
+  console.log(`   Run every shard (in any order, on any machine) with the same rarity-config.json:`);
+  console.log(`   npm run generate:local -- --shard-plan=${outputPath} --shard=0 --output=./output/nfts-final`);
+  console.log(`   Each shard writes its summary to _generation-summary-shard-<index>.json\n`);
+} catch (error) {
+  console.error(`\n❌ Shard planning failed: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Provenance Commit Script
+ * Creates the pre-mint commitment for provably-fair generation
+ *
+ * Usage:
+ *   npm run provenance:commit -- --reveal-source=block:ethereum:19000000
+ *   npm run provenance:commit -- --reveal-source=drand:4500000 --rng=xoshiro128**
+ *
+ * Options:
+ *   --reveal-source: Required. The future value that will seed the collection:
+ *                    block:CHAIN:HEIGHT (its block hash) or drand:ROUND / drand:quicknet:ROUND (its randomness)
+ *   --secret-file: File holding the secret to commit to, or - for stdin (default: a fresh random secret)
+ *   --rng: RNG algorithm used for the final generation (default: rng.algorithm from config)
+ *   --output: Output directory (default: ./output/provenance)
+ *
+ * Publish commitment.json before mint, while the reveal source is still in the future.
+ * Keep secret.json private until the reveal.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const Provenance = require('../src/utils/provenance');
+const { DEFAULT_ALGORITHM } = require('../src/utils/rng');
+const rarityConfig = require('../config/rarity-config.json');
+
+// Parse command-line arguments
+const parseArgs = () => {
+  const args = {};
+  process.argv.slice(2).forEach(arg => {
+    const [key, value] = arg.split('=');
+    args[key.replace('--', '')] = value || true;
+  });
+  return args;
+};
+
+const args = parseArgs();
+const outputDir = args.output || './output/provenance';
+const rngAlgorithm = typeof args.rng === 'string'
+  ? args.rng
+  : (rarityConfig.rng && rarityConfig.rng.algorithm) || DEFAULT_ALGORITHM;
+
+try {
+  if (args.secret !== undefined) {
+    throw new Error('--secret is not accepted (it would end up in shell history); use --secret-file=PATH or --secret-file=- for stdin');
+  }
+  if (typeof args['reveal-source'] !== 'string') {
+    throw new Error('--reveal-source is required, e.g. --reveal-source=block:ethereum:19000000 or --reveal-source=drand:4500000');
+  }
+  const revealSource = Provenance.parseRevealSource(args['reveal-source']);
+  const secret = typeof args['secret-file'] === 'string' ? Provenance.readSecret(args['secret-file']) : Provenance.createSecret();
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const commitment = Provenance.createCommitment(secret, rarityConfig, rngAlgorithm, revealSource);
+  const commitmentPath = path.join(outputDir, 'commitment.json');
+  const secretPath = path.join(outputDir, 'secret.json');
+
+  fs.writeFileSync(commitmentPath, JSON.stringify(commitment, null, 2));
+  fs.writeFileSync(secretPath, JSON.stringify({ secret, commitment: commitment.commitment }, null, 2), { mode: 0o600 });
+
+  console.log(`\n🔒 Provenance commitment created`);
+  console.log(`   Commitment: ${commitment.commitment}`);
+  console.log(`   Config hash: ${commitment.configHash}`);
+  console.log(`   RNG: ${rngAlgorithm}`);
+  console.log(`   Reveal source: ${Provenance.describeRevealSource(revealSource)}`);
+  if (revealSource.type === 'drand') {
+    console.log(`   Reveal expected at: ${revealSource.time}`);
+  }
+  console.log(`\n📄 Public:  ${path.resolve(commitmentPath)}`);
+  console.log(`🔑 Private: ${path.resolve(secretPath)} (do NOT publish until reveal)`);
+
+  console.log(`\n📋 Next Steps:`);
+  console.log(`   1. Publish commitment.json (website, contract, social) before ${Provenance.formatRevealSource(revealSource)} is produced`);
+  console.log(`   2. Once it is, take its value: the ${Provenance.describeRevealSource(revealSource)}`);
+  console.log(`   3. Run: npm run generate:local -- --provenance=${commitmentPath} --secret-file=${secretPath} --reveal=VALUE`);
+  console.log(`   4. Publish the secret and reveal value so anyone can run verify:provenance\n`);
+} catch (error) {
+  console.error(`\n❌ Commitment failed: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Statistical Rarity Ranking Script
+ * Ranks every generated token by trait frequency (OpenRarity information-content score),
+ * writes the rank into extended metadata and saves a ranking CSV
+ *
+ * Usage:
+ *   npm run rank:rarity
+ *   npm run rank:rarity -- --input=./output/nfts-final --csv=./output/rarity-ranking.csv
+ *
+ * Options:
+ *   --input: Directory with {tokenId}.json metadata of the whole collection (default: ./output/nfts-final)
+ *   --csv: Ranking CSV path (default: ./output/rarity-ranking.csv)
+ *   --dry-run: Only write the CSV, leave metadata files unchanged
+ *
+ * Run it after every shard or batch has been generated into the same directory:
+ * ranks depend on the whole collection.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RarityRanking = require('../src/utils/rarityRanking');
+
+// Parse command-line arguments
+const parseArgs = () => {
+  const args = {};
+  process.argv.slice(2).forEach(arg => {
+    const [key, value] = arg.split('=');
+    args[key.replace('--', '')] = value || true;
+  });
+  return args;
+};
+
+const args = parseArgs();
+const inputDir = typeof args.input === 'string' ? args.input : './output/nfts-final';
+const csvPath = typeof args.csv === 'string' ? args.csv : './output/rarity-ranking.csv';
+const dryRun = args['dry-run'] === true || args['dry-run'] === 'true';
+
+try {
+  const collection = RarityRanking.readCollection(inputDir);
+  const ranking = RarityRanking.rank(collection);
+
+  const csvDir = path.dirname(csvPath);
+  if (!fs.existsSync(csvDir)) {
+    fs.mkdirSync(csvDir, { recursive: true });
+  }
+  fs.writeFileSync(csvPath, RarityRanking.toCsv(ranking, collection));
+  const written = dryRun ? 0 : RarityRanking.writeMetadata(collection, ranking);
+
+  console.log(`\n🏆 Statistical rarity ranking`);
+  console.log(`   Tokens: ${ranking.collectionSize} | Trait types: ${ranking.traitTypes.length} | Entropy: ${ranking.entropy.toFixed(4)} bits`);
+  console.log(`   Rarest:`);
+  ranking.tokens.slice(0, 5).forEach(token => {
+    console.log(`   #${token.rank} token ${token.tokenId} (score ${token.score.toFixed(4)})`);
+  });
+
+  if (dryRun) {
+    console.log(`\n🔎 Dry run: metadata files unchanged`);
+  } else if (written === 0) {
+    console.log(`\n⚠️  No extended metadata found; ranks are only in the CSV (generate with --metadata-format=extended)`);
+  } else {
+    console.log(`\n✅ Rank written to rarity_details.statistical in ${written} metadata files`);
+  }
+  console.log(`📄 Ranking CSV: ${path.resolve(csvPath)}\n`);
+} catch (error) {
+  console.error(`\n❌ Rarity ranking failed: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * Rarity Config Scaffolding Script
+ * Writes a draft rarity-config.json from the layers directory: one trait per folder,
+ * one variant per file, with "$weight" file names converted to quotas summing to the collection size
+ *
+ * Usage:
+ *   npm run scaffold:config
+ *   npm run scaffold:config -- --layers=./layers --size=5000 --output=./config/rarity-config.json --force
+ *
+ * Options:
+ *   --layers: Layers directory (default: ./layers)
+ *   --size: Collection size (default: 10000)
+ *   --width / --height: Canvas size (default: size of the first PNG layer)
+ *   --output: Draft config path (default: ./config/rarity-config.draft.json)
+ *   --force: Overwrite an existing file at --output
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ConfigScaffolder = require('../src/utils/configScaffolder');
+
+// Parse command-line arguments
+const parseArgs = () => {
+  const args = {};
+  process.argv.slice(2).forEach(arg => {
+    const [key, value] = arg.split('=');
+    args[key.replace('--', '')] = value || true;
+  });
+  return args;
+};
+
+const args = parseArgs();
+const layersDir = typeof args.layers === 'string' ? args.layers : './layers';
+const outputPath = typeof args.output === 'string' ? args.output : './config/rarity-config.draft.json';
+
+if (fs.existsSync(outputPath) && !args.force) {
+  console.error(`\n❌ ${outputPath} already exists. Pass --force to overwrite it or choose another --output`);
+  process.exit(1);
+}
+
+try {
+  const { config, warnings } = ConfigScaffolder.createConfig(layersDir, {
+    collectionSize: parseInt(args.size) || undefined,
+    width: parseInt(args.width) || undefined,
+    height: parseInt(args.height) || undefined
+  });
+
+  const outputDir = path.dirname(outputPath);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  fs.writeFileSync(outputPath, JSON.stringify(config, null, 2));
+
+  console.log(`\n🏗️  Draft rarity config created`);
+  console.log(`   Collection: ${config.collectionSize} NFTs, ${config.render.width}x${config.render.height}`);
+  config.traits.forEach(trait => {
+    const variants = trait.variants.map(variant => `${variant.name}:${variant.quota}`).join(' ');
+    console.log(`   ${trait.trait} | ${variants}`);
+  });
+  warnings.forEach(warning => console.warn(`   ⚠️  ${warning}`));
+  console.log(`\n📄 Saved to: ${path.resolve(outputPath)}`);
+
+  console.log(`\n📋 Next Steps:`);
+  console.log(`   1. Review names and quotas, then split variants into tiers with scores`);
+  console.log(`   2. Check it: npm run analyze:config -- --config=${outputPath}`);
+  console.log(`   3. Copy it to config/rarity-config.json when ready\n`);
+} catch (error) {
+  console.error(`\n❌ Scaffolding failed: ${error.message}`);
+  process.exit(1);
+}
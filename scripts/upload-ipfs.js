@@ -65,17 +65,22 @@ class IPFSUploader {
     }
   }
 
-  async dirToFilesArray(rootDir, FileCtor) {
+  // Subdirectories (e.g. images/thumbnail/) are kept as paths inside the uploaded directory
+  async dirToFilesArray(rootDir, FileCtor, prefix = '') {
     if (!fs.existsSync(rootDir)) return [];
 
     const entries = fs.readdirSync(rootDir, { withFileTypes: true });
     const files = [];
 
     for (const entry of entries) {
-      if (!entry.isFile()) continue;
       const filePath = path.join(rootDir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.dirToFilesArray(filePath, FileCtor, `${prefix}${entry.name}/`));
+        continue;
+      }
+      if (!entry.isFile()) continue;
       const data = fs.readFileSync(filePath);
-      files.push(new FileCtor([data], entry.name));
+      files.push(new FileCtor([data], `${prefix}${entry.name}`));
     }
 
     return files;
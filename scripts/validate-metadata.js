@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Metadata Validation Script
+ * Validates a whole metadata directory before upload: JSON Schema of the selected profile,
+ * token ID continuity, name/ID consistency, image URIs and files, duplicate attribute sets,
+ * leftover {IMAGES_CID} placeholders and attribute value types
+ *
+ * Usage:
+ *   npm run validate:metadata
+ *   npm run validate:metadata -- --input=./output/metadata --profile=extended --report=./output/validation.json
+ *
+ * Options:
+ *   --input: Metadata directory (default: ./output/metadata)
+ *   --profile: Metadata profile the files were written with (default: standard)
+ *   --config: Rarity config whose uniqueness settings decide which duplicates are errors
+ *             (default: ./config/rarity-config.json; without one, duplicates are warnings)
+ *   --images: Directory the image URIs point into (default: ./output/images; skipped if missing)
+ *   --start / --end: Expected token ID range (default: 1 to the highest ID found)
+ *   --allow-placeholders: Report {IMAGES_CID}-style placeholders as warnings (before images are uploaded)
+ *   --report: Also write the JSON report to this path
+ *   --json: Print the report as JSON instead of the human summary
+ *
+ * Exits with code 1 when any error is found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MetadataProfiles = require('../src/utils/metadataProfiles');
+const RarityConfigLoader = require('../src/utils/rarityConfigLoader');
+const MetadataValidator = require('../src/utils/metadataValidator');
+
+// Parse command-line arguments
+const parseArgs = () => {
+  const args = {};
+  process.argv.slice(2).forEach(arg => {
+    const [key, value] = arg.split('=');
+    args[key.replace('--', '')] = value || true;
+  });
+  return args;
+};
+
+const args = parseArgs();
+
+function main() {
+  let profile;
+  try {
+    profile = MetadataProfiles.get(typeof args.profile === 'string' ? args.profile : 'standard');
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  // An explicit --config must load; the default one is optional
+  let config = null;
+  const configPath = typeof args.config === 'string' ? args.config : path.join('config', 'rarity-config.json');
+  if (typeof args.config === 'string' || fs.existsSync(configPath)) {
+    try {
+      config = RarityConfigLoader.loadRarityConfig(configPath);
+    } catch (error) {
+      // loadRarityConfig has already printed the reason
+      process.exit(1);
+    }
+  }
+
+  const report = MetadataValidator.validateDirectory(typeof args.input === 'string' ? args.input : './output/metadata', {
+    profile,
+    config,
+    imagesDir: typeof args.images === 'string' ? args.images : './output/images',
+    start: args.start !== undefined ? parseInt(args.start) : undefined,
+    end: args.end !== undefined ? parseInt(args.end) : undefined,
+    allowPlaceholders: args['allow-placeholders'] === true || args['allow-placeholders'] === 'true'
+  });
+
+  if (typeof args.report === 'string') {
+    fs.mkdirSync(path.dirname(args.report), { recursive: true });
+    fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    MetadataValidator.logReport(report);
+    if (typeof args.report === 'string') {
+      console.log(`📄 Report: ${path.resolve(args.report)}`);
+    }
+  }
+
+  process.exit(report.valid ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Provenance Verification Script
+ * Re-runs generation from revealed inputs and confirms every token file matches, in any metadata profile
+ *
+ * Usage:
+ *   npm run verify:provenance
+ *   npm run verify:provenance -- --commitment=./commitment.json --secret-file=./secret.json --reveal=VALUE
+ *
+ * Options:
+ *   --dir: Generated metadata directory (default: ./output/nfts-final)
+ *   --commitment: Published commitment.json (default: ./output/provenance/commitment.json)
+ *   --secret-file: File with the revealed secret, or - for stdin (default: from _generation-summary.json)
+ *   --reveal: Reveal value (default: from _generation-summary.json)
+ *   --reveal-source: Where the reveal value was taken from, e.g. block:ethereum:19000000 (must match the commitment)
+ *   --start / --end: Token range (default: from _generation-summary.json)
+ *   --profile: Metadata profile the files were written with (default: from _generation-summary.json, else standard)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const Provenance = require('../src/utils/provenance');
+const MetadataGenerator = require('../src/utils/metadataGenerator');
+const MetadataProfiles = require('../src/utils/metadataProfiles');
+const rarityConfig = require('../config/rarity-config.json');
+
+// Parse command-line arguments
+const parseArgs = () => {
+  const args = {};
+  process.argv.slice(2).forEach(arg => {
+    const [key, value] = arg.split('=');
+    args[key.replace('--', '')] = value || true;
+  });
+  return args;
+};
+
+const args = parseArgs();
+const dir = args.dir || './output/nfts-final';
+const commitmentPath = args.commitment || './output/provenance/commitment.json';
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function main() {
+  if (!fs.existsSync(dir)) fail(`Directory not found: ${dir}`);
+  if (!fs.existsSync(commitmentPath)) fail(`Commitment not found: ${commitmentPath}`);
+
+  const summaryPath = path.join(dir, '_generation-summary.json');
+  const summary = fs.existsSync(summaryPath) ? JSON.parse(fs.readFileSync(summaryPath, 'utf8')) : {};
+  const revealed = summary.provenance || {};
+
+  const commitment = JSON.parse(fs.readFileSync(commitmentPath, 'utf8'));
+  let secret = revealed.secret;
+  let claimedSource = null;
+  try {
+    if (typeof args['secret-file'] === 'string') secret = Provenance.readSecret(args['secret-file']);
+    if (typeof args['reveal-source'] === 'string') claimedSource = Provenance.parseRevealSource(args['reveal-source']);
+  } catch (error) {
+    fail(error.message);
+  }
+  const revealValue = typeof args.reveal === 'string' ? args.reveal : revealed.revealValue;
+  const startId = parseInt(args.start) || summary.startId || 1;
+  const endId = parseInt(args.end) || summary.endId || rarityConfig.collectionSize;
+
+  if (!secret || !revealValue) fail('Secret and reveal value are required (pass --secret-file and --reveal)');
+
+  let profile;
+  try {
+    profile = MetadataProfiles.get(typeof args.profile === 'string' ? args.profile : summary.metadataProfile || 'standard');
+  } catch (error) {
+    fail(error.message);
+  }
+
+  console.log(`\n🔍 Verifying provenance for ${dir} (tokens #${startId} - #${endId}, ${profile.name} metadata)`);
+
+  // 1. Revealed inputs must match what was committed before mint
+  const check = Provenance.verifyReveal(commitment, secret, rarityConfig, revealValue, claimedSource);
+  if (!check.valid) {
+    check.errors.forEach(error => console.error(`❌ ${error}`));
+    process.exit(1);
+  }
+  console.log(`✅ Secret matches commitment ${commitment.commitment}`);
+  console.log(`✅ Rarity config matches committed hash ${commitment.configHash}`);
+  console.log(`✅ Reveal value has the format of the committed source ${Provenance.formatRevealSource(commitment.revealSource)}`);
+  console.log(`👉 Check independently that ${revealValue} is the ${Provenance.describeRevealSource(commitment.revealSource)},`);
+  console.log(`   and that it did not exist yet when the commitment was published (${commitment.committedAt})`);
+
+  // 2. Re-run generation with the derived seed
+  const seed = Provenance.deriveFinalSeed(secret, revealValue, commitment.revealSource);
+  const expected = Provenance.regenerate(rarityConfig, seed, commitment.rngAlgorithm, startId, endId);
+  console.log(`✅ Regenerated ${expected.size} tokens from seed ${seed}`);
+
+  // 3. Compare every token file
+  const mismatches = [];
+  for (let tokenId = startId; tokenId <= endId; tokenId++) {
+    const filePath = path.join(dir, profile.getFileName(tokenId));
+    const result = expected.get(tokenId);
+
+    if (!result) {
+      if (fs.existsSync(filePath)) mismatches.push({ tokenId, error: 'file exists but generation failed for this token' });
+      continue;
+    }
+    if (!fs.existsSync(filePath)) {
+      mismatches.push({ tokenId, error: 'missing file' });
+      continue;
+    }
+
+    // Compare the restored trait assignment, not the JSON, so every profile and templated field verifies
+    let actual;
+    try {
+      actual = MetadataGenerator.restoreGenerationResult(JSON.parse(fs.readFileSync(filePath, 'utf8')), rarityConfig);
+    } catch (error) {
+      mismatches.push({ tokenId, error: error.message });
+      continue;
+    }
+    if (Provenance.assignmentFingerprint(actual) !== Provenance.assignmentFingerprint(result)) {
+      mismatches.push({ tokenId, error: 'traits differ from regenerated assignment' });
+    }
+  }
+
+  if (mismatches.length > 0) {
+    console.log(`\n❌ ${mismatches.length} token(s) do not match:`);
+    mismatches.slice(0, 20).forEach(m => console.log(`   #${m.tokenId}: ${m.error}`));
+    if (mismatches.length > 20) console.log(`   ...and ${mismatches.length - 20} more`);
+    process.exit(1);
+  }
+
+  console.log(`\n🎉 Provenance verified: all ${expected.size} tokens match the committed inputs\n`);
+}
+
+main();
@@ -40,6 +40,15 @@ npm run validate-rarity
   📊 Checks rarity-config.json structure
   ⏱️ Time: 30 seconds
 
+npm run analyze:config
+  ✅ Checks whether rarity-config.json can succeed at all
+  📊 Reachable score ranges, unconsumable variants, expected retries
+  ⏱️ Time: seconds
+  🔧 Options:
+    --config=PATH      Config to analyze (default: ./config/rarity-config.json)
+    --allocation=MODE  planned or sequential (default: allocation.mode from config)
+    --json             Machine-readable report (exit code 1 if infeasible)
+
 ─────────────────────────────────────────────────────────────
 
 🎨 GENERATION COMMANDS
@@ -54,12 +63,25 @@ npm run generate:local
     --end=10000        Ending token ID (default: 10000)
     --batch=1          Batch number for tracking
     --output=PATH      Custom output directory
-    --images=false     Generate placeholder images
+    --images=false     Render composite PNGs to ./output/images (needs canvas)
+    --layers=PATH      Layers directory (default: render.layersDir or ./layers)
+    --images-output=PATH  Rendered image directory (default: ./output/images)
+    --render-workers=N Parallel image workers (default: CPUs - 1, 0 = in-process)
+    --svg=false        Also compose each token into one SVG (implies --images)
+    --metadata-format=standard  Metadata profile: standard, minimal, extended, metaplex or erc1155
+    --seed=SEED        RNG seed (recorded in _generation-summary.json)
+    --rng=ALGORITHM    xoshiro128** (default), sha256-ctr, lcg
+    --allocation=MODE  planned (exact quotas, default) or sequential
+    --shard-plan=PATH  Shard plan from plan:shards (with --shard=INDEX)
+    --checkpoint-every=N  Save _checkpoint.json every N tokens (default: 500)
+    --resume           Continue an interrupted run from its checkpoint
 
   EXAMPLES:
     npm run generate:local
     npm run generate:local -- --start=1 --end=100
     npm run generate:local -- --batch=1 --output=./my-output
+    npm run generate:local -- --seed=my-launch-seed
+    npm run generate:local -- --resume
 
 npm run generate:metadata
   ✅ Generate OpenSea/Magic Eden compatible metadata
@@ -70,12 +92,93 @@ npm run generate:metadata
     --collection=NAME  Collection name
     --description=TEXT Collection description
     --ipfs-hash=HASH   IPFS path to images
-    --format=FORMAT    Metadata format (minimal, standard, extended)
+    --format=PROFILE   Convert to a profile (standard, minimal, extended, metaplex, erc1155)
 
   EXAMPLES:
     npm run generate:metadata
     npm run generate:metadata -- --collection="My Dragons"
     npm run generate:metadata -- --format=minimal
+    npm run generate:metadata -- --format=metaplex
+
+npm run generate:collection
+  ✅ Build collection.json and contract.json (contractURI) for marketplaces
+  📊 Tier/trait counts from the generated files, royalties from config "collection"
+  💾 Output: ./output/collection/
+  🔧 Options:
+    --input=PATH       Generated token files (default: ./output/nfts-final)
+    --output=PATH      Output directory
+
+npm run rank:rarity
+  ✅ Rank every token by trait frequency (OpenRarity score)
+  📊 Writes rarity_details.statistical into extended metadata
+  💾 Output: ./output/rarity-ranking.csv
+  🔧 Options:
+    --input=PATH       Metadata directory (default: ./output/nfts-final)
+    --csv=PATH         Ranking CSV path
+    --dry-run          Only write the CSV
+
+npm run validate:metadata
+  ✅ Check a whole metadata folder before upload (exits 1 on errors)
+  📊 Profile JSON Schema, token ID gaps, names, image URIs/files,
+     duplicate attribute sets, leftover {IMAGES_CID} placeholders
+  🔧 Options:
+    --input=PATH       Metadata directory (default: ./output/metadata)
+    --profile=NAME     Profile the files were written with (default: standard)
+    --images=PATH      Image directory to check files against (default: ./output/images)
+    --start=N --end=N  Expected token ID range
+    --allow-placeholders  Only warn about {IMAGES_CID} (before image upload)
+    --report=PATH      Also write the JSON report
+    --json             Print the report as JSON
+
+npm run plan:shards
+  ✅ Split the collection into independently generated shards
+  📊 Each shard gets its token range, seed and exact tier/variant sub-quotas
+  💾 Output: ./output/shard-plan.json
+  🔧 Options:
+    --shard-size=1000  NFTs per shard
+    --seed=SEED        Seed shared by every shard
+    --rng=ALGORITHM    RNG algorithm
+
+  Then run each shard with:
+    npm run generate:local -- --shard-plan=./output/shard-plan.json --shard=0
+
+npm run lint:layers
+  ✅ Check every layer image before rendering and list all problems with fixes
+  📊 Canvas size, transparency, 16-bit/grayscale/CMYK files, duplicates, names and $weight suffixes
+  🔧 Options:
+    --layers=PATH      Layers directory (default: render.layersDir or ./layers)
+    --background=NAMES Comma-separated folders allowed to be opaque
+    --json             Print the report as JSON
+
+npm run scaffold:config
+  ✅ Write a draft rarity config from the layers directory
+  📊 One trait per folder, one variant per file, $weight turned into quotas
+  🔧 Options:
+    --layers=PATH      Layers directory (default: ./layers)
+    --size=N           Collection size (default: 10000)
+    --output=PATH      Draft path (default: ./config/rarity-config.draft.json)
+    --force            Overwrite an existing file
+
+npm run provenance:commit
+  ✅ Create a commit-reveal commitment before mint
+  💾 Output: ./output/provenance/commitment.json (publish), secret.json (keep private)
+  🔧 Options:
+    --reveal-source=S  Required: future block:CHAIN:HEIGHT or drand:ROUND
+    --secret-file=PATH Secret to commit to, - for stdin (default: random)
+    --rng=ALGORITHM    RNG used for final generation
+
+  Then, once the reveal source exists, generate with:
+    npm run generate:local -- --provenance=PATH --reveal=VALUE
+
+npm run verify:provenance
+  ✅ Re-run generation from revealed inputs and compare every token
+  🔧 Options:
+    --dir=PATH         Generated directory (default: ./output/nfts-final)
+    --commitment=PATH  Published commitment.json
+    --secret-file=PATH Revealed secret (default: from the generation summary)
+    --reveal=VALUE     Reveal value (block hash, drand randomness)
+    --reveal-source=S  Source the value was taken from (must match the commitment)
+    --profile=NAME     Metadata profile of the files (default: from the generation summary)
 
 npm run generate:full
   ✅ Run both generation and metadata commands
@@ -203,9 +306,10 @@ npm run electron-pack-win
    export NFT_STORAGE_TOKEN=YOUR_TOKEN
    npm run upload:ipfs
 
-🎯 Generate in batches for large collections:
-   npm run generate:local -- --start=1 --end=2500 --batch=1
-   npm run generate:local -- --start=2501 --end=5000 --batch=2
+🎯 Generate in batches for large collections (quotas stay exact):
+   npm run plan:shards -- --shard-size=2500
+   npm run generate:local -- --shard-plan=./output/shard-plan.json --shard=0
+   npm run generate:local -- --shard-plan=./output/shard-plan.json --shard=1
 
 📊 Monitor generation progress:
    tail -f output/nfts-final/_generation-summary.json
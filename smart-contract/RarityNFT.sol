@@ -3,17 +3,16 @@
  * ================================
  * 
  * A sophisticated ERC-721 NFT contract with:
- * - 9-tier rarity system (T1-T9) with bell curve distribution
- * - Point-based scoring (42-270 per NFT)
+ * - 9-tier rarity system (T1-T9)
+ * - Point-based scoring, each NFT's total within its tier's score range
  * - Tier-based metadata integration
  * - Query functions for rarity information
  * - Efficient storage of rarity data on-chain
  * 
- * Collection Details:
- * - Total Supply: 10,000 NFTs
- * - Tiers: T1 (10), T2 (100), T3 (500), T4 (2390), T5 (4000), T6 (2390), T7 (500), T8 (100), T9 (10)
- * - Point Ranges: 42-270 (T5 = 144-174, center of distribution)
- * - Traits: 6 (socks, shoes, pants, shirt, face, hat)
+ * Collection Details (all set at deployment from rarity-config.json by scripts/deploy.js):
+ * - Traits: any number, by name
+ * - Tier quotas: MAX_SUPPLY is their sum (10,000 in the default config)
+ * - Tier score ranges: [min, max] total points per tier (42-270 with six traits in the default config)
  */
 
 pragma solidity ^0.8.0;
@@ -48,21 +47,11 @@ contract RarityNFT is ERC721, ERC721Enumerable, ERC721URIStorage, Ownable {
         "Maximal"       // T9
     ];
 
-    // Tier quotas (must sum to 10,000)
-    uint16[9] public tierQuotas = [10, 100, 500, 2390, 4000, 2390, 500, 100, 10];
-
-    // Tier score ranges [min, max]
-    uint16[9][2] public tierScoreRanges = [
-        [42, 42],       // T1
-        [60, 60],       // T2
-        [78, 84],       // T3
-        [102, 132],     // T4
-        [144, 174],     // T5
-        [186, 216],     // T6
-        [228, 234],     // T7
-        [252, 252],     // T8
-        [270, 270]      // T9
-    ];
+    // Tier quotas, set at deployment (sum to MAX_SUPPLY)
+    uint16[9] public tierQuotas;
+
+    // Tier score ranges [min, max], set at deployment
+    uint16[2][9] public tierScoreRanges;
 
     // ========================================================================
     // DATA STRUCTURES
@@ -70,13 +59,8 @@ contract RarityNFT is ERC721, ERC721Enumerable, ERC721URIStorage, Ownable {
 
     struct RarityData {
         RarityTier tier;           // 3 bits (values 0-8)
-        uint16 totalPoints;        // 9 bits (values 42-270)
-        uint8 socksPoints;         // 6 bits (values 7-45)
-        uint8 shoesPoints;         // 6 bits (values 7-45)
-        uint8 pantsPoints;         // 6 bits (values 7-45)
-        uint8 shirtPoints;         // 6 bits (values 7-45)
-        uint8 facePoints;          // 6 bits (values 7-45)
-        uint8 hatPoints;           // 6 bits (values 7-45)
+        uint16 totalPoints;        // Within the tier's score range
+        uint8[] traitPoints;       // One entry per trait, in traitNames order
     }
 
     // ========================================================================
@@ -84,10 +68,11 @@ contract RarityNFT is ERC721, ERC721Enumerable, ERC721URIStorage, Ownable {
     // ========================================================================
 
     mapping(uint256 => RarityData) public tokenRarity;
+    string[] public traitNames;
     mapping(RarityTier => uint16) public tierSupply;
     mapping(RarityTier => uint16) public tierMinted;
 
-    uint256 public constant MAX_SUPPLY = 10000;
+    uint256 public immutable MAX_SUPPLY;
     string public baseURI;
 
     /**
@@ -97,6 +82,12 @@ contract RarityNFT is ERC721, ERC721Enumerable, ERC721URIStorage, Ownable {
      * ipfs://{IMAGES_CID}/{tokenId}.png
      */
 
+    /**
+     * Contract-level metadata read by marketplaces (name, image, banner, royalties):
+     * the contract.json written by `npm run generate:collection`, e.g. "ipfs://{CONTRACT_JSON_CID}"
+     */
+    string public contractURI;
+
     // Events
     event NFTMinted(
         uint256 indexed tokenId,
@@ -115,13 +106,27 @@ contract RarityNFT is ERC721, ERC721Enumerable, ERC721URIStorage, Ownable {
     // CONSTRUCTOR
     // ========================================================================
 
-    constructor(string memory initialBaseURI) ERC721("RarityNFT", "RNFT") {
+    constructor(
+        string memory initialBaseURI,
+        string[] memory initialTraitNames,
+        uint16[9] memory initialTierQuotas,
+        uint16[2][9] memory initialTierScoreRanges
+    ) ERC721("RarityNFT", "RNFT") {
+        require(initialTraitNames.length > 0, "At least one trait required");
         baseURI = initialBaseURI;
-        
+        traitNames = initialTraitNames;
+        tierQuotas = initialTierQuotas;
+        tierScoreRanges = initialTierScoreRanges;
+
         // Initialize tier supplies
+        uint256 supply = 0;
         for (uint8 i = 0; i < 9; i++) {
-            tierSupply[RarityTier(i)] = tierQuotas[i];
+            require(initialTierScoreRanges[i][0] <= initialTierScoreRanges[i][1], "Invalid tier score range");
+            tierSupply[RarityTier(i)] = initialTierQuotas[i];
+            supply += initialTierQuotas[i];
         }
+        require(supply > 0, "Tier quotas are all zero");
+        MAX_SUPPLY = supply;
     }
 
     // ========================================================================
@@ -136,41 +141,18 @@ contract RarityNFT is ERC721, ERC721Enumerable, ERC721URIStorage, Ownable {
         address to,
         RarityTier tier,
         uint16 totalPoints,
-        uint8 socksPoints,
-        uint8 shoesPoints,
-        uint8 pantsPoints,
-        uint8 shirtPoints,
-        uint8 facePoints,
-        uint8 hatPoints,
+        uint8[] calldata traitPoints,
         string memory tokenURI
     ) public onlyOwner returns (uint256) {
         require(totalSupply() < MAX_SUPPLY, "Max supply reached");
-        require(tierMinted[tier] < tierSupply[tier], "Tier quota exceeded");
-        require(
-            totalPoints == socksPoints + shoesPoints + pantsPoints + shirtPoints + facePoints + hatPoints,
-            "Invalid point total"
-        );
-        require(
-            totalPoints >= tierScoreRanges[uint8(tier)][0] && 
-            totalPoints <= tierScoreRanges[uint8(tier)][1],
-            "Points not in tier range"
-        );
+        _validateRarity(tier, totalPoints, traitPoints);
 
         uint256 tokenId = _tokenIdCounter.current();
         _tokenIdCounter.increment();
         tierMinted[tier]++;
 
         // Store rarity data
-        tokenRarity[tokenId] = RarityData({
-            tier: tier,
-            totalPoints: totalPoints,
-            socksPoints: socksPoints,
-            shoesPoints: shoesPoints,
-            pantsPoints: pantsPoints,
-            shirtPoints: shirtPoints,
-            facePoints: facePoints,
-            hatPoints: hatPoints
-        });
+        _storeRarity(tokenId, tier, totalPoints, traitPoints);
 
         _safeMint(to, tokenId);
         _setTokenURI(tokenId, tokenURI);
@@ -194,22 +176,13 @@ contract RarityNFT is ERC721, ERC721Enumerable, ERC721URIStorage, Ownable {
 
         for (uint256 i = 0; i < rarityDataArray.length; i++) {
             RarityData calldata data = rarityDataArray[i];
-            
-            require(
-                tierMinted[data.tier] < tierSupply[data.tier],
-                "Tier quota exceeded"
-            );
-            require(
-                data.totalPoints >= tierScoreRanges[uint8(data.tier)][0] &&
-                data.totalPoints <= tierScoreRanges[uint8(data.tier)][1],
-                "Points not in tier range"
-            );
+            _validateRarity(data.tier, data.totalPoints, data.traitPoints);
 
             uint256 tokenId = _tokenIdCounter.current();
             _tokenIdCounter.increment();
             tierMinted[data.tier]++;
 
-            tokenRarity[tokenId] = data;
+            _storeRarity(tokenId, data.tier, data.totalPoints, data.traitPoints);
             _safeMint(to, tokenId);
             _setTokenURI(tokenId, tokenURIs[i]);
 
@@ -217,6 +190,41 @@ contract RarityNFT is ERC721, ERC721Enumerable, ERC721URIStorage, Ownable {
         }
     }
 
+    /**
+     * Shared checks for single and batch mints
+     */
+    function _validateRarity(
+        RarityTier tier,
+        uint16 totalPoints,
+        uint8[] calldata traitPoints
+    ) internal view {
+        require(tierMinted[tier] < tierSupply[tier], "Tier quota exceeded");
+        require(traitPoints.length == traitNames.length, "Trait count mismatch");
+
+        uint256 sum = 0;
+        for (uint256 i = 0; i < traitPoints.length; i++) {
+            sum += traitPoints[i];
+        }
+        require(totalPoints == sum, "Invalid point total");
+        require(
+            totalPoints >= tierScoreRanges[uint8(tier)][0] &&
+            totalPoints <= tierScoreRanges[uint8(tier)][1],
+            "Points not in tier range"
+        );
+    }
+
+    function _storeRarity(
+        uint256 tokenId,
+        RarityTier tier,
+        uint16 totalPoints,
+        uint8[] calldata traitPoints
+    ) internal {
+        RarityData storage data = tokenRarity[tokenId];
+        data.tier = tier;
+        data.totalPoints = totalPoints;
+        data.traitPoints = traitPoints;
+    }
+
     // ========================================================================
     // RARITY QUERY FUNCTIONS
     // ========================================================================
@@ -247,30 +255,18 @@ contract RarityNFT is ERC721, ERC721Enumerable, ERC721URIStorage, Ownable {
     }
 
     /**
-     * Get all trait points for a token
+     * Get all trait points for a token (in traitNames order)
      */
-    function getTraitPoints(uint256 tokenId)
-        public
-        view
-        returns (
-            uint8 socks,
-            uint8 shoes,
-            uint8 pants,
-            uint8 shirt,
-            uint8 face,
-            uint8 hat
-        )
-    {
+    function getTraitPoints(uint256 tokenId) public view returns (uint8[] memory) {
         require(_exists(tokenId), "Token does not exist");
-        RarityData memory data = tokenRarity[tokenId];
-        return (
-            data.socksPoints,
-            data.shoesPoints,
-            data.pantsPoints,
-            data.shirtPoints,
-            data.facePoints,
-            data.hatPoints
-        );
+        return tokenRarity[tokenId].traitPoints;
+    }
+
+    /**
+     * Get the trait names set at deployment
+     */
+    function getTraitNames() public view returns (string[] memory) {
+        return traitNames;
     }
 
     /**
@@ -304,7 +300,7 @@ contract RarityNFT is ERC721, ERC721Enumerable, ERC721URIStorage, Ownable {
             tierQuota,
             tierMintedCount,
             tierQuota - tierMintedCount,
-            uint8((tierQuota * 100) / 10000)
+            uint8((uint256(tierQuota) * 100) / MAX_SUPPLY)
         );
     }
 
@@ -396,7 +392,7 @@ contract RarityNFT is ERC721, ERC721Enumerable, ERC721URIStorage, Ownable {
         uint16[9] memory tierWeights = [10000, 8000, 6000, 4000, 2000, 4000, 6000, 8000, 10000];
         
         uint16 tierWeight = tierWeights[uint8(data.tier)];
-        uint16 pointWeight = (data.totalPoints / 270) * 1000;
+        uint16 pointWeight = (data.totalPoints / tierScoreRanges[8][1]) * 1000;
         
         return (tierWeight + pointWeight) / 2;
     }
@@ -412,6 +408,13 @@ contract RarityNFT is ERC721, ERC721Enumerable, ERC721URIStorage, Ownable {
         baseURI = newBaseURI;
     }
 
+    /**
+     * Set contract-level metadata URI
+     */
+    function setContractURI(string memory newContractURI) public onlyOwner {
+        contractURI = newContractURI;
+    }
+
     /**
      * Check if collection is fully minted
      */
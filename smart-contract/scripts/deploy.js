@@ -50,6 +50,23 @@ async function main() {
   const baseURI = process.env.BASE_URI || "ipfs://QmYourMetadataHashHere/";
   console.log(`${colors.blue}Base URI:${colors.reset} ${baseURI}`);
 
+  // Trait names, tier quotas and score ranges come from the same rarity config the generator uses
+  const rarityConfigPath = process.env.RARITY_CONFIG || path.join(__dirname, "../../config/rarity-config.json");
+  const rarityConfig = JSON.parse(fs.readFileSync(rarityConfigPath, "utf8"));
+  const traitNames = rarityConfig.traits.map((trait) => trait.trait);
+  console.log(`${colors.blue}Traits:${colors.reset} ${traitNames.join(", ")}`);
+
+  // The contract has nine tiers (T1-T9), in config order
+  if (rarityConfig.tiers.length !== 9) {
+    console.error(`${colors.yellow}✗ RarityNFT needs exactly 9 tiers; ${rarityConfigPath} has ${rarityConfig.tiers.length}${colors.reset}`);
+    process.exit(1);
+  }
+  const tierQuotas = rarityConfig.tiers.map((tier) => tier.quota);
+  const tierScoreRanges = rarityConfig.tiers.map((tier) => tier.scoreRange);
+  console.log(`${colors.blue}Tier quotas:${colors.reset} ${tierQuotas.join(", ")}`);
+  console.log(`${colors.blue}Tier score ranges:${colors.reset} ${tierScoreRanges.map((range) => range.join("-")).join(", ")}`);
+  const constructorArguments = [baseURI, traitNames, tierQuotas, tierScoreRanges];
+
   console.log(`\n${colors.cyan}Deploying RarityNFT contract...${colors.reset}`);
 
   try {
@@ -57,7 +74,7 @@ async function main() {
     const RarityNFT = await hre.ethers.getContractFactory("RarityNFT");
 
     // Deploy contract
-    const contract = await RarityNFT.deploy(baseURI, {
+    const contract = await RarityNFT.deploy(...constructorArguments, {
       gasLimit: 3000000, // 3M gas limit for deployment
     });
 
@@ -71,6 +88,13 @@ async function main() {
     console.log(`${colors.green}✓ Contract deployed successfully!${colors.reset}`);
     console.log(`${colors.blue}Contract address:${colors.reset} ${colors.green}${contract.address}${colors.reset}`);
 
+    // Contract-level metadata (contract.json from `npm run generate:collection`), if already uploaded
+    const contractURI = process.env.CONTRACT_URI || "";
+    if (contractURI) {
+      await (await contract.setContractURI(contractURI)).wait();
+      console.log(`${colors.green}✓ Contract URI set:${colors.reset} ${contractURI}`);
+    }
+
     // Save deployment info
     const deploymentInfo = {
       network: network.name,
@@ -78,6 +102,10 @@ async function main() {
       contractAddress: contract.address,
       deployerAddress: deployer.address,
       baseURI: baseURI,
+      contractURI: contractURI,
+      traitNames: traitNames,
+      tierQuotas: tierQuotas,
+      tierScoreRanges: tierScoreRanges,
       deploymentBlock: await hre.ethers.provider.getBlockNumber(),
       deploymentTime: new Date().toISOString(),
       transactionHash: contract.deployTransaction.hash,
@@ -107,7 +135,7 @@ async function main() {
       try {
         await hre.run("verify:verify", {
           address: contract.address,
-          constructorArguments: [baseURI],
+          constructorArguments,
         });
         console.log(`${colors.green}✓ Contract verified!${colors.reset}`);
       } catch (error) {
@@ -14,6 +14,7 @@ describe("RarityNFT Contract", function () {
   let addr2;
 
   const baseURI = "ipfs://QmTestBaseURI/";
+  const traitNames = ["socks", "shoes", "pants", "shirt", "face", "hat"];
   const tierQuotas = [10, 100, 500, 2390, 4000, 2390, 500, 100, 10];
   const tierScoreRanges = [
     [42, 42],
@@ -31,7 +32,7 @@ describe("RarityNFT Contract", function () {
     [owner, addr1, addr2] = await ethers.getSigners();
 
     const RarityNFT = await ethers.getContractFactory("RarityNFT");
-    rarityNFT = await RarityNFT.deploy(baseURI);
+    rarityNFT = await RarityNFT.deploy(baseURI, traitNames, tierQuotas, tierScoreRanges);
     await rarityNFT.deployed();
   });
 
@@ -49,11 +50,40 @@ describe("RarityNFT Contract", function () {
 
     it("Should have correct score ranges", async function () {
       for (let i = 0; i < 9; i++) {
-        // Verify by attempting to query (internal state)
-        expect(rarityNFT.tierScoreRanges).to.exist;
+        expect(await rarityNFT.tierScoreRanges(i, 0)).to.equal(tierScoreRanges[i][0]);
+        expect(await rarityNFT.tierScoreRanges(i, 1)).to.equal(tierScoreRanges[i][1]);
       }
     });
 
+    it("Should store the configured trait names", async function () {
+      expect(await rarityNFT.getTraitNames()).to.deep.equal(traitNames);
+    });
+
+    it("Should support any number of traits with their own score ranges", async function () {
+      const RarityNFT = await ethers.getContractFactory("RarityNFT");
+      const eightTraits = [...traitNames, "background", "accessory"];
+      // Eight traits of 7-45 points score 56-360
+      const eightTraitRanges = tierScoreRanges.map(([min, max]) => [Math.round(min * 8 / 6), Math.round(max * 8 / 6)]);
+      const contract = await RarityNFT.deploy(baseURI, eightTraits, [1, 2, 3, 4, 5, 4, 3, 2, 1], eightTraitRanges);
+      await contract.deployed();
+
+      await contract.mintRarityNFT(owner.address, 8, 360, [45, 45, 45, 45, 45, 45, 45, 45], "ipfs://QmTest/0");
+      expect(await contract.getTraitPoints(0)).to.deep.equal([45, 45, 45, 45, 45, 45, 45, 45]);
+      expect(await contract.MAX_SUPPLY()).to.equal(25);
+      expect(await contract.remainingTierSupply(8)).to.equal(0);
+    });
+
+    it("Should reject deployment without traits", async function () {
+      const RarityNFT = await ethers.getContractFactory("RarityNFT");
+      await expect(RarityNFT.deploy(baseURI, [], tierQuotas, tierScoreRanges)).to.be.revertedWith("At least one trait required");
+    });
+
+    it("Should reject an inverted tier score range", async function () {
+      const RarityNFT = await ethers.getContractFactory("RarityNFT");
+      const inverted = tierScoreRanges.map((range, i) => (i === 4 ? [174, 144] : range));
+      await expect(RarityNFT.deploy(baseURI, traitNames, tierQuotas, inverted)).to.be.revertedWith("Invalid tier score range");
+    });
+
     it("Should initialize with zero minted NFTs", async function () {
       expect(await rarityNFT.totalSupply()).to.equal(0);
     });
@@ -70,12 +100,7 @@ describe("RarityNFT Contract", function () {
         owner.address,
         tier,
         totalPoints,
-        traitPoints[0],
-        traitPoints[1],
-        traitPoints[2],
-        traitPoints[3],
-        traitPoints[4],
-        traitPoints[5],
+        traitPoints,
         tokenURI
       );
 
@@ -97,12 +122,7 @@ describe("RarityNFT Contract", function () {
           owner.address,
           tier,
           totalPoints,
-          7,
-          7,
-          7,
-          7,
-          7,
-          7,
+          [7, 7, 7, 7, 7, 7],
           tokenURI
         );
       }
@@ -113,12 +133,7 @@ describe("RarityNFT Contract", function () {
           owner.address,
           tier,
           42,
-          7,
-          7,
-          7,
-          7,
-          7,
-          7,
+          [7, 7, 7, 7, 7, 7],
           tokenURI
         )
       ).to.be.revertedWith("Tier quota exceeded");
@@ -135,12 +150,7 @@ describe("RarityNFT Contract", function () {
           owner.address,
           tier,
           wrongTotal,
-          26,
-          26,
-          26,
-          26,
-          26,
-          25, // Sum is 155 instead of 156
+          [26, 26, 26, 26, 26, 26], // Sum is 156, not 155
           tokenURI
         )
       ).to.be.revertedWith("Invalid point total");
@@ -156,24 +166,25 @@ describe("RarityNFT Contract", function () {
           owner.address,
           tier,
           totalPoints,
-          40,
-          40,
-          40,
-          40,
-          40,
-          0,
+          [40, 40, 40, 40, 40, 0],
           tokenURI
         )
       ).to.be.revertedWith("Points not in tier range");
     });
 
+    it("Should reject minting with wrong number of trait points", async function () {
+      await expect(
+        rarityNFT.mintRarityNFT(owner.address, 4, 156, [26, 26, 26, 26, 52], "ipfs://QmTestToken/0")
+      ).to.be.revertedWith("Trait count mismatch");
+    });
+
     it("Should reject minting if not owner", async function () {
       const tokenURI = "ipfs://QmTestToken/0";
 
       await expect(
         rarityNFT
           .connect(addr1)
-          .mintRarityNFT(addr1.address, 4, 156, 26, 26, 26, 26, 26, 26, tokenURI)
+          .mintRarityNFT(addr1.address, 4, 156, [26, 26, 26, 26, 26, 26], tokenURI)
       ).to.be.revertedWith("Ownable: caller is not the owner");
     });
   });
@@ -184,19 +195,15 @@ describe("RarityNFT Contract", function () {
       for (let tier = 0; tier < 9; tier++) {
         const pointConfig = tierScoreRanges[tier];
         const points = pointConfig[0]; // Use minimum points for tier
-        const traitPoints = Math.floor(points / 6);
-        const remainder = points % 6;
+        const basePoints = Math.floor(points / traitNames.length);
+        const remainder = points % traitNames.length;
+        const traitPoints = traitNames.map((_, i) => basePoints + (remainder > i ? 1 : 0));
 
         const tx = await rarityNFT.mintRarityNFT(
           owner.address,
           tier,
           points,
-          traitPoints + (remainder > 0 ? 1 : 0),
-          traitPoints + (remainder > 1 ? 1 : 0),
-          traitPoints + (remainder > 2 ? 1 : 0),
-          traitPoints + (remainder > 3 ? 1 : 0),
-          traitPoints + (remainder > 4 ? 1 : 0),
-          traitPoints + (remainder > 5 ? 1 : 0),
+          traitPoints,
           `ipfs://QmTest/${tier}`
         );
         await tx.wait();
@@ -238,10 +245,10 @@ describe("RarityNFT Contract", function () {
 
     it("Should return correct trait points", async function () {
       const tokenId = 0;
-      const [socks, shoes, pants, shirt, face, hat] =
-        await rarityNFT.getTraitPoints(tokenId);
+      const traitPoints = await rarityNFT.getTraitPoints(tokenId);
 
-      expect([socks, shoes, pants, shirt, face, hat].reduce((a, b) => a + b)).to.equal(
+      expect(traitPoints.length).to.equal(traitNames.length);
+      expect(traitPoints.reduce((a, b) => a + b)).to.equal(
         tierScoreRanges[0][0]
       );
     });
@@ -282,12 +289,7 @@ describe("RarityNFT Contract", function () {
         owner.address,
         4,
         156,
-        26,
-        26,
-        26,
-        26,
-        26,
-        26,
+        [26, 26, 26, 26, 26, 26],
         "ipfs://QmTest/0"
       );
 
@@ -312,12 +314,7 @@ describe("RarityNFT Contract", function () {
         rarityDataArray.push({
           tier: 4,
           totalPoints: 156,
-          socksPoints: 26,
-          shoesPoints: 26,
-          pantsPoints: 26,
-          shirtPoints: 26,
-          facePoints: 26,
-          hatPoints: 26,
+          traitPoints: [26, 26, 26, 26, 26, 26],
         });
         tokenURIs.push(`ipfs://QmTest/${i}`);
       }
@@ -347,6 +344,22 @@ describe("RarityNFT Contract", function () {
         rarityNFT.connect(addr1).setBaseURI(newURI)
       ).to.be.revertedWith("Ownable: caller is not the owner");
     });
+
+    it("Should start without a contract URI", async function () {
+      expect(await rarityNFT.contractURI()).to.equal("");
+    });
+
+    it("Should update contract URI", async function () {
+      const newURI = "ipfs://QmContractMetadata";
+      await rarityNFT.setContractURI(newURI);
+      expect(await rarityNFT.contractURI()).to.equal(newURI);
+    });
+
+    it("Should prevent non-owner from updating contract URI", async function () {
+      await expect(
+        rarityNFT.connect(addr1).setContractURI("ipfs://QmContractMetadata")
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
   });
 
   describe("Gas Efficiency", function () {
@@ -355,12 +368,7 @@ describe("RarityNFT Contract", function () {
         owner.address,
         4,
         156,
-        26,
-        26,
-        26,
-        26,
-        26,
-        26,
+        [26, 26, 26, 26, 26, 26],
         "ipfs://QmTest/0"
       );
 
@@ -6,8 +6,7 @@ import Footer from "./components/Footer";
 import "./App.css";
 
 const { app } = window.require("@electron/remote");
-const fs = window.require("fs");
-const path = window.require("path");
+const LayerScanner = require("./utils/layerScanner");
 
 function App() {
   const [sideBarOpen, setSideBarOpen] = useState(false);
@@ -22,6 +21,7 @@ function App() {
     inputPath: app.getAppPath(),
     outputPath: app.getAppPath(),
     useRarityEngine: true, // Enable rarity-based generation
+    seed: "", // Empty = use rarity-config.json rng.seed or a fresh random seed
   });
   const [folderNames, setFolderNames] = useState([]);
   const [progress, setProgress] = useState(0);
@@ -37,59 +37,12 @@ function App() {
     setSideBarOpen(!sideBarOpen);
   };
 
-  const getRarityWeight = (_str) => {
-    let nameWithoutExtension = _str.slice(0, -4);
-    var nameWithoutWeight = Number(nameWithoutExtension.split("$").pop());
-    if (isNaN(nameWithoutWeight)) {
-      nameWithoutWeight = 1;
-    }
-    return nameWithoutWeight;
-  };
-
-  const cleanName = (_str) => {
-    let nameWithoutExtension = _str.slice(0, -4);
-    var nameWithoutWeight = nameWithoutExtension.split("$").shift();
-    return nameWithoutWeight;
-  };
-
-  const getElements = (_path) => {
-    return fs
-      .readdirSync(_path)
-      .filter((item) => !/(^|\/)\.[^\/\.]/g.test(item))
-      .map((i, index) => {
-        if (i.includes("-")) {
-          setStatus(`Layer name can not contain dashes, please fix: ${i}`);
-          throw new Error(
-            `Layer name can not contain dashes, please fix: ${i}`
-          );
-        }
-        return {
-          id: index,
-          name: cleanName(i),
-          filename: i,
-          path: `${_path}/${i}`,
-          weight: getRarityWeight(i),
-        };
-      });
-  };
-
   const getFolders = async () => {
-    fs.readdir(config.inputPath, (err, files) => {
-      if (err) {
-        setStatus("Unable to load the folder set");
-        return;
-      }
-      let newFiles = files
-        .filter((item) => !/(^|\/)\.[^\/\.]/g.test(item))
-        .map((file, index) => {
-          return {
-            id: index + 1,
-            elements: getElements(path.join(config.inputPath, file)),
-            name: file,
-          };
-        });
-      setFolderNames(newFiles);
-    });
+    try {
+      setFolderNames(LayerScanner.scanLayers(config.inputPath));
+    } catch (error) {
+      setStatus(error.message);
+    }
   };
 
   console.log(status);
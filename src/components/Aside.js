@@ -3,7 +3,6 @@ import mask from "../assets/mask.png";
 import { SortableItem, swapArrayPositions } from "react-sort-list";
 import "./Aside.css";
 import { useState } from "react";
-const { createCanvas, loadImage } = require(`canvas`);
 
 const { dialog } = window.require("@electron/remote");
 const fs = window.require("fs");
@@ -13,10 +12,11 @@ const path = window.require("path");
 const RarityEngine = require("../utils/rarityEngine");
 const RarityConfigLoader = require("../utils/rarityConfigLoader");
 const SmartContractHelper = require("../utils/smartContractHelper");
+const TraitRules = require("../utils/traitRules");
+const ImageCompositor = require("../utils/imageCompositor");
+const RenderPool = require("../utils/renderPool");
 
 function Aside(props) {
-  const canvas = createCanvas(props.config.width, props.config.height);
-  const ctx = canvas.getContext("2d");
   var metadataList = [];
   var attributesList = [];
   var dnaList = new Set();
@@ -92,26 +92,40 @@ function Aside(props) {
     return !_DnaList.has(_filteredDNA);
   };
 
-  const createDna = (_layers) => {
+  // _rules (optional TraitRules) filters out elements that clash with earlier layers
+  const createDna = (_layers, _rules = null) => {
     let randNum = [];
+    let selectedNames = [];
+    let deadEnd = false;
     _layers.forEach((layer) => {
+      if (deadEnd) {
+        return;
+      }
+      const elements = _rules
+        ? layer.elements.filter((element) =>
+            _rules.isCompatible(element.name, selectedNames)
+          )
+        : layer.elements;
+      if (elements.length === 0) {
+        deadEnd = true;
+        return;
+      }
       var totalWeight = 0;
-      layer.elements.forEach((element) => {
+      elements.forEach((element) => {
         totalWeight += element.weight;
       });
       // number between 0 - totalWeight
       let random = Math.floor(Math.random() * totalWeight);
-      for (var i = 0; i < layer.elements.length; i++) {
+      for (var i = 0; i < elements.length; i++) {
         // subtract the current weight from the random weight until we reach a sub zero value.
-        random -= layer.elements[i].weight;
+        random -= elements[i].weight;
         if (random < 0) {
-          return randNum.push(
-            `${layer.elements[i].id}:${layer.elements[i].filename}`
-          );
+          selectedNames.push(elements[i].name);
+          return randNum.push(`${elements[i].id}:${elements[i].filename}`);
         }
       }
     });
-    return randNum.join("-");
+    return deadEnd ? null : randNum.join("-");
   };
 
   const removeQueryStrings = (_dna) => {
@@ -138,39 +152,27 @@ function Aside(props) {
     return mappedDnaToLayers;
   };
 
-  const loadLayerImg = async (_layer) => {
-    try {
-      return new Promise(async (resolve) => {
-        const image = await loadImage(`file://${_layer.selectedElement.path}`);
-        resolve({ layer: _layer, loadedImage: image });
-      });
-    } catch (error) {
-      console.error("Error loading image:", error);
-    }
+  // Layers are drawn in the order set under "Layer order"
+  const createCompositor = (_engine = null) => {
+    return new ImageCompositor({
+      engine: _engine,
+      layers: props.folderNames,
+      width: props.config.width,
+      height: props.config.height,
+      layerOrder: props.folderNames.map((folder) => folder.name),
+    });
   };
 
-  const addAttributes = (_element) => {
-    let selectedElement = _element.layer.selectedElement;
+  const addAttributes = (_layer) => {
+    let selectedElement = _layer.selectedElement;
     attributesList.push({
-      trait_type: _element.layer.name,
+      trait_type: _layer.name,
       value: selectedElement.name,
     });
   };
 
-  const drawElement = (_renderObject, _index) => {
-    ctx.drawImage(
-      _renderObject.loadedImage,
-      0,
-      0,
-      props.config.width,
-      props.config.height
-    );
-
-    addAttributes(_renderObject);
-  };
-
-  const saveImage = (_editionCount) => {
-    const url = canvas.toDataURL("image/png");
+  const saveImage = (_canvas, _editionCount) => {
+    const url = _canvas.toDataURL("image/png");
     const base64Data = url.replace(/^data:image\/png;base64,/, "");
     fs.writeFileSync(
       path.join(
@@ -219,36 +221,39 @@ function Aside(props) {
     );
   };
 
+  // Compatibility rules from rarity-config.json also apply to the legacy generator when present
+  const loadTraitRules = () => {
+    try {
+      const traitRules = new TraitRules(findRarityConfig());
+      traitRules.errors.forEach((error) => console.warn(error));
+      return traitRules.hasRules() ? traitRules : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
   const startCreating = async () => {
     props.setProgress(0);
     let editionCount = 1;
     let failedCount = 0;
+    const traitRules = loadTraitRules();
+    const compositor = createCompositor();
     while (editionCount <= props.config.supply) {
-      let newDna = createDna(props.folderNames);
-      if (isDnaUnique(dnaList, newDna)) {
+      let newDna = createDna(props.folderNames, traitRules);
+      if (newDna && isDnaUnique(dnaList, newDna)) {
         let results = constructLayerToDna(newDna, props.folderNames);
-        let loadedElements = [];
-
-        results.forEach((layer) => {
-          loadedElements.push(loadLayerImg(layer));
-        });
-
-        await Promise.all(loadedElements).then((renderObjectArray) => {
-          ctx.clearRect(0, 0, props.config.width, props.config.height);
-          renderObjectArray.forEach((renderObject, index) => {
-            drawElement(renderObject, index);
-          });
+        const renderedCanvas = await compositor.compose(results);
+        results.forEach((layer) => addAttributes(layer));
 
-          saveImage(editionCount);
-          addMetadata(newDna, editionCount);
-          saveMetaDataSingleFile(editionCount);
-          console.log(`Created edition: ${editionCount}`);
-        });
+        saveImage(renderedCanvas, editionCount);
+        addMetadata(newDna, editionCount);
+        saveMetaDataSingleFile(editionCount);
+        console.log(`Created edition: ${editionCount}`);
         dnaList.add(filterDNAOptions(newDna));
         editionCount++;
         props.setProgress(editionCount - 1);
       } else {
-        console.log("DNA exists!");
+        console.log(newDna ? "DNA exists!" : "No compatible elements left for this DNA!");
         failedCount++;
         if (failedCount >= 1000) {
           console.log(
@@ -297,6 +302,40 @@ function Aside(props) {
     console.log(`Updated name prefix for images to ===> ${props.config.name}`);
   };
 
+  // Try multiple possible locations for the rarity config file
+  const findRarityConfig = () => {
+    const possiblePaths = [
+      path.join(process.cwd(), 'config', 'rarity-config.json'),
+      path.join(props.config.outputPath, 'config', 'rarity-config.json'),
+      path.join(__dirname, '..', '..', 'config', 'rarity-config.json'),
+      path.join(process.resourcesPath, 'config', 'rarity-config.json')
+    ];
+
+    for (const tryPath of possiblePaths) {
+      try {
+        if (fs.existsSync(tryPath)) {
+          const rarityConfig = RarityConfigLoader.loadRarityConfig(tryPath);
+          console.log(`✅ Loaded rarity config from: ${tryPath}`);
+          return rarityConfig;
+        }
+      } catch (error) {
+        console.warn(`Failed to load config from ${tryPath}:`, error.message);
+      }
+    }
+
+    throw new Error(`Rarity configuration file not found. Tried locations: ${possiblePaths.join(', ')}`);
+  };
+
+  // Worker script for parallel rendering; without it images render in-process
+  const findRenderWorker = () => {
+    const possiblePaths = [
+      path.join(process.cwd(), 'src', 'utils', 'renderWorker.js'),
+      path.join(__dirname, '..', 'utils', 'renderWorker.js'),
+      path.join(process.resourcesPath, 'renderWorker.js')
+    ];
+    return possiblePaths.find((tryPath) => fs.existsSync(tryPath)) || null;
+  };
+
   // New rarity-based generation system
   const startRarityBasedCreating = async () => {
     try {
@@ -304,38 +343,30 @@ function Aside(props) {
       props.setStatus("Loading rarity configuration...");
       
       // Load rarity configuration
-      const configPath = path.join(process.cwd(), 'config', 'rarity-config.json');
-      let rarityConfig;
-      
-      // Try multiple possible locations for the config file
-      const possiblePaths = [
-        configPath,
-        path.join(props.config.outputPath, 'config', 'rarity-config.json'),
-        path.join(__dirname, '..', '..', 'config', 'rarity-config.json'),
-        path.join(process.resourcesPath, 'config', 'rarity-config.json')
-      ];
-      
-      let configFound = false;
-      for (const tryPath of possiblePaths) {
-        try {
-          if (fs.existsSync(tryPath)) {
-            rarityConfig = RarityConfigLoader.loadRarityConfig(tryPath);
-            console.log(`✅ Loaded rarity config from: ${tryPath}`);
-            configFound = true;
-            break;
-          }
-        } catch (error) {
-          console.warn(`Failed to load config from ${tryPath}:`, error.message);
-        }
-      }
-      
-      if (!configFound) {
-        throw new Error(`Rarity configuration file not found. Tried locations: ${possiblePaths.join(', ')}`);
-      }
+      const rarityConfig = findRarityConfig();
       
       // Initialize rarity engine
-      const rarityEngine = new RarityEngine();
+      const rarityEngine = new RarityEngine({ seed: props.config.seed || undefined });
       rarityEngine.loadConfig(rarityConfig);
+      const rngInfo = rarityEngine.getRngInfo();
+      console.log(`🎲 Seed: ${rngInfo.seed} (${rngInfo.algorithm})`);
+      const compositor = createCompositor(rarityEngine);
+
+      // Images render on worker threads while generation continues; progress counts rendered images
+      const workerPath = findRenderWorker();
+      const renderPool = new RenderPool({
+        outputDir: path.join(props.config.outputPath, "build", "images"),
+        width: props.config.width,
+        height: props.config.height,
+        workerPath,
+        workers: workerPath ? undefined : 0,
+      });
+      renderPool.on("progress", ({ completed, failed }) => {
+        props.setProgress(completed + failed);
+      });
+      renderPool.on("tokenFailed", ({ tokenId, error }) => {
+        console.error(`Error rendering edition ${tokenId}:`, error);
+      });
       
       // Log configuration summary
       RarityConfigLoader.logConfigSummary(rarityConfig);
@@ -352,35 +383,18 @@ function Aside(props) {
         
         if (generationResult.success) {
           try {
-            // Map rarity variants to actual layer elements
-            const mappedLayers = rarityEngine.mapVariantsToLayers(
-              generationResult.variants,
-              props.folderNames
-            );
+            // Map rarity variants to layer elements and queue the composite
+            const renderSpec = compositor.createRenderSpec(editionCount, generationResult);
+            renderSpec.layers.forEach((layer) => addAttributes(layer));
+            await renderPool.submit(renderSpec);
             
-            // Load and render images
-            let loadedElements = [];
-            mappedLayers.forEach((layer) => {
-              loadedElements.push(loadLayerImg(layer));
-            });
-
-            await Promise.all(loadedElements).then((renderObjectArray) => {
-              ctx.clearRect(0, 0, props.config.width, props.config.height);
-              renderObjectArray.forEach((renderObject, index) => {
-                drawElement(renderObject, index);
-              });
-
-              saveImage(editionCount);
-              
-              // Enhanced metadata with rarity information
-              addRarityMetadata(generationResult, editionCount);
-              saveMetaDataSingleFile(editionCount);
-              
-              console.log(`Created edition: ${editionCount} (${generationResult.tierName}, Score: ${generationResult.score})`);
-            });
+            // Enhanced metadata with rarity information
+            addRarityMetadata(generationResult, editionCount, compositor.getMedia(renderSpec));
+            saveMetaDataSingleFile(editionCount);
+            
+            console.log(`Created edition: ${editionCount} (${generationResult.tierName}, Score: ${generationResult.score})`);
             
             editionCount++;
-            props.setProgress(editionCount - 1);
             
             // Log progress every 100 NFTs
             if ((editionCount - 1) % 100 === 0) {
@@ -398,12 +412,19 @@ function Aside(props) {
           totalFailedAttempts++;
           
           if (totalFailedAttempts >= maxGlobalRetries) {
+            await renderPool.close();
             props.setStatus(`Generation failed after ${maxGlobalRetries} attempts. Check tier quotas and variant availability.`);
             return;
           }
         }
       }
       
+      const renderResult = await renderPool.close();
+      if (renderResult.failed > 0) {
+        props.setStatus(`${renderResult.failed} images failed to render. See the console for details.`);
+        return;
+      }
+
       // Validate final generation
       try {
         rarityEngine.validateFinalGeneration();
@@ -415,11 +436,11 @@ function Aside(props) {
         
         // Generate smart contract integration data
         console.log("🔗 Generating smart contract integration files...");
-        SmartContractHelper.generateContractData(metadataList, props.config.outputPath);
+        SmartContractHelper.generateContractData(metadataList, props.config.outputPath, rarityConfig);
         SmartContractHelper.generateCSV(metadataList, props.config.outputPath);
         
         // Final success message
-        props.setStatus(`Successfully generated ${props.config.supply} NFTs with rarity constraints and smart contract data!`);
+        props.setStatus(`Successfully generated ${props.config.supply} NFTs with rarity constraints and smart contract data! (seed: ${rngInfo.seed})`);
         
         // Log distribution summary
         const finalStatus = rarityEngine.getGenerationStatus();
@@ -441,7 +462,8 @@ function Aside(props) {
   };
 
   // Enhanced metadata with rarity information and smart contract integration
-  const addRarityMetadata = (generationResult, edition) => {
+  // media: rendered file types ({ image, animation }) from the compositor
+  const addRarityMetadata = (generationResult, edition, media) => {
     let dateTime = Date.now();
     
     // Calculate total points for smart contract
@@ -451,7 +473,13 @@ function Aside(props) {
     let tempMetadata = {
       name: `${props.config.name} #${edition}`,
       description: props.config.description,
-      image: `REPLACE/${edition}.png`,
+      image: `REPLACE/${edition}.${media.image}`,
+      ...(media.animation ? { animation_url: `REPLACE/${edition}.${media.animation}` } : {}),
+      ...Object.keys(media.exports).reduce(
+        (fields, field) => ({ ...fields, [field]: `REPLACE/${media.exports[field]}` }),
+        {}
+      ),
+      dna: generationResult.dna,
       edition: edition,
       date: dateTime,
       attributes: [
@@ -504,29 +532,30 @@ function Aside(props) {
         fs.mkdirSync(examplePath, { recursive: true });
       }
 
-      const traitFolders = ['01_Socks', '02_Shoes', '03_Pants', '04_Shirt', '05_Face', '06_Hat'];
+      // One folder per configured trait, one file per configured variant
+      const rarityConfig = findRarityConfig();
       
-      traitFolders.forEach(folderName => {
+      rarityConfig.traits.forEach((trait, index) => {
+        const folderName = RarityConfigLoader.getExampleFolderName(trait.trait, index);
         const folderPath = path.join(examplePath, folderName);
         if (!fs.existsSync(folderPath)) {
           fs.mkdirSync(folderPath);
         }
 
         // Create example files (you would replace these with actual images)
-        const traitName = folderName.split('_')[1];
-        for (let i = 1; i <= 26; i++) {
-          const fileName = `${traitName}_${String(i).padStart(2, '0')}.png`;
-          const filePath = path.join(folderPath, fileName);
+        trait.variants.forEach(variant => {
+          const filePath = path.join(folderPath, `${variant.name}.png`);
           
           if (!fs.existsSync(filePath)) {
             // Create a placeholder file (in real use, you'd have actual image files)
             fs.writeFileSync(filePath, 'placeholder');
           }
-        }
+        });
       });
 
+      const variantCount = rarityConfig.traits.reduce((sum, trait) => sum + trait.variants.length, 0);
       props.setStatus(`Created example layer structure at: ${examplePath}`);
-      console.log(`✅ Created example layer structure with 6 traits and 26 variants each`);
+      console.log(`✅ Created example layer structure with ${rarityConfig.traits.length} traits and ${variantCount} variants`);
       
     } catch (error) {
       props.setStatus(`Error creating example structure: ${error.message}`);
@@ -582,6 +611,7 @@ function Aside(props) {
             {input("Description", "description", props.config.description)}
             {input("Width", "width", props.config.width, "number")}
             {input("Height", "height", props.config.height, "number")}
+            {input("Seed", "seed", props.config.seed)}
             <p className="aside_list_item_input_label">Use Rarity Engine</p>
             <input
               type="checkbox"
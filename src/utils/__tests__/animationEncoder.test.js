@@ -0,0 +1,67 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const AnimationEncoder = require('../animationEncoder');
+
+const SIZE = { width: 4, height: 2 };
+
+// Solid RGBA frames, one per color
+const createFrames = colors => colors.map(([r, g, b]) => {
+  const frame = Buffer.alloc(SIZE.width * SIZE.height * 4);
+  for (let i = 0; i < frame.length; i += 4) {
+    frame[i] = r;
+    frame[i + 1] = g;
+    frame[i + 2] = b;
+    frame[i + 3] = 255;
+  }
+  return frame;
+});
+
+describe('AnimationEncoder', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'animation-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes a looping GIF with one image per frame', () => {
+    const outputPath = AnimationEncoder.encodeGif(createFrames([[255, 0, 0], [0, 0, 255], [0, 255, 0]]), path.join(dir, '1.gif'), {
+      ...SIZE,
+      fps: 10,
+      loop: 0
+    });
+    const gif = fs.readFileSync(outputPath);
+
+    expect(gif.subarray(0, 6).toString()).toBe('GIF89a');
+    expect(gif.includes('NETSCAPE2.0')).toBe(true);
+    // Each frame starts with a graphic control extension (0x21 0xF9 0x04) holding its delay
+    const frameCount = gif.reduce((count, byte, index) => count + (byte === 0x21 && gif[index + 1] === 0xf9 && gif[index + 2] === 0x04 ? 1 : 0), 0);
+    expect(frameCount).toBe(3);
+  });
+
+  test('writes an animated WebP', async () => {
+    const outputPath = await AnimationEncoder.encodeWebp(createFrames([[255, 0, 0], [0, 0, 255]]), path.join(dir, '1.webp'), {
+      ...SIZE,
+      fps: 10,
+      loop: 0
+    });
+    const webp = fs.readFileSync(outputPath);
+
+    expect(webp.subarray(0, 4).toString()).toBe('RIFF');
+    expect(webp.subarray(8, 12).toString()).toBe('WEBP');
+    expect(webp.includes('ANIM')).toBe(true);
+  });
+
+  test('reports a missing ffmpeg instead of failing', () => {
+    expect(AnimationEncoder.hasFfmpeg(path.join(dir, 'no-ffmpeg'))).toBe(false);
+  });
+});
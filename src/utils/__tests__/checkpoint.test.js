@@ -0,0 +1,65 @@
+/**
+ * @jest-environment node
+ */
+
+const RarityEngine = require('../rarityEngine');
+const baseConfig = require('../../../config/rarity-config.json');
+
+const INTERRUPT_AT = 3000;
+
+const cloneConfig = () => JSON.parse(JSON.stringify(baseConfig));
+
+const createEngine = (config, options = {}) => {
+  const engine = new RarityEngine({ seed: 'checkpoint-test', ...options });
+  engine.loadConfig(config);
+  return engine;
+};
+
+const generate = (engine, count) => Array.from({ length: count }, () => engine.generateNFT());
+
+// What a token is made of; variant objects also carry the engine's mutable quota counters
+const describeToken = result => (result.success
+  ? { tierId: result.tierId, score: result.score, dna: result.dna, variants: result.variants.map(item => item.variant.name) }
+  : { error: result.error });
+
+// Checkpoints are written as JSON
+const checkpoint = engine => JSON.parse(JSON.stringify(engine.serializeState()));
+
+describe('engine checkpoints', () => {
+  const config = cloneConfig();
+
+  ['planned', 'sequential'].forEach(allocation => {
+    test(`resuming continues the uninterrupted run (${allocation})`, () => {
+      const reference = createEngine(config, { allocation });
+      const uninterrupted = generate(reference, config.collectionSize);
+
+      const interrupted = createEngine(config, { allocation });
+      const before = generate(interrupted, INTERRUPT_AT);
+
+      // No seed or allocation given: both come from the checkpoint
+      const resumed = new RarityEngine();
+      resumed.loadConfig(config);
+      resumed.restoreState(checkpoint(interrupted));
+      const after = generate(resumed, config.collectionSize - INTERRUPT_AT);
+
+      expect([...before, ...after].map(describeToken)).toEqual(uninterrupted.map(describeToken));
+      expect(resumed.getGenerationStatus()).toEqual(reference.getGenerationStatus());
+      expect(resumed.getRngInfo()).toEqual(reference.getRngInfo());
+    });
+  });
+
+  test('refuses a checkpoint from a different config', () => {
+    const engine = createEngine(config, { allocation: 'planned' });
+    generate(engine, 10);
+
+    const changed = cloneConfig();
+    changed.tiers[0].name = 'Renamed';
+    const other = createEngine(changed, { allocation: 'planned' });
+    expect(() => other.restoreState(checkpoint(engine))).toThrow('different rarity config');
+  });
+
+  test('refuses an unknown checkpoint version', () => {
+    const engine = createEngine(config);
+    expect(() => engine.restoreState({ ...checkpoint(engine), version: 2 })).toThrow('Unsupported engine state version');
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @jest-environment node
+ */
+
+const ConfigAnalyzer = require('../configAnalyzer');
+const RarityEngine = require('../rarityEngine');
+const baseConfig = require('../../../config/rarity-config.json');
+
+// One tier of 4 NFTs, every hat and face combination scores in range
+const smallConfig = (hatQuotas, faceQuotas, overrides = {}) => ({
+  collectionSize: 4,
+  tiers: [{ id: 'T1', name: 'Only', scoreRange: [2, 4], quota: 4 }],
+  traits: [
+    { trait: 'hat', variants: hatQuotas.map((quota, index) => ({ name: `Hat_${index + 1}`, tier: 'T1', points: 1 + index, quota })) },
+    { trait: 'face', variants: faceQuotas.map((quota, index) => ({ name: `Face_${index + 1}`, tier: 'T1', points: 1 + index, quota })) }
+  ],
+  allocation: { mode: 'planned' },
+  uniqueness: { enabled: true, traits: null, exemptTiers: [] },
+  ...overrides
+});
+
+const errors = report => report.issues.filter(issue => issue.severity === 'error').map(issue => issue.message);
+
+const generateAll = config => {
+  const engine = new RarityEngine({ seed: 'analyzer-test' });
+  engine.loadConfig(config);
+  return Array.from({ length: config.collectionSize }, () => engine.generateNFT());
+};
+
+describe('ConfigAnalyzer', () => {
+  test('finds the shipped config feasible', () => {
+    const report = ConfigAnalyzer.analyze(JSON.parse(JSON.stringify(baseConfig)));
+    expect(errors(report)).toEqual([]);
+    expect(report.feasible).toBe(true);
+  });
+
+  test('reports tier quotas that do not add up to the collection size', () => {
+    const report = ConfigAnalyzer.analyze(smallConfig([2, 2], [2, 2], { collectionSize: 5 }));
+    expect(report.feasible).toBe(false);
+    expect(errors(report)).toContain('Tier quotas sum to 4, expected collectionSize 5');
+  });
+
+  test('reports a tier whose score range no combination reaches', () => {
+    const config = smallConfig([2, 2], [2, 2]);
+    config.tiers[0].scoreRange = [10, 12];
+    const report = ConfigAnalyzer.analyze(config);
+    expect(report.feasible).toBe(false);
+    expect(errors(report)).toContainEqual(expect.stringContaining('Tier T1 is unreachable'));
+  });
+
+  test('reports a uniqueness tier with fewer combinations than NFTs', () => {
+    const config = smallConfig([4], [2, 2]);
+    const report = ConfigAnalyzer.analyze(config);
+    expect(report.tiers[0].distinctCombinations).toBe(2);
+    expect(errors(report)).toContainEqual(expect.stringContaining('only 2 combinations exist'));
+  });
+
+  test('reports a variant whose quota outnumbers its distinct partners', () => {
+    const config = smallConfig([3, 1], [2, 2]);
+    const report = ConfigAnalyzer.analyze(config);
+
+    expect(report.tiers[0].distinctCombinations).toBe(4);
+    expect(report.feasible).toBe(false);
+    expect(errors(report)).toEqual([
+      'Tier T1: uniqueness allows Hat_1 (hat) on at most 2 distinct NFTs, but its quota is 3 ' +
+      '(spread its quota over more variants or list T1 in uniqueness.exemptTiers)'
+    ]);
+    expect(() => generateAll(config)).toThrow('uniqueness');
+  });
+
+  test('accepts the same tier once its quotas can be spread', () => {
+    const config = smallConfig([2, 2], [2, 2]);
+    expect(ConfigAnalyzer.analyze(config).feasible).toBe(true);
+
+    const keys = generateAll(config).map(result => result.variants.map(item => item.variant.name).join('+'));
+    expect(new Set(keys).size).toBe(4);
+  });
+
+  test('skips uniqueness checks for exempt tiers and for traits outside the key', () => {
+    expect(ConfigAnalyzer.analyze(smallConfig([3, 1], [2, 2], {
+      uniqueness: { enabled: true, traits: null, exemptTiers: ['T1'] }
+    })).feasible).toBe(true);
+
+    const faceOnly = smallConfig([3, 1], [1, 1, 1, 1], {
+      uniqueness: { enabled: true, traits: ['face'], exemptTiers: [] }
+    });
+    faceOnly.tiers[0].scoreRange = [2, 6];
+    expect(errors(ConfigAnalyzer.analyze(faceOnly))).toEqual([]);
+  });
+
+  test('reports variants no in-range combination can use', () => {
+    const config = smallConfig([2, 2], [2, 2], { uniqueness: { enabled: false } });
+    config.tiers[0].scoreRange = [2, 3];
+    const report = ConfigAnalyzer.analyze(config);
+    expect(report.unconsumableVariants.map(variant => variant.name)).toEqual([]);
+
+    config.traits[0].variants[1].points = 5;
+    const blocked = ConfigAnalyzer.analyze(config);
+    expect(blocked.unconsumableVariants.map(variant => variant.name)).toEqual(['Hat_2']);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ConfigScaffolder = require('../configScaffolder');
+const ConfigAnalyzer = require('../configAnalyzer');
+
+// PNG signature and IHDR chunk: enough for the canvas size (the CRC is not checked)
+const pngHeader = (width, height) => {
+  const header = Buffer.alloc(25);
+  header.writeUInt32BE(13, 0);
+  header.write('IHDR', 4);
+  header.writeUInt32BE(width, 8);
+  header.writeUInt32BE(height, 12);
+  header[16] = 8;
+  header[17] = 6;
+  return Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), header]);
+};
+
+describe('ConfigScaffolder', () => {
+  const dirs = [];
+  const createLayers = files => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-'));
+    dirs.push(dir);
+    files.forEach(file => {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), pngHeader(640, 480));
+    });
+    return dir;
+  };
+
+  afterAll(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  describe('distributeQuotas', () => {
+    test('splits the total in proportion to the weights', () => {
+      expect(ConfigScaffolder.distributeQuotas([1, 1, 2], 100)).toEqual([25, 25, 50]);
+      expect(ConfigScaffolder.distributeQuotas([3, 1], 4)).toEqual([3, 1]);
+    });
+
+    test('hands leftover NFTs to the largest remainders, earlier weights first on ties', () => {
+      expect(ConfigScaffolder.distributeQuotas([1, 1, 1], 100)).toEqual([34, 33, 33]);
+      expect(ConfigScaffolder.distributeQuotas([2, 1, 1], 10)).toEqual([5, 3, 2]);
+      expect(ConfigScaffolder.distributeQuotas([100, 1], 10)).toEqual([10, 0]);
+    });
+
+    test('always adds up to the total', () => {
+      const weights = [7, 3, 11, 1, 5, 2];
+      [1, 9, 97, 1000, 10000].forEach(total => {
+        expect(ConfigScaffolder.distributeQuotas(weights, total).reduce((sum, quota) => sum + quota, 0)).toBe(total);
+      });
+    });
+
+    test('rejects weights that do not add up to a positive number', () => {
+      expect(() => ConfigScaffolder.distributeQuotas([0, 0], 10)).toThrow('Layer weights must be positive numbers (found 0, 0)');
+    });
+  });
+
+  describe('createConfig', () => {
+    test('turns folders into traits and weighted files into quotas', () => {
+      const dir = createLayers([
+        '01_Socks/Socks_01$3.png', '01_Socks/Socks_02.png',
+        '02_Hat/Hat_01.png', '02_Hat/Hat_02.png', '02_Hat/Hat_03.png'
+      ]);
+      const { config, warnings } = ConfigScaffolder.createConfig(dir, { collectionSize: 4 });
+
+      expect(warnings).toEqual([]);
+      expect(config.render).toMatchObject({ layersDir: dir, width: 640, height: 480, strictMapping: true });
+      expect(config.tiers).toEqual([{ id: 'T1', name: 'All', scoreRange: [2, 4], quota: 4 }]);
+      expect(config.traits).toEqual([
+        {
+          trait: 'socks',
+          variants: [
+            { name: 'Socks_01', tier: 'T1', points: 1, quota: 3 },
+            { name: 'Socks_02', tier: 'T1', points: 2, quota: 1 }
+          ]
+        },
+        {
+          trait: 'hat',
+          variants: [
+            { name: 'Hat_01', tier: 'T1', points: 1, quota: 2 },
+            { name: 'Hat_02', tier: 'T1', points: 2, quota: 1 },
+            { name: 'Hat_03', tier: 'T1', points: 2, quota: 1 }
+          ]
+        }
+      ]);
+    });
+
+    test('keeps uniqueness on when the weights allow it', () => {
+      const dir = createLayers(['01_Hat/Hat_01.png', '01_Hat/Hat_02.png', '02_Face/Face_01.png', '02_Face/Face_02.png']);
+      const { config, warnings } = ConfigScaffolder.createConfig(dir, { collectionSize: 4 });
+
+      expect(config.uniqueness.enabled).toBe(true);
+      expect(warnings).toEqual([]);
+      expect(ConfigAnalyzer.analyze(config).feasible).toBe(true);
+    });
+
+    test('disables uniqueness when a heavy variant outnumbers the other combinations', () => {
+      const dir = createLayers(['01_Hat/Hat_01$3.png', '01_Hat/Hat_02$1.png', '02_Face/Face_01.png', '02_Face/Face_02.png']);
+      const { config, warnings } = ConfigScaffolder.createConfig(dir, { collectionSize: 4 });
+
+      expect(config.uniqueness.enabled).toBe(false);
+      expect(warnings).toEqual([
+        expect.stringContaining('uniqueness allows Hat_01 (hat) on at most 2 distinct NFTs, but its quota is 3'),
+        expect.stringContaining('Uniqueness is disabled in the draft')
+      ]);
+      expect(ConfigAnalyzer.analyze(config).feasible).toBe(true);
+    });
+
+    test('disables uniqueness when there are fewer combinations than NFTs', () => {
+      const dir = createLayers(['01_Hat/Hat_01.png', '01_Hat/Hat_02.png']);
+      const { config, warnings } = ConfigScaffolder.createConfig(dir, { collectionSize: 10 });
+
+      expect(config.uniqueness.enabled).toBe(false);
+      expect(warnings[0]).toContain('only 2 combinations exist');
+    });
+
+    test('warns about variants whose weight is too small for any NFT', () => {
+      const dir = createLayers(['01_Hat/Hat_01$100.png', '01_Hat/Hat_02$1.png']);
+      const { warnings } = ConfigScaffolder.createConfig(dir, { collectionSize: 10 });
+      expect(warnings).toContain('hat/Hat_02 gets no NFTs at its weight; raise its $weight');
+    });
+
+    test('rejects element names used in two folders', () => {
+      const dir = createLayers(['01_Hat/Blue.png', '02_Face/Blue.png']);
+      expect(() => ConfigScaffolder.createConfig(dir)).toThrow('Element names must be unique across layers, rename: Blue (01_Hat and 02_Face)');
+    });
+  });
+});
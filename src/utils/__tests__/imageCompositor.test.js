@@ -0,0 +1,155 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ImageCompositor = require('../imageCompositor');
+const RarityEngine = require('../rarityEngine');
+
+// One NFT of three one-variant traits; render options are added per test
+const createConfig = () => ({
+  collectionSize: 1,
+  tiers: [{ id: 'T1', name: 'Only', scoreRange: [3, 3], quota: 1 }],
+  traits: ['back', 'body', 'hat'].map(trait => {
+    const name = `${trait.charAt(0).toUpperCase()}${trait.slice(1)}_01`;
+    return { trait, variants: [{ name, tier: 'T1', points: 1, quota: 1 }] };
+  })
+});
+
+// Lays out empty files under a fresh temp directory; specs are built from names only
+const createLayers = files => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'compositor-'));
+  files.forEach(file => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), '');
+  });
+  return dir;
+};
+
+const LAYER_FILES = ['01_Back/Back_01.png', '02_Body/Body_01.png', '03_Hat/Hat_01.png'];
+
+describe('ImageCompositor', () => {
+  const dirs = [];
+
+  // Spec of the config's only NFT and the files in the order they are drawn
+  const buildSpec = (config, files = LAYER_FILES, options = {}) => {
+    const layersDir = createLayers(files);
+    dirs.push(layersDir);
+
+    const engine = new RarityEngine({ seed: 'compositor-test' });
+    engine.loadConfig(config);
+    const compositor = new ImageCompositor({ engine, layersDir, ...options });
+    const { layers, frameCount, animation } = compositor.createRenderSpec(1, engine.generateNFT());
+    const drawables = compositor.orderByZIndex(layers.map(layer => compositor.getDrawables(layer)));
+    return { compositor, layers, frameCount, animation, drawn: drawables.map(drawable => drawable.file.filename), drawables };
+  };
+
+  afterAll(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  describe('layer order', () => {
+    test('draws layers in trait order by default', () => {
+      expect(buildSpec(createConfig()).drawn).toEqual(['Back_01.png', 'Body_01.png', 'Hat_01.png']);
+    });
+
+    test('follows layerOrder by trait or folder name, unlisted layers on top', () => {
+      const { drawn } = buildSpec(createConfig(), LAYER_FILES, { layerOrder: ['hat', '02_Body'] });
+      expect(drawn).toEqual(['Hat_01.png', 'Body_01.png', 'Back_01.png']);
+    });
+
+    test('moves a layer by its trait, variant or filename zIndex', () => {
+      const config = createConfig();
+      config.traits[2].render = { zIndex: -1 };
+      expect(buildSpec(config).drawn).toEqual(['Hat_01.png', 'Back_01.png', 'Body_01.png']);
+
+      config.traits[2].variants[0].render = { zIndex: 1.5 };
+      expect(buildSpec(config).drawn).toEqual(['Back_01.png', 'Body_01.png', 'Hat_01.png']);
+
+      const files = ['01_Back/Back_01?zIndex=5.png', '02_Body/Body_01.png', '03_Hat/Hat_01.png'];
+      expect(buildSpec(createConfig(), files).drawn).toEqual(['Body_01.png', 'Hat_01.png', 'Back_01?zIndex=5.png']);
+    });
+
+    test('keeps list order for equal zIndex values', () => {
+      const config = createConfig();
+      config.traits[2].render = { zIndex: 0 };
+      expect(buildSpec(config).drawn).toEqual(['Back_01.png', 'Hat_01.png', 'Body_01.png']);
+    });
+
+    test('rejects a zIndex that is not a number', () => {
+      const config = createConfig();
+      config.traits[0].render = { zIndex: 'top' };
+      expect(() => new RarityEngine({ seed: 'compositor-test' }).loadConfig(config))
+        .toThrow('Trait back render: zIndex must be a number (found top)');
+    });
+  });
+
+  describe('multi-part variants', () => {
+    const PART_FILES = ['01_Back/Back_01.png', '02_Body/Body_01#back.png', '02_Body/Body_01#front?opacity=0.5.png', '03_Hat/Hat_01.png'];
+
+    test('draws every part at the layer position', () => {
+      const { drawn, drawables } = buildSpec(createConfig(), PART_FILES);
+      expect(drawn).toEqual(['Back_01.png', 'Body_01#back.png', 'Body_01#front?opacity=0.5.png', 'Hat_01.png']);
+      expect(drawables.map(drawable => drawable.draw.opacity)).toEqual([1, 1, 0.5, 1]);
+    });
+
+    test('applies render.parts options to one part only', () => {
+      const config = createConfig();
+      config.traits[1].variants[0].render = { opacity: 0.8, parts: { front: { zIndex: 3 }, back: { zIndex: -1 } } };
+      const { drawn, drawables } = buildSpec(config, PART_FILES);
+
+      expect(drawn).toEqual(['Body_01#back.png', 'Back_01.png', 'Hat_01.png', 'Body_01#front?opacity=0.5.png']);
+      expect(drawables.map(drawable => drawable.draw.opacity)).toEqual([0.8, 1, 1, 0.8]);
+    });
+
+    test('rejects invalid part options in the config', () => {
+      const config = createConfig();
+      config.traits[1].variants[0].render = { parts: { front: { blend: 'glow' } } };
+      expect(() => new RarityEngine({ seed: 'compositor-test' }).loadConfig(config))
+        .toThrow('Variant Body_01 render part front: unknown blend mode "glow"');
+
+      config.traits[1].variants[0].render = { parts: ['front'] };
+      expect(() => new RarityEngine({ seed: 'compositor-test' }).loadConfig(config))
+        .toThrow('Variant Body_01 render: parts must map part names to render options');
+    });
+  });
+
+  describe('animated tokens', () => {
+    const FRAME_FILES = [
+      '01_Back/Back_01.png',
+      '02_Body/Body_01/1.png', '02_Body/Body_01/2.png',
+      '03_Hat/Hat_01/1.png', '03_Hat/Hat_01/2.png', '03_Hat/Hat_01/3.png'
+    ];
+    const animation = { fps: 8, loop: 2, formats: ['gif', 'webp'] };
+
+    test('runs as long as the longest frame sequence', () => {
+      const { compositor, layers, frameCount, animation: settings } = buildSpec(createConfig(), FRAME_FILES, { animation });
+      expect(compositor.countFrames(layers)).toBe(3);
+      expect(frameCount).toBe(3);
+      expect(settings).toEqual({ ...animation, ffmpegPath: null });
+    });
+
+    test('leaves still tokens without animation settings', () => {
+      const { frameCount, animation: settings } = buildSpec(createConfig(), LAYER_FILES, { animation });
+      expect(frameCount).toBe(1);
+      expect(settings).toBeNull();
+    });
+
+    test('names the animation in the metadata media', () => {
+      const { compositor } = buildSpec(createConfig(), FRAME_FILES, { animation });
+      expect(compositor.getMedia({ tokenId: 1, animation: { formats: ['gif', 'webp', 'mp4'] } }))
+        .toEqual({ image: 'gif', animation: 'mp4', exports: {} });
+      expect(compositor.getMedia({ tokenId: 1, animation: null })).toEqual({ image: 'png', animation: null, exports: {} });
+    });
+
+    test('rejects invalid animation settings in the config', () => {
+      const config = { ...createConfig(), render: { animation: { fps: 0, loop: -1, formats: ['apng'] } } };
+      expect(() => new RarityEngine({ seed: 'compositor-test' }).loadConfig(config)).toThrow(
+        'render.animation.fps must be a positive number (found 0)'
+      );
+    });
+  });
+});
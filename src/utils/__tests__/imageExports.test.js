@@ -0,0 +1,64 @@
+/**
+ * @jest-environment node
+ */
+
+const ImageExports = require('../imageExports');
+const MetadataGenerator = require('../metadataGenerator');
+const RarityEngine = require('../rarityEngine');
+const baseConfig = require('../../../config/rarity-config.json');
+
+const EXPORTS = [
+  { name: 'thumbnail', width: 256, format: 'webp', quality: 80, metadataField: 'image_thumbnail' },
+  { name: '512', width: 512, format: 'webp' },
+  { name: 'hd', format: 'jpeg', quality: 95, metadataField: 'image_hd' }
+];
+
+describe('ImageExports', () => {
+  test('accepts the shipped exports', () => {
+    expect(ImageExports.validate(baseConfig.render.exports)).toEqual([]);
+  });
+
+  test('reports invalid export settings', () => {
+    expect(ImageExports.validate([
+      { name: '../up', format: 'png' },
+      { name: 'thumb', width: 0, format: 'gif', quality: 101 },
+      { name: 'thumb', format: 'png', metadataField: 7 },
+      null
+    ])).toEqual([
+      'render.exports[0].name must be a folder name (letters, digits, _ or -)',
+      'render.exports[1].width must be a positive number of pixels (found 0)',
+      'render.exports[1].format must be one of png, jpeg, webp (found gif)',
+      'render.exports[1].quality must be between 1 and 100 (found 101)',
+      'render.exports[2].name "thumb" is used twice',
+      'render.exports[2].metadataField must be a metadata field name',
+      'render.exports[3] must be an object'
+    ]);
+    expect(ImageExports.validate({})).toEqual(['render.exports must be a list of { name, width, format, quality }']);
+  });
+
+  test('names each export after its folder and format', () => {
+    expect(EXPORTS.map(exportSpec => ImageExports.getFileName(exportSpec, 7))).toEqual(['thumbnail/7.webp', '512/7.webp', 'hd/7.jpg']);
+    expect(ImageExports.getMetadataFiles(EXPORTS, 7)).toEqual({ image_thumbnail: 'thumbnail/7.webp', image_hd: 'hd/7.jpg' });
+  });
+
+  test('links exports with a metadata field from extended metadata', () => {
+    const engine = new RarityEngine({ seed: 'exports-test' });
+    engine.loadConfig(JSON.parse(JSON.stringify(baseConfig)));
+    const generator = MetadataGenerator.fromConfig(baseConfig, 'ipfs://images');
+    const media = { image: 'png', animation: null, exports: ImageExports.getMetadataFiles(EXPORTS, 1) };
+
+    const extended = generator.generateMetadataExtended(1, engine.generateNFT(), media);
+    expect(extended).toMatchObject({
+      image: 'ipfs://images/1.png',
+      image_thumbnail: 'ipfs://images/thumbnail/1.webp',
+      image_hd: 'ipfs://images/hd/1.jpg'
+    });
+    expect(generator.generateMetadata(1, engine.generateNFT(), media).image_hd).toBeUndefined();
+  });
+
+  test('the engine rejects invalid exports in the config', () => {
+    const config = JSON.parse(JSON.stringify(baseConfig));
+    config.render.exports = [{ name: 'thumb', format: 'tiff' }];
+    expect(() => new RarityEngine({ seed: 'exports-test' }).loadConfig(config)).toThrow('render.exports[0].format must be one of png, jpeg, webp');
+  });
+});
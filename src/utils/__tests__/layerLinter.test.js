@@ -0,0 +1,152 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const LayerLinter = require('../layerLinter');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = buffer => (buffer.reduce((c, byte) => CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8), 0xffffffff) ^ 0xffffffff) >>> 0;
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([Buffer.from(type), data])));
+  return Buffer.concat([length, Buffer.from(type), data, crc]);
+};
+
+// 8-bit PNG filled with one pixel value: [r, g, b, a] for RGBA (color type 6), [r, g, b] for RGB (2)
+const createPng = (width, height, pixel) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = pixel.length === 4 ? 6 : 2;
+  const row = Buffer.concat([Buffer.from([0]), ...Array.from({ length: width }, () => Buffer.from(pixel))]);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(Buffer.concat(Array.from({ length: height }, () => row)))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+const TRANSPARENT = [255, 0, 0, 128];
+const SIZE = { width: 4, height: 4 };
+
+describe('LayerLinter', () => {
+  const dirs = [];
+
+  // { 'folder/file': Buffer | string } under a fresh temp directory, linted at SIZE
+  const lint = (files, options = SIZE) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lint-'));
+    dirs.push(dir);
+    Object.keys(files).forEach(file => {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      if (files[file] !== null) fs.writeFileSync(path.join(dir, file), files[file]);
+    });
+    const report = LayerLinter.lintDirectory(dir, options);
+    return {
+      report,
+      issues: report.issues.map(issue => [issue.severity, path.relative(dir, issue.path), issue.message])
+    };
+  };
+
+  afterAll(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  test('passes transparent PNGs and SVGs of the canvas shape', () => {
+    const { report, issues } = lint({
+      '01_Socks/Socks_01.png': createPng(4, 4, TRANSPARENT),
+      '01_Socks/Socks_02$5?opacity=0.5.png': createPng(4, 4, [0, 0, 255, 0]),
+      '01_Socks/.DS_Store': 'x',
+      '02_Hat/Hat_01.svg': '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"/>',
+      '02_Hat/Hat_02/1.png': createPng(4, 4, [1, 2, 3, 0]),
+      '02_Hat/Hat_02/2.png': createPng(4, 4, [1, 2, 3, 10])
+    });
+    expect(issues).toEqual([]);
+    expect(report).toMatchObject({ layers: 2, files: 5 });
+  });
+
+  test('reports size, transparency and format problems', () => {
+    const { issues } = lint({
+      '01_Socks/Socks_01.png': createPng(8, 4, TRANSPARENT),
+      '01_Socks/Socks_02.png': createPng(4, 4, [255, 0, 0]),
+      '01_Socks/Socks_03.png': createPng(4, 4, [255, 0, 0, 255]),
+      '01_Socks/Socks_04.png': Buffer.from([0xff, 0xd8, 0xff, 0xe0]),
+      '01_Socks/Socks_05.svg': '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="50"/>',
+      '01_Socks/Socks_06.jpg': 'x'
+    });
+    expect(issues).toEqual([
+      ['error', '01_Socks/Socks_01.png', 'Image is 8x4, canvas is 4x4'],
+      ['error', '01_Socks/Socks_02.png', 'No transparency (RGB), so it hides every layer below'],
+      ['warning', '01_Socks/Socks_03.png', 'Every pixel is opaque, so it hides every layer below'],
+      ['error', '01_Socks/Socks_04.png', 'File is a JPEG with a .png extension'],
+      ['error', '01_Socks/Socks_05.svg', 'SVG is 100x50, which stretches on a 4x4 canvas'],
+      ['error', '01_Socks/Socks_06.jpg', 'Unsupported file type']
+    ]);
+  });
+
+  test('lets background layers be opaque', () => {
+    const { issues } = lint({
+      '00_Background/Sky.png': createPng(4, 4, [0, 0, 255]),
+      'Scenery/Field.png': createPng(4, 4, [0, 255, 0, 255])
+    }, { ...SIZE, backgroundLayers: ['Scenery'] });
+    expect(issues).toEqual([]);
+  });
+
+  test('reports names that the scanner would misread', () => {
+    const png = value => createPng(4, 4, [value, 0, 0, 0]);
+    const { issues } = lint({
+      '01_Socks/Socks-01.png': png(1),
+      '01_Socks/Socks_02$rare.png': png(2),
+      '01_Socks/Socks_03$1$2.png': png(3),
+      '01_Socks/Socks_04$0.png': png(4),
+      '01_Socks/Socks_05?blend=glow.png': png(5),
+      '01_Socks/Socks_06#front-left.png': png(6),
+      '01_Socks/Socks (7).png': png(7)
+    });
+    expect(issues.map(([severity, file, message]) => [severity, file, message.split(' (')[0]])).toEqual([
+      ['warning', '01_Socks/Socks (7).png', 'Element name "Socks'],
+      ['error', '01_Socks/Socks-01.png', 'File name contains a dash'],
+      ['error', '01_Socks/Socks_02$rare.png', 'Weight "$rare" is not a number, so it silently becomes 1'],
+      ['error', '01_Socks/Socks_03$1$2.png', 'More than one "$" weight suffix'],
+      ['warning', '01_Socks/Socks_04$0.png', 'Weight 0 means the element is never picked by the weighted generator'],
+      ['error', '01_Socks/Socks_05?blend=glow.png', 'Options: unknown blend mode "glow"'],
+      ['error', '01_Socks/Socks_06#front-left.png', 'File name contains a dash'],
+      ['error', '01_Socks/Socks_06#front-left.png', 'Part name "#front-left" must be letters, digits or _']
+    ]);
+  });
+
+  test('reports duplicate images, empty folders and stray files', () => {
+    const { issues } = lint({
+      '01_Socks/Socks_01.png': createPng(4, 4, TRANSPARENT),
+      '02_Shoes/Shoes_01.png': createPng(4, 4, TRANSPARENT),
+      '03_Hat/Hat_01/.keep': '',
+      '04_Face/.keep': '',
+      'readme.txt': 'x'
+    });
+    expect(issues).toEqual([
+      ['error', '03_Hat/Hat_01', 'Frame sequence folder is empty'],
+      ['error', '04_Face', 'Trait folder is empty'],
+      ['warning', 'readme.txt', 'File outside a trait folder is ignored'],
+      ['warning', '01_Socks/Socks_01.png', `Identical image also at ${path.join(dirs[dirs.length - 1], '02_Shoes/Shoes_01.png')}`]
+    ]);
+  });
+
+  test('reports a missing layers directory', () => {
+    const report = LayerLinter.lintDirectory(path.join(os.tmpdir(), 'no-such-layers'), SIZE);
+    expect(report.issues.map(issue => issue.message)).toEqual(['Layers directory not found']);
+  });
+});
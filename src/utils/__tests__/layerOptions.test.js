@@ -0,0 +1,55 @@
+/**
+ * @jest-environment node
+ */
+
+const LayerOptions = require('../layerOptions');
+const RarityEngine = require('../rarityEngine');
+const baseConfig = require('../../../config/rarity-config.json');
+
+describe('LayerOptions', () => {
+  test('reads draw options from a filename query string', () => {
+    expect(LayerOptions.parseFilename('Shadow_01$5?blend=multiply&opacity=0.5.png')).toEqual({ blend: 'multiply', opacity: '0.5' });
+    expect(LayerOptions.parseFilename('Shadow_01?bypassDNA.png')).toEqual({ bypassDNA: 'true' });
+    expect(LayerOptions.parseFilename('Shadow_01.png')).toEqual({});
+    expect(LayerOptions.parseFilename('Hat_01?opacity=0.5', false)).toEqual({ opacity: '0.5' });
+  });
+
+  test('merges sources from least to most specific', () => {
+    expect(LayerOptions.resolve([
+      { blend: 'multiply', opacity: 0.8, x: 10 },
+      null,
+      { opacity: '0.5', y: '-4', scale: '2' }
+    ])).toEqual({ blend: 'multiply', opacity: 0.5, x: 10, y: -4, scale: 2, zIndex: null });
+  });
+
+  test('defaults to a plain, unshifted draw', () => {
+    expect(LayerOptions.resolve([])).toEqual({ blend: 'source-over', opacity: 1, x: 0, y: 0, scale: 1, zIndex: null });
+  });
+
+  test('rejects invalid values', () => {
+    expect(LayerOptions.validate({ blend: 'glow', opacity: 2, x: 'left', scale: 0 }, 'Hat_01')).toEqual([
+      expect.stringContaining('Hat_01: unknown blend mode "glow"'),
+      'Hat_01: opacity must be between 0 and 1 (found 2)',
+      'Hat_01: x offset must be a number (found left)',
+      'Hat_01: scale must be a positive number (found 0)'
+    ]);
+    expect(() => LayerOptions.resolve([{ opacity: '1.5' }], 'Shadow_01')).toThrow('Shadow_01: opacity must be between 0 and 1');
+  });
+
+  test('allows unknown keys only from filenames', () => {
+    expect(LayerOptions.validate({ bypassDNA: 'true' }, 'file', true)).toEqual([]);
+    expect(LayerOptions.validate({ bypassDNA: 'true' }, 'config')).toEqual([
+      expect.stringContaining('config: unknown render option "bypassDNA"')
+    ]);
+  });
+
+  test('the engine checks trait and variant render options in the config', () => {
+    const config = JSON.parse(JSON.stringify(baseConfig));
+    config.traits[0].render = { blend: 'multiply' };
+    config.traits[1].variants[0].render = { opacity: 0.5 };
+    expect(() => new RarityEngine({ seed: 'options' }).loadConfig(config)).not.toThrow();
+
+    config.traits[5].render = { blend: 'glow' };
+    expect(() => new RarityEngine({ seed: 'options' }).loadConfig(config)).toThrow('Trait hat render: unknown blend mode "glow"');
+  });
+});
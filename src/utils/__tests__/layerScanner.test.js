@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LayerScanner = require('../layerScanner');
+
+// Lays out empty files under a fresh temp directory; the scanner only reads names
+const createLayers = files => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'layers-'));
+  files.forEach(file => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), '');
+  });
+  return dir;
+};
+
+describe('LayerScanner', () => {
+  const dirs = [];
+  const layers = files => {
+    const dir = createLayers(files);
+    dirs.push(dir);
+    return dir;
+  };
+
+  afterAll(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  test('reads one layer per folder and one element per file', () => {
+    const dir = layers(['01_Socks/Socks_01.png', '01_Socks/Socks_02$5.png', '02_Hat/Hat_01.png', 'notes.txt']);
+    const scanned = LayerScanner.scanLayers(dir);
+
+    expect(scanned.map(layer => [layer.id, layer.name])).toEqual([[1, '01_Socks'], [2, '02_Hat']]);
+    expect(scanned[0].elements).toEqual([
+      { id: 0, name: 'Socks_01', filename: 'Socks_01.png', path: `${dir}/01_Socks/Socks_01.png`, weight: 1, options: {} },
+      { id: 1, name: 'Socks_02', filename: 'Socks_02$5.png', path: `${dir}/01_Socks/Socks_02$5.png`, weight: 5, options: {} }
+    ]);
+  });
+
+  test('skips hidden files and folders', () => {
+    const dir = layers(['.cache/x.png', '01_Socks/.DS_Store', '01_Socks/Socks_01.png']);
+    const scanned = LayerScanner.scanLayers(dir);
+    expect(scanned.map(layer => layer.name)).toEqual(['01_Socks']);
+    expect(scanned[0].elements.map(element => element.name)).toEqual(['Socks_01']);
+  });
+
+  test('rejects dashes in element names and a missing directory', () => {
+    expect(() => LayerScanner.scanLayers(layers(['01_Socks/Socks-01.png']))).toThrow('Layer name can not contain dashes');
+    expect(() => LayerScanner.scanLayers(path.join(os.tmpdir(), 'no-such-layers'))).toThrow('Layers directory not found');
+  });
+
+  test('groups "#part" files into one element with a parts list', () => {
+    const dir = layers(['05_Collar/Collar_01#back?zIndex=2.5.png', '05_Collar/Collar_01#front.png', '05_Collar/Collar_02.png']);
+    const [collar] = LayerScanner.scanLayers(dir);
+
+    expect(collar.elements.map(element => element.name)).toEqual(['Collar_01', 'Collar_02']);
+    expect(collar.elements[0]).toMatchObject({ filename: 'Collar_01#back?zIndex=2.5.png', options: { zIndex: '2.5' } });
+    expect(collar.elements[0].parts.map(part => [part.part, part.filename, part.options])).toEqual([
+      ['back', 'Collar_01#back?zIndex=2.5.png', { zIndex: '2.5' }],
+      ['front', 'Collar_01#front.png', {}]
+    ]);
+    expect(collar.elements[1].parts).toBeUndefined();
+  });
+
+  test('rejects an element with both a single image and parts', () => {
+    const dir = layers(['05_Collar/Collar_01.png', '05_Collar/Collar_01#front.png']);
+    expect(() => LayerScanner.scanLayers(dir)).toThrow('Element Collar_01 in');
+  });
+
+  test('reads a folder of frames as one animated element', () => {
+    const frames = ['10.png', '2.png', '1.png', '.DS_Store', 'notes.txt'].map(file => `06_Hat/Hat_01$3?opacity=0.5/${file}`);
+    const dir = layers([...frames, '06_Hat/Hat_02.png']);
+    const [hat] = LayerScanner.scanLayers(dir);
+    const sequence = `${dir}/06_Hat/Hat_01$3?opacity=0.5`;
+
+    expect(hat.elements[0]).toMatchObject({
+      name: 'Hat_01',
+      weight: 3,
+      options: { opacity: '0.5' },
+      path: `${sequence}/1.png`,
+      frames: [`${sequence}/1.png`, `${sequence}/2.png`, `${sequence}/10.png`]
+    });
+    expect(hat.elements[1].frames).toBeUndefined();
+  });
+
+  test('rejects a frame folder without images', () => {
+    expect(() => LayerScanner.scanLayers(layers(['06_Hat/Hat_01/notes.txt']))).toThrow('Frame sequence has no PNG or SVG frames');
+  });
+
+  test('parses names and weights from file names', () => {
+    expect(LayerScanner.cleanName('Socks_02$5.png')).toBe('Socks_02');
+    expect(LayerScanner.getRarityWeight('Socks_02$5.png')).toBe(5);
+    expect(LayerScanner.getRarityWeight('Socks_02$rare.png')).toBe(1);
+    expect(LayerScanner.getRarityWeight('Socks_02.png')).toBe(1);
+  });
+});
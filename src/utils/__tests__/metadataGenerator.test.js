@@ -0,0 +1,145 @@
+/**
+ * @jest-environment node
+ */
+
+const MetadataGenerator = require('../metadataGenerator');
+const baseConfig = require('../../../config/rarity-config.json');
+
+// Four tiers unlike the shipped nine: other IDs, one without a name, uneven quotas
+const customConfig = {
+  collectionSize: 1000,
+  collection: { name: 'Custom', description: 'Custom tiers' },
+  tiers: [
+    { id: 'bronze', name: 'Bronze', quota: 700, scoreRange: [1, 3] },
+    { id: 'silver', name: 'Silver', quota: 200, scoreRange: [4, 6] },
+    { id: 'gold', quota: 95, scoreRange: [7, 9] },
+    { id: 'mythic', name: 'Mythic', quota: 5, scoreRange: [10, 10] }
+  ],
+  traits: [
+    {
+      trait: 'hat',
+      variants: [
+        { name: 'Cap', tier: 'bronze', points: 1, quota: 700 },
+        { name: 'Beret', tier: 'silver', points: 4, quota: 200 },
+        { name: 'Crown', tier: 'gold', points: 7, quota: 95 },
+        { name: 'Halo', tier: 'mythic', points: 10, quota: 5 }
+      ]
+    }
+  ]
+};
+
+const contractMetadata = collection => MetadataGenerator.fromConfig({ collection }).generateContractMetadata(collection);
+
+describe('contract metadata', () => {
+  const collection = {
+    name: 'Dragons',
+    image: 'ipfs://cid/image.png',
+    banner: 'https://example.com/banner.png',
+    externalUrl: 'https://example.com',
+    sellerFeeBasisPoints: 500,
+    feeRecipient: '0x1234567890abcdef1234567890abcdef12345678'
+  };
+  const validate = metadata => new MetadataGenerator('Dragons', '').validateContractMetadata(metadata);
+
+  test('accepts a royalty paid to an address', () => {
+    expect(validate(contractMetadata(collection))).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  test('rejects a royalty paid to the zero address', () => {
+    const result = validate(contractMetadata({ ...collection, feeRecipient: `0x${'0'.repeat(40)}` }));
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([expect.stringContaining('zero address')]);
+  });
+
+  test('accepts the zero address when there is no royalty', () => {
+    const result = validate(contractMetadata({ ...collection, sellerFeeBasisPoints: 0, feeRecipient: `0x${'0'.repeat(40)}` }));
+    expect(result.valid).toBe(true);
+  });
+
+  test('ships a config without a royalty', () => {
+    const generator = MetadataGenerator.fromConfig(baseConfig);
+    const metadata = generator.generateContractMetadata(baseConfig.collection);
+    expect(metadata.seller_fee_basis_points).toBe(0);
+    expect(generator.validateContractMetadata(metadata).errors).toEqual([]);
+  });
+
+  test('rejects a missing recipient, an out-of-range fee and bad links', () => {
+    const result = validate(contractMetadata({
+      ...collection,
+      image: 'cid/image.png',
+      externalUrl: 'example.com',
+      sellerFeeBasisPoints: 10001,
+      feeRecipient: undefined
+    }));
+    expect(result.errors).toEqual([
+      'image should start with ipfs:// or http(s)://',
+      'external_link should start with http(s)://',
+      expect.stringContaining('from 0 to 10000'),
+      expect.stringContaining('must be a 0x address')
+    ]);
+  });
+
+  test('warns about placeholders left from the template', () => {
+    const result = validate(contractMetadata({ ...collection, image: 'ipfs://{COLLECTION_CID}/image.png' }));
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toEqual(['image still has a placeholder: ipfs://{COLLECTION_CID}/image.png']);
+  });
+});
+
+describe('tier helpers', () => {
+  const generator = MetadataGenerator.fromConfig(customConfig);
+
+  test('take names and score ranges from the configured tiers', () => {
+    expect(generator.getTierName('bronze')).toBe('Bronze');
+    expect(generator.getTierName('gold')).toBe('gold');
+    expect(generator.getTierScoreRange('mythic')).toEqual([10, 10]);
+  });
+
+  test('rank tiers by their share of the quotas', () => {
+    expect(customConfig.tiers.map(tier => generator.getRarityRank(tier.id)))
+      .toEqual(['Common', 'Uncommon', 'Rare', 'Ultra Rare']);
+  });
+
+  test('place each tier above the more common ones', () => {
+    expect(customConfig.tiers.map(tier => generator.estimatePercentile(tier.id))).toEqual([35, 80, 94.75, 99.75]);
+  });
+
+  test('fall back for an unknown tier', () => {
+    expect(generator.getTierName('T1')).toBe('Unknown');
+    expect(generator.getRarityRank('T1')).toBe('Unknown');
+    expect(generator.getTierScoreRange('T1')).toEqual([0, 0]);
+    expect(generator.estimatePercentile('T1')).toBe(50);
+  });
+
+  test('reproduce the shipped ranks and mirror the bell curve', () => {
+    const shipped = MetadataGenerator.fromConfig(baseConfig);
+    expect(baseConfig.tiers.map(tier => shipped.getRarityRank(tier.id))).toEqual([
+      'Ultra Rare', 'Very Rare', 'Rare', 'Uncommon', 'Common', 'Uncommon', 'Rare', 'Very Rare', 'Ultra Rare'
+    ]);
+    expect(baseConfig.tiers.map(tier => shipped.estimatePercentile(tier.id)))
+      .toEqual([99.9, 98.8, 92.8, 63.9, 20, 63.9, 92.8, 98.8, 99.9]);
+  });
+});
+
+describe('collection metadata', () => {
+  const generator = MetadataGenerator.fromConfig(customConfig);
+  const token = (tokenId, hat) => ({ tokenId, metadata: { attributes: [{ trait_type: 'Hat', value: hat }] } });
+  const tokens = [token(1, 'Cap'), token(2, 'Cap'), token(3, 'Beret'), token(4, 'Halo')];
+
+  test('summarises the configured tiers with their generated counts', () => {
+    const { tiers } = generator.generateCollectionMetadata(customConfig, tokens);
+    expect(tiers).toEqual([
+      { tier_id: 'bronze', tier_name: 'Bronze', quota: 700, total_count: 2, percentage: '50.00%', score_range: [1, 3], rarity_rank: 'Common' },
+      { tier_id: 'silver', tier_name: 'Silver', quota: 200, total_count: 1, percentage: '25.00%', score_range: [4, 6], rarity_rank: 'Uncommon' },
+      { tier_id: 'gold', tier_name: 'gold', quota: 95, total_count: 0, percentage: '0.00%', score_range: [7, 9], rarity_rank: 'Rare' },
+      { tier_id: 'mythic', tier_name: 'Mythic', quota: 5, total_count: 1, percentage: '25.00%', score_range: [10, 10], rarity_rank: 'Ultra Rare' }
+    ]);
+  });
+
+  test('counts every variant of every trait', () => {
+    const { traits, total_supply: totalSupply, planned_supply: plannedSupply } = generator.generateCollectionMetadata(customConfig, tokens);
+    expect([totalSupply, plannedSupply]).toEqual([4, 1000]);
+    expect(traits[0].variants.map(variant => [variant.name, variant.total_count]))
+      .toEqual([['Cap', 2], ['Beret', 1], ['Crown', 0], ['Halo', 1]]);
+  });
+});
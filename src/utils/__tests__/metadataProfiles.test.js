@@ -0,0 +1,120 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Ajv = require('ajv');
+
+const MetadataGenerator = require('../metadataGenerator');
+const MetadataProfiles = require('../metadataProfiles');
+const RarityEngine = require('../rarityEngine');
+const baseConfig = require('../../../config/rarity-config.json');
+
+const SOLANA_CREATOR = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+
+const createConfig = (collection = {}) => {
+  const config = JSON.parse(JSON.stringify(baseConfig));
+  config.collection = { ...config.collection, ...collection };
+  return config;
+};
+
+const generateTokens = (config, count) => {
+  const engine = new RarityEngine({ seed: 'profiles-test' });
+  engine.loadConfig(config);
+  return Array.from({ length: count }, () => engine.generateNFT());
+};
+
+describe('registry', () => {
+  test('registers the built-in profiles', () => {
+    expect(MetadataProfiles.names()).toEqual(['standard', 'minimal', 'extended', 'metaplex', 'erc1155']);
+  });
+
+  test('names the available profiles for an unknown one', () => {
+    expect(() => MetadataProfiles.get('solana')).toThrow('available: standard, minimal, extended, metaplex, erc1155');
+  });
+
+  test('rejects a profile without a name or functions', () => {
+    expect(() => MetadataProfiles.register({ getFileName() {} })).toThrow('needs a name');
+    expect(() => MetadataProfiles.register({ name: 'partial', getFileName() {} }))
+      .toThrow('"partial" is missing generate, validate');
+  });
+
+  test('loads a profile module from a path', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    try {
+      const file = path.join(dir, 'custom-profile.js');
+      fs.writeFileSync(file, `module.exports = {
+  name: 'custom-test',
+  getFileName: tokenId => 'token-' + tokenId + '.json',
+  generate: (generator, tokenId) => ({ name: generator.collectionName + ' ' + tokenId }),
+  validate: () => ({ valid: true, errors: [] })
+};
+`);
+      const profile = MetadataProfiles.get(file);
+      expect(profile.getFileName(3)).toBe('token-3.json');
+      expect(MetadataProfiles.get('custom-test')).toBe(profile);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('built-in profiles', () => {
+  const config = createConfig({ creators: [{ address: SOLANA_CREATOR, share: 100 }] });
+  const generator = MetadataGenerator.fromConfig(config);
+  const tokens = generateTokens(config, 20);
+  const ajv = new Ajv({ allErrors: true, strict: false });
+
+  test.each(['standard', 'minimal', 'extended', 'metaplex', 'erc1155'])('%s metadata passes its validation and schema', name => {
+    const profile = MetadataProfiles.get(name);
+    const schemaValidator = ajv.compile(profile.schema);
+    tokens.forEach((result, index) => {
+      const metadata = JSON.parse(JSON.stringify(profile.generate(generator, index + 1, result, {})));
+      expect(profile.validate(generator, metadata)).toEqual({ valid: true, errors: [] });
+      expect(schemaValidator(metadata) ? [] : schemaValidator.errors).toEqual([]);
+    });
+  });
+
+  test('erc1155 files are named by the 64-digit hex ID', () => {
+    const profile = MetadataProfiles.get('erc1155');
+    expect(profile.getFileName(10)).toBe(`${'0'.repeat(63)}a.json`);
+    expect(profile.generate(generator, 10, tokens[0], {})).toMatchObject({ decimals: 0, properties: { token_id: 10 } });
+  });
+
+  test('metaplex lists every file with its type and the creators', () => {
+    const profile = MetadataProfiles.get('metaplex');
+    const metadata = profile.generate(generator, 7, tokens[0], { image: 'gif', animation: 'mp4' });
+    expect(metadata).toMatchObject({
+      symbol: 'NFT',
+      seller_fee_basis_points: 0,
+      image: 'ipfs://{IMAGES_CID}/7.gif',
+      properties: {
+        files: [
+          { uri: 'ipfs://{IMAGES_CID}/7.gif', type: 'image/gif' },
+          { uri: 'ipfs://{IMAGES_CID}/7.mp4', type: 'video/mp4' }
+        ],
+        category: 'video',
+        creators: [{ address: SOLANA_CREATOR, share: 100 }]
+      }
+    });
+  });
+
+  test('metaplex rejects long names, royalties without creators and uneven shares', () => {
+    const profile = MetadataProfiles.get('metaplex');
+    const royalties = MetadataGenerator.fromConfig(createConfig({ name: 'A collection name longer than 32', sellerFeeBasisPoints: 500 }));
+    expect(profile.validate(royalties, profile.generate(royalties, 1, tokens[0], {})).errors).toEqual([
+      'name must be at most 32 characters (found 35)',
+      'properties.creators is empty, so no one receives royalties (collection.creators)'
+    ]);
+
+    const shares = MetadataGenerator.fromConfig(createConfig({
+      creators: [{ address: SOLANA_CREATOR, share: 60 }, { address: '0x1234', share: 30 }]
+    }));
+    expect(profile.validate(shares, profile.generate(shares, 1, tokens[0], {})).errors).toEqual([
+      'Creator 1: "0x1234" is not a Solana address',
+      'Creator shares must add up to 100'
+    ]);
+  });
+});
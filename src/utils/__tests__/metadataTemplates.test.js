@@ -0,0 +1,143 @@
+/**
+ * @jest-environment node
+ */
+
+const MetadataTemplates = require('../metadataTemplates');
+const MetadataGenerator = require('../metadataGenerator');
+const RarityEngine = require('../rarityEngine');
+const baseConfig = require('../../../config/rarity-config.json');
+
+const cloneConfig = metadata => ({ ...JSON.parse(JSON.stringify(baseConfig)), metadata });
+
+describe('rendering', () => {
+  const context = { token_id: 7, shirt: 'Shirt_08', hat: 'top hat', score: 150 };
+
+  test('fills variables and applies filters', () => {
+    expect(MetadataTemplates.render('{{shirt | upper}} and {{ hat | title }} #{{token_id}}', context))
+      .toBe('SHIRT_08 and Top Hat #7');
+    expect(MetadataTemplates.render('[{{missing}}]', context)).toBe('[]');
+  });
+
+  test('replaces each run of control characters with one space', () => {
+    const value = `Line\u0000one\r\n\tand\u007ftwo\u001f`;
+    expect(MetadataTemplates.render('{{value}}', { value })).toBe('Line one and two ');
+    expect(MetadataTemplates.render('{{value}}', { value }, 'markdown')).toBe('Line one and two ');
+    expect(MetadataTemplates.render('{{value}}', { value: 'Ünïcode · fine' })).toBe('Ünïcode · fine');
+  });
+
+  test('escapes markdown in descriptions but keeps underscores inside words', () => {
+    expect(MetadataTemplates.render('{{value}}', { value: '*bold* <b> _edge_ Shirt_08' }, 'markdown'))
+      .toBe('\\*bold\\* \\<b\\> \\_edge\\_ Shirt_08');
+  });
+
+  test('percent-encodes URL values and leaves triple braces unescaped', () => {
+    expect(MetadataTemplates.render('https://x.io/{{hat}}', context, 'url')).toBe('https://x.io/top%20hat');
+    expect(MetadataTemplates.render('{{{value}}}', { value: '*a\nb*' }, 'markdown')).toBe('*a\nb*');
+  });
+
+  test('never parses a value as a template', () => {
+    expect(MetadataTemplates.render('{{shirt}}', { shirt: '{{dna}}', dna: 'secret' })).toBe('{{dna}}');
+  });
+
+  test('rejects malformed tags', () => {
+    expect(() => MetadataTemplates.compile('{{{shirt}}')).toThrow('Unbalanced braces');
+    expect(() => MetadataTemplates.compile('{{Shirt}}')).toThrow('Malformed tag');
+    expect(() => MetadataTemplates.compile('{{shirt')).toThrow('Malformed tag');
+  });
+
+  test('writes numeric display types as numbers', () => {
+    expect(MetadataTemplates.renderAttributes([
+      { trait_type: 'Score', value: '{{score}}', display_type: 'number', max_value: 270 },
+      { trait_type: 'Season', value: 1767225600, display_type: 'date' },
+      { trait_type: 'Look', value: '{{hat}}' }
+    ], context)).toEqual([
+      { trait_type: 'Score', value: 150, display_type: 'number', max_value: 270 },
+      { trait_type: 'Season', value: 1767225600, display_type: 'date' },
+      { trait_type: 'Look', value: 'top hat' }
+    ]);
+    expect(() => MetadataTemplates.renderAttributes([{ trait_type: 'Score', value: '{{hat}}', display_type: 'number' }], context))
+      .toThrow('rendered "top hat", not a number');
+  });
+});
+
+describe('validate', () => {
+  test('accepts the README example', () => {
+    expect(MetadataTemplates.validate(cloneConfig({
+      name: '{{tier_name}} wanderer #{{token_id}}',
+      description: 'A {{tier_rank | lower}} wanderer in {{shirt}} and {{hat}}.',
+      externalUrl: 'https://mydragons.xyz/wanderers/{{token_id}}',
+      attributes: [
+        { trait_type: 'Rarity Score', display_type: 'number', value: '{{score}}', max_value: 270 },
+        { trait_type: 'Percentile', display_type: 'boost_percentage', value: '{{percentile}}' },
+        { trait_type: 'Season', display_type: 'date', value: 1767225600 },
+        { trait_type: 'Tier', value: '{{tier_name}} ({{shirt_tier}}, {{hat_points}})' }
+      ]
+    }))).toEqual([]);
+  });
+
+  test('reports unknown variables and filters and malformed tags', () => {
+    expect(MetadataTemplates.validate(cloneConfig({
+      name: '{{wings}} #{{token_id | reverse}}',
+      description: '{{shirt'
+    }))).toEqual([
+      'metadata.name uses unknown variable {{wings}}',
+      'metadata.name uses unknown filter "reverse" (expected upper, lower, title)',
+      expect.stringContaining('metadata.description: Malformed tag')
+    ]);
+  });
+
+  test('reports attributes that clash with traits or are malformed', () => {
+    expect(MetadataTemplates.validate(cloneConfig({
+      attributes: [
+        { trait_type: 'Hat', value: '{{hat}}' },
+        { trait_type: 'Mood', value: 'calm' },
+        { trait_type: 'Mood', value: true },
+        { trait_type: 'Level', value: 3, display_type: 'stars' },
+        { trait_type: 'Rank', value: 1, display_type: 'date', max_value: 10 }
+      ]
+    }))).toEqual([
+      'metadata.attributes[0].trait_type "Hat" is already a trait',
+      'metadata.attributes[2].trait_type "Mood" is used twice',
+      'metadata.attributes[2].value must be a template string or a number',
+      'metadata.attributes[3].display_type must be one of number, boost_number, boost_percentage, date (found stars)',
+      'metadata.attributes[4].max_value only applies to the number and boost_number display types'
+    ]);
+  });
+
+  test('reports traits without a usable or with a built-in variable name', () => {
+    const config = cloneConfig({ name: '#{{token_id}}' });
+    config.traits[0].trait = '***';
+    config.traits[1].trait = 'Score';
+    expect(MetadataTemplates.validate(config)).toEqual([
+      'Trait *** has no usable template variable name',
+      'Trait Score has the same template variable as the built-in {{score}}'
+    ]);
+  });
+
+  test('names trait variables after the trait', () => {
+    expect(MetadataTemplates.getVariableName('Eye Color')).toBe('eye_color');
+    expect(MetadataTemplates.getVariableName(' -Hat- ')).toBe('hat');
+  });
+});
+
+describe('generated metadata', () => {
+  test('renders the same names and attributes for the same seed', () => {
+    const config = cloneConfig({
+      name: '{{tier_name}} #{{token_id}}',
+      description: 'Wears {{shirt}}',
+      attributes: [{ trait_type: 'Score', value: '{{score}}', display_type: 'number' }]
+    });
+    const generateTokens = () => {
+      const engine = new RarityEngine({ seed: 'templates-test' });
+      engine.loadConfig(config);
+      const generator = MetadataGenerator.fromConfig(config);
+      return Array.from({ length: 10 }, (item, index) => generator.generateMetadataMinimal(index + 1, engine.generateNFT()));
+    };
+
+    const tokens = generateTokens();
+    expect(generateTokens()).toEqual(tokens);
+    expect(tokens[0].name).toMatch(/^\w+ #1$/);
+    expect(tokens[0].description).toMatch(/^Wears Shirt_\d+$/);
+    expect(tokens[0].attributes[tokens[0].attributes.length - 1]).toEqual({ trait_type: 'Score', value: expect.any(Number), display_type: 'number' });
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MetadataValidator = require('../metadataValidator');
+const MetadataProfiles = require('../metadataProfiles');
+const baseConfig = require('../../../config/rarity-config.json');
+
+const CID = `Qm${'a'.repeat(44)}`;
+const standard = MetadataProfiles.get('standard');
+
+const cloneConfig = (overrides = {}) => ({ ...JSON.parse(JSON.stringify(baseConfig)), ...overrides });
+
+// Standard metadata wearing the first variant of every trait in the tier; overrides replace variants by trait
+const token = (tokenId, tierId, overrides = {}) => ({
+  name: `NFT Collection #${tokenId}`,
+  description: 'A token',
+  image: `ipfs://${CID}/${tokenId}.png`,
+  attributes: baseConfig.traits.map(trait => ({
+    trait_type: trait.trait.charAt(0).toUpperCase() + trait.trait.slice(1),
+    value: overrides[trait.trait] || trait.variants.find(variant => variant.tier === tierId).name
+  })),
+  properties: { overall_rarity_score: 0, overall_tier: tierId }
+});
+
+// Validate token files written to a fresh directory: { fileName: metadata or raw string }
+const validate = (files, options = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-validator-'));
+  try {
+    Object.keys(files).forEach(fileName => {
+      const content = files[fileName];
+      fs.writeFileSync(path.join(dir, fileName), typeof content === 'string' ? content : JSON.stringify(content));
+    });
+    return MetadataValidator.validateDirectory(dir, { profile: standard, ...options });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const messages = (report, check) => report.issues
+  .filter(issue => issue.check === check)
+  .map(issue => `${issue.severity}: ${issue.message}`);
+
+describe('token files', () => {
+  test('accepts a clean collection', () => {
+    const report = validate({ '1.json': token(1, 'T5'), '2.json': token(2, 'T4'), '3.json': token(3, 'T6') }, { config: cloneConfig() });
+    expect(report.issues).toEqual([]);
+    expect(report).toMatchObject({ valid: true, tokens: 3, firstTokenId: 1, lastTokenId: 3 });
+  });
+
+  test('reports unreadable JSON and names the profile would not write', () => {
+    const report = validate({ '1.json': token(1, 'T5'), '2.json': '{ "name": ', [`${'0'.repeat(63)}3.json`]: token(3, 'T4') });
+    // Sorted, as files are read in directory order
+    expect(messages(report, 'file').sort()).toEqual([
+      'error: File name should be 3.json for the standard profile',
+      expect.stringMatching(/^error: Not valid JSON/)
+    ]);
+  });
+
+  test('reports missing tokens and tokens outside the expected range', () => {
+    const files = {};
+    [1, 2, 3, 7, 9, 10].forEach(tokenId => {
+      files[`${tokenId}.json`] = token(tokenId, 'T5');
+    });
+    expect(messages(validate(files), 'continuity')).toEqual(['error: Missing 4 token(s): 4-6, 8']);
+    expect(messages(validate(files, { start: 2, end: 9 }), 'continuity')).toEqual([
+      'error: Missing 4 token(s): 4-6, 8',
+      'error: Token(s) outside 2-9: 1, 10'
+    ]);
+  });
+
+  test('checks each file against the profile schema', () => {
+    const broken = token(1, 'T5');
+    delete broken.properties;
+    expect(messages(validate({ '1.json': broken }), 'schema')).toEqual(["error: (root) must have required property 'properties'"]);
+  });
+
+  test('matches the name to the token ID', () => {
+    const report = validate({ '1.json': { ...token(1, 'T5'), name: 'NFT Collection #2' }, '2.json': { ...token(2, 'T4'), name: 'Untitled' } });
+    expect(messages(report, 'name')).toEqual([
+      'error: Name "NFT Collection #2" is in the file of token 1',
+      'warning: Name "Untitled" does not end with #2'
+    ]);
+  });
+});
+
+describe('media and placeholders', () => {
+  test('rejects malformed URIs and files of another token', () => {
+    const report = validate({
+      '1.json': { ...token(1, 'T5'), image: 'ipfs://ipfs/1.png' },
+      '2.json': { ...token(2, 'T4'), image: `ipfs://${CID}/3.png` },
+      '3.json': { ...token(3, 'T6'), image: 'ipfs://not-a-cid/3.png', animation_url: 'file:///3.mp4' }
+    });
+    expect(messages(report, 'uri')).toEqual([
+      'error: image "ipfs://ipfs/1.png" repeats ipfs/; use ipfs://CID/file',
+      'error: image points at the file of token 3',
+      'error: image "ipfs://not-a-cid/3.png" does not start with a valid IPFS CID',
+      'error: animation_url "file:///3.mp4" is not an ipfs://, ar:// or https:// URI',
+      expect.stringMatching(/^warning: Images come from 3 different locations/)
+    ]);
+  });
+
+  test('finds media files missing from the images directory', () => {
+    const imagesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-images-'));
+    try {
+      fs.writeFileSync(path.join(imagesDir, '1.png'), '');
+      const report = validate({ '1.json': token(1, 'T5'), '2.json': token(2, 'T4') }, { imagesDir });
+      expect(messages(report, 'media')).toEqual([`error: image: 2.png is not in ${imagesDir}`]);
+    } finally {
+      fs.rmSync(imagesDir, { recursive: true, force: true });
+    }
+  });
+
+  test('placeholders are errors unless they are allowed', () => {
+    const files = { '1.json': { ...token(1, 'T5'), image: 'ipfs://{IMAGES_CID}/1.png' } };
+    expect(messages(validate(files), 'placeholders')).toEqual([
+      'error: Placeholder left in image ({IMAGES_CID}); run npm run rewrite:metadata after uploading images'
+    ]);
+    expect(messages(validate(files, { allowPlaceholders: true }), 'placeholders')).toEqual([
+      'warning: Placeholder left in image ({IMAGES_CID}); run npm run rewrite:metadata after uploading images'
+    ]);
+  });
+});
+
+describe('attributes', () => {
+  test('rejects repeated trait types and non-numeric values of numeric display types', () => {
+    const metadata = token(1, 'T5');
+    metadata.attributes.push(
+      { trait_type: 'Hat', value: 'Hat_12' },
+      { trait_type: 'Score', value: '150', display_type: 'number' },
+      { trait_type: 'Mood', value: '' }
+    );
+    expect(messages(validate({ '1.json': metadata }), 'attributes')).toEqual([
+      'error: Trait "Hat" appears more than once',
+      'error: Trait "Score" has display_type number but value "150" is not a number',
+      'warning: Trait "Mood" has an empty value'
+    ]);
+  });
+
+  test('warns when a trait type mixes value types across the collection', () => {
+    const first = token(1, 'T5');
+    const second = token(2, 'T4');
+    first.attributes.push({ trait_type: 'Level', value: 3 });
+    second.attributes.push({ trait_type: 'Level', value: 'three' });
+    expect(messages(validate({ '1.json': first, '2.json': second }), 'attributes'))
+      .toEqual(['warning: Trait "Level" mixes value types: number, string']);
+  });
+});
+
+describe('duplicates', () => {
+  test('are errors between tokens of tiers the config enforces', () => {
+    const report = validate({ '1.json': token(1, 'T5'), '2.json': token(2, 'T5') }, { config: cloneConfig() });
+    expect(messages(report, 'duplicates')).toEqual(['error: Same attributes as token(s) 2']);
+    expect(report.valid).toBe(false);
+  });
+
+  test('are warnings between tokens of exempt tiers', () => {
+    const report = validate({ '1.json': token(1, 'T1'), '2.json': token(2, 'T1') }, { config: cloneConfig() });
+    expect(messages(report, 'duplicates')).toEqual(['warning: Same attributes as token(s) 2 (uniqueness.exemptTiers)']);
+    expect(report.valid).toBe(true);
+  });
+
+  test('are warnings without a config or with uniqueness disabled', () => {
+    const files = { '1.json': token(1, 'T5'), '2.json': token(2, 'T5') };
+    expect(messages(validate(files), 'duplicates')).toEqual([
+      'warning: Same attributes as token(s) 2 (pass the rarity config to check them against its uniqueness settings)'
+    ]);
+    const disabled = cloneConfig({ uniqueness: { enabled: false } });
+    expect(messages(validate(files, { config: disabled }), 'duplicates')).toEqual([
+      'warning: Same attributes as token(s) 2 (uniqueness is not enabled in the rarity config)'
+    ]);
+  });
+
+  test('only compare the key traits of the config', () => {
+    const config = cloneConfig({ uniqueness: { enabled: true, traits: ['shirt', 'hat'], exemptTiers: [] } });
+    const files = { '1.json': token(1, 'T5'), '2.json': token(2, 'T5', { socks: 'Socks_12' }), '3.json': token(3, 'T5', { hat: 'Hat_12' }) };
+    expect(messages(validate(files, { config }), 'duplicates')).toEqual(['error: Same shirt/hat as token(s) 2']);
+  });
+
+  test('ignore numeric display type attributes', () => {
+    const first = token(1, 'T5');
+    const second = token(2, 'T5');
+    first.attributes.push({ trait_type: 'Score', value: 150, display_type: 'number' });
+    second.attributes.push({ trait_type: 'Score', value: 160, display_type: 'number' });
+    expect(messages(validate({ '1.json': first, '2.json': second }, { config: cloneConfig() }), 'duplicates'))
+      .toEqual(['error: Same attributes as token(s) 2']);
+  });
+});
+
+describe('getTokenTier', () => {
+  const config = cloneConfig();
+
+  test('reads the tier from the metadata first', () => {
+    expect(MetadataValidator.getTokenTier({ properties: { overall_tier: 'T2' } }, config)).toBe('T2');
+    expect(MetadataValidator.getTokenTier({ rarity_details: { tier_id: 'T8' } }, config)).toBe('T8');
+  });
+
+  test('falls back to the tier of the first configured variant', () => {
+    const { attributes } = token(1, 'T7');
+    expect(MetadataValidator.getTokenTier({ attributes: [{ trait_type: 'Mood', value: 'Calm' }, ...attributes] }, config)).toBe('T7');
+    expect(MetadataValidator.getTokenTier({ attributes: [{ trait_type: 'Mood', value: 'Calm' }] }, config)).toBeNull();
+  });
+});
+
+test('formatRanges collapses consecutive IDs', () => {
+  expect(MetadataValidator.formatRanges([1, 2, 3, 7, 9, 10])).toBe('1-3, 7, 9-10');
+});
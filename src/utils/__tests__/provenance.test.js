@@ -0,0 +1,177 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Provenance = require('../provenance');
+const MetadataGenerator = require('../metadataGenerator');
+const MetadataProfiles = require('../metadataProfiles');
+const baseConfig = require('../../../config/rarity-config.json');
+
+const RNG_ALGORITHM = 'xoshiro128**';
+const REVEAL_SOURCE = 'block:ethereum:19000000';
+const BLOCK_HASH = `0x${'3f'.repeat(32)}`;
+const TOKENS = 50;
+
+const cloneConfig = () => JSON.parse(JSON.stringify(baseConfig));
+
+// Per-token templates with extra attributes, which restoring has to skip
+const templatedConfig = () => ({
+  ...cloneConfig(),
+  metadata: {
+    name: '{{collection}} #{{token_id}}',
+    attributes: [
+      { trait_type: 'Look', value: '{{shirt | upper}} with {{hat}}' },
+      { trait_type: 'Rank score', value: '{{score}}', display_type: 'number' }
+    ]
+  }
+});
+
+const commit = (config, secret = 'operator-secret') => ({
+  secret,
+  record: Provenance.createCommitment(secret, config, RNG_ALGORITHM, Provenance.parseRevealSource(REVEAL_SOURCE))
+});
+
+const fingerprints = (config, seed) => [...Provenance.regenerate(config, seed, RNG_ALGORITHM, 1, TOKENS).values()]
+  .map(result => Provenance.assignmentFingerprint(result));
+
+// What generate-local writes and verify-provenance reads back: one metadata file per token
+const writeCollection = (config, seed, profile) => {
+  const generator = MetadataGenerator.fromConfig(config);
+  const files = new Map();
+  Provenance.regenerate(config, seed, RNG_ALGORITHM, 1, TOKENS).forEach((result, tokenId) => {
+    files.set(profile.getFileName(tokenId), JSON.parse(JSON.stringify(profile.generate(generator, tokenId, result, {}))));
+  });
+  return files;
+};
+
+// Token IDs whose file does not hold the regenerated assignment
+const verifyCollection = (config, seed, profile, files) => {
+  const expected = Provenance.regenerate(config, seed, RNG_ALGORITHM, 1, TOKENS);
+  const mismatches = [];
+  expected.forEach((result, tokenId) => {
+    const metadata = files.get(profile.getFileName(tokenId));
+    let actual = null;
+    try {
+      actual = metadata && Provenance.assignmentFingerprint(MetadataGenerator.restoreGenerationResult(metadata, config));
+    } catch (error) {
+      actual = error.message;
+    }
+    if (actual !== Provenance.assignmentFingerprint(result)) mismatches.push(tokenId);
+  });
+  return mismatches;
+};
+
+describe('commit and reveal', () => {
+  const config = cloneConfig();
+
+  test('accepts the committed secret, config and reveal source', () => {
+    const { secret, record } = commit(config);
+    expect(record.commitment).not.toContain(secret);
+    expect(Provenance.verifyReveal(record, secret, config, BLOCK_HASH, Provenance.parseRevealSource(REVEAL_SOURCE)))
+      .toEqual({ valid: true, errors: [] });
+  });
+
+  test('rejects another secret, a changed config and a reveal from another source', () => {
+    const { secret, record } = commit(config);
+    const changed = cloneConfig();
+    changed.tiers[0].quota++;
+
+    expect(Provenance.verifyReveal(record, 'guessed', config, BLOCK_HASH).errors)
+      .toEqual(['Secret does not match the published commitment']);
+    expect(Provenance.verifyReveal(record, secret, changed, BLOCK_HASH).errors)
+      .toEqual(['Rarity config differs from the one committed to']);
+    expect(Provenance.verifyReveal(record, secret, config, BLOCK_HASH, Provenance.parseRevealSource('block:ethereum:19000001')).valid)
+      .toBe(false);
+    expect(Provenance.verifyReveal(record, secret, config, 'chosen-after-the-fact').valid).toBe(false);
+  });
+
+  test('rejects a commitment without a reveal source', () => {
+    const { secret, record } = commit(config);
+    delete record.revealSource;
+    expect(Provenance.verifyReveal(record, secret, config, BLOCK_HASH).valid).toBe(false);
+  });
+
+  test('only commits to drand rounds that are still in the future', () => {
+    expect(() => Provenance.createCommitment('s', config, RNG_ALGORITHM, Provenance.parseRevealSource('drand:mainnet:1')))
+      .toThrow('already produced');
+    const future = Provenance.parseRevealSource('drand:quicknet:900000000');
+    expect(Provenance.createCommitment('s', config, RNG_ALGORITHM, future).revealSource).toEqual(future);
+  });
+
+  test('binds the final seed to the secret, the source and the reveal value', () => {
+    const source = Provenance.parseRevealSource(REVEAL_SOURCE);
+    const seed = Provenance.deriveFinalSeed('s', BLOCK_HASH, source);
+    expect(Provenance.deriveFinalSeed('s', BLOCK_HASH, source)).toBe(seed);
+    expect(Provenance.deriveFinalSeed('t', BLOCK_HASH, source)).not.toBe(seed);
+    expect(Provenance.deriveFinalSeed('s', BLOCK_HASH, Provenance.parseRevealSource('block:ethereum:19000001'))).not.toBe(seed);
+  });
+
+  test('reads the secret from secret.json or a plain text file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'provenance-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'secret.json'), JSON.stringify({ secret: 'from-json' }));
+      fs.writeFileSync(path.join(dir, 'secret.txt'), 'from-text\n');
+      expect(Provenance.readSecret(path.join(dir, 'secret.json'))).toBe('from-json');
+      expect(Provenance.readSecret(path.join(dir, 'secret.txt'))).toBe('from-text');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('regenerating from the reveal', () => {
+  const config = cloneConfig();
+  const seed = Provenance.deriveFinalSeed('s', BLOCK_HASH, Provenance.parseRevealSource(REVEAL_SOURCE));
+
+  test('reproduces the same assignments from the revealed seed', () => {
+    const first = fingerprints(config, seed);
+    expect(first).toHaveLength(TOKENS);
+    expect(fingerprints(config, seed)).toEqual(first);
+  });
+
+  test('a different reveal value generates a different collection', () => {
+    const otherSeed = Provenance.deriveFinalSeed('s', `0x${'40'.repeat(32)}`, Provenance.parseRevealSource(REVEAL_SOURCE));
+    const first = fingerprints(config, seed);
+    const other = fingerprints(config, otherSeed);
+    expect(other.filter((fingerprint, index) => fingerprint !== first[index]).length).toBeGreaterThan(TOKENS / 2);
+  });
+});
+
+describe('generate and verify round trip', () => {
+  const cases = [];
+  MetadataProfiles.list().forEach(profile => {
+    cases.push([profile.name, 'plain', cloneConfig]);
+    cases.push([profile.name, 'templated', templatedConfig]);
+  });
+
+  test.each(cases)('%s profile, %s metadata', (profileName, kind, createConfig) => {
+    const config = createConfig();
+    const profile = MetadataProfiles.get(profileName);
+    const { secret, record } = commit(config);
+    expect(Provenance.verifyReveal(record, secret, config, BLOCK_HASH).valid).toBe(true);
+
+    const seed = Provenance.deriveFinalSeed(secret, BLOCK_HASH, record.revealSource);
+    const files = writeCollection(config, seed, profile);
+    expect(files.size).toBe(TOKENS);
+    expect(verifyCollection(config, seed, profile, files)).toEqual([]);
+  });
+
+  test('finds tokens whose traits were swapped or whose file is missing', () => {
+    const config = cloneConfig();
+    const profile = MetadataProfiles.get('standard');
+    const seed = Provenance.deriveFinalSeed('s', BLOCK_HASH, Provenance.parseRevealSource(REVEAL_SOURCE));
+    const files = writeCollection(config, seed, profile);
+
+    const first = files.get(profile.getFileName(1));
+    const second = files.get(profile.getFileName(2));
+    const differing = first.attributes.findIndex((attribute, index) => attribute.value !== second.attributes[index].value);
+    first.attributes[differing].value = second.attributes[differing].value;
+    files.delete(profile.getFileName(3));
+
+    expect(verifyCollection(config, seed, profile, files)).toEqual([1, 3]);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * @jest-environment node
+ */
+
+const RarityEngine = require('../rarityEngine');
+const baseConfig = require('../../../config/rarity-config.json');
+
+const cloneConfig = (overrides = {}) => ({ ...JSON.parse(JSON.stringify(baseConfig)), ...overrides });
+
+const createEngine = (config, options = {}) => {
+  const engine = new RarityEngine({ seed: 'engine-test', ...options });
+  engine.loadConfig(config);
+  return engine;
+};
+
+const generate = (engine, count) => Array.from({ length: count }, () => engine.generateNFT());
+
+const variantNames = result => result.variants.map(item => item.variant.name);
+
+// What a token is made of; variant objects also carry the engine's mutable quota counters
+const describeToken = result => (result.success
+  ? { tierId: result.tierId, score: result.score, dna: result.dna, variants: variantNames(result) }
+  : { error: result.error });
+
+describe('planned allocation', () => {
+  const config = cloneConfig();
+  let engine;
+  let results;
+
+  beforeAll(() => {
+    engine = createEngine(config, { allocation: 'planned' });
+    results = generate(engine, config.collectionSize);
+  });
+
+  test('generates every token', () => {
+    expect(results.filter(result => !result.success).map(describeToken)).toEqual([]);
+  });
+
+  test('hits every tier quota exactly', () => {
+    const counts = {};
+    results.forEach(result => {
+      counts[result.tierId] = (counts[result.tierId] || 0) + 1;
+    });
+    const expected = {};
+    config.tiers.filter(tier => tier.quota > 0).forEach(tier => {
+      expected[tier.id] = tier.quota;
+    });
+    expect(counts).toEqual(expected);
+  });
+
+  test('hits every variant quota exactly', () => {
+    const counts = {};
+    results.forEach(result => variantNames(result).forEach(name => {
+      counts[name] = (counts[name] || 0) + 1;
+    }));
+    const expected = {};
+    config.traits.forEach(trait => trait.variants.filter(variant => variant.quota > 0).forEach(variant => {
+      expected[variant.name] = variant.quota;
+    }));
+    expect(counts).toEqual(expected);
+  });
+
+  test('keeps every score inside its tier range and every variant in its tier', () => {
+    const misplaced = results.filter(result => {
+      const [min, max] = config.tiers.find(item => item.id === result.tierId).scoreRange;
+      return result.score < min || result.score > max ||
+        result.variants.some(item => item.variant.tier !== result.tierId);
+    });
+    expect(misplaced.map(describeToken)).toEqual([]);
+  });
+
+  test('passes the final quota validation and then stops', () => {
+    expect(engine.validateFinalGeneration()).toBe(true);
+    expect(engine.generateNFT()).toMatchObject({ success: false, error: expect.stringContaining('exhausted') });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RarityRanking = require('../rarityRanking');
+
+const token = (tokenId, traits, extra = {}) => ({
+  tokenId,
+  metadata: {
+    attributes: [
+      ...Object.keys(traits).map(traitType => ({ trait_type: traitType, value: traits[traitType] })),
+      { trait_type: 'Score', value: tokenId * 10, display_type: 'number' }
+    ],
+    ...extra
+  }
+});
+
+// Token 4 has a unique hat and no face; tokens 1 and 2 are identical
+const COLLECTION = [
+  token(1, { Hat: 'Cap', Face: 'Smile' }),
+  token(2, { Hat: 'Cap', Face: 'Smile' }),
+  token(3, { Hat: 'Crown', Face: 'Smile' }),
+  token(4, { Hat: 'Halo' })
+];
+
+const entropyOf = probabilities => probabilities.reduce((sum, p) => sum - p * Math.log2(p), 0);
+
+describe('RarityRanking', () => {
+  const ranking = RarityRanking.rank(COLLECTION);
+  const byId = tokenId => ranking.tokens.find(item => item.tokenId === tokenId);
+
+  test('counts missing traits as None and the number of traits as Trait Count', () => {
+    expect(ranking.traitTypes).toEqual(['Hat', 'Face']);
+    expect(ranking.frequencies).toEqual({
+      Hat: { Cap: 2, Crown: 1, Halo: 1 },
+      Face: { Smile: 3, None: 1 },
+      'Trait Count': { 2: 3, 1: 1 }
+    });
+  });
+
+  test('scores information content against the collection entropy', () => {
+    const entropy = entropyOf([0.5, 0.25, 0.25]) + 2 * entropyOf([0.75, 0.25]);
+    expect(ranking.entropy).toBeCloseTo(entropy, 10);
+    expect(byId(4).informationContent).toBeCloseTo(6, 10);
+    expect(byId(1).informationContent).toBeCloseTo(1 + 2 * -Math.log2(0.75), 10);
+    expect(byId(4).score).toBeCloseTo(6 / entropy, 10);
+  });
+
+  test('ranks rarest first and gives equal scores the same rank', () => {
+    expect(ranking.tokens.map(item => [item.tokenId, item.rank, item.percentile])).toEqual([
+      [4, 1, 100],
+      [3, 2, 75],
+      [1, 3, 50],
+      [2, 3, 50]
+    ]);
+  });
+
+  test('skips the next ranks after a tie', () => {
+    const tied = RarityRanking.rank([
+      token(1, { Hat: 'Halo' }),
+      token(2, { Hat: 'Crown' }),
+      token(3, { Hat: 'Cap' }),
+      token(4, { Hat: 'Cap' })
+    ]);
+    expect(tied.tokens.map(item => item.rank)).toEqual([1, 1, 3, 3]);
+  });
+
+  test('scores a collection of identical tokens as 0', () => {
+    const same = RarityRanking.rank([token(1, { Hat: 'Cap' }), token(2, { Hat: 'Cap' })]);
+    expect(same.entropy).toBe(0);
+    expect(same.tokens.map(item => [item.score, item.rank])).toEqual([[0, 1], [0, 1]]);
+    expect(() => RarityRanking.rank([])).toThrow('No token metadata to rank');
+  });
+
+  test('writes the CSV rarest first with quoted values', () => {
+    const csv = RarityRanking.toCsv(RarityRanking.rank([
+      token(1, { Hat: 'Cap, red' }, { rarity_details: { tier_id: 'T2' } }),
+      token(2, { Hat: 'Cap' })
+    ]), [token(1, {}, { rarity_details: { tier_id: 'T2' } })]).split('\n');
+
+    expect(csv[0]).toBe('rank,token_id,score,information_content,percentile,tier,Hat,Hat frequency,Trait Count,Trait Count frequency');
+    expect(csv[1]).toBe('1,1,1.000000,1.000000,100,T2,"Cap, red",0.500000,1,1.000000');
+  });
+
+  describe('metadata files', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ranking-'));
+      COLLECTION.forEach(({ tokenId, metadata }) => {
+        const extended = tokenId === 4 ? { ...metadata, rarity_details: { tier_id: 'T9' } } : metadata;
+        fs.writeFileSync(path.join(dir, `${tokenId}.json`), JSON.stringify(extended));
+      });
+      fs.writeFileSync(path.join(dir, `${(5).toString(16).padStart(64, '0')}.json`), JSON.stringify(token(5, { Hat: 'Cap' }).metadata));
+      fs.writeFileSync(path.join(dir, '_generation-summary.json'), '{}');
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('reads token files by ID, including erc1155 hex names', () => {
+      expect(RarityRanking.readCollection(dir).map(item => item.tokenId)).toEqual([1, 2, 3, 4, 5]);
+      expect(() => RarityRanking.readCollection(path.join(dir, 'missing'))).toThrow('Metadata directory not found');
+    });
+
+    test('adds the statistical rank to extended metadata only', () => {
+      const collection = RarityRanking.readCollection(dir);
+      const written = RarityRanking.writeMetadata(collection, RarityRanking.rank(collection));
+      const read = tokenId => JSON.parse(fs.readFileSync(path.join(dir, `${tokenId}.json`), 'utf8'));
+
+      expect(written).toBe(1);
+      expect(read(4).rarity_details.statistical).toMatchObject({ method: 'openrarity', rank: 1, total_supply: 5 });
+      expect(read(1).rarity_details).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RenderPool = require('../renderPool');
+
+// Stand-in render workers speaking the renderWorker.js protocol, so no canvas is needed
+const WORKERS = {
+  // Renders everything except token 2
+  working: `
+    const { parentPort } = require('worker_threads');
+    parentPort.postMessage({ ready: true });
+    parentPort.on('message', spec => parentPort.postMessage(spec.tokenId === 2
+      ? { tokenId: spec.tokenId, error: 'layer missing' }
+      : { tokenId: spec.tokenId, path: spec.tokenId + '.png' }));
+  `,
+  // Fails while loading, like a worker whose canvas build is missing
+  broken: `
+    throw new Error("Cannot find module 'canvas'");
+  `,
+  // Exits while rendering token 3
+  crashing: `
+    const { parentPort } = require('worker_threads');
+    parentPort.postMessage({ ready: true });
+    parentPort.on('message', spec => {
+      if (spec.tokenId === 3) process.exit(3);
+      parentPort.postMessage({ tokenId: spec.tokenId, path: spec.tokenId + '.png' });
+    });
+  `,
+  // Exits while rendering anything
+  dying: `
+    const { parentPort } = require('worker_threads');
+    parentPort.postMessage({ ready: true });
+    parentPort.on('message', () => process.exit(1));
+  `
+};
+
+const submitAll = async (pool, tokenIds) => {
+  for (const tokenId of tokenIds) {
+    await pool.submit({ tokenId });
+  }
+};
+
+describe('RenderPool', () => {
+  let dir;
+  const workerPath = name => path.join(dir, `${name}.js`);
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'render-pool-'));
+    Object.keys(WORKERS).forEach(name => fs.writeFileSync(workerPath(name), WORKERS[name]));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('renders every spec and reports failed tokens', async () => {
+    const pool = new RenderPool({ workers: 2, workerPath: workerPath('working') });
+    const progress = [];
+    pool.on('progress', event => progress.push(event.tokenId));
+
+    await submitAll(pool, [1, 2, 3, 4, 5]);
+    const result = await pool.close();
+
+    expect(result).toEqual({ completed: 4, failed: 1, failures: [{ tokenId: 2, error: 'layer missing' }] });
+    expect(progress.sort()).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('fails the pool when a worker dies before it starts', async () => {
+    const pool = new RenderPool({ workers: 2, workerPath: workerPath('broken') });
+    await pool.submit({ tokenId: 1 });
+
+    await expect(pool.drain()).rejects.toThrow('before it started (is the canvas package installed?)');
+    await expect(pool.submit({ tokenId: 2 })).rejects.toThrow('before it started');
+    expect(pool.failures.map(failure => failure.tokenId)).toEqual([1]);
+    await expect(pool.close()).rejects.toThrow('before it started');
+  });
+
+  test('fails the token whose worker exits and respawns the worker', async () => {
+    const pool = new RenderPool({ workers: 1, workerPath: workerPath('crashing') });
+    await submitAll(pool, [1, 2, 3, 4]);
+    const result = await pool.close();
+
+    expect(result.completed).toBe(3);
+    expect(result.failures).toEqual([{ tokenId: 3, error: 'Render worker exited with code 3' }]);
+    expect(pool.respawns).toBe(1);
+  });
+
+  test('gives up after maxRespawns worker deaths', async () => {
+    const pool = new RenderPool({ workers: 1, maxRespawns: 2, workerPath: workerPath('dying') });
+    await submitAll(pool, [1, 2, 3, 4, 5, 6]).catch(() => {});
+
+    await expect(pool.close()).rejects.toThrow('Render workers died 3 times, giving up (last one exited with code 1)');
+    expect(pool.completed).toBe(0);
+    expect(pool.failed).toBe(pool.submitted);
+    expect(pool.workers).toEqual([]);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * @jest-environment node
+ */
+
+const { DEFAULT_ALGORITHM, RNG_ALGORITHMS, createRng, generateSeed } = require('../rng');
+const RarityEngine = require('../rarityEngine');
+const baseConfig = require('../../../config/rarity-config.json');
+
+const draw = (rng, count) => Array.from({ length: count }, () => rng.next());
+
+describe('seeded generators', () => {
+  Object.keys(RNG_ALGORITHMS).forEach(algorithm => {
+    describe(`${algorithm}`, () => {
+      test('repeats the same sequence for the same seed', () => {
+        expect(draw(createRng(algorithm, 'seed'), 100)).toEqual(draw(createRng(algorithm, 'seed'), 100));
+      });
+
+      test('draws another sequence for another seed', () => {
+        expect(draw(createRng(algorithm, 'seed'), 100)).not.toEqual(draw(createRng(algorithm, 'other'), 100));
+      });
+
+      test('draws values in [0, 1)', () => {
+        const values = draw(createRng(algorithm, 42), 1000);
+        expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+      });
+
+      test('continues from a saved state', () => {
+        const rng = createRng(algorithm, 'seed');
+        draw(rng, 37);
+        const state = JSON.parse(JSON.stringify(rng.getState()));
+        const expected = draw(rng, 50);
+
+        const restored = createRng(algorithm, 'seed');
+        restored.setState(state);
+        expect(draw(restored, 50)).toEqual(expected);
+      });
+    });
+  });
+
+  test('treats numeric and string seeds alike', () => {
+    expect(draw(createRng(DEFAULT_ALGORITHM, 7), 10)).toEqual(draw(createRng(DEFAULT_ALGORITHM, '7'), 10));
+  });
+
+  test('rejects an unknown algorithm and a missing seed', () => {
+    expect(() => createRng('mt19937', 'seed')).toThrow('Unknown RNG algorithm');
+    expect(() => createRng(DEFAULT_ALGORITHM, '')).toThrow('seed is required');
+  });
+
+  test('generates a fresh seed every time', () => {
+    expect(generateSeed()).toMatch(/^[0-9a-f]{32}$/);
+    expect(generateSeed()).not.toBe(generateSeed());
+  });
+});
+
+describe('engine seeding', () => {
+  const createEngine = (options, config = baseConfig) => {
+    const engine = new RarityEngine(options);
+    engine.loadConfig(config);
+    return engine;
+  };
+  const dnas = (engine, count) => Array.from({ length: count }, () => engine.generateNFT().dna);
+
+  ['planned', 'sequential'].forEach(allocation => {
+    test(`the same seed generates the same collection (${allocation})`, () => {
+      const options = { allocation, seed: 'same' };
+      expect(dnas(createEngine(options), 500)).toEqual(dnas(createEngine(options), 500));
+    });
+
+    test(`another seed generates another collection (${allocation})`, () => {
+      expect(dnas(createEngine({ allocation, seed: 'one' }), 500)).not.toEqual(dnas(createEngine({ allocation, seed: 'two' }), 500));
+    });
+  });
+
+  test('takes the seed from the options, then the config, then a fresh one', () => {
+    const config = { ...baseConfig, rng: { algorithm: 'sha256-ctr', seed: 'from-config' } };
+    expect(createEngine({ seed: 'from-option' }, config).getRngInfo()).toEqual({ algorithm: 'sha256-ctr', seed: 'from-option' });
+    expect(createEngine({}, config).getRngInfo()).toEqual({ algorithm: 'sha256-ctr', seed: 'from-config' });
+    expect(createEngine({}, { ...baseConfig, rng: { seed: null } }).getRngInfo().seed).toMatch(/^[0-9a-f]{32}$/);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * @jest-environment node
+ */
+
+const ShardPlanner = require('../shardPlanner');
+const RarityEngine = require('../rarityEngine');
+const baseConfig = require('../../../config/rarity-config.json');
+
+const SEED = 'shard-test';
+const SHARD_SIZE = 2500;
+
+const cloneConfig = () => JSON.parse(JSON.stringify(baseConfig));
+
+const tokenKey = result => (result.success
+  ? `${result.tierId}:${result.variants.map(item => item.variant.name).join('|')}`
+  : result.error);
+
+describe('ShardPlanner', () => {
+  const config = cloneConfig();
+  let plan;
+
+  beforeAll(() => {
+    plan = ShardPlanner.createPlan(config, { seed: SEED, shardSize: SHARD_SIZE });
+  });
+
+  test('splits the collection into contiguous token ranges', () => {
+    expect(plan.shards.map(shard => [shard.index, shard.startId, shard.endId, shard.count])).toEqual([
+      [0, 1, 2500, 2500],
+      [1, 2501, 5000, 2500],
+      [2, 5001, 7500, 2500],
+      [3, 7501, 10000, 2500]
+    ]);
+    expect(plan).toMatchObject({ seed: SEED, collectionSize: config.collectionSize, shardSize: SHARD_SIZE });
+  });
+
+  test('gives the last shard the remainder and honours startId', () => {
+    const uneven = ShardPlanner.createPlan(config, { seed: SEED, shardSize: 3000, startId: 101 });
+    expect(uneven.shards.map(shard => [shard.startId, shard.endId])).toEqual([[101, 3100], [3101, 6100], [6101, 9100], [9101, 10100]]);
+  });
+
+  test('shard sub-quotas add up to the configured quotas', () => {
+    expect(() => ShardPlanner.checkTotals(plan, config)).not.toThrow();
+
+    const broken = JSON.parse(JSON.stringify(plan));
+    broken.shards[0].tierQuotas.T5++;
+    expect(() => ShardPlanner.checkTotals(broken, config)).toThrow('assigns 4001 NFTs to tier T5, expected 4000');
+  });
+
+  test('merged shards equal a single planned run', () => {
+    const single = new RarityEngine({ seed: SEED, allocation: 'planned' });
+    single.loadConfig(config);
+    const expected = Array.from({ length: config.collectionSize }, () => tokenKey(single.generateNFT()));
+
+    // Any order: shards only depend on the plan
+    const merged = [];
+    [3, 1, 0, 2].forEach(index => {
+      const shard = ShardPlanner.getShard(plan, index);
+      const engine = ShardPlanner.createEngine(config, shard);
+      merged[index] = Array.from({ length: shard.count }, () => tokenKey(engine.generateNFT()));
+      expect(engine.generateNFT().success).toBe(false);
+    });
+
+    expect(merged.flat()).toEqual(expected);
+  });
+
+  test('describes a shard with everything a worker needs', () => {
+    expect(ShardPlanner.getShard(plan, 1)).toMatchObject({
+      index: 1,
+      shardCount: 4,
+      seed: SEED,
+      rngAlgorithm: plan.rngAlgorithm,
+      configHash: plan.configHash,
+      collectionSize: config.collectionSize
+    });
+    expect(() => ShardPlanner.getShard(plan, 4)).toThrow('Shard 4 not found (plan has 4 shards, 0-3)');
+  });
+
+  test('refuses a shard planned with another config or tampered quotas', () => {
+    const changed = cloneConfig();
+    changed.tiers[0].name = 'Renamed';
+    expect(() => ShardPlanner.createEngine(changed, ShardPlanner.getShard(plan, 0))).toThrow('different rarity config');
+
+    const tampered = ShardPlanner.getShard(plan, 0);
+    tampered.tierQuotas = { ...tampered.tierQuotas, T5: tampered.tierQuotas.T5 + 1 };
+    expect(() => ShardPlanner.createEngine(config, tampered)).toThrow('quotas do not match the plan');
+  });
+});
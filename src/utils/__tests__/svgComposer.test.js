@@ -0,0 +1,104 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SvgComposer = require('../svgComposer');
+
+// Two layers using the same ids: "g" points at a differently colored "base", "same" is identical in both,
+// and c1/c2 reference each other
+const gradientLayer = color =>
+  '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="10" height="10"><defs>' +
+  `<linearGradient id="base"><stop offset="0" stop-color="${color}"/></linearGradient>` +
+  '<linearGradient id="g" xlink:href="#base"/>' +
+  '<linearGradient id="same"><stop offset="0" stop-color="#000"/></linearGradient>' +
+  '<pattern id="c1"><rect fill="url(#c2)"/></pattern><pattern id="c2"><rect fill="url(#c1)"/></pattern>' +
+  '</defs><rect fill="url(#g)" width="10" height="10"/><rect fill="url(#same)"/></svg>';
+
+const DRAW = { blend: 'source-over', opacity: 1, x: 0, y: 0, scale: 1, zIndex: null };
+
+describe('SvgComposer', () => {
+  let dir;
+  const layerFile = name => path.join(dir, name);
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-composer-'));
+    fs.writeFileSync(layerFile('red.svg'), gradientLayer('red'));
+    fs.writeFileSync(layerFile('blue.svg'), gradientLayer('blue'));
+    fs.writeFileSync(layerFile('dot.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('merged definitions', () => {
+    let defs;
+    let body;
+
+    // Color of the stop a layer's first fill ends up at, following href links between definitions
+    const stopColor = id => {
+      const definition = defs.find(def => def.includes(`id="${id}"`));
+      const link = definition.match(/^<[^>]*href="#([^"]+)"/);
+      return link ? stopColor(link[1]) : definition.match(/stop-color="([^"]+)"/)[1];
+    };
+    const fillColor = trait => {
+      const group = body.match(new RegExp(`<g id="${trait}">.*?</g>`))[0];
+      return stopColor(group.match(/fill="url\(#([^)]+)\)"/)[1]);
+    };
+
+    beforeAll(() => {
+      const composer = new SvgComposer({ width: 10, height: 10, optimize: false });
+      const svg = composer.compose([
+        { file: { path: layerFile('red.svg') }, draw: DRAW, trait: 'back' },
+        { file: { path: layerFile('blue.svg') }, draw: DRAW, trait: 'hat' }
+      ]);
+      const [, defsContent] = svg.match(/<defs>(.*)<\/defs>/);
+      defs = defsContent.split(/(?=<linearGradient |<pattern )/);
+      body = svg.slice(svg.indexOf('</defs>'));
+    });
+
+    test('keeps definitions with the same id but different content apart', () => {
+      expect(fillColor('back')).toBe('red');
+      expect(fillColor('hat')).toBe('blue');
+    });
+
+    test('keeps identical definitions once', () => {
+      expect(defs.filter(def => def.includes('stop-color="#000"'))).toHaveLength(1);
+      const sameIds = [...body.matchAll(/<rect fill="url\(#([^)]+)\)"\/>/g)].map(match => match[1]);
+      expect(sameIds).toHaveLength(2);
+      expect(sameIds[0]).toBe(sameIds[1]);
+    });
+
+    test('gives definitions in a reference cycle per-layer names', () => {
+      const patterns = defs.filter(def => def.startsWith('<pattern '));
+      expect(patterns).toHaveLength(4);
+      expect(new Set(patterns.map(def => def.match(/id="([^"]+)"/)[1])).size).toBe(4);
+    });
+  });
+
+  test('places each layer in a group with its draw options', () => {
+    const composer = new SvgComposer({ width: 100, height: 100, optimize: false });
+    const svg = composer.compose([
+      { file: { path: layerFile('red.svg'), part: 'back' }, draw: { ...DRAW, opacity: 0.5, blend: 'multiply' }, trait: 'collar' },
+      { file: { path: layerFile('dot.png') }, draw: { ...DRAW, scale: 0.5, x: 10 }, trait: 'hat' }
+    ]);
+
+    expect(svg).toContain('<g id="collar-back" opacity="0.5" style="mix-blend-mode:multiply"><svg x="0" y="0" width="100" height="100" viewBox="0 0 10 10"');
+    expect(svg).toContain('<g id="hat"><image x="35" y="25" width="50" height="50" preserveAspectRatio="none" href="data:image/png;base64,iVBORw=="/></g>');
+  });
+
+  test('optimizes the result with svgo, keeping the group ids', () => {
+    const svg = new SvgComposer({ width: 10, height: 10 }).compose([{ file: { path: layerFile('red.svg') }, draw: DRAW, trait: 'back' }]);
+    expect(svg).toContain('<g id="back">');
+    expect(svg).toContain('viewBox="0 0 10 10"');
+  });
+
+  test('rejects a file that is not an SVG document', () => {
+    fs.writeFileSync(layerFile('broken.svg'), '<html></html>');
+    expect(() => new SvgComposer({ width: 10, height: 10 }).readLayer(layerFile('broken.svg'))).toThrow('Not an SVG document');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+
+const TraitRules = require('../traitRules');
+const RarityEngine = require('../rarityEngine');
+const baseConfig = require('../../../config/rarity-config.json');
+
+// The example rules from the README
+const RULES = [
+  { type: 'excludes', variant: 'Hat_13', with: ['Face_13', 'Face_14'] },
+  { type: 'requires', variant: 'Shirt_12', with: ['Pants_12', 'Pants_13'] },
+  { type: 'pairs', variant: 'Socks_15', with: 'Shoes_15' }
+];
+
+const cloneConfig = (overrides = {}) => ({ ...JSON.parse(JSON.stringify(baseConfig)), ...overrides });
+
+describe('TraitRules', () => {
+  const rules = new TraitRules(cloneConfig({ rules: RULES }));
+
+  test('compiles the example rules without errors', () => {
+    expect(rules.errors).toEqual([]);
+    expect(rules.hasRules()).toBe(true);
+    expect(new TraitRules(cloneConfig()).hasRules()).toBe(false);
+  });
+
+  test('excludes works in both directions', () => {
+    expect(rules.isCompatible('Hat_13', ['Socks_13', 'Face_13'])).toBe(false);
+    expect(rules.isCompatible('Face_14', ['Hat_13'])).toBe(false);
+    expect(rules.isCompatible('Hat_13', ['Face_12'])).toBe(true);
+  });
+
+  test('requires limits the listed trait only', () => {
+    expect(rules.isCompatible('Shirt_12', ['Pants_12'])).toBe(true);
+    expect(rules.isCompatible('Shirt_12', ['Pants_14'])).toBe(false);
+    expect(rules.isCompatible('Pants_14', ['Shirt_12'])).toBe(false);
+    expect(rules.isCompatible('Shirt_12', ['Hat_1'])).toBe(true);
+    expect(rules.isCompatible('Pants_14', ['Shirt_13'])).toBe(true);
+  });
+
+  test('pairs requires each variant to come with the other', () => {
+    expect(rules.isCompatible('Socks_15', ['Shoes_15'])).toBe(true);
+    expect(rules.isCompatible('Socks_15', ['Shoes_14'])).toBe(false);
+    expect(rules.isCompatible('Shoes_15', ['Socks_14'])).toBe(false);
+  });
+
+  test('counts every incompatible pair in a selection', () => {
+    expect(rules.countViolations(['Hat_13', 'Face_13', 'Shirt_12', 'Pants_14'])).toBe(2);
+    expect(rules.countViolations(['Hat_13', 'Face_12', 'Shirt_12', 'Pants_12'])).toBe(0);
+  });
+
+  test('intersects requirements on the same trait', () => {
+    const combined = new TraitRules(cloneConfig({
+      rules: [
+        { type: 'requires', variant: 'Shirt_12', with: ['Pants_12', 'Pants_13'] },
+        { type: 'requires', variant: 'Shirt_12', with: ['Pants_13', 'Pants_14'] }
+      ]
+    }));
+    expect(combined.isCompatible('Shirt_12', ['Pants_13'])).toBe(true);
+    expect(combined.isCompatible('Shirt_12', ['Pants_12'])).toBe(false);
+  });
+
+  test('reports malformed rules', () => {
+    const broken = new TraitRules(cloneConfig({
+      rules: [
+        { type: 'forbids', variant: 'Hat_13', with: 'Face_13' },
+        { type: 'excludes', variant: 'Hat_13' },
+        { type: 'excludes', variant: 'Hat_99', with: 'Face_13' },
+        { type: 'excludes', variant: 'Hat_13', with: 'Hat_14' },
+        { type: 'pairs', variant: 'Socks_15', with: ['Shoes_15', 'Shoes_14'] }
+      ]
+    }));
+    expect(broken.errors).toEqual([
+      'Rule #1 (Hat_13 forbids Face_13): unknown type (expected excludes, requires, pairs)',
+      'Rule #2 (Hat_13 excludes ): "variant" and "with" are required',
+      'Rule #3 (Hat_99 excludes Face_13): unknown variant Hat_99',
+      'Rule #4 (Hat_13 excludes Hat_14): Hat_13 and Hat_14 belong to the same trait',
+      'Rule #5 (Socks_15 pairs Shoes_15 | Shoes_14): pairs takes exactly one variant in "with"'
+    ]);
+    expect(new TraitRules(cloneConfig({ rules: {} })).errors).toEqual(['rules must be an array']);
+  });
+});
+
+describe('planned allocation with rules', () => {
+  test('generates the whole collection without breaking a rule', () => {
+    const config = cloneConfig({ rules: RULES });
+    const engine = new RarityEngine({ seed: 'rules-test', allocation: 'planned' });
+    engine.loadConfig(config);
+    const results = Array.from({ length: config.collectionSize }, () => engine.generateNFT());
+
+    const rules = new TraitRules(config);
+    const broken = results
+      .map(result => (result.success ? result.variants.map(item => item.variant.name) : [result.error]))
+      .filter(names => names.length === 1 || rules.countViolations(names) > 0);
+    expect(broken).toEqual([]);
+    expect(engine.validateFinalGeneration()).toBe(true);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * @jest-environment node
+ */
+
+const RarityEngine = require('../rarityEngine');
+const baseConfig = require('../../../config/rarity-config.json');
+
+const cloneConfig = (overrides = {}) => ({ ...JSON.parse(JSON.stringify(baseConfig)), ...overrides });
+
+const createEngine = (config, options = {}) => {
+  const engine = new RarityEngine({ seed: 'uniqueness-test', ...options });
+  engine.loadConfig(config);
+  return engine;
+};
+
+const generateAll = (engine, config) => Array.from({ length: config.collectionSize }, () => engine.generateNFT())
+  .filter(result => result.success);
+
+// Keys that appear more than once, grouped by tier
+const repeatedKeys = (results, traits) => {
+  const seen = new Map();
+  results.forEach(result => {
+    const key = `${result.tierId}:${result.variants
+      .filter(item => !traits || traits.includes(item.trait))
+      .map(item => item.variant.name)
+      .join('|')}`;
+    seen.set(key, (seen.get(key) || 0) + 1);
+  });
+  return new Set([...seen].filter(([, count]) => count > 1).map(([key]) => key.split(':')[0]));
+};
+
+describe('uniqueness', () => {
+  ['planned', 'sequential'].forEach(allocation => {
+    test(`repeats no combination outside the exempt tiers (${allocation})`, () => {
+      const config = cloneConfig();
+      const results = generateAll(createEngine(config, { allocation }), config);
+
+      expect(results.length).toBeGreaterThan(0);
+      const repeatedTiers = [...repeatedKeys(results)];
+      expect(repeatedTiers.filter(tierId => !config.uniqueness.exemptTiers.includes(tierId))).toEqual([]);
+    });
+  });
+
+  test('lets exempt tiers repeat combinations', () => {
+    const config = cloneConfig();
+    const results = generateAll(createEngine(config, { allocation: 'planned' }), config);
+    expect(repeatedKeys(results).has('T1')).toBe(true);
+  });
+
+  test('keys on the configured traits only', () => {
+    const traits = ['socks', 'shoes', 'pants', 'shirt', 'face'];
+    const config = cloneConfig({ uniqueness: { enabled: true, traits, exemptTiers: ['T1', 'T2', 'T3', 'T4', 'T6', 'T7', 'T8', 'T9'] } });
+    const engine = createEngine(config, { allocation: 'planned' });
+    const results = generateAll(engine, config).filter(result => result.tierId === 'T5');
+
+    expect(results.length).toBeGreaterThan(0);
+    expect([...repeatedKeys(results, traits)]).toEqual([]);
+    expect(engine.getUniquenessInfo()).toMatchObject({ enabled: true, traits });
+  });
+
+  test('is off when disabled', () => {
+    const engine = createEngine(cloneConfig({ uniqueness: { enabled: false } }));
+    expect(engine.getUniquenessInfo()).toMatchObject({ enabled: false, traits: [], exemptTiers: [] });
+    expect(engine.getUniquenessKey('T5', [])).toBeNull();
+  });
+
+  test('rejects unknown traits and tiers', () => {
+    const config = cloneConfig({ uniqueness: { enabled: true, traits: ['cape'], exemptTiers: ['T10'] } });
+    expect(() => createEngine(config)).toThrow('uniqueness.traits references unknown trait cape');
+    expect(() => createEngine(cloneConfig({ uniqueness: { enabled: true, traits: [] } })))
+      .toThrow('uniqueness.traits must list at least one trait');
+  });
+});
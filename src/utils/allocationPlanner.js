@@ -0,0 +1,265 @@
+// Whole-collection allocation planner
+// Assigns every tier and variant quota exactly up front, then shuffles the result into token order
+
+// A broken compatibility rule or a duplicate NFT outweighs any score miss
+const RULE_PENALTY = 1000;
+const DUPLICATE_PENALTY = 1000;
+
+class AllocationPlanner {
+  // random: function returning a value in [0, 1), normally the engine's seeded generator
+  constructor(config, random, options = {}) {
+    this.config = config;
+    this.random = random;
+    this.maxIterations = options.maxIterations || 200000;
+    this.rules = options.rules || null;
+    this.uniqueness = options.uniqueness || null;
+  }
+
+  // Returns one { tier, variants } entry per NFT, already shuffled into token order
+  plan() {
+    const planned = [];
+
+    this.config.tiers.forEach(tier => {
+      if (tier.quota > 0) {
+        planned.push(...this.planTier(tier));
+      }
+    });
+
+    this.shuffle(planned);
+    return planned;
+  }
+
+  // Each trait contributes a column holding exactly its tier variant quotas; rows are NFTs
+  planTier(tier) {
+    const columns = this.config.traits.map(trait => this.buildColumn(trait, tier));
+    this.checkScoreBudget(tier, columns);
+    this.checkUniquenessBudget(tier, columns);
+
+    const rows = [];
+    for (let i = 0; i < tier.quota; i++) {
+      rows.push(columns.map(column => column[i]));
+    }
+
+    this.repairRows(tier, rows);
+
+    return rows.map(row => ({
+      tier,
+      variants: row.map((variant, traitIndex) => ({
+        trait: this.config.traits[traitIndex].trait,
+        variant
+      }))
+    }));
+  }
+
+  buildColumn(trait, tier) {
+    const column = [];
+    trait.variants
+      .filter(variant => variant.tier === tier.id)
+      .forEach(variant => {
+        for (let i = 0; i < variant.quota; i++) {
+          column.push(variant);
+        }
+      });
+
+    if (column.length !== tier.quota) {
+      throw new Error(
+        `Planned allocation requires trait ${trait.trait} tier ${tier.id} variant quotas to sum to ${tier.quota} (found ${column.length})`
+      );
+    }
+
+    this.shuffle(column);
+    return column;
+  }
+
+  // Swaps never change a tier's total points, so an impossible average can be rejected immediately
+  checkScoreBudget(tier, columns) {
+    const [min, max] = tier.scoreRange;
+    const totalPoints = columns.reduce(
+      (sum, column) => sum + column.reduce((columnSum, variant) => columnSum + variant.points, 0),
+      0
+    );
+
+    if (totalPoints < min * tier.quota || totalPoints > max * tier.quota) {
+      throw new Error(
+        `Planned allocation impossible for tier ${tier.id}: average score ${(totalPoints / tier.quota).toFixed(2)} is outside [${min}, ${max}]`
+      );
+    }
+  }
+
+  // Fewer distinct key combinations than NFTs can never be made unique
+  checkUniquenessBudget(tier, columns) {
+    if (!this.uniqueness || this.uniqueness.exemptTiers.has(tier.id)) return;
+
+    const combinations = this.uniqueness.traitIndexes.reduce(
+      (product, index) => product * new Set(columns[index]).size,
+      1
+    );
+    if (combinations < tier.quota) {
+      throw new Error(
+        `Planned allocation impossible for tier ${tier.id}: uniqueness needs ${tier.quota} distinct NFTs but only ${combinations} combinations exist`
+      );
+    }
+  }
+
+  // Local search: swap one trait's variant between two NFTs of the tier until every score is
+  // in range, no NFT breaks a compatibility rule and (if enforced) no two NFTs share a uniqueness key
+  repairRows(tier, rows) {
+    const [min, max] = tier.scoreRange;
+    const scorePenalty = score => (score < min ? min - score : score > max ? score - max : 0);
+    const checkRules = Boolean(this.rules && this.rules.hasRules());
+    const checkUnique = Boolean(this.uniqueness && !this.uniqueness.exemptTiers.has(tier.id));
+    const uniqueIndexes = checkUnique ? this.uniqueness.traitIndexes : [];
+    const traitCount = this.config.traits.length;
+
+    // Rule conflicts between `variant` placed at trait t and the row's other traits
+    const conflicts = (row, t, variant) => {
+      let count = 0;
+      for (let j = 0; j < traitCount; j++) {
+        if (j !== t && !this.rules.isCompatiblePair(variant.name, row[j].name)) count++;
+      }
+      return count;
+    };
+
+    // Uniqueness key of `row` with `variant` placed at trait t
+    const keyWith = (row, t, variant) => uniqueIndexes.map(j => (j === t ? variant : row[j]).name).join('|');
+
+    const scores = rows.map(row => row.reduce((sum, variant) => sum + variant.points, 0));
+    const ruleCounts = rows.map(row => (checkRules ? this.rules.countViolations(row.map(variant => variant.name)) : 0));
+    const keys = rows.map(row => (checkUnique ? keyWith(row, -1, null) : ''));
+    const keyRows = new Map();
+    const trackKey = (key, index, add) => {
+      if (!keyRows.has(key)) keyRows.set(key, new Set());
+      if (add) {
+        keyRows.get(key).add(index);
+      } else {
+        keyRows.get(key).delete(index);
+      }
+    };
+    if (checkUnique) keys.forEach((key, index) => trackKey(key, index, true));
+
+    const penaltyOf = index =>
+      scorePenalty(scores[index]) +
+      ruleCounts[index] * RULE_PENALTY +
+      (checkUnique && keyRows.get(keys[index]).size > 1 ? DUPLICATE_PENALTY : 0);
+    const penalties = rows.map((row, index) => penaltyOf(index));
+
+    // Rule conflicts of rows r and s if their trait t variants were exchanged
+    const swapConflicts = (r, s, t) => {
+      if (!checkRules) return [0, 0];
+      const a = rows[r][t];
+      const b = rows[s][t];
+      return [
+        ruleCounts[r] - conflicts(rows[r], t, a) + conflicts(rows[r], t, b),
+        ruleCounts[s] - conflicts(rows[s], t, b) + conflicts(rows[s], t, a)
+      ];
+    };
+
+    // Duplicate penalties of rows r and s if their trait t variants were exchanged
+    const swapDuplicates = (r, s, t) => {
+      if (!checkUnique) return [0, 0];
+      const newKeyR = keyWith(rows[r], t, rows[s][t]);
+      const newKeyS = keyWith(rows[s], t, rows[r][t]);
+      const othersWith = (key, otherNewKey) => {
+        let count = keyRows.has(key) ? keyRows.get(key).size : 0;
+        if (keys[r] === key) count--;
+        if (keys[s] === key) count--;
+        if (otherNewKey === key) count++;
+        return count > 0 ? DUPLICATE_PENALTY : 0;
+      };
+      return [othersWith(newKeyR, newKeyS), othersWith(newKeyS, newKeyR)];
+    };
+
+    let iterations = 0;
+    let violating = this.findViolations(penalties);
+
+    while (violating.length > 0) {
+      if (iterations++ >= this.maxIterations) {
+        const constraints = [`score range [${min}, ${max}]`];
+        if (checkRules) constraints.push('compatibility rules');
+        if (checkUnique) constraints.push('uniqueness');
+        throw new Error(
+          `Planned allocation could not satisfy ${constraints.join(', ')} for tier ${tier.id}: ${violating.length} NFTs still invalid`
+        );
+      }
+
+      const r = violating[Math.floor(this.random() * violating.length)];
+      const offset = Math.floor(this.random() * rows.length);
+      let best = null;
+      let bestGain = 0;
+
+      // Scan partners from a random offset; stop once a swap fully repairs r without hurting s
+      for (let step = 0; step < rows.length && bestGain < penalties[r]; step++) {
+        const s = (offset + step) % rows.length;
+        if (s === r) continue;
+        for (let t = 0; t < traitCount; t++) {
+          if (rows[s][t] === rows[r][t]) continue;
+
+          const delta = rows[s][t].points - rows[r][t].points;
+          if (delta === 0 && !checkRules && !checkUnique) continue;
+
+          const [conflictsR, conflictsS] = swapConflicts(r, s, t);
+          const [duplicateR, duplicateS] = swapDuplicates(r, s, t);
+          const newR = scorePenalty(scores[r] + delta) + conflictsR * RULE_PENALTY + duplicateR;
+          const newS = scorePenalty(scores[s] - delta) + conflictsS * RULE_PENALTY + duplicateS;
+          const gain = penalties[r] + penalties[s] - newR - newS;
+          if (gain > bestGain) {
+            bestGain = gain;
+            best = { s, t, delta };
+          }
+        }
+      }
+
+      // No improving swap: make a random one to escape the local minimum
+      if (!best) {
+        const s = Math.floor(this.random() * rows.length);
+        const t = Math.floor(this.random() * traitCount);
+        best = { s, t, delta: rows[s][t].points - rows[r][t].points };
+      }
+
+      const { s, t, delta } = best;
+      const [conflictsR, conflictsS] = swapConflicts(r, s, t);
+      [rows[r][t], rows[s][t]] = [rows[s][t], rows[r][t]];
+      scores[r] += delta;
+      scores[s] -= delta;
+      ruleCounts[r] = conflictsR;
+      ruleCounts[s] = conflictsS;
+
+      // Rows that shared the old or new keys of r and s may have gained or lost a duplicate
+      const affected = new Set([r, s]);
+      if (checkUnique) {
+        [r, s].forEach(index => {
+          const oldKey = keys[index];
+          trackKey(oldKey, index, false);
+          keys[index] = keyWith(rows[index], -1, null);
+          trackKey(keys[index], index, true);
+          keyRows.get(oldKey).forEach(other => affected.add(other));
+          keyRows.get(keys[index]).forEach(other => affected.add(other));
+        });
+      }
+      affected.forEach(index => {
+        penalties[index] = penaltyOf(index);
+      });
+
+      violating = this.findViolations(penalties);
+    }
+  }
+
+  findViolations(penalties) {
+    const violating = [];
+    penalties.forEach((penalty, index) => {
+      if (penalty > 0) violating.push(index);
+    });
+    return violating;
+  }
+
+  // Fisher-Yates shuffle in place using the seeded generator
+  shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+}
+
+module.exports = AllocationPlanner;
@@ -0,0 +1,99 @@
+// Encodes composited RGBA frames into animated GIF (gifenc), animated WebP (node-webpmux)
+// and MP4 (a locally installed ffmpeg, found on PATH or via FFMPEG_PATH)
+
+const fs = require('fs');
+const { spawn, spawnSync } = require('child_process');
+
+const ANIMATION_FORMATS = ['gif', 'webp', 'mp4'];
+
+const ffmpegChecks = new Map();
+
+class AnimationEncoder {
+  static getFfmpegPath(ffmpegPath) {
+    return ffmpegPath || process.env.FFMPEG_PATH || 'ffmpeg';
+  }
+
+  // Checked once per binary; a missing ffmpeg only disables MP4 output
+  static hasFfmpeg(ffmpegPath) {
+    const binary = this.getFfmpegPath(ffmpegPath);
+    if (!ffmpegChecks.has(binary)) {
+      const result = spawnSync(binary, ['-version'], { stdio: 'ignore' });
+      ffmpegChecks.set(binary, !result.error && result.status === 0);
+    }
+    return ffmpegChecks.get(binary);
+  }
+
+  // frames: RGBA buffers of width x height; loop: 0 repeats forever
+  static encodeGif(frames, outputPath, { width, height, fps, loop }) {
+    const { GIFEncoder, quantize, applyPalette } = require('gifenc');
+    const gif = GIFEncoder();
+    const delay = Math.round(1000 / fps);
+
+    frames.forEach(frame => {
+      const palette = quantize(frame, 256);
+      const index = applyPalette(frame, palette);
+      gif.writeFrame(index, width, height, { palette, delay, repeat: loop });
+    });
+    gif.finish();
+
+    fs.writeFileSync(outputPath, Buffer.from(gif.bytes()));
+    return outputPath;
+  }
+
+  static async encodeWebp(frames, outputPath, { width, height, fps, loop }) {
+    const WebP = require('node-webpmux');
+    await WebP.Image.initLib();
+    const delay = Math.round(1000 / fps);
+
+    const webpFrames = [];
+    for (const frame of frames) {
+      const image = await WebP.Image.getEmptyImage();
+      await image.setImageData(frame, { width, height, lossless: 9 });
+      webpFrames.push(await WebP.Image.generateFrame({ img: image, delay }));
+    }
+
+    await WebP.Image.save(outputPath, { width, height, frames: webpFrames, loops: loop });
+    return outputPath;
+  }
+
+  // Raw frames are piped to ffmpeg; H.264 needs even dimensions, so odd sizes are padded by one pixel
+  static encodeMp4(frames, outputPath, { width, height, fps, ffmpegPath }) {
+    const ffmpeg = spawn(this.getFfmpegPath(ffmpegPath), [
+      '-y',
+      '-loglevel', 'error',
+      '-f', 'rawvideo',
+      '-pix_fmt', 'rgba',
+      '-s', `${width}x${height}`,
+      '-r', String(fps),
+      '-i', '-',
+      '-vf', 'pad=ceil(iw/2)*2:ceil(ih/2)*2',
+      '-c:v', 'libx264',
+      '-pix_fmt', 'yuv420p',
+      '-movflags', '+faststart',
+      outputPath
+    ], { stdio: ['pipe', 'ignore', 'pipe'] });
+
+    return new Promise((resolve, reject) => {
+      let stderr = '';
+      ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+      ffmpeg.on('error', reject);
+      ffmpeg.on('close', code => {
+        if (code === 0) {
+          resolve(outputPath);
+        } else {
+          if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+          reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+
+      // ffmpeg closing stdin early is reported through its exit code
+      ffmpeg.stdin.on('error', () => {});
+      frames.forEach(frame => ffmpeg.stdin.write(frame));
+      ffmpeg.stdin.end();
+    });
+  }
+}
+
+AnimationEncoder.ANIMATION_FORMATS = ANIMATION_FORMATS;
+
+module.exports = AnimationEncoder;
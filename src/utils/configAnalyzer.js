@@ -0,0 +1,401 @@
+// Feasibility analysis for rarity configuration
+// Answers "can this config succeed?" before any generation is run
+
+const RarityConfigLoader = require('./rarityConfigLoader');
+const TraitRules = require('./traitRules');
+
+// Mirrors the retry limit in RarityEngine.generateNFT()
+const MAX_RETRIES = 100;
+// The quota checks below hold for a whole collection; sequential picks one NFT at a time without
+// reserving quota, so NFTs drawn early can use up the variants a rule needs later
+const RULES_NEED_PLANNED = 'Compatibility rules are only guaranteed with planned allocation: sequential allocation ' +
+  'can use up the variants a rule needs before the NFTs that need them are drawn, failing late NFTs ' +
+  '(set "allocation": { "mode": "planned" })';
+
+class ConfigAnalyzer {
+  // options.allocation overrides config "allocation.mode", as --allocation does for generate:local
+  static analyzeFile(configPath = null, options = {}) {
+    return this.analyze(RarityConfigLoader.loadRarityConfig(configPath), options);
+  }
+
+  static analyze(config, options = {}) {
+    RarityConfigLoader.validateBasicStructure(config);
+
+    const issues = [];
+    const allocation = options.allocation || (config.allocation || {}).mode || 'sequential';
+    const tierIds = new Set(config.tiers.map(tier => tier.id));
+
+    const totalTierQuota = config.tiers.reduce((sum, tier) => sum + tier.quota, 0);
+    if (totalTierQuota !== config.collectionSize) {
+      issues.push(this.error(`Tier quotas sum to ${totalTierQuota}, expected collectionSize ${config.collectionSize}`));
+    }
+
+    const tiers = config.tiers.map(tier => this.analyzeTier(config, tier, issues));
+    const unconsumableVariants = [];
+
+    config.traits.forEach(trait => {
+      trait.variants.forEach(variant => {
+        if (variant.quota <= 0) return;
+
+        let reason = null;
+        if (!tierIds.has(variant.tier)) {
+          reason = `references unknown tier ${variant.tier}`;
+        } else {
+          const tierReport = tiers.find(t => t.id === variant.tier);
+          reason = tierReport.unconsumable[variant.name] || null;
+        }
+
+        if (reason) {
+          unconsumableVariants.push({ trait: trait.trait, name: variant.name, tier: variant.tier, quota: variant.quota, reason });
+          issues.push(this.error(`Variant ${variant.name} (${trait.trait}) can never be consumed: ${reason}`));
+        }
+      });
+    });
+
+    const infeasibleRules = this.analyzeRules(config, issues);
+    if (allocation === 'sequential' && (config.rules || []).length > 0) {
+      issues.push(this.warning(RULES_NEED_PLANNED));
+    }
+
+    // Retry estimate for sequential allocation, weighted by how many NFTs each tier produces
+    const expectedAttempts = tiers.reduce(
+      (sum, tier) => sum + (tier.quota > 0 ? tier.expectedAttempts * tier.quota : 0),
+      0
+    ) / (totalTierQuota || 1);
+
+    tiers.forEach(tier => delete tier.unconsumable);
+
+    return {
+      feasible: !issues.some(issue => issue.severity === 'error'),
+      collectionSize: config.collectionSize,
+      allocation,
+      totalTierQuota,
+      expectedAttempts: Number.isFinite(expectedAttempts) ? Number(expectedAttempts.toFixed(3)) : null,
+      tiers,
+      unconsumableVariants,
+      infeasibleRules,
+      issues
+    };
+  }
+
+  static analyzeTier(config, tier, issues) {
+    const [min, max] = tier.scoreRange;
+    const inRange = sum => sum >= min && sum <= max;
+
+    // Per trait: the tier's variants and how many NFTs of this tier they can cover
+    const columns = config.traits.map(trait => {
+      const variants = trait.variants.filter(variant => variant.tier === tier.id);
+      return {
+        trait: trait.trait,
+        variants,
+        quota: variants.reduce((sum, variant) => sum + variant.quota, 0)
+      };
+    });
+
+    const report = {
+      id: tier.id,
+      name: tier.name,
+      quota: tier.quota,
+      scoreRange: tier.scoreRange,
+      achievableRange: null,
+      reachableSums: 0,
+      reachableInRange: 0,
+      successProbability: 0,
+      expectedAttempts: null,
+      retryRate: null,
+      distinctCombinations: null,
+      quotaByTrait: {},
+      unconsumable: {}
+    };
+
+    columns.forEach(column => {
+      report.quotaByTrait[column.trait] = column.quota;
+      if (column.quota !== tier.quota) {
+        const effect = column.quota < tier.quota ? 'cannot fill the tier' : 'variants will be left over';
+        issues.push(this.error(`Tier ${tier.id}: ${column.trait} variant quotas sum to ${column.quota}, expected ${tier.quota} (${effect})`));
+      }
+    });
+
+    const missing = columns.filter(column => column.variants.length === 0);
+    if (missing.length > 0) {
+      if (tier.quota > 0) {
+        issues.push(this.error(`Tier ${tier.id} is unreachable: no variants for ${missing.map(c => c.trait).join(', ')}`));
+      }
+      return report;
+    }
+
+    // Score distribution of a fresh sequential pick (variants weighted by quota)
+    const distribution = this.scoreDistribution(columns);
+    const sums = [...distribution.keys()];
+    report.achievableRange = [Math.min(...sums), Math.max(...sums)];
+    report.reachableSums = sums.length;
+    report.reachableInRange = sums.filter(inRange).length;
+    report.successProbability = Number(
+      sums.filter(inRange).reduce((sum, score) => sum + distribution.get(score), 0).toFixed(6)
+    );
+
+    if (report.successProbability > 0) {
+      report.expectedAttempts = Number((1 / report.successProbability).toFixed(3));
+      report.retryRate = Number((1 - report.successProbability).toFixed(6));
+    }
+
+    if (tier.quota === 0) {
+      return report;
+    }
+
+    // A variant is consumable if some combination of the other traits puts it in range
+    columns.forEach((column, traitIndex) => {
+      const others = this.reachableSums(columns.filter((_, index) => index !== traitIndex));
+      column.variants.forEach(variant => {
+        if (variant.quota > 0 && ![...others].some(sum => inRange(sum + variant.points))) {
+          report.unconsumable[variant.name] = `no ${tier.id} combination with ${variant.points} points scores within [${min}, ${max}]`;
+        }
+      });
+    });
+
+    if (report.reachableInRange === 0) {
+      issues.push(this.error(
+        `Tier ${tier.id} is unreachable: achievable scores ${report.achievableRange.join('-')} never fall in [${min}, ${max}]`
+      ));
+      return report;
+    }
+
+    if (report.successProbability > 0 && Math.pow(report.retryRate, MAX_RETRIES) * tier.quota > 0.01) {
+      issues.push(this.warning(
+        `Tier ${tier.id}: only ${(report.successProbability * 100).toFixed(2)}% of sequential picks land in range; expect failed NFTs`
+      ));
+    }
+
+    // Uniqueness needs at least as many distinct (in-range) combinations as NFTs in the tier
+    const uniqueness = config.uniqueness;
+    if (uniqueness && uniqueness.enabled !== false && !(uniqueness.exemptTiers || []).includes(tier.id)) {
+      const keyTraits = uniqueness.traits || config.traits.map(trait => trait.trait);
+      report.distinctCombinations = keyTraits.length === columns.length
+        ? this.countCombinations(columns, inRange)
+        : columns
+          .filter(column => keyTraits.includes(column.trait))
+          .reduce((product, column) => product * column.variants.filter(variant => variant.quota > 0).length, 1);
+
+      if (report.distinctCombinations < tier.quota) {
+        issues.push(this.error(
+          `Tier ${tier.id}: uniqueness needs ${tier.quota} distinct NFTs but only ${report.distinctCombinations} combinations exist ` +
+          `(add variants or list ${tier.id} in uniqueness.exemptTiers)`
+        ));
+      }
+
+      // Every NFT holding a variant needs its own combination of the other key traits
+      const keyColumns = columns.filter(column => keyTraits.includes(column.trait));
+      keyColumns.forEach(column => {
+        const partners = keyColumns
+          .filter(other => other !== column)
+          .reduce((product, other) => product * other.variants.filter(variant => variant.quota > 0).length, 1);
+        column.variants.filter(variant => variant.quota > partners).forEach(variant => {
+          issues.push(this.error(
+            `Tier ${tier.id}: uniqueness allows ${variant.name} (${column.trait}) on at most ${partners} distinct NFTs, ` +
+            `but its quota is ${variant.quota} (spread its quota over more variants or list ${tier.id} in uniqueness.exemptTiers)`
+          ));
+        });
+      });
+    }
+
+    // Exact quotas fix the tier's total points, so the average score must fit the range
+    const totalPoints = columns.reduce(
+      (sum, column) => sum + column.variants.reduce((s, variant) => s + variant.points * variant.quota, 0),
+      0
+    );
+    const averageScore = totalPoints / tier.quota;
+    if (averageScore < min || averageScore > max) {
+      issues.push(this.error(
+        `Tier ${tier.id}: average score ${averageScore.toFixed(2)} implied by variant quotas is outside [${min}, ${max}]`
+      ));
+    }
+
+    return report;
+  }
+
+  // Quota-level checks: can every rule hold while each variant still hits its exact quota?
+  static analyzeRules(config, issues) {
+    const rules = new TraitRules(config);
+    const infeasible = [];
+    const report = (index, reason) => {
+      const rule = rules.describe(index);
+      infeasible.push({ rule, reason });
+      issues.push(this.error(`${rule} makes quotas infeasible: ${reason}`));
+    };
+
+    rules.errors.forEach(message => {
+      infeasible.push({ rule: message, reason: 'invalid rule' });
+      issues.push(this.error(message));
+    });
+    if (rules.errors.length > 0) {
+      return infeasible;
+    }
+
+    const variants = new Map();
+    config.traits.forEach(trait => {
+      trait.variants.forEach(variant => variants.set(variant.name, { ...variant, trait: trait.trait }));
+    });
+
+    // Quota of a trait's variants within one tier, optionally limited to a set of names
+    const traitTierQuota = (traitName, tierId, names = null) => config.traits
+      .find(trait => trait.trait === traitName).variants
+      .filter(variant => variant.tier === tierId && (!names || names.includes(variant.name)))
+      .reduce((sum, variant) => sum + variant.quota, 0);
+
+    rules.rules.forEach((rule, index) => {
+      const source = variants.get(rule.variant);
+      const targets = rules.getTargets(rule).map(name => variants.get(name));
+      if (source.quota <= 0) return;
+
+      const byTrait = new Map();
+      targets.forEach(target => {
+        if (!byTrait.has(target.trait)) byTrait.set(target.trait, []);
+        byTrait.get(target.trait).push(target.name);
+      });
+
+      if (rule.type === 'pairs') {
+        const target = targets[0];
+        if (target.tier !== source.tier) {
+          report(index, `paired variants are in different tiers (${source.tier} vs ${target.tier})`);
+        } else if (target.quota !== source.quota) {
+          report(index, `paired variants need equal quotas (${source.quota} vs ${target.quota})`);
+        }
+        return;
+      }
+
+      byTrait.forEach((names, traitName) => {
+        const matching = traitTierQuota(traitName, source.tier, names);
+        const others = traitTierQuota(traitName, source.tier) - matching;
+
+        if (rule.type === 'requires' && matching < source.quota) {
+          report(index, `${source.name} needs ${source.quota} ${traitName} picks from ${names.join(', ')} in tier ${source.tier}, only ${matching} available`);
+        }
+        if (rule.type === 'excludes' && others < source.quota) {
+          report(index, `${source.name} needs ${source.quota} ${traitName} picks outside ${names.join(', ')} in tier ${source.tier}, only ${others} available`);
+        }
+      });
+    });
+
+    return infeasible;
+  }
+
+  // Map of score -> probability, picking each trait's variant in proportion to its quota
+  static scoreDistribution(columns) {
+    let distribution = new Map([[0, 1]]);
+
+    columns.forEach(column => {
+      const next = new Map();
+      const weightTotal = column.quota > 0 ? column.quota : column.variants.length;
+
+      distribution.forEach((probability, score) => {
+        column.variants.forEach(variant => {
+          const weight = column.quota > 0 ? variant.quota : 1;
+          if (weight <= 0) return;
+          const sum = score + variant.points;
+          next.set(sum, (next.get(sum) || 0) + probability * (weight / weightTotal));
+        });
+      });
+
+      distribution = next;
+    });
+
+    return distribution;
+  }
+
+  // Number of variant combinations (quota > 0) whose score passes inRange
+  static countCombinations(columns, inRange) {
+    let counts = new Map([[0, 1]]);
+
+    columns.forEach(column => {
+      const next = new Map();
+      counts.forEach((count, score) => {
+        column.variants.forEach(variant => {
+          if (variant.quota <= 0) return;
+          const sum = score + variant.points;
+          next.set(sum, (next.get(sum) || 0) + count);
+        });
+      });
+      counts = next;
+    });
+
+    let total = 0;
+    counts.forEach((count, score) => {
+      if (inRange(score)) total += count;
+    });
+    return total;
+  }
+
+  // Set of every score the given traits can add up to
+  static reachableSums(columns) {
+    let sums = new Set([0]);
+
+    columns.forEach(column => {
+      const next = new Set();
+      sums.forEach(score => {
+        column.variants.forEach(variant => next.add(score + variant.points));
+      });
+      sums = next;
+    });
+
+    return sums;
+  }
+
+  static error(message) {
+    return { severity: 'error', message };
+  }
+
+  static warning(message) {
+    return { severity: 'warning', message };
+  }
+
+  static logReport(report) {
+    console.log('=== Rarity Config Feasibility ===');
+    console.log(`Collection Size: ${report.collectionSize} (tier quotas: ${report.totalTierQuota})`);
+    console.log(`Allocation: ${report.allocation}`);
+
+    console.log('\nTiers:');
+    report.tiers.forEach(tier => {
+      const achievable = tier.achievableRange ? tier.achievableRange.join('-') : 'none';
+      const attempts = tier.expectedAttempts !== null ? `${tier.expectedAttempts} attempts/NFT` : 'never succeeds';
+      console.log(
+        `  ${tier.id} (${tier.name}): range ${tier.scoreRange.join('-')}, achievable ${achievable}, ` +
+        `${tier.reachableInRange}/${tier.reachableSums} sums in range, ` +
+        `${(tier.successProbability * 100).toFixed(2)}% hit rate, ${attempts}`
+      );
+    });
+
+    if (report.expectedAttempts !== null) {
+      console.log(`\nExpected generateNFT() attempts per NFT (sequential): ${report.expectedAttempts}`);
+    }
+
+    if (report.unconsumableVariants.length > 0) {
+      console.log('\nUnconsumable variants:');
+      report.unconsumableVariants.forEach(variant => {
+        console.log(`  ${variant.trait}/${variant.name} (quota ${variant.quota}): ${variant.reason}`);
+      });
+    }
+
+    if (report.infeasibleRules.length > 0) {
+      console.log('\nInfeasible rules:');
+      report.infeasibleRules.forEach(rule => console.log(`  ${rule.rule}: ${rule.reason}`));
+    }
+
+    const errors = report.issues.filter(issue => issue.severity === 'error');
+    const warnings = report.issues.filter(issue => issue.severity === 'warning');
+
+    if (warnings.length > 0) {
+      console.log('\nWarnings:');
+      warnings.forEach(issue => console.log(`  ⚠️  ${issue.message}`));
+    }
+    if (errors.length > 0) {
+      console.log('\nErrors:');
+      errors.forEach(issue => console.log(`  ❌ ${issue.message}`));
+    }
+
+    console.log(report.feasible ? '\n✅ Config is feasible' : '\n❌ Config is infeasible');
+  }
+}
+
+ConfigAnalyzer.RULES_NEED_PLANNED = RULES_NEED_PLANNED;
+
+module.exports = ConfigAnalyzer;
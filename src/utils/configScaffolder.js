@@ -0,0 +1,150 @@
+// Draft rarity-config.json built from a layers directory
+// Each folder becomes a trait ("01_Socks" -> "socks") and each element a variant; the legacy "$weight"
+// in file names is turned into quotas that sum to the collection size. All variants share one tier
+// whose score range covers every combination. Uniqueness is switched off when the weights make it
+// unsatisfiable, so the draft passes "npm run analyze:config" as written and tiers can be designed afterwards.
+
+const fs = require('fs');
+const ConfigAnalyzer = require('./configAnalyzer');
+const LayerLinter = require('./layerLinter');
+const LayerScanner = require('./layerScanner');
+const RarityEngine = require('./rarityEngine');
+
+class ConfigScaffolder {
+  // options: { collectionSize, layersDir, width, height } - returns { config, warnings }
+  // width/height default to the size of the first PNG layer, else 1024
+  static createConfig(layersDir, options = {}) {
+    const collectionSize = options.collectionSize || 10000;
+    const layers = LayerScanner.scanLayers(layersDir).filter(layer => layer.elements.length > 0);
+    if (layers.length === 0) {
+      throw new Error(`No layer folders with images found in ${layersDir}`);
+    }
+    this.checkUniqueNames(layers);
+
+    const traits = layers.map(layer => ({
+      trait: this.getTraitName(layer.name),
+      variants: this.createVariants(layer.elements, collectionSize)
+    }));
+
+    const size = this.getCanvasSize(layers);
+    const scores = traits.map(trait => trait.variants.map(variant => variant.points));
+    const scoreRange = [
+      scores.reduce((sum, points) => sum + Math.min(...points), 0),
+      scores.reduce((sum, points) => sum + Math.max(...points), 0)
+    ];
+
+    const config = {
+      collectionSize,
+      rng: { algorithm: 'xoshiro128**', seed: null },
+      allocation: { mode: 'planned', maxIterations: 200000 },
+      tierSelection: { distribution: 'bell' },
+      rules: [],
+      uniqueness: { enabled: true, traits: null, exemptTiers: [] },
+      render: {
+        layersDir: options.layersDir || layersDir,
+        width: options.width || size.width,
+        height: options.height || size.height,
+        layerOrder: null,
+        strictMapping: true
+      },
+      tiers: [{ id: 'T1', name: 'All', scoreRange, quota: collectionSize }],
+      traits
+    };
+
+    const warnings = [];
+    // The one tier covers every score and every quota, so the analyzer can only object to uniqueness:
+    // too few combinations, or a heavy variant with fewer combinations of the other traits than its quota
+    const uniquenessErrors = ConfigAnalyzer.analyze(config).issues.filter(issue => issue.severity === 'error');
+    if (uniquenessErrors.length > 0) {
+      config.uniqueness.enabled = false;
+      uniquenessErrors.forEach(issue => warnings.push(issue.message));
+      warnings.push('Uniqueness is disabled in the draft: add variants, even out $weights or lower collectionSize, then enable it');
+    }
+    traits.forEach(trait => {
+      trait.variants
+        .filter(variant => variant.quota === 0)
+        .forEach(variant => warnings.push(`${trait.trait}/${variant.name} gets no NFTs at its weight; raise its $weight`));
+    });
+
+    // The draft must pass the same validation as a hand-written config
+    new RarityEngine().loadConfig(config);
+
+    return { config, warnings };
+  }
+
+  static getCanvasSize(layers) {
+    for (const layer of layers) {
+      const png = layer.elements.find(element => /\.png$/i.test(element.path));
+      if (png) {
+        try {
+          const { width, height } = LayerLinter.readPng(fs.readFileSync(png.path));
+          return { width, height };
+        } catch (error) {
+          // lint:layers reports broken files; fall back to the default size
+        }
+      }
+    }
+    return { width: 1024, height: 1024 };
+  }
+
+  // "01_Socks" -> "socks"
+  static getTraitName(folderName) {
+    return folderName.replace(/^\d+_/, '').toLowerCase();
+  }
+
+  // Rarer variants score more points: 1 for the most common quota, counting up
+  static createVariants(elements, collectionSize) {
+    const quotas = this.distributeQuotas(elements.map(element => element.weight), collectionSize);
+    const distinctQuotas = [...new Set(quotas)].sort((a, b) => b - a);
+
+    return elements.map((element, index) => ({
+      name: element.name,
+      tier: 'T1',
+      points: distinctQuotas.indexOf(quotas[index]) + 1,
+      quota: quotas[index]
+    }));
+  }
+
+  // Largest remainder: floor every share, then hand the leftover NFTs to the biggest fractions
+  static distributeQuotas(weights, total) {
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+    if (!(weightSum > 0)) {
+      throw new Error(`Layer weights must be positive numbers (found ${weights.join(', ')})`);
+    }
+
+    const shares = weights.map(weight => weight * total / weightSum);
+    const quotas = shares.map(Math.floor);
+    let remaining = total - quotas.reduce((sum, quota) => sum + quota, 0);
+
+    shares
+      .map((share, index) => ({ index, fraction: share - Math.floor(share) }))
+      .sort((a, b) => (b.fraction - a.fraction) || (a.index - b.index))
+      .forEach(({ index }) => {
+        if (remaining > 0) {
+          quotas[index]++;
+          remaining--;
+        }
+      });
+
+    return quotas;
+  }
+
+  // Variant names are global in the config, and strict mapping needs them to equal the file names
+  static checkUniqueNames(layers) {
+    const seen = new Map();
+    const duplicates = [];
+    layers.forEach(layer => {
+      layer.elements.forEach(element => {
+        if (seen.has(element.name)) {
+          duplicates.push(`${element.name} (${seen.get(element.name)} and ${layer.name})`);
+        }
+        seen.set(element.name, layer.name);
+      });
+    });
+    if (duplicates.length > 0) {
+      throw new Error(`Element names must be unique across layers, rename: ${duplicates.join(', ')}`);
+    }
+  }
+}
+
+module.exports = ConfigScaffolder;
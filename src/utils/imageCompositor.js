@@ -0,0 +1,336 @@
+// Headless image compositor (node canvas) shared by the CLI, Lambda and desktop app
+// Maps a generation result to layer elements, draws them bottom-to-top and writes {tokenId}.png;
+// tokens with frame-sequence layers are also written as animated {tokenId}.gif / .webp / .mp4,
+// and with options.svg every token is also composed into a single {tokenId}.svg.
+// options.exports adds resized copies in other formats (see imageExports.js).
+
+const fs = require('fs');
+const path = require('path');
+const { createCanvas, loadImage } = require('canvas');
+const LayerScanner = require('./layerScanner');
+const LayerOptions = require('./layerOptions');
+const AnimationEncoder = require('./animationEncoder');
+const SvgComposer = require('./svgComposer');
+const ImageExports = require('./imageExports');
+
+const DEFAULT_SIZE = 1024;
+const DEFAULT_ANIMATION = { fps: 12, loop: 0, formats: ['gif', 'webp', 'mp4'], ffmpegPath: null };
+
+class ImageCompositor {
+  // options.engine: RarityEngine used to map variants to layer elements
+  // options.layers: pre-scanned layers (desktop app), otherwise options.layersDir is scanned
+  // options.layerOrder: trait or layer folder names, bottom to top (default: trait order of the result)
+  //   a trait or variant "render.zIndex" then moves single layers within that order
+  // options.cacheImages: keep decoded layer images between tokens (default true)
+  // options.maxCachedImages: evict the least recently used image beyond this many (default unlimited)
+  // options.animation: { fps, loop, formats, ffmpegPath } for tokens with frame-sequence layers
+  // options.svg: also write {tokenId}.svg composed from the layer files (default false)
+  // options.exports: derived sizes/formats [{ name, width, format, quality, metadataField }]
+  // options.strictMapping: variants must match layer folders and files by exact name (default false)
+  constructor(options = {}) {
+    this.engine = options.engine || null;
+    this.layersDir = options.layersDir || './layers';
+    this.layers = options.layers || null;
+    this.width = parseInt(options.width) || DEFAULT_SIZE;
+    this.height = parseInt(options.height) || DEFAULT_SIZE;
+    this.layerOrder = options.layerOrder || null;
+    this.cacheImages = options.cacheImages !== false;
+    this.maxCachedImages = options.maxCachedImages || Infinity;
+    this.imageCache = new Map();
+    this.animation = { ...DEFAULT_ANIMATION, ...(options.animation || {}) };
+    this.svg = options.svg === true;
+    this.exports = options.exports || [];
+    this.strictMapping = options.strictMapping === true;
+    this.mappingChecked = false;
+    this.svgComposer = null;
+    this.canvas = createCanvas(this.width, this.height);
+    this.ctx = this.canvas.getContext('2d');
+  }
+
+  // "render" section of rarity config: { layersDir, width, height, layerOrder, animation, svg, exports, strictMapping }
+  static fromConfig(config, engine, overrides = {}) {
+    const render = config.render || {};
+    return new ImageCompositor({
+      engine,
+      layersDir: render.layersDir,
+      width: render.width,
+      height: render.height,
+      layerOrder: render.layerOrder,
+      animation: render.animation,
+      svg: render.svg,
+      exports: render.exports,
+      strictMapping: render.strictMapping,
+      ...overrides
+    });
+  }
+
+  // With strict mapping, every config variant is checked against the layers once, up front
+  getLayers() {
+    if (!this.layers) {
+      this.layers = LayerScanner.scanLayers(this.layersDir);
+    }
+    if (this.strictMapping && this.engine && !this.mappingChecked) {
+      const missing = this.engine.findUnmappedVariants(this.layers);
+      if (missing.length > 0) {
+        const list = missing.map(item => `${item.trait}/${item.variant}: ${item.reason}`);
+        throw new Error(`${missing.length} variant(s) have no layer image (strict mapping):\n  - ${list.join('\n  - ')}`);
+      }
+      this.mappingChecked = true;
+    }
+    return this.layers;
+  }
+
+  // [{ name, trait, selectedElement, draw, parts? }] for the result's variants, sorted into draw order;
+  // multi-part elements get one { part, path, draw } entry per image file
+  mapLayers(generationResult) {
+    if (!this.engine) {
+      throw new Error('ImageCompositor needs a RarityEngine to map variants to layers');
+    }
+
+    const mapped = this.engine
+      .mapVariantsToLayers(generationResult.variants, this.getLayers(), { strict: this.strictMapping })
+      .map((layer, index) => {
+        const { trait, variant } = generationResult.variants[index];
+        const element = layer.selectedElement;
+        const mappedLayer = { ...layer, trait, draw: this.getDrawOptions(trait, variant, element) };
+        if (element.parts) {
+          mappedLayer.parts = element.parts.map(part => ({
+            ...part,
+            draw: this.getDrawOptions(trait, variant, part, part.part)
+          }));
+        }
+        return mappedLayer;
+      });
+
+    return this.sortLayers(mapped);
+  }
+
+  // Trait "render" options, then filename options, then the variant's own "render" options,
+  // then for one part of a multi-part variant its "render.parts.<part>" options
+  getDrawOptions(traitName, variant, element, part = null) {
+    const trait = this.engine.config.traits.find(t => t.trait === traitName) || {};
+    const variantRender = variant.render || {};
+    return LayerOptions.resolve(
+      [trait.render, element.options, variantRender, part !== null && variantRender.parts && variantRender.parts[part]],
+      `Layer ${element.filename || variant.name}`
+    );
+  }
+
+  // Entries of layerOrder may name the trait ("hat") or the layer folder ("06_Hat")
+  sortLayers(mappedLayers) {
+    if (!this.layerOrder) return mappedLayers;
+
+    const position = layer => {
+      const index = this.layerOrder.findIndex(name => {
+        const key = String(name).toLowerCase();
+        return key === String(layer.trait).toLowerCase() || key === layer.name.toLowerCase();
+      });
+      return index === -1 ? this.layerOrder.length : index;
+    };
+
+    // Array#sort is stable, so unlisted layers keep their relative order on top
+    return [...mappedLayers].sort((a, b) => position(a) - position(b));
+  }
+
+  // Frame sequences shorter than the animation loop wrap around; static layers show in every frame.
+  // Map keeps insertion order, so re-inserting on every hit makes the first key the least recently used.
+  async loadLayerImage(element, frame = 0) {
+    const imagePath = element.frames ? element.frames[frame % element.frames.length] : element.path;
+    if (this.imageCache.has(imagePath)) {
+      const cached = this.imageCache.get(imagePath);
+      this.imageCache.delete(imagePath);
+      this.imageCache.set(imagePath, cached);
+      return cached;
+    }
+
+    const image = await loadImage(imagePath);
+    if (this.cacheImages) {
+      this.imageCache.set(imagePath, image);
+      if (this.imageCache.size > this.maxCachedImages) {
+        this.imageCache.delete(this.imageCache.keys().next().value);
+      }
+    }
+    return image;
+  }
+
+  // Draw already-mapped layers ({ selectedElement, draw }) bottom to top, at one animation frame.
+  // Layers without resolved draw options (legacy DNA path) use their filename options.
+  async compose(mappedLayers, frame = 0) {
+    const drawables = this.orderByZIndex(mappedLayers.map(layer => this.getDrawables(layer)));
+    const images = await Promise.all(drawables.map(drawable => this.loadLayerImage(drawable.file, frame)));
+
+    this.ctx.clearRect(0, 0, this.width, this.height);
+    images.forEach((image, index) => {
+      this.drawLayer(image, drawables[index].draw);
+    });
+
+    return this.canvas;
+  }
+
+  // [{ file, draw, trait }] with one entry per image file of the layer's element
+  getDrawables(layer) {
+    const element = layer.selectedElement;
+    const trait = layer.trait || layer.name;
+    const fromFilename = file => LayerOptions.resolve([file.options], `Layer ${file.filename}`);
+
+    if (layer.parts) {
+      return layer.parts.map(part => ({ file: part, draw: part.draw, trait }));
+    }
+    if (element.parts) {
+      return element.parts.map(part => ({ file: part, draw: fromFilename(part), trait }));
+    }
+    return [{ file: element, draw: layer.draw || fromFilename(element), trait }];
+  }
+
+  // Longest frame sequence among the layers; 1 for a still image
+  countFrames(mappedLayers) {
+    return mappedLayers
+      .map(layer => this.getDrawables(layer))
+      .reduce((all, drawables) => all.concat(drawables), [])
+      .reduce((count, drawable) => Math.max(count, drawable.file.frames ? drawable.file.frames.length : 1), 1);
+  }
+
+  // Without zIndex, every image of a layer sits at the layer's position in the list (0, 1, 2, ...);
+  // ties keep list order
+  orderByZIndex(drawablesPerLayer) {
+    return drawablesPerLayer
+      .map((drawables, index) => drawables.map(drawable => ({
+        drawable,
+        z: drawable.draw.zIndex !== null ? drawable.draw.zIndex : index
+      })))
+      .reduce((all, entries) => all.concat(entries), [])
+      .sort((a, b) => a.z - b.z)
+      .map(entry => entry.drawable);
+  }
+
+  // Scaling keeps the layer centred on the canvas; x/y then shift it in pixels
+  drawLayer(image, draw) {
+    const width = this.width * draw.scale;
+    const height = this.height * draw.scale;
+
+    this.ctx.save();
+    this.ctx.globalCompositeOperation = draw.blend;
+    this.ctx.globalAlpha = draw.opacity;
+    this.ctx.drawImage(
+      image,
+      (this.width - width) / 2 + draw.x,
+      (this.height - height) / 2 + draw.y,
+      width,
+      height
+    );
+    this.ctx.restore();
+  }
+
+  // Composite one generation result; returns the canvas and the layers that were drawn
+  async render(generationResult) {
+    const layers = this.mapLayers(generationResult);
+    const canvas = await this.compose(layers);
+    return { canvas, layers };
+  }
+
+  // Plain-data description of one token's image, e.g. for RenderPool workers that have no engine.
+  // Animated tokens carry the resolved animation settings, so workers need no config.
+  createRenderSpec(tokenId, generationResult) {
+    const layers = this.mapLayers(generationResult).map(layer => ({
+      name: layer.name,
+      trait: layer.trait,
+      selectedElement: layer.selectedElement,
+      draw: layer.draw,
+      ...(layer.parts ? { parts: layer.parts } : {})
+    }));
+    const frameCount = this.countFrames(layers);
+
+    return {
+      tokenId,
+      layers,
+      frameCount,
+      animation: frameCount > 1 ? this.getAnimationSettings() : null,
+      svg: this.svg,
+      exports: this.exports
+    };
+  }
+
+  // MP4 is dropped (with one warning) when ffmpeg is not installed
+  getAnimationSettings() {
+    if (!this.animationSettings) {
+      const { fps, loop, formats, ffmpegPath } = this.animation;
+      const available = formats.filter(format => format !== 'mp4' || AnimationEncoder.hasFfmpeg(ffmpegPath));
+      if (available.length < formats.length) {
+        console.warn('⚠️  ffmpeg not found (install it or set FFMPEG_PATH); animated tokens are written without MP4');
+      }
+      this.animationSettings = { fps, loop, formats: available, ffmpegPath };
+    }
+    return this.animationSettings;
+  }
+
+  // Files for a spec's metadata: { image, animation, exports } where image/animation are extensions
+  // (animation is null for still tokens) and exports maps metadata fields to derived files
+  getMedia(spec) {
+    const formats = spec.animation ? spec.animation.formats : [];
+    return {
+      image: ['gif', 'webp'].find(format => formats.includes(format)) || 'png',
+      animation: formats.includes('mp4') ? 'mp4' : null,
+      exports: ImageExports.getMetadataFiles(spec.exports || [], spec.tokenId)
+    };
+  }
+
+  async renderToBuffer(generationResult) {
+    const { canvas, layers } = await this.render(generationResult);
+    return { buffer: canvas.toBuffer('image/png'), layers };
+  }
+
+  async renderToFile(tokenId, generationResult, outputDir) {
+    const spec = this.createRenderSpec(tokenId, generationResult);
+    const imagePath = await this.renderSpecToFile(spec, outputDir);
+    return { path: imagePath, layers: spec.layers };
+  }
+
+  // Output depends only on the spec, so a token renders identically on any worker.
+  // Animated tokens also get one file per animation format; the PNG and exports show their first frame.
+  async renderSpecToFile(spec, outputDir) {
+    const canvas = await this.compose(spec.layers);
+    const imagePath = path.join(outputDir, `${spec.tokenId}.png`);
+    fs.writeFileSync(imagePath, canvas.toBuffer('image/png'));
+
+    if (spec.exports && spec.exports.length > 0) {
+      await ImageExports.write(canvas, spec.tokenId, outputDir, spec.exports);
+    }
+
+    if (spec.animation) {
+      await this.renderAnimation(spec, outputDir);
+    }
+    if (spec.svg) {
+      fs.writeFileSync(path.join(outputDir, `${spec.tokenId}.svg`), this.renderSvg(spec));
+    }
+    return imagePath;
+  }
+
+  // Same layers, order and draw options as the PNG; frame sequences contribute their first frame
+  renderSvg(spec) {
+    if (!this.svgComposer) {
+      this.svgComposer = new SvgComposer({ width: this.width, height: this.height });
+    }
+    const drawables = this.orderByZIndex(spec.layers.map(layer => this.getDrawables(layer)));
+    return this.svgComposer.compose(drawables);
+  }
+
+  // Expects frame 0 on the canvas already (renderSpecToFile just drew it)
+  async renderAnimation(spec, outputDir) {
+    const captureFrame = () => Buffer.from(this.ctx.getImageData(0, 0, this.width, this.height).data);
+    const frames = [captureFrame()];
+    for (let frame = 1; frame < spec.frameCount; frame++) {
+      await this.compose(spec.layers, frame);
+      frames.push(captureFrame());
+    }
+
+    const settings = { width: this.width, height: this.height, ...spec.animation };
+    const outputPath = format => path.join(outputDir, `${spec.tokenId}.${format}`);
+    const formats = spec.animation.formats;
+
+    if (formats.includes('gif')) AnimationEncoder.encodeGif(frames, outputPath('gif'), settings);
+    if (formats.includes('webp')) await AnimationEncoder.encodeWebp(frames, outputPath('webp'), settings);
+    if (formats.includes('mp4')) await AnimationEncoder.encodeMp4(frames, outputPath('mp4'), settings);
+  }
+}
+
+module.exports = ImageCompositor;
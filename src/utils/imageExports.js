@@ -0,0 +1,112 @@
+// Derived sizes and formats written next to each token's full-size PNG
+// "render.exports": [{ name, width, format, quality, metadataField }] -> {imagesDir}/{name}/{tokenId}.{ext}
+// An export without width keeps the full size; metadataField names the extended metadata field
+// (e.g. "image_thumbnail") that links to it.
+
+const fs = require('fs');
+const path = require('path');
+
+// Format -> file extension
+const EXPORT_FORMATS = { png: 'png', jpeg: 'jpg', webp: 'webp' };
+const DEFAULT_QUALITY = 90;
+
+class ImageExports {
+  static validate(exports) {
+    if (!Array.isArray(exports)) {
+      return [`render.exports must be a list of { name, width, format, quality }`];
+    }
+
+    const errors = [];
+    const names = new Set();
+    exports.forEach((exportSpec, index) => {
+      const label = `render.exports[${index}]`;
+      if (!exportSpec || typeof exportSpec !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+      if (typeof exportSpec.name !== 'string' || !/^[\w-]+$/.test(exportSpec.name)) {
+        errors.push(`${label}.name must be a folder name (letters, digits, _ or -)`);
+      } else if (names.has(exportSpec.name)) {
+        errors.push(`${label}.name "${exportSpec.name}" is used twice`);
+      }
+      names.add(exportSpec.name);
+
+      if (exportSpec.width !== undefined && exportSpec.width !== null &&
+          !(Number.isInteger(exportSpec.width) && exportSpec.width > 0)) {
+        errors.push(`${label}.width must be a positive number of pixels (found ${exportSpec.width})`);
+      }
+      if (!EXPORT_FORMATS[exportSpec.format]) {
+        errors.push(`${label}.format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')} (found ${exportSpec.format})`);
+      }
+      if (exportSpec.quality !== undefined && !(exportSpec.quality >= 1 && exportSpec.quality <= 100)) {
+        errors.push(`${label}.quality must be between 1 and 100 (found ${exportSpec.quality})`);
+      }
+      if (exportSpec.metadataField !== undefined && typeof exportSpec.metadataField !== 'string') {
+        errors.push(`${label}.metadataField must be a metadata field name`);
+      }
+    });
+    return errors;
+  }
+
+  // Path relative to the images directory, also used in metadata URLs
+  static getFileName(exportSpec, tokenId) {
+    return `${exportSpec.name}/${tokenId}.${EXPORT_FORMATS[exportSpec.format]}`;
+  }
+
+  // { image_thumbnail: 'thumbnail/1.webp', ... } for the exports linked from metadata
+  static getMetadataFiles(exports, tokenId) {
+    return exports
+      .filter(exportSpec => exportSpec.metadataField)
+      .reduce((files, exportSpec) => ({
+        ...files,
+        [exportSpec.metadataField]: this.getFileName(exportSpec, tokenId)
+      }), {});
+  }
+
+  static async write(sourceCanvas, tokenId, outputDir, exports) {
+    for (const exportSpec of exports) {
+      const filePath = path.join(outputDir, this.getFileName(exportSpec, tokenId));
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      await this.writeExport(this.resize(sourceCanvas, exportSpec), filePath, exportSpec);
+    }
+  }
+
+  // Keeps the aspect ratio; JPEG has no alpha, so transparent areas become white
+  static resize(sourceCanvas, exportSpec) {
+    const { createCanvas } = require('canvas');
+    const width = exportSpec.width || sourceCanvas.width;
+    const height = Math.round(sourceCanvas.height * width / sourceCanvas.width);
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    if (exportSpec.format === 'jpeg') {
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(sourceCanvas, 0, 0, width, height);
+    return canvas;
+  }
+
+  static async writeExport(canvas, filePath, exportSpec) {
+    const quality = exportSpec.quality || DEFAULT_QUALITY;
+
+    if (exportSpec.format === 'png') {
+      fs.writeFileSync(filePath, canvas.toBuffer('image/png'));
+    } else if (exportSpec.format === 'jpeg') {
+      fs.writeFileSync(filePath, canvas.toBuffer('image/jpeg', { quality: quality / 100 }));
+    } else {
+      // node canvas cannot encode WebP; libwebp from node-webpmux does
+      const WebP = require('node-webpmux');
+      await WebP.Image.initLib();
+      const image = await WebP.Image.getEmptyImage();
+      const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+      await image.setImageData(Buffer.from(data), { width: canvas.width, height: canvas.height, quality });
+      await image.save(filePath);
+    }
+  }
+}
+
+ImageExports.EXPORT_FORMATS = EXPORT_FORMATS;
+
+module.exports = ImageExports;
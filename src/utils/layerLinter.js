@@ -0,0 +1,341 @@
+// Layer asset linter
+// Walks a layers directory and reports every asset problem at once, before a render trips over one:
+// canvas size, transparency, bit depth, colour profile, duplicate files, naming and "$weight" suffixes
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const LayerOptions = require('./layerOptions');
+const LayerScanner = require('./layerScanner');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const HIDDEN_FILE = /(^|\/)\.[^/.]/;
+const IMAGE_FILE = /\.(png|svg)$/i;
+// Letters, digits, underscores and spaces, then optional $weight, ?options and #part
+const ELEMENT_NAME = /^[\w ]+$/;
+// Layers that are meant to cover the whole canvas
+const BACKGROUND_LAYER = /background|^\d*_?bg$/i;
+
+// PNG colour types: 0 gray, 2 RGB, 3 palette, 4 gray + alpha, 6 RGBA
+const COLOR_TYPE_NAMES = { 0: 'grayscale', 2: 'RGB', 3: 'palette', 4: 'grayscale + alpha', 6: 'RGBA' };
+
+class LayerLinter {
+  // options: { width, height } expected canvas size (from config), backgroundLayers (names exempt from transparency checks)
+  static lintDirectory(layersDir, options = {}) {
+    const issues = [];
+    const report = { layersDir, width: options.width, height: options.height, layers: 0, files: 0, issues };
+
+    if (!fs.existsSync(layersDir)) {
+      issues.push(this.error(layersDir, 'Layers directory not found', 'Create it with one folder per trait, or pass --layers=PATH'));
+      return report;
+    }
+
+    const hashes = new Map();
+    fs.readdirSync(layersDir)
+      .filter(item => !HIDDEN_FILE.test(item))
+      .forEach(folder => {
+        const folderPath = path.join(layersDir, folder);
+        if (!fs.statSync(folderPath).isDirectory()) {
+          issues.push(this.warning(folderPath, 'File outside a trait folder is ignored', 'Move it into a trait folder or delete it'));
+          return;
+        }
+
+        report.layers++;
+        if (folder.includes('-')) {
+          issues.push(this.error(folderPath, 'Folder name contains a dash', `Rename to ${folder.replace(/-/g, '_')}`));
+        }
+        const isBackground = (options.backgroundLayers || []).includes(folder) || BACKGROUND_LAYER.test(folder);
+        this.lintFolder(folderPath, { ...options, isBackground }, issues, hashes, report);
+      });
+
+    if (report.layers === 0) {
+      issues.push(this.error(layersDir, 'No trait folders found', 'Add one folder per trait, e.g. layers/01_Socks/Socks_01.png'));
+    }
+
+    hashes.forEach(paths => {
+      if (paths.length > 1) {
+        issues.push(this.warning(
+          paths[0],
+          `Identical image also at ${paths.slice(1).join(', ')}`,
+          'Delete the copies, or change one if they are meant to be different variants'
+        ));
+      }
+    });
+
+    return report;
+  }
+
+  static lintFolder(folderPath, options, issues, hashes, report) {
+    const items = fs.readdirSync(folderPath).filter(item => !HIDDEN_FILE.test(item));
+    if (items.length === 0) {
+      issues.push(this.error(folderPath, 'Trait folder is empty', 'Add at least one variant image'));
+    }
+
+    items.forEach(item => {
+      const itemPath = path.join(folderPath, item);
+      const isSequence = fs.statSync(itemPath).isDirectory();
+      this.lintName(itemPath, item, isSequence, issues);
+
+      if (isSequence) {
+        const frames = fs.readdirSync(itemPath).filter(frame => !HIDDEN_FILE.test(frame));
+        if (frames.length === 0) {
+          issues.push(this.error(itemPath, 'Frame sequence folder is empty', 'Add numbered frames: 1.png, 2.png, ...'));
+        }
+        frames.forEach(frame => {
+          if (isNaN(parseInt(frame))) {
+            issues.push(this.warning(path.join(itemPath, frame), 'Frame file name does not start with a number', 'Name frames 1.png, 2.png, ... so they play in order'));
+          }
+          this.lintFile(path.join(itemPath, frame), options, issues, hashes, report);
+        });
+      } else {
+        this.lintFile(itemPath, options, issues, hashes, report);
+      }
+    });
+  }
+
+  // Element names become metadata values and legacy DNA strings: Name[$weight][?options][#part].png
+  static lintName(itemPath, item, isSequence, issues) {
+    if (!isSequence && !IMAGE_FILE.test(item)) return;
+
+    if (item.includes('-')) {
+      issues.push(this.error(itemPath, 'File name contains a dash (dashes separate layers in DNA strings)', `Rename to ${item.replace(/-/g, '_')}`));
+    }
+
+    const base = LayerScanner.baseName(item, isSequence);
+    const [nameAndWeight, part] = base.split('#');
+    const [name, ...weights] = nameAndWeight.split('$');
+
+    if (!item.includes('-') && !ELEMENT_NAME.test(name)) {
+      issues.push(this.warning(itemPath, `Element name "${name}" has characters other than letters, digits, _ and spaces`, 'Use names like Hat_01'));
+    }
+    if (weights.length > 1) {
+      issues.push(this.error(itemPath, 'More than one "$" weight suffix', `Keep one, e.g. ${name}$${weights[weights.length - 1]}`));
+    } else if (weights.length === 1) {
+      const weight = Number(weights[0]);
+      if (weights[0] === '' || isNaN(weight)) {
+        issues.push(this.error(itemPath, `Weight "$${weights[0]}" is not a number, so it silently becomes 1`, `Use a number, e.g. ${name}$5`));
+      } else if (weight <= 0) {
+        issues.push(this.warning(itemPath, `Weight ${weight} means the element is never picked by the weighted generator`, 'Use a positive weight or remove the file'));
+      }
+    }
+    if (part !== undefined && !/^\w+$/.test(part)) {
+      issues.push(this.error(itemPath, `Part name "#${part}" must be letters, digits or _`, 'Use e.g. #back and #front'));
+    }
+
+    LayerOptions.validate(LayerOptions.parseFilename(item, !isSequence), 'Options', true).forEach(message => {
+      issues.push(this.error(itemPath, message, 'Fix the ?option=value part of the file name'));
+    });
+  }
+
+  static lintFile(filePath, options, issues, hashes, report) {
+    if (!IMAGE_FILE.test(filePath)) {
+      issues.push(this.error(filePath, 'Unsupported file type', 'Export layers as PNG or SVG'));
+      return;
+    }
+
+    report.files++;
+    const buffer = fs.readFileSync(filePath);
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    hashes.set(hash, [...(hashes.get(hash) || []), filePath]);
+
+    if (/\.svg$/i.test(filePath)) {
+      this.lintSvg(filePath, buffer.toString('utf8'), options, issues);
+    } else {
+      this.lintPng(filePath, buffer, options, issues);
+    }
+  }
+
+  static lintPng(filePath, buffer, options, issues) {
+    let png;
+    try {
+      png = this.readPng(buffer);
+    } catch (error) {
+      issues.push(this.error(filePath, error.message, 'Re-export the file as an RGBA PNG'));
+      return;
+    }
+
+    this.checkSize(filePath, png.width, png.height, options, issues);
+
+    if (png.bitDepth === 16) {
+      issues.push(this.warning(filePath, '16-bit PNG (8 bits per channel is enough and renders faster)', 'Re-export as 8-bit RGBA'));
+    }
+    if (png.colorType === 0 || png.colorType === 4) {
+      issues.push(this.warning(filePath, `${COLOR_TYPE_NAMES[png.colorType]} PNG`, 'Re-export as RGBA'));
+    }
+    if (png.colorSpace && png.colorSpace !== 'RGB') {
+      issues.push(this.error(filePath, `Embedded ${png.colorSpace} colour profile (${png.profileName})`, 'Convert to sRGB before exporting'));
+    } else if (png.profileName && !/srgb/i.test(png.profileName)) {
+      issues.push(this.warning(filePath, `Embedded colour profile "${png.profileName}" is not sRGB, so colours may shift`, 'Convert to sRGB before exporting'));
+    }
+
+    if (options.isBackground) return;
+    const hasAlpha = png.colorType === 4 || png.colorType === 6 || png.hasTransparency;
+    if (!hasAlpha) {
+      issues.push(this.error(filePath, `No transparency (${COLOR_TYPE_NAMES[png.colorType]}), so it hides every layer below`, 'Re-export as RGBA with a transparent background'));
+    } else if (this.isFullyOpaque(png) === true) {
+      issues.push(this.warning(filePath, 'Every pixel is opaque, so it hides every layer below', 'Remove the background, or name the folder "Background" if that is intended'));
+    }
+  }
+
+  static lintSvg(filePath, source, options, issues) {
+    const root = source.match(/<svg\b([^>]*)>/i);
+    if (!root) {
+      issues.push(this.error(filePath, 'Not an SVG document', 'Re-export the file as SVG'));
+      return;
+    }
+
+    const viewBox = root[1].match(/viewBox\s*=\s*["']([^"']+)["']/);
+    const width = root[1].match(/\swidth\s*=\s*["']([\d.]+)/);
+    const height = root[1].match(/\sheight\s*=\s*["']([\d.]+)/);
+    if (viewBox) {
+      const [, , boxWidth, boxHeight] = viewBox[1].trim().split(/[\s,]+/).map(Number);
+      this.checkAspectRatio(filePath, boxWidth, boxHeight, options, issues);
+    } else if (width && height) {
+      this.checkAspectRatio(filePath, Number(width[1]), Number(height[1]), options, issues);
+    } else {
+      issues.push(this.warning(filePath, 'SVG has no viewBox or width/height', `Add viewBox="0 0 ${options.width || 1024} ${options.height || 1024}"`));
+    }
+  }
+
+  static checkSize(filePath, width, height, options, issues) {
+    if (!options.width || !options.height) return;
+    if (width !== options.width || height !== options.height) {
+      issues.push(this.error(filePath, `Image is ${width}x${height}, canvas is ${options.width}x${options.height}`, `Resize or re-export at ${options.width}x${options.height}`));
+    }
+  }
+
+  // SVGs scale to the canvas, so only a different shape is a problem
+  static checkAspectRatio(filePath, width, height, options, issues) {
+    if (!options.width || !options.height || !(width > 0) || !(height > 0)) return;
+    if (Math.abs(width / height - options.width / options.height) > 0.01) {
+      issues.push(this.error(filePath, `SVG is ${width}x${height}, which stretches on a ${options.width}x${options.height} canvas`, `Use viewBox="0 0 ${options.width} ${options.height}"`));
+    }
+  }
+
+  // Header fields and the chunks the checks need; throws on anything that is not a PNG
+  static readPng(buffer) {
+    if (buffer.length < 33 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+      const jpeg = buffer[0] === 0xff && buffer[1] === 0xd8;
+      throw new Error(jpeg ? 'File is a JPEG with a .png extension' : 'Not a valid PNG file');
+    }
+
+    const png = { idat: [], hasTransparency: false, profileName: null, colorSpace: null };
+    let offset = 8;
+    while (offset + 8 <= buffer.length) {
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.toString('ascii', offset + 4, offset + 8);
+      const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+      if (type === 'IHDR') {
+        png.width = data.readUInt32BE(0);
+        png.height = data.readUInt32BE(4);
+        png.bitDepth = data[8];
+        png.colorType = data[9];
+        png.interlace = data[12];
+      } else if (type === 'tRNS') {
+        png.hasTransparency = true;
+      } else if (type === 'iCCP') {
+        const nameEnd = data.indexOf(0);
+        png.profileName = data.toString('latin1', 0, nameEnd);
+        try {
+          // ICC header: colour space signature at byte 16 ("RGB ", "CMYK", "GRAY")
+          const profile = zlib.inflateSync(data.subarray(nameEnd + 2));
+          png.colorSpace = profile.toString('ascii', 16, 20).trim();
+        } catch (error) {
+          png.colorSpace = null;
+        }
+      } else if (type === 'IDAT') {
+        png.idat.push(data);
+      } else if (type === 'IEND') {
+        break;
+      }
+      offset += 12 + length;
+    }
+
+    if (png.width === undefined) {
+      throw new Error('PNG has no IHDR header');
+    }
+    return png;
+  }
+
+  // true when every pixel of an 8-bit RGBA or gray + alpha PNG is opaque; null when not checked
+  static isFullyOpaque(png) {
+    const channels = png.colorType === 6 ? 4 : png.colorType === 4 ? 2 : 0;
+    if (!channels || png.bitDepth !== 8 || png.interlace !== 0) return null;
+
+    let data;
+    try {
+      data = zlib.inflateSync(Buffer.concat(png.idat));
+    } catch (error) {
+      return null;
+    }
+
+    // Undo the per-row filters (PNG spec section 9) and stop at the first transparent pixel
+    const stride = png.width * channels;
+    let previous = Buffer.alloc(stride);
+    let row = Buffer.alloc(stride);
+    for (let y = 0; y < png.height; y++) {
+      const start = y * (stride + 1);
+      const filter = data[start];
+      for (let i = 0; i < stride; i++) {
+        const raw = data[start + 1 + i];
+        const left = i >= channels ? row[i - channels] : 0;
+        const up = previous[i];
+        const upLeft = i >= channels ? previous[i - channels] : 0;
+        let predictor = 0;
+        if (filter === 1) predictor = left;
+        else if (filter === 2) predictor = up;
+        else if (filter === 3) predictor = (left + up) >> 1;
+        else if (filter === 4) {
+          const estimate = left + up - upLeft;
+          const distanceLeft = Math.abs(estimate - left);
+          const distanceUp = Math.abs(estimate - up);
+          const distanceUpLeft = Math.abs(estimate - upLeft);
+          predictor = distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft ? left
+            : distanceUp <= distanceUpLeft ? up : upLeft;
+        }
+        row[i] = (raw + predictor) & 0xff;
+        if (i % channels === channels - 1 && row[i] < 255) return false;
+      }
+      [previous, row] = [row, previous];
+    }
+    return true;
+  }
+
+  static error(filePath, message, fix) {
+    return { severity: 'error', path: filePath, message, fix };
+  }
+
+  static warning(filePath, message, fix) {
+    return { severity: 'warning', path: filePath, message, fix };
+  }
+
+  static logReport(report) {
+    console.log('=== Layer Asset Lint ===');
+    console.log(`Layers: ${report.layersDir} (${report.layers} trait folders, ${report.files} images)`);
+    if (report.width && report.height) {
+      console.log(`Canvas: ${report.width}x${report.height}`);
+    }
+
+    const errors = report.issues.filter(issue => issue.severity === 'error');
+    const warnings = report.issues.filter(issue => issue.severity === 'warning');
+    const logIssue = (icon, issue) => {
+      console.log(`  ${icon} ${issue.path}: ${issue.message}`);
+      console.log(`     → ${issue.fix}`);
+    };
+
+    if (warnings.length > 0) {
+      console.log(`\nWarnings (${warnings.length}):`);
+      warnings.forEach(issue => logIssue('⚠️ ', issue));
+    }
+    if (errors.length > 0) {
+      console.log(`\nErrors (${errors.length}):`);
+      errors.forEach(issue => logIssue('❌', issue));
+    }
+
+    console.log(errors.length === 0 ? '\n✅ Layers are ready to render' : '\n❌ Fix the errors above before rendering');
+  }
+}
+
+module.exports = LayerLinter;
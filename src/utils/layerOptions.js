@@ -0,0 +1,113 @@
+// Per-layer draw options: blend mode, opacity, x/y offset, scale and z-order
+// Declared on a trait or variant in rarity config ("render": { "blend": "multiply", "opacity": 0.8 })
+// or in a layer filename query string, like the legacy bypassDNA option: Shadow_01?blend=multiply&opacity=0.5.png
+
+// Blend names accepted in config and filenames -> canvas globalCompositeOperation
+const BLEND_MODES = {
+  'normal': 'source-over',
+  'source-over': 'source-over',
+  'multiply': 'multiply',
+  'screen': 'screen',
+  'overlay': 'overlay',
+  'darken': 'darken',
+  'lighten': 'lighten',
+  'color-dodge': 'color-dodge',
+  'color-burn': 'color-burn',
+  'hard-light': 'hard-light',
+  'soft-light': 'soft-light',
+  'difference': 'difference',
+  'exclusion': 'exclusion',
+  'hue': 'hue',
+  'saturation': 'saturation',
+  'color': 'color',
+  'luminosity': 'luminosity'
+};
+
+const DRAW_KEYS = ['blend', 'opacity', 'x', 'y', 'scale', 'zIndex'];
+
+class LayerOptions {
+  // "Hat_01$5?blend=multiply&opacity=0.5.png" -> { blend: 'multiply', opacity: '0.5' }
+  // Frame-sequence folders ("Hat_01?opacity=0.5") have no extension to strip
+  static parseFilename(filename, hasExtension = true) {
+    const nameWithoutExtension = hasExtension ? filename.replace(/\.[a-z]+$/i, '') : filename;
+    const queryIndex = nameWithoutExtension.indexOf('?');
+    if (queryIndex === -1) return {};
+
+    return nameWithoutExtension
+      .slice(queryIndex + 1)
+      .split('&')
+      .filter(Boolean)
+      .reduce((options, setting) => {
+        const [key, value] = setting.split('=');
+        return { ...options, [key]: value === undefined ? 'true' : value };
+      }, {});
+  }
+
+  // Errors for one options object; config sources reject unknown keys, filenames may carry others (bypassDNA)
+  static validate(options, label, allowUnknown = false) {
+    const errors = [];
+    if (!options || typeof options !== 'object') {
+      return [`${label}: render options must be an object`];
+    }
+
+    Object.keys(options).forEach(key => {
+      const value = options[key];
+      if (key === 'blend') {
+        if (!BLEND_MODES[value]) {
+          errors.push(`${label}: unknown blend mode "${value}" (expected ${Object.keys(BLEND_MODES).join(', ')})`);
+        }
+      } else if (key === 'opacity') {
+        const opacity = Number(value);
+        if (isNaN(opacity) || opacity < 0 || opacity > 1) {
+          errors.push(`${label}: opacity must be between 0 and 1 (found ${value})`);
+        }
+      } else if (key === 'x' || key === 'y') {
+        if (isNaN(Number(value))) {
+          errors.push(`${label}: ${key} offset must be a number (found ${value})`);
+        }
+      } else if (key === 'scale') {
+        if (!(Number(value) > 0)) {
+          errors.push(`${label}: scale must be a positive number (found ${value})`);
+        }
+      } else if (key === 'zIndex') {
+        if (value !== null && !isFinite(Number(value))) {
+          errors.push(`${label}: zIndex must be a number (found ${value})`);
+        }
+      } else if (!allowUnknown) {
+        errors.push(`${label}: unknown render option "${key}" (expected ${DRAW_KEYS.join(', ')})`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Merge sources from least to most specific into { blend, opacity, x, y, scale, zIndex } ready for canvas.
+  // zIndex stays null when no source sets it, so the layer keeps its position in the draw order.
+  static resolve(sources, label = 'Layer') {
+    const merged = { blend: 'normal', opacity: 1, x: 0, y: 0, scale: 1, zIndex: null };
+    sources.filter(Boolean).forEach(source => {
+      DRAW_KEYS.forEach(key => {
+        if (source[key] !== undefined) merged[key] = source[key];
+      });
+    });
+
+    const errors = this.validate(merged, label);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    return {
+      blend: BLEND_MODES[merged.blend],
+      opacity: Number(merged.opacity),
+      x: Number(merged.x),
+      y: Number(merged.y),
+      scale: Number(merged.scale),
+      zIndex: merged.zIndex === null ? null : Number(merged.zIndex)
+    };
+  }
+}
+
+LayerOptions.BLEND_MODES = BLEND_MODES;
+LayerOptions.DRAW_KEYS = DRAW_KEYS;
+
+module.exports = LayerOptions;
@@ -0,0 +1,123 @@
+// Layer directory scanner shared by the desktop app, CLI and Lambda
+// A layers directory holds one folder per trait; each file in a folder is one element:
+//   layers/01_Socks/Socks_01.png      -> element "Socks_01", weight 1
+//   layers/01_Socks/Socks_02$5.png    -> element "Socks_02", weight 5 (legacy weighted generator)
+//   layers/07_Shadow/Shadow_01?blend=multiply&opacity=0.5.png -> draw options (see layerOptions.js)
+//   layers/05_Collar/Collar_01#back?zIndex=2.5.png + Collar_01#front.png -> one element "Collar_01"
+//     drawn from two image parts, each with its own draw options
+//   layers/06_Hat/Hat_01/0001.png, 0002.png, ... -> element "Hat_01" animated from a frame sequence
+//   layers/06_Hat/Hat_02.svg                 -> vector element, rasterized for PNGs and kept as-is in SVG output
+
+const fs = require('fs');
+const path = require('path');
+const LayerOptions = require('./layerOptions');
+
+// Hidden files such as .DS_Store are not layers or elements
+const HIDDEN_FILE = /(^|\/)\.[^/.]/;
+const IMAGE_FILE = /\.(png|svg)$/i;
+
+class LayerScanner {
+  // [{ id, name, elements: [{ id, name, filename, path, weight, options, parts?, frames? }] }] in directory order
+  static scanLayers(layersDir) {
+    if (!fs.existsSync(layersDir)) {
+      throw new Error(`Layers directory not found: ${layersDir}`);
+    }
+
+    return fs
+      .readdirSync(layersDir)
+      .filter(item => !HIDDEN_FILE.test(item))
+      .filter(item => fs.statSync(path.join(layersDir, item)).isDirectory())
+      .map((folder, index) => ({
+        id: index + 1,
+        name: folder,
+        elements: this.getElements(path.join(layersDir, folder))
+      }));
+  }
+
+  // Files sharing a name with different "#part" suffixes become one element with a "parts" list;
+  // filename, path and options of a multi-part element are those of its first part
+  static getElements(layerPath) {
+    const elements = [];
+    fs
+      .readdirSync(layerPath)
+      .filter(item => !HIDDEN_FILE.test(item))
+      .forEach(filename => {
+        // Dashes separate layers in legacy DNA strings
+        if (filename.includes('-')) {
+          throw new Error(`Layer name can not contain dashes, please fix: ${filename}`);
+        }
+
+        const isSequence = fs.statSync(path.join(layerPath, filename)).isDirectory();
+        const name = this.cleanName(filename, isSequence);
+        const part = this.getPartName(filename, isSequence);
+        const file = {
+          filename,
+          path: `${layerPath}/${filename}`,
+          options: LayerOptions.parseFilename(filename, !isSequence)
+        };
+        if (isSequence) {
+          file.frames = this.getFrames(file.path);
+          file.path = file.frames[0];
+        }
+        const existing = part !== null ? elements.find(element => element.parts && element.name === name) : null;
+
+        if (existing) {
+          existing.parts.push({ part, ...file });
+          return;
+        }
+
+        elements.push({
+          id: elements.length,
+          name,
+          ...file,
+          weight: this.getRarityWeight(filename, isSequence),
+          ...(part !== null ? { parts: [{ part, ...file }] } : {})
+        });
+      });
+
+    elements.forEach(element => {
+      if (element.parts && elements.some(other => other !== element && other.name === element.name)) {
+        throw new Error(`Element ${element.name} in ${layerPath} has both a single image and "#part" images`);
+      }
+    });
+
+    return elements;
+  }
+
+  // Frame paths of a sequence folder in numeric order (1.png, 2.png, ..., 10.png)
+  static getFrames(sequencePath) {
+    const frames = fs
+      .readdirSync(sequencePath)
+      .filter(item => !HIDDEN_FILE.test(item) && IMAGE_FILE.test(item))
+      .sort((a, b) => (parseInt(a) - parseInt(b)) || a.localeCompare(b))
+      .map(item => `${sequencePath}/${item}`);
+
+    if (frames.length === 0) {
+      throw new Error(`Frame sequence has no PNG or SVG frames: ${sequencePath}`);
+    }
+    return frames;
+  }
+
+  // File name without extension (".png", ".svg") and "?option" query string
+  static baseName(filename, isSequence = false) {
+    return (isSequence ? filename : filename.replace(/\.[a-z]+$/i, '')).split('?').shift();
+  }
+
+  static cleanName(filename, isSequence = false) {
+    return this.baseName(filename, isSequence).split('#').shift().split('$').shift();
+  }
+
+  // "Collar_01#back.png" -> "back"; null for single-image elements
+  static getPartName(filename, isSequence = false) {
+    const [, part] = this.baseName(filename, isSequence).split('#');
+    return part === undefined ? null : part;
+  }
+
+  static getRarityWeight(filename, isSequence = false) {
+    const nameWithoutExtension = this.baseName(filename, isSequence).split('#').shift();
+    const weight = Number(nameWithoutExtension.split('$').pop());
+    return isNaN(weight) ? 1 : weight;
+  }
+}
+
+module.exports = LayerScanner;
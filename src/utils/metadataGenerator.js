@@ -1,33 +1,104 @@
 // Metadata Generation Utility
 // Generates OpenSea/Magic Eden compliant metadata from rarity engine output
 
+const MetadataTemplates = require('./metadataTemplates');
+
 class MetadataGenerator {
-  constructor(collectionName, collectionDescription, ipfsImageBasePath = null) {
+  constructor(collectionName, collectionDescription, ipfsImageBasePath = null, externalUrl = null) {
     this.collectionName = collectionName;
     this.collectionDescription = collectionDescription;
     this.ipfsImageBasePath = ipfsImageBasePath || 'ipfs://{IMAGES_CID}';
-    this.websiteBaseUrl = 'https://yourwebsite.com/nft';
+    this.websiteBaseUrl = `${(externalUrl || 'https://yourwebsite.com').replace(/\/$/, '')}/nft`;
+    // "collection" section of rarity-config.json, read by metadata profiles (symbol, creators, royalties)
+    this.collection = {};
+    // "metadata" section: name/description/externalUrl templates and extra attributes
+    this.templates = {};
+    // "tiers" section: tier names, score ranges and the quotas rarity ranks are derived from
+    this.tiers = [];
+  }
+
+  /**
+   * Create a generator from the "collection" section of rarity-config.json
+   * @param {object} config - Loaded rarity-config.json
+   * @param {string} ipfsImageBasePath - Image base path (default: ipfs://{IMAGES_CID})
+   * @returns {MetadataGenerator}
+   */
+  static fromConfig(config, ipfsImageBasePath = null) {
+    const collection = config.collection || {};
+    const generator = new MetadataGenerator(
+      collection.name || 'NFT Collection',
+      collection.description || 'A 10,000 piece collection with 9-tier rarity system',
+      ipfsImageBasePath,
+      collection.externalUrl
+    );
+    generator.collection = collection;
+    generator.templates = config.metadata || {};
+    generator.tiers = config.tiers || [];
+    return generator;
+  }
+
+  /**
+   * Rebuild the generation result behind a generated metadata file, so it can be
+   * written again in another profile; variants are found by name in the config
+   * @param {object} metadata - Generated token metadata (any profile with attributes)
+   * @param {object} config - The rarity-config.json the token was generated from
+   * @returns {object} { success, tierId, tierName, score, variants: [{ trait, variant }], dna }
+   */
+  static restoreGenerationResult(metadata, config) {
+    // Attributes from "metadata.attributes" templates are recomputed, not variants
+    const extraTraitTypes = new Set(((config.metadata || {}).attributes || []).map(spec => spec.trait_type));
+    const variants = (metadata.attributes || [])
+      .filter(attribute => !extraTraitTypes.has(attribute.trait_type))
+      .map(attribute => {
+        // The trait named by trait_type first, so traits sharing a variant name (e.g. "None") stay apart
+        const traitType = String(attribute.trait_type).toLowerCase();
+        const traits = [...config.traits].sort((a, b) =>
+          (b.trait.toLowerCase() === traitType) - (a.trait.toLowerCase() === traitType));
+        for (const trait of traits) {
+          const variant = trait.variants.find(item => item.name === attribute.value);
+          if (variant) return { trait: trait.trait, variant };
+        }
+        throw new Error(`Variant "${attribute.value}" (${attribute.trait_type}) is not in rarity-config.json`);
+      });
+    if (variants.length === 0) {
+      throw new Error('Metadata has no attributes to rebuild the token from');
+    }
+
+    const properties = metadata.properties || {};
+    const tierId = properties.overall_tier || (metadata.rarity_details || {}).tier_id || variants[0].variant.tier;
+    const tier = config.tiers.find(item => item.id === tierId) || {};
+    return {
+      success: true,
+      tierId,
+      tierName: tier.name || tierId,
+      score: variants.reduce((sum, item) => sum + item.variant.points, 0),
+      variants,
+      dna: metadata.dna || null
+    };
   }
 
   /**
    * Generate metadata for a single NFT
    * @param {number} tokenId - NFT token ID
    * @param {object} generationResult - Result from rarityEngine.generateNFT()
+   * @param {object} media - Rendered file types from ImageCompositor.getMedia() (default: PNG image only)
    * @returns {object} Metadata object compatible with OpenSea/Magic Eden
    */
-  generateMetadata(tokenId, generationResult) {
+  generateMetadata(tokenId, generationResult, media = {}) {
     if (!generationResult.success) {
       throw new Error(`Cannot generate metadata for failed generation: ${generationResult.error}`);
     }
 
-    const attributes = this.generateAttributes(generationResult);
+    const fields = this.renderTokenFields(tokenId, generationResult);
+    const attributes = [...this.generateAttributes(generationResult), ...fields.attributes];
     const overallScore = this.calculateOverallScore(generationResult);
 
     return {
-      name: `${this.collectionName} #${tokenId}`,
-      description: this.collectionDescription,
-      image: `${this.ipfsImageBasePath}/${tokenId}.png`,
-      external_url: `${this.websiteBaseUrl}/${tokenId}`,
+      name: fields.name,
+      description: fields.description,
+      ...this.getMediaFields(tokenId, media),
+      external_url: fields.external_url,
+      dna: generationResult.dna,
       attributes: attributes,
       properties: {
         overall_rarity_score: overallScore,
@@ -39,6 +110,75 @@ class MetadataGenerator {
     };
   }
 
+  /**
+   * Name, description, external_url and extra attributes of a token. Each comes from its
+   * "metadata" template when one is configured, else from the collection name and website
+   * @param {number} tokenId - NFT token ID
+   * @param {object} generationResult - Result from rarityEngine.generateNFT()
+   * @returns {object} { name, description, external_url, attributes }
+   */
+  renderTokenFields(tokenId, generationResult) {
+    const templates = this.templates;
+    const context = this.getTemplateContext(tokenId, generationResult);
+
+    return {
+      name: templates.name
+        ? MetadataTemplates.render(templates.name, context, 'text')
+        : `${this.collectionName} #${tokenId}`,
+      description: templates.description
+        ? MetadataTemplates.render(templates.description, context, 'markdown')
+        : this.collectionDescription,
+      external_url: templates.externalUrl
+        ? MetadataTemplates.render(templates.externalUrl, context, 'url')
+        : `${this.websiteBaseUrl}/${tokenId}`,
+      attributes: MetadataTemplates.renderAttributes(templates.attributes || [], context)
+    };
+  }
+
+  /**
+   * Variables available to "metadata" templates: built-ins plus each trait's
+   * variant name, tier and points (e.g. shirt, shirt_tier, shirt_points)
+   * @param {number} tokenId - NFT token ID
+   * @param {object} generationResult - Result from rarityEngine.generateNFT()
+   * @returns {object} Variable name -> value
+   */
+  getTemplateContext(tokenId, generationResult) {
+    const context = {
+      token_id: tokenId,
+      collection: this.collectionName,
+      symbol: this.collection.symbol || '',
+      tier: generationResult.tierId,
+      tier_name: generationResult.tierName,
+      tier_rank: this.getRarityRank(generationResult.tierId),
+      score: this.calculateOverallScore(generationResult),
+      percentile: this.estimatePercentile(generationResult.tierId),
+      trait_count: generationResult.variants.length,
+      dna: generationResult.dna || ''
+    };
+
+    generationResult.variants.forEach(item => {
+      const name = MetadataTemplates.getVariableName(item.trait);
+      context[name] = item.variant.name;
+      context[`${name}_tier`] = item.variant.tier;
+      context[`${name}_points`] = item.variant.points;
+    });
+    return context;
+  }
+
+  /**
+   * Image URL, plus animation_url when the token was rendered as an animation
+   * @param {number} tokenId - NFT token ID
+   * @param {object} media - { image: 'png' | 'gif' | 'webp', animation: 'mp4' | null }
+   * @returns {object} { image, animation_url? }
+   */
+  getMediaFields(tokenId, media = {}) {
+    const fields = { image: `${this.ipfsImageBasePath}/${tokenId}.${media.image || 'png'}` };
+    if (media.animation) {
+      fields.animation_url = `${this.ipfsImageBasePath}/${tokenId}.${media.animation}`;
+    }
+    return fields;
+  }
+
   /**
    * Generate OpenSea/Magic Eden compatible attributes
    * @param {object} generationResult - Result from rarityEngine.generateNFT()
@@ -67,20 +207,22 @@ class MetadataGenerator {
    * Use this for strict compliance
    * @param {number} tokenId - NFT token ID
    * @param {object} generationResult - Result from rarityEngine.generateNFT()
+   * @param {object} media - Rendered file types from ImageCompositor.getMedia() (default: PNG image only)
    * @returns {object} Minimal metadata object
    */
-  generateMetadataMinimal(tokenId, generationResult) {
+  generateMetadataMinimal(tokenId, generationResult, media = {}) {
+    const fields = this.renderTokenFields(tokenId, generationResult);
     const attributes = generationResult.variants.map(item => ({
       trait_type: this.capitalizeFirst(item.trait),
       value: item.variant.name
     }));
 
     return {
-      name: `${this.collectionName} #${tokenId}`,
-      description: this.collectionDescription,
-      image: `${this.ipfsImageBasePath}/${tokenId}.png`,
-      external_url: `${this.websiteBaseUrl}/${tokenId}`,
-      attributes: attributes
+      name: fields.name,
+      description: fields.description,
+      ...this.getMediaFields(tokenId, media),
+      external_url: fields.external_url,
+      attributes: [...attributes, ...fields.attributes]
     };
   }
 
@@ -89,10 +231,16 @@ class MetadataGenerator {
    * Use this for your website/dApp
    * @param {number} tokenId - NFT token ID
    * @param {object} generationResult - Result from rarityEngine.generateNFT()
+   * @param {object} media - Rendered files from ImageCompositor.getMedia() (default: PNG image only)
    * @returns {object} Extended metadata with detailed rarity info
    */
-  generateMetadataExtended(tokenId, generationResult) {
-    const baseMetadata = this.generateMetadata(tokenId, generationResult);
+  generateMetadataExtended(tokenId, generationResult, media = {}) {
+    const baseMetadata = this.generateMetadata(tokenId, generationResult, media);
+
+    // Derived sizes from render.exports, e.g. image_thumbnail and image_hd
+    Object.keys(media.exports || {}).forEach(field => {
+      baseMetadata[field] = `${this.ipfsImageBasePath}/${media.exports[field]}`;
+    });
 
     // Add rarity scoring details
     baseMetadata.rarity_details = {
@@ -123,84 +271,69 @@ class MetadataGenerator {
     return generationResult.variants.reduce((sum, item) => sum + item.variant.points, 0);
   }
 
+  /**
+   * Find a configured tier
+   * @param {string} tierId - Tier ID from rarity-config.json
+   * @returns {object|undefined} Tier
+   */
+  getTier(tierId) {
+    return this.tiers.find(tier => tier.id === tierId);
+  }
+
   /**
    * Map tier ID to display name
-   * @param {string} tierId - Tier ID (T1-T9)
-   * @returns {string} Tier name
+   * @param {string} tierId - Tier ID from rarity-config.json
+   * @returns {string} Tier name (the ID when the tier has no name)
    */
   getTierName(tierId) {
-    const tierNames = {
-      'T1': 'Minimal',
-      'T2': 'Low',
-      'T3': 'BelowAverage',
-      'T4': 'Moderate',
-      'T5': 'Common',
-      'T6': 'AboveAverage',
-      'T7': 'High',
-      'T8': 'Peak',
-      'T9': 'Maximal'
-    };
-    return tierNames[tierId] || 'Unknown';
+    const tier = this.getTier(tierId);
+    return tier ? tier.name || tier.id : 'Unknown';
   }
 
   /**
-   * Map tier ID to rarity rank
-   * @param {string} tierId - Tier ID (T1-T9)
+   * Map tier ID to rarity rank from the tier's share of all tier quotas:
+   * up to 0.5% Ultra Rare, 2% Very Rare, 10% Rare, 30% Uncommon, above that Common
+   * @param {string} tierId - Tier ID from rarity-config.json
    * @returns {string} Rarity rank
    */
   getRarityRank(tierId) {
-    const ranks = {
-      'T1': 'Ultra Rare',
-      'T2': 'Very Rare',
-      'T3': 'Rare',
-      'T4': 'Uncommon',
-      'T5': 'Common',
-      'T6': 'Uncommon',
-      'T7': 'Rare',
-      'T8': 'Very Rare',
-      'T9': 'Ultra Rare'
-    };
-    return ranks[tierId] || 'Unknown';
+    const tier = this.getTier(tierId);
+    const total = this.tiers.reduce((sum, item) => sum + item.quota, 0);
+    if (!tier || total === 0) return 'Unknown';
+
+    const share = (tier.quota / total) * 100;
+    if (share <= 0.5) return 'Ultra Rare';
+    if (share <= 2) return 'Very Rare';
+    if (share <= 10) return 'Rare';
+    if (share <= 30) return 'Uncommon';
+    return 'Common';
   }
 
   /**
    * Get score range for a tier
-   * @param {string} tierId - Tier ID (T1-T9)
+   * @param {string} tierId - Tier ID from rarity-config.json
    * @returns {array} [min, max] score range
    */
   getTierScoreRange(tierId) {
-    const ranges = {
-      'T1': [42, 42],
-      'T2': [60, 60],
-      'T3': [78, 84],
-      'T4': [102, 132],
-      'T5': [144, 174],
-      'T6': [186, 216],
-      'T7': [228, 234],
-      'T8': [252, 252],
-      'T9': [270, 270]
-    };
-    return ranges[tierId] || [0, 0];
+    const tier = this.getTier(tierId);
+    return tier && tier.scoreRange ? tier.scoreRange : [0, 0];
   }
 
   /**
-   * Estimate collector percentile based on tier
-   * @param {string} tierId - Tier ID (T1-T9)
+   * Estimate collector percentile based on tier: the share of the collection in
+   * more common tiers (larger quota), plus half of the tiers as common as this one
+   * @param {string} tierId - Tier ID from rarity-config.json
    * @returns {number} Percentile (0-100)
    */
   estimatePercentile(tierId) {
-    const percentiles = {
-      'T1': 99.9,   // Top 0.1% (10 of 10,000)
-      'T2': 99.0,   // Top 1% (100 of 10,000)
-      'T3': 95.0,   // Top 5% (500 of 10,000)
-      'T4': 76.1,   // Top 24% (2,390 of 10,000)
-      'T5': 50.0,   // Middle 40% (4,000 of 10,000)
-      'T6': 23.9,   // Next 24% (2,390 of 10,000)
-      'T7': 5.0,    // Top 5% again (500 of 10,000)
-      'T8': 1.0,    // Top 1% again (100 of 10,000)
-      'T9': 0.1     // Top 0.1% again (10 of 10,000)
-    };
-    return percentiles[tierId] || 50.0;
+    const tier = this.getTier(tierId);
+    const sumQuotas = tiers => tiers.reduce((sum, item) => sum + item.quota, 0);
+    const total = sumQuotas(this.tiers);
+    if (!tier || total === 0) return 50.0;
+
+    const moreCommon = sumQuotas(this.tiers.filter(item => item.quota > tier.quota));
+    const asCommon = sumQuotas(this.tiers.filter(item => item.quota === tier.quota));
+    return Math.round(((moreCommon + asCommon / 2) / total) * 10000) / 100;
   }
 
   /**
@@ -213,64 +346,162 @@ class MetadataGenerator {
   }
 
   /**
-   * Generate collection-level metadata
-   * @param {number} totalSupply - Total NFTs in collection
-   * @param {string} collectionImageHash - IPFS hash of collection image
-   * @returns {object} Collection metadata
+   * Generate collection-level metadata from the rarity config and the generated token files
+   * @param {object} config - Loaded rarity-config.json (tiers, traits, optional collection section)
+   * @param {array} tokens - [{ tokenId, metadata }] of every generated token
+   * @returns {object} Collection metadata with planned and actual tier/trait counts
    */
-  generateCollectionMetadata(totalSupply, collectionImageHash) {
+  generateCollectionMetadata(config, tokens) {
+    const collection = config.collection || {};
+    const tokenTiers = this.getTokenTiers(config, tokens);
+
     return {
       name: this.collectionName,
       description: this.collectionDescription,
-      image: `ipfs://${collectionImageHash}`,
-      external_url: 'https://yourwebsite.com',
-      total_supply: totalSupply,
-      tiers: this.generateTierSummary(),
-      traits: this.generateTraitSummary(),
+      image: collection.image || null,
+      external_url: collection.externalUrl || null,
+      total_supply: tokens.length,
+      planned_supply: config.collectionSize,
+      tiers: this.generateTierSummary(config.tiers, tokenTiers),
+      traits: this.generateTraitSummary(config.traits, tokens),
       generated_at: new Date().toISOString()
     };
   }
 
+  /**
+   * Tier of each token: from the metadata when present (standard/extended),
+   * else from the tier of its first configured variant (minimal)
+   * @param {object} config - Loaded rarity-config.json
+   * @param {array} tokens - [{ tokenId, metadata }]
+   * @returns {array} Tier IDs (null when unknown), in token order
+   */
+  getTokenTiers(config, tokens) {
+    const variantTiers = new Map();
+    config.traits.forEach(trait => {
+      trait.variants.forEach(variant => variantTiers.set(variant.name, variant.tier));
+    });
+
+    return tokens.map(({ metadata }) => {
+      if (metadata.properties && metadata.properties.overall_tier) return metadata.properties.overall_tier;
+      if (metadata.rarity_details && metadata.rarity_details.tier_id) return metadata.rarity_details.tier_id;
+      const attribute = (metadata.attributes || []).find(item => variantTiers.has(item.value));
+      return attribute ? variantTiers.get(attribute.value) : null;
+    });
+  }
+
   /**
    * Generate tier summary for collection metadata
-   * @returns {array} Tier information
+   * @param {array} tiers - Tiers from rarity-config.json
+   * @param {array} tokenTiers - Tier ID of each generated token
+   * @returns {array} Tier information with configured quota and generated count
    */
-  generateTierSummary() {
-    const tiers = [
-      { id: 'T1', name: 'Minimal', count: 10, range: [42, 42] },
-      { id: 'T2', name: 'Low', count: 100, range: [60, 60] },
-      { id: 'T3', name: 'BelowAverage', count: 500, range: [78, 84] },
-      { id: 'T4', name: 'Moderate', count: 2390, range: [102, 132] },
-      { id: 'T5', name: 'Common', count: 4000, range: [144, 174] },
-      { id: 'T6', name: 'AboveAverage', count: 2390, range: [186, 216] },
-      { id: 'T7', name: 'High', count: 500, range: [228, 234] },
-      { id: 'T8', name: 'Peak', count: 100, range: [252, 252] },
-      { id: 'T9', name: 'Maximal', count: 10, range: [270, 270] }
-    ];
-
-    return tiers.map(tier => ({
-      tier_id: tier.id,
-      tier_name: tier.name,
-      total_count: tier.count,
-      percentage: ((tier.count / 10000) * 100).toFixed(2) + '%',
-      score_range: tier.range,
-      rarity_rank: this.getRarityRank(tier.id)
-    }));
+  generateTierSummary(tiers, tokenTiers) {
+    const total = tokenTiers.length;
+
+    return tiers.map(tier => {
+      const count = tokenTiers.filter(tierId => tierId === tier.id).length;
+      return {
+        tier_id: tier.id,
+        tier_name: tier.name || tier.id,
+        quota: tier.quota,
+        total_count: count,
+        percentage: (total > 0 ? (count / total) * 100 : 0).toFixed(2) + '%',
+        score_range: tier.scoreRange,
+        rarity_rank: this.getRarityRank(tier.id)
+      };
+    });
   }
 
   /**
    * Generate trait summary for collection metadata
-   * @returns {array} Trait information
+   * @param {array} traits - Traits from rarity-config.json
+   * @param {array} tokens - [{ tokenId, metadata }]
+   * @returns {array} Trait information with per-variant generated counts
+   */
+  generateTraitSummary(traits, tokens) {
+    return traits.map(trait => {
+      const traitType = this.capitalizeFirst(trait.trait);
+      const counts = {};
+      tokens.forEach(({ metadata }) => {
+        (metadata.attributes || [])
+          .filter(attribute => attribute.trait_type === traitType)
+          .forEach(attribute => {
+            counts[attribute.value] = (counts[attribute.value] || 0) + 1;
+          });
+      });
+
+      return {
+        name: traitType,
+        variants_count: trait.variants.length,
+        variants: trait.variants.map(variant => ({
+          name: variant.name,
+          tier: variant.tier,
+          quota: variant.quota,
+          total_count: counts[variant.name] || 0
+        }))
+      };
+    });
+  }
+
+  /**
+   * Generate contract-level metadata, served from the contract's contractURI()
+   * @param {object} collection - "collection" section of rarity-config.json
+   * @returns {object} { name, description, image, banner_image, external_link, seller_fee_basis_points, fee_recipient }
    */
-  generateTraitSummary() {
-    return [
-      { name: 'Socks', variants_count: 26 },
-      { name: 'Shoes', variants_count: 26 },
-      { name: 'Pants', variants_count: 26 },
-      { name: 'Shirt', variants_count: 26 },
-      { name: 'Face', variants_count: 26 },
-      { name: 'Hat', variants_count: 26 }
-    ];
+  generateContractMetadata(collection = {}) {
+    const metadata = {
+      name: this.collectionName,
+      description: this.collectionDescription,
+      image: collection.image,
+      banner_image: collection.banner,
+      external_link: collection.externalUrl,
+      seller_fee_basis_points: collection.sellerFeeBasisPoints !== undefined ? collection.sellerFeeBasisPoints : 0,
+      fee_recipient: collection.feeRecipient
+    };
+    Object.keys(metadata).forEach(key => metadata[key] === undefined && delete metadata[key]);
+    return metadata;
+  }
+
+  /**
+   * Validate contract-level metadata
+   * @param {object} metadata - Result of generateContractMetadata()
+   * @returns {object} { valid: boolean, errors: array, warnings: array } - warnings flag placeholders left from the template
+   */
+  validateContractMetadata(metadata) {
+    const errors = [];
+    const warnings = [];
+
+    if (!metadata.name) errors.push('Missing required field: name');
+    if (!metadata.image) errors.push('Missing required field: image (collection.image in rarity-config.json)');
+    ['image', 'banner_image'].forEach(field => {
+      if (metadata[field] && !metadata[field].startsWith('ipfs://') && !metadata[field].startsWith('http')) {
+        errors.push(`${field} should start with ipfs:// or http(s)://`);
+      }
+    });
+    if (metadata.external_link && !metadata.external_link.startsWith('http')) {
+      errors.push('external_link should start with http(s)://');
+    }
+
+    const fee = metadata.seller_fee_basis_points;
+    if (!Number.isInteger(fee) || fee < 0 || fee > 10000) {
+      errors.push(`seller_fee_basis_points must be a whole number from 0 to 10000 (found ${fee})`);
+    }
+    if (fee > 0 && !/^0x[0-9a-fA-F]{40}$/.test(metadata.fee_recipient || '')) {
+      errors.push('fee_recipient must be a 0x address when seller_fee_basis_points is set');
+    } else if (fee > 0 && /^0x0{40}$/.test(metadata.fee_recipient)) {
+      errors.push('fee_recipient is the zero address; royalties would be burned (set collection.feeRecipient or sellerFeeBasisPoints: 0)');
+    }
+    ['image', 'banner_image'].forEach(field => {
+      if (/\{\w+\}/.test(metadata[field] || '')) {
+        warnings.push(`${field} still has a placeholder: ${metadata[field]}`);
+      }
+    });
+
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+      warnings: warnings
+    };
   }
 
   /**
@@ -306,6 +537,9 @@ class MetadataGenerator {
     if (metadata.image && !metadata.image.startsWith('ipfs://') && !metadata.image.startsWith('http')) {
       errors.push('Image URL should start with ipfs:// or http(s)://');
     }
+    if (metadata.animation_url && !metadata.animation_url.startsWith('ipfs://') && !metadata.animation_url.startsWith('http')) {
+      errors.push('Animation URL should start with ipfs:// or http(s)://');
+    }
 
     // Validate attributes
     if (metadata.attributes) {
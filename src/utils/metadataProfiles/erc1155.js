@@ -0,0 +1,65 @@
+// ERC-1155 metadata
+// Clients substitute {id} in the token URI with the ID as 64 lowercase hex digits, without 0x,
+// so files are named that way: token 10 -> 000...000a.json, URI "ipfs://{METADATA_CID}/{id}.json"
+
+const { URI, ATTRIBUTES } = require('./schemas');
+
+module.exports = {
+  name: 'erc1155',
+  description: 'ERC-1155 metadata (decimals, properties) in {id} hex-padded files',
+
+  getFileName: tokenId => `${tokenId.toString(16).padStart(64, '0')}.json`,
+
+  // ERC-1155 metadata JSON schema, plus the attributes marketplaces read
+  schema: {
+    type: 'object',
+    required: ['name', 'description', 'image', 'decimals', 'attributes'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      image: URI,
+      animation_url: URI,
+      external_url: URI,
+      decimals: { type: 'integer', minimum: 0 },
+      attributes: ATTRIBUTES,
+      properties: { type: 'object' }
+    }
+  },
+
+  generate(generator, tokenId, generationResult, media) {
+    const fields = generator.renderTokenFields(tokenId, generationResult);
+    return {
+      name: fields.name,
+      description: fields.description,
+      ...generator.getMediaFields(tokenId, media),
+      external_url: fields.external_url,
+      decimals: 0,
+      attributes: [
+        ...generationResult.variants.map(item => ({
+          trait_type: generator.capitalizeFirst(item.trait),
+          value: item.variant.name
+        })),
+        ...fields.attributes
+      ],
+      properties: {
+        token_id: tokenId,
+        overall_rarity_score: generator.calculateOverallScore(generationResult),
+        overall_tier: generationResult.tierId,
+        overall_tier_name: generationResult.tierName
+      }
+    };
+  },
+
+  validate(generator, metadata) {
+    const { errors } = generator.validateMetadata(metadata);
+
+    if (!Number.isInteger(metadata.decimals) || metadata.decimals < 0) {
+      errors.push('decimals must be a whole number (0 for NFTs)');
+    }
+    if (metadata.properties !== undefined && (typeof metadata.properties !== 'object' || Array.isArray(metadata.properties))) {
+      errors.push('properties must be an object');
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+};
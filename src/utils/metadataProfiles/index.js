@@ -0,0 +1,53 @@
+// Metadata profile registry
+// A profile maps a generation result to one marketplace/chain schema:
+//   { name, description, getFileName(tokenId), generate(generator, tokenId, generationResult, media),
+//     validate(generator, metadata) -> { valid, errors }, schema? (JSON Schema used by validate:metadata) }
+// generator is a MetadataGenerator (collection name, image paths, "collection" config section).
+// Besides the built-in names, get() accepts the path of a module exporting a profile.
+
+const path = require('path');
+
+const PROFILE_FUNCTIONS = ['getFileName', 'generate', 'validate'];
+
+const profiles = new Map();
+
+class MetadataProfiles {
+  static register(profile) {
+    if (!profile || typeof profile.name !== 'string' || !profile.name) {
+      throw new Error('Metadata profile needs a name');
+    }
+    const missing = PROFILE_FUNCTIONS.filter(fn => typeof profile[fn] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Metadata profile "${profile.name}" is missing ${missing.join(', ')}`);
+    }
+    profiles.set(profile.name, profile);
+    return profile;
+  }
+
+  // Registered name, or a .js path such as ./profiles/my-marketplace.js
+  static get(nameOrPath) {
+    if (profiles.has(nameOrPath)) {
+      return profiles.get(nameOrPath);
+    }
+    if (/\.c?js$/.test(nameOrPath)) {
+      return this.register(require(path.resolve(nameOrPath)));
+    }
+    throw new Error(`Unknown metadata profile "${nameOrPath}" (available: ${this.names().join(', ')}, or a path to a profile module)`);
+  }
+
+  static names() {
+    return [...profiles.keys()];
+  }
+
+  static list() {
+    return [...profiles.values()];
+  }
+}
+
+[
+  ...require('./opensea'),
+  require('./metaplex'),
+  require('./erc1155')
+].forEach(profile => MetadataProfiles.register(profile));
+
+module.exports = MetadataProfiles;
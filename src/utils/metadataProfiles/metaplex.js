@@ -0,0 +1,142 @@
+// Solana Metaplex token metadata JSON
+// Royalties and creators come from the "collection" section of rarity-config.json:
+//   symbol, sellerFeeBasisPoints, creators: [{ address, share }] (shares add up to 100)
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  mp4: 'video/mp4'
+};
+// On-chain limits of the Token Metadata program
+const MAX_NAME_LENGTH = 32;
+const MAX_SYMBOL_LENGTH = 10;
+const SOLANA_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+const { URI, ATTRIBUTES } = require('./schemas');
+
+const getMimeType = uri => MIME_TYPES[uri.split('.').pop().toLowerCase()] || 'application/octet-stream';
+
+module.exports = {
+  name: 'metaplex',
+  description: 'Solana Metaplex JSON with properties.files, creators and seller_fee_basis_points',
+
+  getFileName: tokenId => `${tokenId}.json`,
+
+  schema: {
+    type: 'object',
+    required: ['name', 'symbol', 'seller_fee_basis_points', 'image', 'attributes', 'properties'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+      symbol: { type: 'string', maxLength: MAX_SYMBOL_LENGTH },
+      description: { type: 'string' },
+      seller_fee_basis_points: { type: 'integer', minimum: 0, maximum: 10000 },
+      image: URI,
+      animation_url: URI,
+      external_url: URI,
+      attributes: ATTRIBUTES,
+      properties: {
+        type: 'object',
+        required: ['files', 'category'],
+        properties: {
+          files: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'object', required: ['uri', 'type'], properties: { uri: URI, type: { type: 'string' } } }
+          },
+          category: { enum: ['image', 'video', 'audio', 'vr', 'html'] },
+          creators: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['address', 'share'],
+              properties: {
+                address: { type: 'string', pattern: SOLANA_ADDRESS.source },
+                share: { type: 'integer', minimum: 0, maximum: 100 }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  generate(generator, tokenId, generationResult, media) {
+    const collection = generator.collection;
+    const { image, animation_url: animationUrl } = generator.getMediaFields(tokenId, media);
+    const files = [{ uri: image, type: getMimeType(image) }];
+    if (animationUrl) {
+      files.push({ uri: animationUrl, type: getMimeType(animationUrl) });
+    }
+    const fields = generator.renderTokenFields(tokenId, generationResult);
+
+    return {
+      name: fields.name,
+      symbol: collection.symbol || '',
+      description: fields.description,
+      seller_fee_basis_points: collection.sellerFeeBasisPoints || 0,
+      image,
+      ...(animationUrl ? { animation_url: animationUrl } : {}),
+      external_url: fields.external_url,
+      attributes: [
+        ...generationResult.variants.map(item => ({
+          trait_type: generator.capitalizeFirst(item.trait),
+          value: item.variant.name
+        })),
+        ...fields.attributes
+      ],
+      properties: {
+        files,
+        category: animationUrl && getMimeType(animationUrl).startsWith('video/') ? 'video' : 'image',
+        creators: (collection.creators || []).map(creator => ({ address: creator.address, share: creator.share }))
+      },
+      collection: { name: generator.collectionName, family: generator.collectionName }
+    };
+  },
+
+  validate(generator, metadata) {
+    const errors = [];
+
+    if (!metadata.name) errors.push('Missing required field: name');
+    if (metadata.name && metadata.name.length > MAX_NAME_LENGTH) {
+      errors.push(`name must be at most ${MAX_NAME_LENGTH} characters (found ${metadata.name.length})`);
+    }
+    if (typeof metadata.symbol !== 'string' || metadata.symbol.length > MAX_SYMBOL_LENGTH) {
+      errors.push(`symbol must be at most ${MAX_SYMBOL_LENGTH} characters (collection.symbol)`);
+    }
+    if (!metadata.image) errors.push('Missing required field: image');
+
+    const fee = metadata.seller_fee_basis_points;
+    if (!Number.isInteger(fee) || fee < 0 || fee > 10000) {
+      errors.push(`seller_fee_basis_points must be a whole number from 0 to 10000 (found ${fee})`);
+    }
+
+    const properties = metadata.properties || {};
+    if (!Array.isArray(properties.files) || properties.files.length === 0) {
+      errors.push('properties.files must list the image file');
+    } else if (!properties.files.some(file => file.uri === metadata.image)) {
+      errors.push('properties.files must include the image URI');
+    }
+
+    const creators = properties.creators || [];
+    if (creators.length === 0 && fee > 0) {
+      errors.push('properties.creators is empty, so no one receives royalties (collection.creators)');
+    }
+    creators.forEach((creator, index) => {
+      if (!SOLANA_ADDRESS.test(creator.address || '')) {
+        errors.push(`Creator ${index}: "${creator.address}" is not a Solana address`);
+      }
+    });
+    if (creators.length > 0 && creators.reduce((sum, creator) => sum + creator.share, 0) !== 100) {
+      errors.push('Creator shares must add up to 100');
+    }
+
+    if (!Array.isArray(metadata.attributes)) {
+      errors.push('Missing required field: attributes (must be array)');
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+};
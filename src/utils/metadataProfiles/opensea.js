@@ -0,0 +1,74 @@
+// OpenSea / Magic Eden ERC-721 profiles, built by MetadataGenerator itself
+
+const { ATTRIBUTE, ERC721 } = require('./schemas');
+
+const STANDARD_SCHEMA = {
+  ...ERC721,
+  required: [...ERC721.required, 'properties'],
+  properties: {
+    ...ERC721.properties,
+    dna: { type: 'string' },
+    properties: {
+      type: 'object',
+      required: ['overall_rarity_score', 'overall_tier'],
+      properties: {
+        overall_rarity_score: { type: 'number' },
+        overall_tier: { type: 'string' },
+        overall_tier_name: { type: 'string' }
+      }
+    }
+  }
+};
+
+const validate = (generator, metadata) => generator.validateMetadata(metadata);
+const getFileName = tokenId => `${tokenId}.json`;
+
+module.exports = [
+  {
+    name: 'standard',
+    description: 'ERC-721 metadata with per-trait rarity details and generation properties',
+    getFileName,
+    generate: (generator, tokenId, generationResult, media) => generator.generateMetadata(tokenId, generationResult, media),
+    validate,
+    schema: STANDARD_SCHEMA
+  },
+  {
+    name: 'minimal',
+    description: 'ERC-721 metadata with marketplace fields only',
+    getFileName,
+    generate: (generator, tokenId, generationResult, media) => generator.generateMetadataMinimal(tokenId, generationResult, media),
+    validate,
+    // Marketplace fields only, nothing else
+    schema: {
+      ...ERC721,
+      additionalProperties: false,
+      properties: {
+        ...ERC721.properties,
+        attributes: { ...ERC721.properties.attributes, items: { ...ATTRIBUTE, additionalProperties: false } }
+      }
+    }
+  },
+  {
+    name: 'extended',
+    description: 'Standard metadata plus rarity_details and derived image links, for your own site',
+    getFileName,
+    generate: (generator, tokenId, generationResult, media) => generator.generateMetadataExtended(tokenId, generationResult, media),
+    validate,
+    schema: {
+      ...STANDARD_SCHEMA,
+      required: [...STANDARD_SCHEMA.required, 'rarity_details'],
+      properties: {
+        ...STANDARD_SCHEMA.properties,
+        rarity_details: {
+          type: 'object',
+          required: ['total_score', 'tier_id', 'traits'],
+          properties: {
+            total_score: { type: 'number' },
+            tier_id: { type: 'string' },
+            traits: { type: 'array' }
+          }
+        }
+      }
+    }
+  }
+];
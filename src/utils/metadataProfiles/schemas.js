@@ -0,0 +1,34 @@
+// JSON Schema building blocks shared by the profile schemas (draft-07, checked by validate:metadata)
+
+// ipfs://, ar://, http(s):// or an inline data: URI
+const URI = { type: 'string', pattern: '^(ipfs://|ar://|https?://|data:)' };
+
+const ATTRIBUTE = {
+  type: 'object',
+  required: ['trait_type', 'value'],
+  properties: {
+    trait_type: { type: 'string', minLength: 1 },
+    value: { type: ['string', 'number'] },
+    display_type: { enum: ['number', 'boost_number', 'boost_percentage', 'date'] },
+    max_value: { type: 'number' }
+  }
+};
+
+const ATTRIBUTES = { type: 'array', minItems: 1, items: ATTRIBUTE };
+
+// Marketplace fields every ERC-721 profile has
+const ERC721 = {
+  type: 'object',
+  required: ['name', 'description', 'image', 'attributes'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    image: URI,
+    animation_url: URI,
+    external_url: URI,
+    background_color: { type: 'string', pattern: '^[0-9a-fA-F]{6}$' },
+    attributes: ATTRIBUTES
+  }
+};
+
+module.exports = { URI, ATTRIBUTE, ATTRIBUTES, ERC721 };
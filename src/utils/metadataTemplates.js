@@ -0,0 +1,226 @@
+// Per-token metadata templates
+// "metadata": { name, description, externalUrl, attributes: [{ trait_type, value, display_type, max_value }] }
+// Templates reference variables as {{tier_name}} or {{shirt | lower}}; every trait is a variable named
+// after it (variant name), plus {{trait}}_tier and {{trait}}_points.
+// Values are escaped for the field they land in (plain text, markdown description, URL) and are never
+// parsed again, so a variant called "{{dna}}" stays literal. {{{name}}} inserts a value unescaped.
+// Every variable comes from the trait assignment, so the same seed always renders the same metadata.
+
+const BUILT_IN_VARIABLES = [
+  'token_id', 'collection', 'symbol', 'tier', 'tier_name', 'tier_rank', 'score',
+  'percentile', 'trait_count', 'dna'
+];
+const FILTERS = {
+  upper: value => value.toUpperCase(),
+  lower: value => value.toLowerCase(),
+  title: value => value.replace(/\b[a-z]/g, letter => letter.toUpperCase())
+};
+// display_type values marketplaces show as numbers; date is a unix timestamp in seconds (a constant value)
+const NUMERIC_DISPLAY_TYPES = ['number', 'boost_number', 'boost_percentage', 'date'];
+// Each run of control characters (U+0000-U+001F, U+007F) becomes one space
+const replaceControlCharacters = value => {
+  let result = '';
+  let inRun = false;
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    const control = code < 32 || code === 127;
+    if (!control) result += value[i];
+    else if (!inRun) result += ' ';
+    inRun = control;
+  }
+  return result;
+};
+const ESCAPES = {
+  text: replaceControlCharacters,
+  // Underscores inside a word (Shirt_08) never start emphasis, so only edge ones are escaped
+  markdown: value => replaceControlCharacters(value)
+    .replace(/[\\`*[\]<>~]/g, '\\$&')
+    .replace(/(?<![A-Za-z0-9])_|_(?![A-Za-z0-9])/g, '\\_'),
+  url: value => encodeURIComponent(value)
+};
+const TAG = /\{\{(\{?)\s*([a-z_][a-z0-9_]*)((?:\s*\|\s*[a-z]+)*)\s*(\}?)\}\}/g;
+
+const compiled = new Map();
+
+class MetadataTemplates {
+  // Variable name of a trait: "Eye Color" -> eye_color
+  static getVariableName(traitName) {
+    return traitName.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  }
+
+  // Every variable a template may use with this config
+  static getVariableNames(config) {
+    const names = new Set(BUILT_IN_VARIABLES);
+    config.traits.forEach(trait => {
+      const name = this.getVariableName(trait.trait);
+      [name, `${name}_tier`, `${name}_points`].forEach(variable => names.add(variable));
+    });
+    return names;
+  }
+
+  // Template -> [text | { variable, filters, raw }]; throws on a malformed {{ }} tag
+  static compile(template) {
+    if (compiled.has(template)) return compiled.get(template);
+
+    const parts = [];
+    let cursor = 0;
+    let match;
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(template)) !== null) {
+      const [tag, open, variable, filterList, close] = match;
+      if (Boolean(open) !== Boolean(close)) {
+        throw new Error(`Unbalanced braces in ${tag}`);
+      }
+      parts.push(template.slice(cursor, match.index));
+      parts.push({
+        variable,
+        filters: filterList.split('|').map(filter => filter.trim()).filter(Boolean),
+        raw: open === '{'
+      });
+      cursor = match.index + tag.length;
+    }
+    parts.push(template.slice(cursor));
+
+    const stray = parts.find(part => typeof part === 'string' && /\{\{|\}\}/.test(part));
+    if (stray !== undefined) {
+      throw new Error(`Malformed tag near "${stray.trim()}" (expected {{variable}} or {{variable | filter}})`);
+    }
+
+    const result = parts.filter(part => part !== '');
+    compiled.set(template, result);
+    return result;
+  }
+
+  // escape: 'text' (names, attribute values), 'markdown' (descriptions) or 'url'
+  static render(template, context, escape = 'text') {
+    return this.compile(template).map(part => {
+      if (typeof part === 'string') return part;
+      const found = context[part.variable];
+      let value = found === undefined || found === null ? '' : String(found);
+      part.filters.forEach(filter => {
+        value = FILTERS[filter](value);
+      });
+      return part.raw ? value : ESCAPES[escape](value);
+    }).join('');
+  }
+
+  // Extra attributes from "metadata.attributes"; numeric display types get number values
+  static renderAttributes(attributes, context) {
+    return attributes.map(spec => {
+      const rendered = typeof spec.value === 'string' ? this.render(spec.value, context) : spec.value;
+      const attribute = { trait_type: spec.trait_type, value: rendered };
+
+      if (spec.display_type) {
+        attribute.display_type = spec.display_type;
+        if (NUMERIC_DISPLAY_TYPES.includes(spec.display_type)) {
+          const value = Number(rendered);
+          if (rendered === '' || !Number.isFinite(value)) {
+            throw new Error(`Attribute "${spec.trait_type}" (${spec.display_type}) rendered "${rendered}", not a number`);
+          }
+          attribute.value = value;
+        }
+      }
+      if (spec.max_value !== undefined) attribute.max_value = spec.max_value;
+      return attribute;
+    });
+  }
+
+  // Errors in the "metadata" section of a rarity config
+  static validate(config) {
+    const templates = config.metadata;
+    if (templates === undefined) return [];
+    if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+      return ['metadata must be an object of templates (name, description, externalUrl, attributes)'];
+    }
+
+    const errors = [];
+    const variables = this.getVariableNames(config);
+
+    config.traits.forEach(trait => {
+      const name = this.getVariableName(trait.trait);
+      if (!name) {
+        errors.push(`Trait ${trait.trait} has no usable template variable name`);
+      } else if (BUILT_IN_VARIABLES.includes(name)) {
+        errors.push(`Trait ${trait.trait} has the same template variable as the built-in {{${name}}}`);
+      }
+    });
+
+    const checkTemplate = (template, label) => {
+      if (typeof template !== 'string') {
+        errors.push(`${label} must be a template string`);
+        return;
+      }
+      try {
+        this.compile(template).filter(part => typeof part !== 'string').forEach(part => {
+          if (!variables.has(part.variable)) {
+            errors.push(`${label} uses unknown variable {{${part.variable}}}`);
+          }
+          part.filters.filter(filter => !FILTERS[filter]).forEach(filter => {
+            errors.push(`${label} uses unknown filter "${filter}" (expected ${Object.keys(FILTERS).join(', ')})`);
+          });
+        });
+      } catch (error) {
+        errors.push(`${label}: ${error.message}`);
+      }
+    };
+
+    ['name', 'description', 'externalUrl'].forEach(field => {
+      if (templates[field] !== undefined) checkTemplate(templates[field], `metadata.${field}`);
+    });
+
+    if (templates.attributes !== undefined) {
+      if (!Array.isArray(templates.attributes)) {
+        errors.push('metadata.attributes must be a list of { trait_type, value, display_type }');
+      } else {
+        errors.push(...this.validateAttributes(templates.attributes, config, checkTemplate));
+      }
+    }
+
+    return errors;
+  }
+
+  static validateAttributes(attributes, config, checkTemplate) {
+    const errors = [];
+    const traitTypes = new Set(config.traits.map(trait => trait.trait.toLowerCase()));
+    const names = new Set();
+
+    attributes.forEach((spec, index) => {
+      const label = `metadata.attributes[${index}]`;
+      if (!spec || typeof spec !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+      if (typeof spec.trait_type !== 'string' || !spec.trait_type.trim()) {
+        errors.push(`${label}.trait_type must be a name`);
+      } else if (traitTypes.has(spec.trait_type.toLowerCase())) {
+        errors.push(`${label}.trait_type "${spec.trait_type}" is already a trait`);
+      } else if (names.has(spec.trait_type)) {
+        errors.push(`${label}.trait_type "${spec.trait_type}" is used twice`);
+      }
+      names.add(spec.trait_type);
+
+      if (typeof spec.value === 'string') {
+        checkTemplate(spec.value, `${label}.value`);
+      } else if (typeof spec.value !== 'number') {
+        errors.push(`${label}.value must be a template string or a number`);
+      }
+
+      if (spec.display_type !== undefined && !NUMERIC_DISPLAY_TYPES.includes(spec.display_type)) {
+        errors.push(`${label}.display_type must be one of ${NUMERIC_DISPLAY_TYPES.join(', ')} (found ${spec.display_type})`);
+      }
+      if (spec.max_value !== undefined) {
+        if (typeof spec.max_value !== 'number') {
+          errors.push(`${label}.max_value must be a number`);
+        } else if (!['number', 'boost_number'].includes(spec.display_type)) {
+          errors.push(`${label}.max_value only applies to the number and boost_number display types`);
+        }
+      }
+    });
+    return errors;
+  }
+}
+
+MetadataTemplates.BUILT_IN_VARIABLES = BUILT_IN_VARIABLES;
+MetadataTemplates.FILTERS = Object.keys(FILTERS);
+
+module.exports = MetadataTemplates;
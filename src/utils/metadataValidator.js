@@ -0,0 +1,402 @@
+// Whole-directory metadata validation
+// Checks every token file against its profile's JSON Schema (ajv), then the collection as a whole:
+// token ID continuity, name/ID consistency, media URIs and files, duplicate attribute sets,
+// leftover placeholders such as {IMAGES_CID}, and attribute value types
+
+const fs = require('fs');
+const path = require('path');
+const RarityRanking = require('./rarityRanking');
+
+const CHECKS = ['file', 'schema', 'continuity', 'name', 'uri', 'media', 'duplicates', 'placeholders', 'attributes'];
+const PLACEHOLDER = /\{[A-Z][A-Z0-9_]*\}/;
+const IPFS_CID = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})$/;
+// display_type values that require a number
+const NUMERIC_DISPLAY_TYPES = ['number', 'boost_number', 'boost_percentage', 'date'];
+
+class MetadataValidator {
+  // options: { profile, config, imagesDir, start, end, allowPlaceholders }
+  //   profile: a MetadataProfiles entry; config: the rarity config (its uniqueness settings decide duplicates)
+  //   imagesDir: where media files are checked (skipped when missing)
+  //   start/end: expected token ID range (default 1 to the highest ID found)
+  static validateDirectory(metadataDir, options = {}) {
+    const { profile } = options;
+    const issues = [];
+    const report = {
+      directory: metadataDir,
+      profile: profile.name,
+      imagesDir: options.imagesDir || null,
+      checkedAt: new Date().toISOString(),
+      tokens: 0,
+      firstTokenId: null,
+      lastTokenId: null,
+      valid: false,
+      errors: 0,
+      warnings: 0,
+      checks: {},
+      issues
+    };
+
+    if (!fs.existsSync(metadataDir)) {
+      issues.push(this.error('file', metadataDir, null, 'Metadata directory not found'));
+      return this.summarize(report);
+    }
+
+    const fileIds = new Set();
+    const tokens = this.readTokens(metadataDir, profile, issues, fileIds);
+    report.tokens = tokens.length;
+    if (tokens.length === 0) {
+      issues.push(this.error('file', metadataDir, null, 'No token metadata files found'));
+      return this.summarize(report);
+    }
+    report.firstTokenId = tokens[0].tokenId;
+    report.lastTokenId = tokens[tokens.length - 1].tokenId;
+
+    const schemaValidator = this.compileSchema(profile, metadataDir, issues);
+    const checkMedia = options.imagesDir && fs.existsSync(options.imagesDir);
+    if (options.imagesDir && !checkMedia) {
+      issues.push(this.warning('media', options.imagesDir, null, 'Images directory not found; media files were not checked'));
+    }
+
+    tokens.forEach(token => {
+      if (schemaValidator) this.checkSchema(token, schemaValidator, issues);
+      this.checkName(token, issues);
+      this.checkUris(token, issues);
+      if (checkMedia) this.checkMediaFiles(token, options.imagesDir, issues);
+      this.checkPlaceholders(token, options.allowPlaceholders, issues);
+      this.checkAttributes(token, issues);
+    });
+
+    this.checkContinuity(fileIds, options, metadataDir, issues);
+    this.checkDuplicates(tokens, options.config, issues);
+    this.checkAttributeTypes(tokens, metadataDir, issues);
+    this.checkImageBases(tokens, metadataDir, issues);
+
+    return this.summarize(report);
+  }
+
+  // Token files with their IDs; unreadable JSON and names the profile would not write are issues.
+  // fileIds collects the ID of every token file, readable or not
+  static readTokens(metadataDir, profile, issues, fileIds) {
+    const tokens = [];
+    const seen = new Map();
+    fs.readdirSync(metadataDir)
+      .filter(file => RarityRanking.TOKEN_FILE.test(file))
+      .forEach(file => {
+        const filePath = path.join(metadataDir, file);
+        const tokenId = RarityRanking.getTokenId(file);
+        if (file !== profile.getFileName(tokenId)) {
+          issues.push(this.error('file', filePath, tokenId, `File name should be ${profile.getFileName(tokenId)} for the ${profile.name} profile`));
+        }
+        if (seen.has(tokenId)) {
+          issues.push(this.error('file', filePath, tokenId, `Token ${tokenId} also has ${seen.get(tokenId)}`));
+          return;
+        }
+        seen.set(tokenId, file);
+        fileIds.add(tokenId);
+
+        try {
+          tokens.push({ tokenId, file: filePath, metadata: JSON.parse(fs.readFileSync(filePath, 'utf8')) });
+        } catch (error) {
+          issues.push(this.error('file', filePath, tokenId, `Not valid JSON: ${error.message}`));
+        }
+      });
+    return tokens.sort((a, b) => a.tokenId - b.tokenId);
+  }
+
+  static compileSchema(profile, metadataDir, issues) {
+    if (!profile.schema) {
+      issues.push(this.warning('schema', metadataDir, null, `Profile ${profile.name} has no JSON Schema; schema checks skipped`));
+      return null;
+    }
+    const Ajv = require('ajv');
+    return new Ajv({ allErrors: true, strict: false }).compile(profile.schema);
+  }
+
+  static checkSchema(token, validate, issues) {
+    if (validate(token.metadata)) return;
+    validate.errors.forEach(error => {
+      const field = error.instancePath || '(root)';
+      const detail = error.params && error.params.additionalProperty ? ` (${error.params.additionalProperty})` : '';
+      issues.push(this.error('schema', token.file, token.tokenId, `${field} ${error.message}${detail}`));
+    });
+  }
+
+  // "Collection #12" must belong to token 12
+  static checkName(token, issues) {
+    const { name } = token.metadata;
+    if (typeof name !== 'string') return;
+    const match = name.match(/#(\d+)\s*$/);
+    if (!match) {
+      issues.push(this.warning('name', token.file, token.tokenId, `Name "${name}" does not end with #${token.tokenId}`));
+    } else if (parseInt(match[1]) !== token.tokenId) {
+      issues.push(this.error('name', token.file, token.tokenId, `Name "${name}" is in the file of token ${token.tokenId}`));
+    }
+  }
+
+  // [{ field, uri }] for image, animation_url, derived images (image_*) and Metaplex properties.files
+  static getMediaUris(metadata) {
+    const uris = Object.keys(metadata)
+      .filter(field => (field === 'image' || field === 'animation_url' || field.startsWith('image_')) &&
+        typeof metadata[field] === 'string')
+      .map(field => ({ field, uri: metadata[field] }));
+    const files = metadata.properties && Array.isArray(metadata.properties.files) ? metadata.properties.files : [];
+    files.forEach((file, index) => {
+      if (file && typeof file.uri === 'string') uris.push({ field: `properties.files[${index}].uri`, uri: file.uri });
+    });
+    return uris;
+  }
+
+  // Path of the file inside the uploaded directory: ipfs://CID/thumbnail/1.webp -> thumbnail/1.webp
+  static getRelativePath(uri) {
+    const ipfs = uri.match(/^ipfs:\/\/[^/]+\/(.+)$/);
+    if (ipfs) return ipfs[1];
+    const gateway = uri.match(/^https?:\/\/[^/]+\/ipfs\/[^/]+\/(.+)$/);
+    if (gateway) return gateway[1];
+    return null;
+  }
+
+  static checkUris(token, issues) {
+    this.getMediaUris(token.metadata).forEach(({ field, uri }) => {
+      if (uri.startsWith('data:')) return;
+      if (!/^(ipfs|ar|https?):\/\//.test(uri)) {
+        issues.push(this.error('uri', token.file, token.tokenId, `${field} "${uri}" is not an ipfs://, ar:// or https:// URI`));
+        return;
+      }
+      if (uri.startsWith('http://')) {
+        issues.push(this.warning('uri', token.file, token.tokenId, `${field} uses http://; marketplaces may block mixed content`));
+      }
+
+      if (uri.startsWith('ipfs://')) {
+        const [cid] = uri.slice('ipfs://'.length).split('/');
+        if (cid === 'ipfs') {
+          issues.push(this.error('uri', token.file, token.tokenId, `${field} "${uri}" repeats ipfs/; use ipfs://CID/file`));
+        } else if (!PLACEHOLDER.test(cid) && !IPFS_CID.test(cid)) {
+          issues.push(this.error('uri', token.file, token.tokenId, `${field} "${uri}" does not start with a valid IPFS CID`));
+        }
+      }
+
+      // Per-token files are named after the token: 12.png, thumbnail/12.webp
+      const fileId = path.basename(uri).match(/^(\d+)\./);
+      if (fileId && parseInt(fileId[1]) !== token.tokenId) {
+        issues.push(this.error('uri', token.file, token.tokenId, `${field} points at the file of token ${fileId[1]}`));
+      }
+    });
+  }
+
+  static checkMediaFiles(token, imagesDir, issues) {
+    this.getMediaUris(token.metadata).forEach(({ field, uri }) => {
+      const relativePath = this.getRelativePath(uri);
+      if (relativePath && !fs.existsSync(path.join(imagesDir, relativePath))) {
+        issues.push(this.error('media', token.file, token.tokenId, `${field}: ${relativePath} is not in ${imagesDir}`));
+      }
+    });
+  }
+
+  static checkPlaceholders(token, allowPlaceholders, issues) {
+    const found = [];
+    const walk = (value, field) => {
+      if (typeof value === 'string') {
+        if (PLACEHOLDER.test(value)) found.push(`${field} (${value.match(PLACEHOLDER)[0]})`);
+      } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => walk(value[key], field ? `${field}.${key}` : key));
+      }
+    };
+    walk(token.metadata, '');
+
+    if (found.length > 0) {
+      const message = `Placeholder left in ${found.join(', ')}; run npm run rewrite:metadata after uploading images`;
+      issues.push(allowPlaceholders
+        ? this.warning('placeholders', token.file, token.tokenId, message)
+        : this.error('placeholders', token.file, token.tokenId, message));
+    }
+  }
+
+  // Within one token: trait types appear once, numeric display types carry numbers
+  static checkAttributes(token, issues) {
+    const attributes = Array.isArray(token.metadata.attributes) ? token.metadata.attributes : [];
+    const seen = new Set();
+    attributes.forEach(attribute => {
+      if (!attribute || typeof attribute !== 'object') return;
+      const { trait_type: traitType, value, display_type: displayType } = attribute;
+      if (seen.has(traitType)) {
+        issues.push(this.error('attributes', token.file, token.tokenId, `Trait "${traitType}" appears more than once`));
+      }
+      seen.add(traitType);
+
+      if (NUMERIC_DISPLAY_TYPES.includes(displayType) && typeof value !== 'number') {
+        issues.push(this.error('attributes', token.file, token.tokenId, `Trait "${traitType}" has display_type ${displayType} but value ${JSON.stringify(value)} is not a number`));
+      } else if (value === '') {
+        issues.push(this.warning('attributes', token.file, token.tokenId, `Trait "${traitType}" has an empty value`));
+      }
+    });
+  }
+
+  // Across the collection: a trait type is always a string or always a number
+  static checkAttributeTypes(tokens, metadataDir, issues) {
+    const types = new Map();
+    tokens.forEach(({ metadata }) => {
+      (Array.isArray(metadata.attributes) ? metadata.attributes : []).forEach(attribute => {
+        if (!attribute || !attribute.trait_type) return;
+        if (!types.has(attribute.trait_type)) types.set(attribute.trait_type, new Set());
+        types.get(attribute.trait_type).add(typeof attribute.value);
+      });
+    });
+    types.forEach((valueTypes, traitType) => {
+      if (valueTypes.size > 1) {
+        issues.push(this.warning('attributes', metadataDir, null, `Trait "${traitType}" mixes value types: ${[...valueTypes].join(', ')}`));
+      }
+    });
+  }
+
+  static checkContinuity(ids, options, metadataDir, issues) {
+    const sorted = [...ids].sort((a, b) => a - b);
+    const start = options.start !== undefined ? options.start : 1;
+    const end = options.end !== undefined ? options.end : sorted[sorted.length - 1];
+
+    const missing = [];
+    for (let id = start; id <= end; id++) {
+      if (!ids.has(id)) missing.push(id);
+    }
+    if (missing.length > 0) {
+      issues.push(this.error('continuity', metadataDir, null, `Missing ${missing.length} token(s): ${this.formatRanges(missing)}`));
+    }
+
+    const outside = sorted.filter(id => id < start || id > end);
+    if (outside.length > 0) {
+      issues.push(this.error('continuity', metadataDir, null, `Token(s) outside ${start}-${end}: ${this.formatRanges(outside)}`));
+    }
+  }
+
+  // Two tokens with the same traits look the same on every marketplace. With the rarity config, the
+  // duplicate key follows its "uniqueness" section: only its traits count, and duplicates are errors
+  // only between tokens of tiers it enforces. Otherwise (no config, uniqueness off, exempt tiers) they are warnings
+  static checkDuplicates(tokens, config, issues) {
+    const uniqueness = config && config.uniqueness && config.uniqueness.enabled !== false ? config.uniqueness : null;
+    const keyTraits = config
+      ? new Set((uniqueness && uniqueness.traits ? uniqueness.traits : config.traits.map(trait => trait.trait))
+        .map(traitName => traitName.toLowerCase()))
+      : null;
+    const exemptTiers = new Set(uniqueness ? uniqueness.exemptTiers || [] : []);
+
+    const sets = new Map();
+    tokens.forEach(token => {
+      // Numeric display_type attributes (score, dates) are derived, not part of the look
+      const attributes = (Array.isArray(token.metadata.attributes) ? token.metadata.attributes : [])
+        .filter(attribute => attribute && !attribute.display_type)
+        .filter(attribute => !keyTraits || keyTraits.has(String(attribute.trait_type).toLowerCase()));
+      if (attributes.length === 0) return;
+      const key = attributes
+        .map(attribute => `${attribute.trait_type}=${JSON.stringify(attribute.value)}`)
+        .sort()
+        .join('|');
+      if (!sets.has(key)) sets.set(key, []);
+      sets.get(key).push(token);
+    });
+
+    const reason = !config
+      ? ' (pass the rarity config to check them against its uniqueness settings)'
+      : !uniqueness ? ' (uniqueness is not enabled in the rarity config)' : '';
+    sets.forEach(group => {
+      if (group.length < 2) return;
+      const enforced = uniqueness
+        ? group.filter(token => !exemptTiers.has(this.getTokenTier(token.metadata, config)))
+        : [];
+
+      if (enforced.length > 1) {
+        const [first, ...others] = enforced;
+        issues.push(this.error('duplicates', first.file, first.tokenId, `Same ${uniqueness.traits ? uniqueness.traits.join('/') : 'attributes'} as token(s) ${others.map(token => token.tokenId).join(', ')}`));
+      } else {
+        const [first, ...others] = group;
+        const exempt = uniqueness ? ' (uniqueness.exemptTiers)' : reason;
+        issues.push(this.warning('duplicates', first.file, first.tokenId, `Same attributes as token(s) ${others.map(token => token.tokenId).join(', ')}${exempt}`));
+      }
+    });
+  }
+
+  // Tier from properties.overall_tier or rarity_details.tier_id, else the tier of the first configured variant
+  static getTokenTier(metadata, config) {
+    if (metadata.properties && metadata.properties.overall_tier) return metadata.properties.overall_tier;
+    if (metadata.rarity_details && metadata.rarity_details.tier_id) return metadata.rarity_details.tier_id;
+    const attributes = Array.isArray(metadata.attributes) ? metadata.attributes : [];
+    for (const attribute of attributes) {
+      for (const trait of config.traits) {
+        const variant = trait.variants.find(item => attribute && item.name === attribute.value);
+        if (variant) return variant.tier;
+      }
+    }
+    return null;
+  }
+
+  // All images should come from one upload
+  static checkImageBases(tokens, metadataDir, issues) {
+    const bases = new Set(tokens
+      .map(({ metadata }) => metadata.image)
+      .filter(image => typeof image === 'string' && !image.startsWith('data:'))
+      .map(image => image.slice(0, image.lastIndexOf('/'))));
+    if (bases.size > 1) {
+      const list = [...bases].slice(0, 3).join(', ');
+      issues.push(this.warning('uri', metadataDir, null, `Images come from ${bases.size} different locations: ${list}${bases.size > 3 ? ', ...' : ''}`));
+    }
+  }
+
+  // [1, 2, 3, 7, 9, 10] -> "1-3, 7, 9-10"
+  static formatRanges(ids) {
+    const ranges = [];
+    ids.forEach(id => {
+      const last = ranges[ranges.length - 1];
+      if (last && id === last[1] + 1) last[1] = id;
+      else ranges.push([id, id]);
+    });
+    return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+  }
+
+  static summarize(report) {
+    report.errors = report.issues.filter(issue => issue.severity === 'error').length;
+    report.warnings = report.issues.length - report.errors;
+    report.valid = report.errors === 0;
+    CHECKS.forEach(check => {
+      const checkIssues = report.issues.filter(issue => issue.check === check);
+      report.checks[check] = {
+        errors: checkIssues.filter(issue => issue.severity === 'error').length,
+        warnings: checkIssues.filter(issue => issue.severity === 'warning').length
+      };
+    });
+    return report;
+  }
+
+  static error(check, filePath, tokenId, message) {
+    return { severity: 'error', check, path: filePath, tokenId, message };
+  }
+
+  static warning(check, filePath, tokenId, message) {
+    return { severity: 'warning', check, path: filePath, tokenId, message };
+  }
+
+  // Human summary; at most `limit` issues per check are listed
+  static logReport(report, limit = 10) {
+    console.log('=== Metadata Validation ===');
+    console.log(`Directory: ${report.directory} (${report.tokens} tokens, profile ${report.profile})`);
+    if (report.firstTokenId !== null) {
+      console.log(`Token IDs: ${report.firstTokenId}-${report.lastTokenId}`);
+    }
+
+    CHECKS.forEach(check => {
+      const checkIssues = report.issues.filter(issue => issue.check === check);
+      const { errors, warnings } = report.checks[check];
+      const status = errors > 0 ? '❌' : warnings > 0 ? '⚠️ ' : '✅';
+      console.log(`\n${status} ${check}: ${errors} error(s), ${warnings} warning(s)`);
+      checkIssues.slice(0, limit).forEach(issue => {
+        console.log(`  ${issue.severity === 'error' ? '❌' : '⚠️ '} ${path.basename(issue.path)}: ${issue.message}`);
+      });
+      if (checkIssues.length > limit) {
+        console.log(`  ... and ${checkIssues.length - limit} more (use --json or --report for all)`);
+      }
+    });
+
+    console.log(report.valid ? '\n✅ Metadata is ready to upload' : `\n❌ ${report.errors} error(s) to fix before uploading`);
+  }
+}
+
+MetadataValidator.CHECKS = CHECKS;
+
+module.exports = MetadataValidator;
@@ -0,0 +1,203 @@
+// Provably-fair generation via commit-reveal
+// 1. Before mint: publish sha256(secret) together with the config hash and the reveal source,
+//    a future block (block:ethereum:19000000) or drand round (drand:mainnet:4500000)
+// 2. After mint: take the value that source produced (block hash, drand randomness) - nobody could predict it,
+//    and committing to the source up front stops the operator from shopping for a favourable value
+// 3. Final seed = sha256(secret + ":" + source + ":" + reveal), so neither side alone controls the outcome
+
+const fs = require('fs');
+const crypto = require('crypto');
+const RarityEngine = require('./rarityEngine');
+const { generateSeed } = require('./rng');
+
+const SCHEME = 'sha256-commit-reveal-v2';
+// Public drand networks: round N is produced at genesis + (N - 1) * period seconds
+const DRAND_CHAINS = {
+  mainnet: { hash: '8990e7a9aaed2ffed73dbd7092123d6f289930540d7651336225dc172e51b2ce', genesis: 1595431050, period: 30 },
+  quicknet: { hash: '52db9ba70e0cc0f6eaf7803dd07447a1f5477735fd3f661792ba94600c84e971', genesis: 1692803367, period: 3 }
+};
+// Format of the value each source type produces
+const REVEAL_VALUES = {
+  block: { pattern: /^0x[0-9a-fA-F]{64}$/, label: 'a 0x-prefixed 32-byte block hash' },
+  drand: { pattern: /^[0-9a-f]{64}$/, label: 'the 64-character hex drand randomness' }
+};
+
+class Provenance {
+  static sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  // JSON with sorted keys so the hash does not depend on key order
+  static canonicalJson(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalJson(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  static hashConfig(config) {
+    return this.sha256(this.canonicalJson(config));
+  }
+
+  static createSecret() {
+    return generateSeed() + generateSeed();
+  }
+
+  // Secret from a file (secret.json from provenance:commit, or plain text) or "-" for stdin,
+  // so it never has to appear on a command line or in shell history
+  static readSecret(filePath) {
+    const content = fs.readFileSync(filePath === '-' ? 0 : filePath, 'utf8').trim();
+    let secret = content;
+    if (content.startsWith('{')) {
+      secret = JSON.parse(content).secret;
+    }
+    if (typeof secret !== 'string' || !secret) {
+      throw new Error(`No secret found in ${filePath === '-' ? 'stdin' : filePath}`);
+    }
+    return secret;
+  }
+
+  // "block:CHAIN:HEIGHT" or "drand:ROUND" / "drand:NETWORK:ROUND" -> reveal source record
+  static parseRevealSource(text) {
+    const parts = String(text || '').trim().split(':');
+    if (parts[0] === 'block' && parts.length === 3 && parts[1] && /^\d+$/.test(parts[2])) {
+      return { type: 'block', chain: parts[1], height: parseInt(parts[2]) };
+    }
+    if (parts[0] === 'drand' && (parts.length === 2 || parts.length === 3) && /^\d+$/.test(parts[parts.length - 1])) {
+      const network = parts.length === 3 ? parts[1] : 'mainnet';
+      const chain = DRAND_CHAINS[network];
+      if (!chain) {
+        throw new Error(`Unknown drand network "${network}" (expected ${Object.keys(DRAND_CHAINS).join(', ')})`);
+      }
+      const round = parseInt(parts[parts.length - 1]);
+      return {
+        type: 'drand',
+        chain: network,
+        chainHash: chain.hash,
+        round,
+        time: new Date((chain.genesis + (round - 1) * chain.period) * 1000).toISOString()
+      };
+    }
+    throw new Error(`Invalid reveal source "${text}" (expected block:CHAIN:HEIGHT, e.g. block:ethereum:19000000, or drand:ROUND)`);
+  }
+
+  static formatRevealSource(source) {
+    return source.type === 'block'
+      ? `block:${source.chain}:${source.height}`
+      : `drand:${source.chain}:${source.round}`;
+  }
+
+  // Where anyone can look up the reveal value
+  static describeRevealSource(source) {
+    return source.type === 'block'
+      ? `hash of ${source.chain} block ${source.height}`
+      : `randomness of drand ${source.chain} round ${source.round} (https://api.drand.sh/${source.chainHash}/public/${source.round})`;
+  }
+
+  // Public record to publish before mint - never contains the secret itself.
+  // revealSource must not have produced its value yet, or the operator could pick the outcome
+  static createCommitment(secret, config, rngAlgorithm, revealSource) {
+    if (!revealSource) {
+      throw new Error('A reveal source is required (the future block or drand round whose value seeds the collection)');
+    }
+    const committedAt = new Date();
+    if (revealSource.type === 'drand' && new Date(revealSource.time) <= committedAt) {
+      throw new Error(`drand round ${revealSource.round} was already produced at ${revealSource.time}; pick a future round`);
+    }
+
+    return {
+      scheme: SCHEME,
+      commitment: this.sha256(secret),
+      configHash: this.hashConfig(config),
+      rngAlgorithm: rngAlgorithm || null,
+      revealSource,
+      committedAt: committedAt.toISOString()
+    };
+  }
+
+  static deriveFinalSeed(secret, revealValue, revealSource) {
+    if (!revealValue) {
+      throw new Error('A reveal value is required to derive the final seed');
+    }
+    if (!revealSource) {
+      throw new Error('The committed reveal source is required to derive the final seed');
+    }
+    return this.sha256(`${secret}:${this.formatRevealSource(revealSource)}:${String(revealValue).trim()}`);
+  }
+
+  // Check revealed inputs against a published commitment, returns { valid, errors }.
+  // claimedSource (optional, e.g. from --reveal-source) must be the committed source
+  static verifyReveal(commitmentRecord, secret, config, revealValue, claimedSource = null) {
+    const errors = [];
+
+    if (commitmentRecord.scheme !== SCHEME) {
+      errors.push(`Unsupported provenance scheme: ${commitmentRecord.scheme} (expected ${SCHEME})`);
+    }
+    if (this.sha256(secret) !== commitmentRecord.commitment) {
+      errors.push('Secret does not match the published commitment');
+    }
+    if (this.hashConfig(config) !== commitmentRecord.configHash) {
+      errors.push('Rarity config differs from the one committed to');
+    }
+    errors.push(...this.checkRevealValue(commitmentRecord, revealValue, claimedSource));
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  // The reveal value must come from the committed source: same source, and in the format that source produces
+  static checkRevealValue(commitmentRecord, revealValue, claimedSource) {
+    const source = commitmentRecord.revealSource;
+    if (!source || !REVEAL_VALUES[source.type]) {
+      return ['Commitment has no reveal source, so any reveal value could have been chosen after the fact'];
+    }
+
+    const errors = [];
+    if (claimedSource && this.formatRevealSource(claimedSource) !== this.formatRevealSource(source)) {
+      errors.push(`Reveal is from ${this.formatRevealSource(claimedSource)}, but the commitment names ${this.formatRevealSource(source)}`);
+    }
+    if (source.type === 'drand' && new Date(source.time) <= new Date(commitmentRecord.committedAt)) {
+      errors.push(`drand round ${source.round} was produced before the commitment (${commitmentRecord.committedAt})`);
+    }
+    const value = String(revealValue || '').trim();
+    if (!REVEAL_VALUES[source.type].pattern.test(value)) {
+      errors.push(`Reveal value "${value}" is not ${REVEAL_VALUES[source.type].label} (${this.describeRevealSource(source)})`);
+    }
+    return errors;
+  }
+
+  // Re-run the engine from revealed inputs, returns Map(tokenId -> generationResult)
+  static regenerate(config, seed, rngAlgorithm, startId, endId) {
+    const engine = new RarityEngine({ seed, rngAlgorithm });
+    engine.loadConfig(config);
+
+    const results = new Map();
+    for (let tokenId = startId; tokenId <= endId; tokenId++) {
+      const result = engine.generateNFT();
+      if (result.success) {
+        results.set(tokenId, result);
+      }
+    }
+    return results;
+  }
+
+  // The trait assignment of a generation result: tier and the variant picked for each trait.
+  // Compare a token file through MetadataGenerator.restoreGenerationResult, so every profile
+  // (and any templated extra attributes) reduces to the same fingerprint
+  static assignmentFingerprint(generationResult) {
+    return this.canonicalJson({
+      tier: generationResult.tierId,
+      variants: generationResult.variants.map(item => [item.trait, item.variant.name])
+    });
+  }
+}
+
+Provenance.SCHEME = SCHEME;
+Provenance.DRAND_CHAINS = DRAND_CHAINS;
+
+module.exports = Provenance;
@@ -56,15 +56,25 @@ class RarityConfigLoader {
     });
   }
 
-  static createExampleMapping() {
-    return {
-      "socks": ["01_Socks", "1_Socks", "socks", "Socks"],
-      "shoes": ["02_Shoes", "2_Shoes", "shoes", "Shoes"],  
-      "pants": ["03_Pants", "3_Pants", "pants", "Pants"],
-      "shirt": ["04_Shirt", "4_Shirt", "shirt", "Shirt"],
-      "face": ["05_Face", "5_Face", "face", "Face"],
-      "hat": ["06_Hat", "6_Hat", "hat", "Hat"]
-    };
+  // Accepted layer folder names for each configured trait, e.g. socks -> 01_Socks, 1_Socks, socks, Socks
+  static createExampleMapping(config) {
+    const mapping = {};
+    config.traits.forEach((trait, index) => {
+      const displayName = this.getExampleFolderName(trait.trait, index).split('_').slice(1).join('_');
+      mapping[trait.trait] = [
+        this.getExampleFolderName(trait.trait, index),
+        `${index + 1}_${displayName}`,
+        trait.trait,
+        displayName
+      ];
+    });
+    return mapping;
+  }
+
+  // Canonical layer folder name for a trait: two-digit position prefix plus capitalized name
+  static getExampleFolderName(traitName, index) {
+    const displayName = traitName.charAt(0).toUpperCase() + traitName.slice(1);
+    return `${String(index + 1).padStart(2, '0')}_${displayName}`;
   }
 
   static logTraitMapping(folderNames) {
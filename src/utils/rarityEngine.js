@@ -1,14 +1,41 @@
 // Rarity-based NFT generation engine
 // Implements tier-based quota system with scoring and weighted selection
 
+const crypto = require('crypto');
+const { DEFAULT_ALGORITHM, createRng, generateSeed } = require('./rng');
+const AllocationPlanner = require('./allocationPlanner');
+const TraitRules = require('./traitRules');
+const LayerOptions = require('./layerOptions');
+const { ANIMATION_FORMATS } = require('./animationEncoder');
+const ImageExports = require('./imageExports');
+const MetadataTemplates = require('./metadataTemplates');
+
+const ALLOCATION_MODES = ['sequential', 'planned'];
+const TIER_DISTRIBUTIONS = ['bell', 'flat', 'exponential', 'custom'];
+
+// Bell multipliers from the center tier out to the edge tiers (the original T5 -> T1/T9 values)
+const BELL_CURVE = [2.5, 1.8, 1.2, 0.7, 0.5];
+
 class RarityEngine {
-  constructor() {
+  // options.seed / options.rngAlgorithm override the "rng" section of the config (e.g. from --seed)
+  // options.allocation overrides config "allocation.mode" ('sequential' or 'planned')
+  constructor(options = {}) {
     this.config = null;
     this.remainingTierQuotas = null;
     this.remainingVariantQuotas = null;
-    this.rngSeed = 42; // Fixed seed for reproducibility during testing
+    this.options = options;
+    this.rng = null;
+    this.plannedResults = null;
+    this.planCursor = 0;
+    this.planEnd = 0;
+    this.shard = null;
     this.tierIdToIndex = new Map();
     this.variantNameToTraitIndex = new Map();
+    this.tierSelectionWeights = new Map();
+    this.traitRules = null;
+    this.uniqueness = null;
+    this.dnaSet = new Set();
+    this.duplicateRejections = 0;
   }
 
   // Load and validate rarity configuration
@@ -17,19 +44,33 @@ class RarityEngine {
     this.validateConfig();
     this.initializeQuotas();
     this.buildLookupMaps();
+    this.buildSelectionWeights();
+    this.buildUniquenessPolicy();
+    this.initializeRng();
   }
 
+  // Trait names and variant counts are data-driven; only internal consistency is checked
   validateConfig() {
     if (!this.config || !this.config.tiers || !this.config.traits) {
       throw new Error("Invalid rarity config: missing tiers or traits");
     }
 
+    const errors = [];
+
     // Validate tiers
     let totalTierQuota = 0;
+    const tierIds = new Set();
     this.config.tiers.forEach((tier, index) => {
-      if (!tier.id || !tier.scoreRange || typeof tier.quota !== 'number') {
+      if (!tier.id || !Array.isArray(tier.scoreRange) || tier.scoreRange.length !== 2 || typeof tier.quota !== 'number') {
         throw new Error(`Invalid tier at index ${index}`);
       }
+      if (tierIds.has(tier.id)) {
+        errors.push(`Duplicate tier ID: ${tier.id}`);
+      }
+      if (tier.scoreRange[0] > tier.scoreRange[1]) {
+        errors.push(`Tier ${tier.id} has an inverted scoreRange [${tier.scoreRange.join(', ')}]`);
+      }
+      tierIds.add(tier.id);
       totalTierQuota += tier.quota;
     });
 
@@ -38,32 +79,222 @@ class RarityEngine {
     }
 
     // Validate traits
-    const expectedTraitNames = ['socks', 'shoes', 'pants', 'shirt', 'face', 'hat'];
-    if (this.config.traits.length !== expectedTraitNames.length) {
-      throw new Error(`Expected ${expectedTraitNames.length} traits, got ${this.config.traits.length}`);
+    if (!Array.isArray(this.config.traits) || this.config.traits.length === 0) {
+      throw new Error("Invalid rarity config: at least one trait is required");
     }
 
+    const traitNames = new Set();
+    const variantNames = new Set();
     this.config.traits.forEach((trait, traitIndex) => {
-      if (!expectedTraitNames.includes(trait.trait)) {
-        throw new Error(`Unexpected trait name: ${trait.trait}`);
+      if (!trait.trait || typeof trait.trait !== 'string') {
+        throw new Error(`Invalid trait name at index ${traitIndex}`);
+      }
+      if (traitNames.has(trait.trait)) {
+        errors.push(`Duplicate trait name: ${trait.trait}`);
       }
+      traitNames.add(trait.trait);
 
-      if (!trait.variants || trait.variants.length !== 26) {
-        throw new Error(`Trait ${trait.trait} must have exactly 26 variants`);
+      if (!Array.isArray(trait.variants) || trait.variants.length === 0) {
+        throw new Error(`Trait ${trait.trait} must have at least one variant`);
       }
 
       let totalVariantQuota = 0;
+      const quotaByTier = {};
       trait.variants.forEach((variant, variantIndex) => {
         if (!variant.name || !variant.tier || typeof variant.points !== 'number' || typeof variant.quota !== 'number') {
           throw new Error(`Invalid variant at trait ${traitIndex}, variant ${variantIndex}`);
         }
+        // Variant names are the lookup key across all traits, so they must be globally unique
+        if (variantNames.has(variant.name)) {
+          errors.push(`Duplicate variant name: ${variant.name}`);
+        }
+        variantNames.add(variant.name);
+
+        if (!tierIds.has(variant.tier)) {
+          errors.push(`Variant ${variant.name} references unknown tier ${variant.tier}`);
+        }
+        quotaByTier[variant.tier] = (quotaByTier[variant.tier] || 0) + variant.quota;
         totalVariantQuota += variant.quota;
       });
 
       if (totalVariantQuota !== this.config.collectionSize) {
         console.warn(`Warning: trait ${trait.trait} total quota = ${totalVariantQuota}, expected ${this.config.collectionSize}`);
       }
+
+      // Every NFT of a tier takes exactly one variant of that tier from each trait
+      this.config.tiers.forEach(tier => {
+        const available = quotaByTier[tier.id] || 0;
+        if (tier.quota > 0 && available === 0) {
+          errors.push(`Trait ${trait.trait} has no variants for tier ${tier.id} (quota ${tier.quota})`);
+        } else if (available !== tier.quota) {
+          console.warn(`Warning: trait ${trait.trait} tier ${tier.id} variant quota = ${available}, expected ${tier.quota}`);
+        }
+      });
+    });
+
+    errors.push(...this.validateTierSelection());
+
+    // Compatibility rules (excludes / requires / pairs) must reference known variants of different traits
+    this.traitRules = new TraitRules(this.config);
+    errors.push(...this.traitRules.errors);
+
+    errors.push(...this.validateUniqueness());
+    errors.push(...this.validateRenderOptions());
+    errors.push(...MetadataTemplates.validate(this.config));
+
+    const allocation = this.getAllocationMode();
+    if (!ALLOCATION_MODES.includes(allocation)) {
+      errors.push(`Unknown allocation mode: ${allocation} (expected ${ALLOCATION_MODES.join(' or ')})`);
+    } else if (allocation === 'sequential' && this.traitRules.hasRules()) {
+      console.warn('Warning: compatibility rules are only guaranteed with planned allocation; sequential picks can use up the variants a rule needs and fail late NFTs');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid rarity config:\n  - ${errors.join('\n  - ')}`);
+    }
+  }
+
+  // "tierSelection" picks a named curve; a tier's own "selectionWeight" always wins
+  validateTierSelection() {
+    const errors = [];
+    const selection = this.config.tierSelection || {};
+    const distribution = selection.distribution || 'bell';
+
+    if (!TIER_DISTRIBUTIONS.includes(distribution)) {
+      errors.push(`Unknown tierSelection.distribution: ${distribution} (expected ${TIER_DISTRIBUTIONS.join(', ')})`);
+    }
+
+    if (distribution === 'exponential' && selection.base !== undefined && !(selection.base > 0)) {
+      errors.push(`tierSelection.base must be a positive number`);
+    }
+
+    if (distribution === 'custom') {
+      const curve = selection.curve;
+      if (Array.isArray(curve)) {
+        if (curve.length !== this.config.tiers.length) {
+          errors.push(`tierSelection.curve has ${curve.length} values, expected one per tier (${this.config.tiers.length})`);
+        }
+      } else if (curve && typeof curve === 'object') {
+        Object.keys(curve).forEach(tierId => {
+          if (!this.config.tiers.some(tier => tier.id === tierId)) {
+            errors.push(`tierSelection.curve references unknown tier ${tierId}`);
+          }
+        });
+      } else {
+        errors.push(`tierSelection.curve is required for the custom distribution (array or object keyed by tier ID)`);
+      }
+    }
+
+    this.config.tiers.forEach(tier => {
+      if (tier.selectionWeight !== undefined && !(typeof tier.selectionWeight === 'number' && tier.selectionWeight >= 0)) {
+        errors.push(`Tier ${tier.id} has an invalid selectionWeight: ${tier.selectionWeight}`);
+      }
+    });
+
+    return errors;
+  }
+
+  // "uniqueness": { enabled, traits (null = all), exemptTiers } - which traits form the duplicate key
+  validateUniqueness() {
+    const errors = [];
+    const uniqueness = this.config.uniqueness;
+    if (!uniqueness) return errors;
+
+    const traitNames = this.config.traits.map(trait => trait.trait);
+    (uniqueness.traits || []).forEach(traitName => {
+      if (!traitNames.includes(traitName)) {
+        errors.push(`uniqueness.traits references unknown trait ${traitName}`);
+      }
+    });
+    if (Array.isArray(uniqueness.traits) && uniqueness.traits.length === 0) {
+      errors.push(`uniqueness.traits must list at least one trait (omit it to use all traits)`);
+    }
+    (uniqueness.exemptTiers || []).forEach(tierId => {
+      if (!this.config.tiers.some(tier => tier.id === tierId)) {
+        errors.push(`uniqueness.exemptTiers references unknown tier ${tierId}`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Optional per-trait and per-variant "render" draw options (blend, opacity, x, y, scale)
+  validateRenderOptions() {
+    const errors = [];
+    const render = this.config.render || {};
+    if (render.layerOrder !== undefined && render.layerOrder !== null && !Array.isArray(render.layerOrder)) {
+      errors.push(`render.layerOrder must be a list of trait or layer names`);
+    }
+    if (render.svg !== undefined && typeof render.svg !== 'boolean') {
+      errors.push(`render.svg must be true or false`);
+    }
+    if (render.strictMapping !== undefined && typeof render.strictMapping !== 'boolean') {
+      errors.push(`render.strictMapping must be true or false`);
+    }
+    if (render.animation !== undefined) {
+      errors.push(...this.validateAnimationOptions(render.animation));
+    }
+    if (render.exports !== undefined) {
+      errors.push(...ImageExports.validate(render.exports));
+    }
+
+    this.config.traits.forEach(trait => {
+      if (trait.render !== undefined) {
+        errors.push(...LayerOptions.validate(trait.render, `Trait ${trait.trait} render`));
+      }
+      trait.variants.forEach(variant => {
+        if (variant.render !== undefined) {
+          errors.push(...this.validateVariantRender(variant));
+        }
+      });
     });
+
+    return errors;
+  }
+
+  // "render.animation": { fps, loop, formats, ffmpegPath } for tokens with frame-sequence layers
+  validateAnimationOptions(animation) {
+    const errors = [];
+    if (!animation || typeof animation !== 'object') {
+      return [`render.animation must be an object`];
+    }
+    if (animation.fps !== undefined && !(Number(animation.fps) > 0)) {
+      errors.push(`render.animation.fps must be a positive number (found ${animation.fps})`);
+    }
+    if (animation.loop !== undefined && !(Number.isInteger(animation.loop) && animation.loop >= 0)) {
+      errors.push(`render.animation.loop must be 0 (forever) or a positive repeat count (found ${animation.loop})`);
+    }
+    if (animation.formats !== undefined) {
+      if (!Array.isArray(animation.formats)) {
+        errors.push(`render.animation.formats must be a list of ${ANIMATION_FORMATS.join(', ')}`);
+      } else {
+        animation.formats
+          .filter(format => !ANIMATION_FORMATS.includes(format))
+          .forEach(format => errors.push(`Unknown render.animation format: ${format} (expected ${ANIMATION_FORMATS.join(', ')})`));
+      }
+    }
+    return errors;
+  }
+
+  // A variant's "render" may also hold "parts": { back: {...}, front: {...} } for multi-part layer images
+  validateVariantRender(variant) {
+    const label = `Variant ${variant.name} render`;
+    if (!variant.render || typeof variant.render !== 'object') {
+      return LayerOptions.validate(variant.render, label);
+    }
+
+    const { parts, ...options } = variant.render;
+    const errors = LayerOptions.validate(options, label);
+    if (parts !== undefined) {
+      if (!parts || typeof parts !== 'object' || Array.isArray(parts)) {
+        errors.push(`${label}: parts must map part names to render options`);
+      } else {
+        Object.keys(parts).forEach(part => {
+          errors.push(...LayerOptions.validate(parts[part], `${label} part ${part}`));
+        });
+      }
+    }
+    return errors;
   }
 
   initializeQuotas() {
@@ -91,13 +322,179 @@ class RarityEngine {
     });
   }
 
-  // Enhanced seeded random number generator for reproducibility
+  // Multiplier applied to each tier's remaining quota when selecting the next tier
+  buildSelectionWeights() {
+    const selection = this.config.tierSelection || {};
+    const distribution = selection.distribution || 'bell';
+    const tierCount = this.config.tiers.length;
+
+    this.config.tiers.forEach((tier, index) => {
+      let multiplier = 1.0;
+
+      if (typeof tier.selectionWeight === 'number') {
+        multiplier = tier.selectionWeight;
+      } else if (distribution === 'bell') {
+        multiplier = this.bellMultiplier(index, tierCount);
+      } else if (distribution === 'exponential') {
+        multiplier = Math.pow(selection.base || 0.5, index);
+      } else if (distribution === 'custom') {
+        const curve = selection.curve;
+        const value = Array.isArray(curve) ? curve[index] : curve[tier.id];
+        multiplier = typeof value === 'number' ? value : 1.0;
+      }
+
+      this.tierSelectionWeights.set(tier.id, multiplier);
+    });
+  }
+
+  // Uniqueness is off unless the config has an enabled "uniqueness" section
+  buildUniquenessPolicy() {
+    const uniqueness = this.config.uniqueness;
+    if (!uniqueness || uniqueness.enabled === false) {
+      this.uniqueness = null;
+      return;
+    }
+
+    const traitNames = uniqueness.traits || this.config.traits.map(trait => trait.trait);
+    this.uniqueness = {
+      traits: traitNames,
+      traitIndexes: this.config.traits
+        .map((trait, index) => (traitNames.includes(trait.trait) ? index : -1))
+        .filter(index => index >= 0),
+      exemptTiers: new Set(uniqueness.exemptTiers || [])
+    };
+  }
+
+  // Interpolate BELL_CURVE by distance from the middle tier (0 = center, 1 = outermost)
+  bellMultiplier(index, tierCount) {
+    const center = (tierCount - 1) / 2;
+    const distance = center === 0 ? 0 : Math.abs(index - center) / center;
+    const position = distance * (BELL_CURVE.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, BELL_CURVE.length - 1);
+    const fraction = position - lower;
+    return Number((BELL_CURVE[lower] + (BELL_CURVE[upper] - BELL_CURVE[lower]) * fraction).toFixed(4));
+  }
+
+  // Seed priority: constructor option, then config "rng.seed", then a fresh random seed
+  initializeRng() {
+    const rngConfig = this.config.rng || {};
+    const algorithm = this.options.rngAlgorithm || rngConfig.algorithm || DEFAULT_ALGORITHM;
+    const seed = this.options.seed !== undefined && this.options.seed !== null
+      ? this.options.seed
+      : (rngConfig.seed !== undefined && rngConfig.seed !== null ? rngConfig.seed : generateSeed());
+
+    this.rng = createRng(algorithm, seed);
+  }
+
+  // Seed and algorithm needed to reproduce this run
+  getRngInfo() {
+    return {
+      algorithm: this.rng.algorithm,
+      seed: this.rng.seed
+    };
+  }
+
+  // 'sequential' picks each NFT on the fly; 'planned' solves the whole collection up front
+  getAllocationMode() {
+    const allocationConfig = this.config.allocation || {};
+    return this.options.allocation || allocationConfig.mode || 'sequential';
+  }
+
+  // Build the full-collection plan on first use so it draws from the seeded RNG
+  planAllocation() {
+    const allocationConfig = this.config.allocation || {};
+    const planner = new AllocationPlanner(this.config, () => this.seededRandom(), {
+      maxIterations: allocationConfig.maxIterations,
+      rules: this.traitRules,
+      uniqueness: this.uniqueness
+    });
+
+    this.plannedResults = planner.plan();
+    this.planCursor = 0;
+    this.planEnd = this.plannedResults.length;
+    return this.plannedResults.length;
+  }
+
+  // Tier and variant counts of planned NFTs [offset, offset + count), keyed by tier id / variant name
+  countPlannedQuotas(offset, count) {
+    if (!this.plannedResults) {
+      this.planAllocation();
+    }
+
+    const tierQuotas = {};
+    this.config.tiers.forEach(tier => {
+      tierQuotas[tier.id] = 0;
+    });
+    const variantQuotas = {};
+    this.config.traits.forEach(trait => {
+      trait.variants.forEach(variant => {
+        variantQuotas[variant.name] = 0;
+      });
+    });
+
+    this.plannedResults.slice(offset, offset + count).forEach(({ tier, variants }) => {
+      tierQuotas[tier.id]++;
+      variants.forEach(({ variant }) => {
+        variantQuotas[variant.name]++;
+      });
+    });
+
+    return { tierQuotas, variantQuotas };
+  }
+
+  // Limit this engine to one shard of the planned collection (see ShardPlanner).
+  // Every shard re-plans the whole collection from the shared seed and hands out only its own slice,
+  // so shards together hit every quota and never repeat a uniqueness key across shards.
+  selectShard(shard) {
+    if (this.getAllocationMode() !== 'planned') {
+      throw new Error('Sharded generation requires planned allocation');
+    }
+    if (shard.configHash !== this.getConfigHash()) {
+      throw new Error(`Shard ${shard.index} was planned with a different rarity config`);
+    }
+    if (!this.plannedResults) {
+      this.planAllocation();
+    }
+    if (shard.offset + shard.count > this.plannedResults.length) {
+      throw new Error(`Shard ${shard.index} exceeds the planned collection of ${this.plannedResults.length} NFTs`);
+    }
+
+    const expected = this.countPlannedQuotas(shard.offset, shard.count);
+    const mismatched = Object.keys(expected.tierQuotas)
+      .filter(tierId => expected.tierQuotas[tierId] !== shard.tierQuotas[tierId]);
+    const mismatchedVariants = Object.keys(expected.variantQuotas)
+      .filter(name => expected.variantQuotas[name] !== shard.variantQuotas[name]);
+    if (mismatched.length > 0 || mismatchedVariants.length > 0) {
+      throw new Error(`Shard ${shard.index} quotas do not match the plan for seed "${this.rng.seed}" (${this.rng.algorithm})`);
+    }
+
+    this.shard = shard;
+    this.planCursor = shard.offset;
+    this.planEnd = shard.offset + shard.count;
+
+    this.remainingTierQuotas.forEach(tier => {
+      tier.quota = shard.tierQuotas[tier.id];
+    });
+    this.remainingVariantQuotas.forEach(trait => {
+      trait.variants.forEach(variant => {
+        variant.quota = shard.variantQuotas[variant.name];
+      });
+    });
+  }
+
+  // Quota the current run is working towards: the shard's sub-quota when sharded, else the config
+  getTierQuota(tierId) {
+    if (this.shard) return this.shard.tierQuotas[tierId];
+    return this.config.tiers[this.tierIdToIndex.get(tierId)].quota;
+  }
+
+  // Next value in [0, 1) from the configured seeded generator
   seededRandom() {
-    this.rngSeed = (this.rngSeed * 9301 + 49297) % 233280;
-    return this.rngSeed / 233280;
+    return this.rng.next();
   }
 
-  // Bell curve weighted tier selection - prioritizes center tiers (T4, T5, T6)
+  // Weighted tier selection - remaining quota scaled by the tier's configured selection multiplier
   selectTierWeighted() {
     const availableTiers = this.remainingTierQuotas.filter(tier => tier.quota > 0);
     
@@ -105,25 +502,10 @@ class RarityEngine {
       throw new Error("No available tiers with remaining quota");
     }
 
-    // Calculate weights with bell curve bias
-    let weightedTiers = availableTiers.map(tier => {
-      let baseWeight = tier.quota;
-      
-      // Apply bell curve multiplier - higher for center tiers
-      let bellCurveMultiplier = 1.0;
-      switch(tier.id) {
-        case 'T1': case 'T9': bellCurveMultiplier = 0.5; break;  // Ultra rare
-        case 'T2': case 'T8': bellCurveMultiplier = 0.7; break;  // Very rare
-        case 'T3': case 'T7': bellCurveMultiplier = 1.2; break;  // Rare
-        case 'T4': case 'T6': bellCurveMultiplier = 1.8; break;  // Uncommon
-        case 'T5': bellCurveMultiplier = 2.5; break;             // Common (peak)
-      }
-      
-      return {
-        ...tier,
-        weight: Math.floor(baseWeight * bellCurveMultiplier)
-      };
-    });
+    let weightedTiers = availableTiers.map(tier => ({
+      ...tier,
+      weight: Math.floor(tier.quota * this.tierSelectionWeights.get(tier.id))
+    }));
 
     const totalWeight = weightedTiers.reduce((sum, tier) => sum + tier.weight, 0);
     let random = this.seededRandom() * totalWeight;
@@ -151,11 +533,15 @@ class RarityEngine {
   // Select variants for a given tier
   selectVariantsForTier(targetTierId) {
     const selectedVariants = [];
+    const selectedNames = [];
     
-    for (const traitConfig of this.remainingVariantQuotas) {
-      // Filter variants that match the target tier and have remaining quota
+    this.remainingVariantQuotas.forEach((traitConfig, traitIndex) => {
+      // Filter variants that match the target tier, have remaining quota and are compatible with earlier picks
       const availableVariants = traitConfig.variants.filter(
-        variant => variant.tier === targetTierId && variant.quota > 0
+        variant => variant.tier === targetTierId &&
+          variant.quota > 0 &&
+          this.traitRules.isCompatible(variant.name, selectedNames) &&
+          this.leavesCompatibleChoices(variant.name, selectedNames, targetTierId, traitIndex)
       );
 
       if (availableVariants.length === 0) {
@@ -183,11 +569,26 @@ class RarityEngine {
         trait: traitConfig.trait,
         variant: selectedVariant
       });
-    }
+      selectedNames.push(selectedVariant.name);
+    });
 
     return selectedVariants;
   }
 
+  // Forward check: picking `name` must leave every later trait at least one compatible variant
+  leavesCompatibleChoices(name, selectedNames, targetTierId, traitIndex) {
+    if (!this.traitRules.hasRules()) return true;
+
+    const names = [...selectedNames, name];
+    return this.remainingVariantQuotas.slice(traitIndex + 1).every(traitConfig =>
+      traitConfig.variants.some(variant =>
+        variant.tier === targetTierId &&
+        variant.quota > 0 &&
+        this.traitRules.isCompatible(variant.name, names)
+      )
+    );
+  }
+
   // Calculate total score for selected variants
   calculateScore(selectedVariants) {
     return selectedVariants.reduce((sum, item) => sum + item.variant.points, 0);
@@ -200,6 +601,34 @@ class RarityEngine {
     return score >= min && score <= max;
   }
 
+  // Hash of the selected variants (sha1, like the legacy HashLips DNA); traitNames limits which traits count
+  computeDna(selectedVariants, traitNames = null) {
+    const dnaString = selectedVariants
+      .filter(item => !traitNames || traitNames.includes(item.trait))
+      .map(item => `${item.trait}:${item.variant.name}`)
+      .join('-');
+    return crypto.createHash('sha1').update(dnaString).digest('hex');
+  }
+
+  // Uniqueness policy in effect and how it has affected this run
+  getUniquenessInfo() {
+    return {
+      enabled: Boolean(this.uniqueness),
+      traits: this.uniqueness ? this.uniqueness.traits : [],
+      exemptTiers: this.uniqueness ? [...this.uniqueness.exemptTiers] : [],
+      uniqueCombinations: this.dnaSet.size,
+      duplicateRejections: this.duplicateRejections
+    };
+  }
+
+  // Key checked against previously generated NFTs, or null when the tier is not uniqueness-checked
+  getUniquenessKey(tierId, selectedVariants) {
+    if (!this.uniqueness || this.uniqueness.exemptTiers.has(tierId)) {
+      return null;
+    }
+    return this.computeDna(selectedVariants, this.uniqueness.traits);
+  }
+
   // Decrement quotas after successful generation
   decrementQuotas(tierId, selectedVariants) {
     // Decrement tier quota
@@ -218,6 +647,10 @@ class RarityEngine {
 
   // Generate a single NFT with rarity constraints
   generateNFT(maxRetries = 100) {
+    if (this.getAllocationMode() === 'planned') {
+      return this.generatePlannedNFT();
+    }
+
     let attempts = 0;
     
     while (attempts < maxRetries) {
@@ -233,19 +666,27 @@ class RarityEngine {
         
         // 4. Verify score is within tier range
         if (this.isScoreInTierRange(totalScore, targetTierId)) {
-          // 5. Decrement quotas
-          this.decrementQuotas(targetTierId, selectedVariants);
-          
-          // 6. Return successful generation result
-          const tierInfo = this.getTierById(targetTierId);
-          return {
-            success: true,
-            tierId: targetTierId,
-            tierName: tierInfo.name,
-            score: totalScore,
-            variants: selectedVariants,
-            attempts: attempts + 1
-          };
+          // 5. Reject combinations already generated
+          const uniquenessKey = this.getUniquenessKey(targetTierId, selectedVariants);
+          if (uniquenessKey && this.dnaSet.has(uniquenessKey)) {
+            this.duplicateRejections++;
+          } else {
+            // 6. Decrement quotas
+            this.decrementQuotas(targetTierId, selectedVariants);
+            if (uniquenessKey) this.dnaSet.add(uniquenessKey);
+
+            // 7. Return successful generation result
+            const tierInfo = this.getTierById(targetTierId);
+            return {
+              success: true,
+              tierId: targetTierId,
+              tierName: tierInfo.name,
+              score: totalScore,
+              variants: selectedVariants,
+              dna: this.computeDna(selectedVariants),
+              attempts: attempts + 1
+            };
+          }
         }
       } catch (error) {
         console.warn(`Generation attempt ${attempts + 1} failed:`, error.message);
@@ -261,8 +702,131 @@ class RarityEngine {
     };
   }
 
-  // Map variant names to layer elements for rendering
-  mapVariantsToLayers(selectedVariants, layerData) {
+  // Hand out the next NFT from the up-front plan; quotas are decremented as in sequential mode
+  generatePlannedNFT() {
+    if (!this.plannedResults) {
+      this.planAllocation();
+    }
+
+    if (this.planCursor >= this.planEnd) {
+      const planned = this.shard ? this.shard.count : this.plannedResults.length;
+      return {
+        success: false,
+        error: `Planned allocation exhausted after ${planned} NFTs`,
+        attempts: 0
+      };
+    }
+
+    const { tier, variants } = this.plannedResults[this.planCursor++];
+    this.decrementQuotas(tier.id, variants);
+
+    const uniquenessKey = this.getUniquenessKey(tier.id, variants);
+    if (uniquenessKey) this.dnaSet.add(uniquenessKey);
+
+    return {
+      success: true,
+      tierId: tier.id,
+      tierName: tier.name,
+      score: this.calculateScore(variants),
+      variants,
+      dna: this.computeDna(variants),
+      attempts: 1
+    };
+  }
+
+  // Everything needed to continue this run later: remaining quotas, RNG position and seen DNA.
+  // The planned allocation itself is not stored - it is rebuilt from the seed on restore.
+  serializeState() {
+    const tierQuotas = {};
+    this.remainingTierQuotas.forEach(tier => {
+      tierQuotas[tier.id] = tier.quota;
+    });
+
+    const variantQuotas = {};
+    this.remainingVariantQuotas.forEach(trait => {
+      trait.variants.forEach(variant => {
+        variantQuotas[variant.name] = variant.quota;
+      });
+    });
+
+    return {
+      version: 1,
+      configHash: this.getConfigHash(),
+      allocation: this.getAllocationMode(),
+      rng: {
+        ...this.getRngInfo(),
+        state: this.rng.getState()
+      },
+      planned: Boolean(this.plannedResults),
+      planCursor: this.planCursor,
+      planEnd: this.planEnd,
+      shard: this.shard,
+      tierQuotas,
+      variantQuotas,
+      dnaSet: [...this.dnaSet],
+      duplicateRejections: this.duplicateRejections
+    };
+  }
+
+  // Continue from serializeState() output; the same config must already be loaded
+  restoreState(state) {
+    if (!state || state.version !== 1) {
+      throw new Error('Unsupported engine state version');
+    }
+    if (state.configHash !== this.getConfigHash()) {
+      throw new Error('Engine state was saved with a different rarity config');
+    }
+
+    this.options = { ...this.options, allocation: state.allocation };
+    this.rng = createRng(state.rng.algorithm, state.rng.seed);
+
+    // Planning only draws from a fresh generator, so replaying it yields the identical plan
+    this.plannedResults = null;
+    this.planCursor = 0;
+    this.shard = state.shard || null;
+    if (state.planned) {
+      this.planAllocation();
+      this.planCursor = state.planCursor;
+      this.planEnd = state.planEnd;
+    }
+    this.rng.setState(state.rng.state);
+
+    this.remainingTierQuotas.forEach(tier => {
+      tier.quota = state.tierQuotas[tier.id];
+    });
+    this.remainingVariantQuotas.forEach(trait => {
+      trait.variants.forEach(variant => {
+        variant.quota = state.variantQuotas[variant.name];
+      });
+    });
+
+    this.dnaSet = new Set(state.dnaSet);
+    this.duplicateRejections = state.duplicateRejections;
+  }
+
+  // Fingerprint of the loaded config, used to refuse restoring state into a different config
+  getConfigHash() {
+    return crypto.createHash('sha256').update(JSON.stringify(this.config)).digest('hex');
+  }
+
+  // Map variant names to layer elements for rendering.
+  // options.strict: only exact names match (see findStrictLayer) and a missing element throws
+  // instead of falling back to the layer's first element.
+  mapVariantsToLayers(selectedVariants, layerData, options = {}) {
+    if (options.strict) {
+      return selectedVariants.map(item => {
+        const layer = this.findStrictLayer(item.trait, layerData);
+        if (!layer) {
+          throw new Error(`Could not find layer folder for trait "${item.trait}" (strict mapping)`);
+        }
+        const element = layer.elements.find(el => el.name === item.variant.name);
+        if (!element) {
+          throw new Error(`Could not find ${item.variant.name} in layer ${layer.name} (strict mapping)`);
+        }
+        return { name: layer.name, selectedElement: element };
+      });
+    }
+
     const mappedLayers = [];
     
     selectedVariants.forEach(item => {
@@ -312,25 +876,74 @@ class RarityEngine {
     return mappedLayers;
   }
 
+  // Folder "socks", "Socks" or "01_Socks" for trait "socks"; no substring matches
+  findStrictLayer(traitName, layerData) {
+    const key = traitName.toLowerCase();
+    return layerData.find(layer => {
+      const name = layer.name.toLowerCase();
+      return name === key || name.replace(/^\d+_/, '') === key;
+    });
+  }
+
+  // Every config variant that has no layer element under strict mapping, so a render can fail
+  // before the first token instead of partway through
+  findUnmappedVariants(layerData) {
+    const missing = [];
+    this.config.traits.forEach(trait => {
+      const layer = this.findStrictLayer(trait.trait, layerData);
+      trait.variants.forEach(variant => {
+        if (!layer) {
+          missing.push({ trait: trait.trait, variant: variant.name, reason: 'no layer folder for the trait' });
+        } else if (!layer.elements.some(element => element.name === variant.name)) {
+          missing.push({ trait: trait.trait, variant: variant.name, reason: `no file named ${variant.name} in ${layer.name}` });
+        }
+      });
+    });
+    return missing;
+  }
+
   // Get generation status and statistics
   getGenerationStatus() {
     const totalRemaining = this.remainingTierQuotas.reduce((sum, tier) => sum + tier.quota, 0);
-    const totalGenerated = this.config.collectionSize - totalRemaining;
+    const collectionSize = this.shard ? this.shard.count : this.config.collectionSize;
+    const totalGenerated = collectionSize - totalRemaining;
     
     return {
       totalGenerated,
       totalRemaining,
-      collectionSize: this.config.collectionSize,
-      progress: (totalGenerated / this.config.collectionSize) * 100,
+      collectionSize,
+      progress: (totalGenerated / collectionSize) * 100,
       tierStatus: this.remainingTierQuotas.map(tier => ({
         id: tier.id,
         name: tier.name,
         remaining: tier.quota,
-        originalQuota: this.config.tiers.find(t => t.id === tier.id).quota
+        originalQuota: this.getTierQuota(tier.id)
       }))
     };
   }
 
+  // Configured vs realized tier distribution for the NFTs generated so far
+  getDistributionReport() {
+    const status = this.getGenerationStatus();
+
+    return status.tierStatus.map(tier => {
+      const realized = tier.originalQuota - tier.remaining;
+      const configuredPercent = status.collectionSize > 0 ? (tier.originalQuota / status.collectionSize) * 100 : 0;
+      const realizedPercent = status.totalGenerated > 0 ? (realized / status.totalGenerated) * 100 : 0;
+
+      return {
+        id: tier.id,
+        name: tier.name,
+        selectionWeight: this.tierSelectionWeights.get(tier.id),
+        configured: tier.originalQuota,
+        realized,
+        configuredPercent: Number(configuredPercent.toFixed(2)),
+        realizedPercent: Number(realizedPercent.toFixed(2)),
+        deviation: Number((realizedPercent - configuredPercent).toFixed(2))
+      };
+    });
+  }
+
   // Validate final generation
   validateFinalGeneration() {
     const status = this.getGenerationStatus();
@@ -0,0 +1,187 @@
+// Statistical rarity ranking computed from the generated collection (OpenRarity method)
+// Each trait value's probability is its frequency in the collection; a token's information content
+// is the sum of -log2(probability) over every trait type, and its score is that sum divided by the
+// collection entropy (the average information content). A missing trait counts as the value "None",
+// and the number of traits a token has is scored as the extra trait "Trait Count".
+// Tokens are ranked by score, rarest first; equal scores share a rank (1, 2, 2, 4).
+
+const fs = require('fs');
+const path = require('path');
+
+// "{tokenId}.json", or the 64-digit hex names of the erc1155 metadata profile
+const TOKEN_FILE = /^(\d+|[0-9a-f]{64})\.json$/;
+const NONE = 'None';
+const TRAIT_COUNT = 'Trait Count';
+// Scores closer than this are the same score (floating point sums of logs)
+const SCORE_EPSILON = 1e-9;
+
+class RarityRanking {
+  // [{ tokenId, file, metadata }] for every token file in the directory, by token ID
+  static readCollection(metadataDir) {
+    if (!fs.existsSync(metadataDir)) {
+      throw new Error(`Metadata directory not found: ${metadataDir}`);
+    }
+
+    return fs
+      .readdirSync(metadataDir)
+      .filter(file => TOKEN_FILE.test(file))
+      .map(file => ({
+        tokenId: this.getTokenId(file),
+        file: path.join(metadataDir, file),
+        metadata: JSON.parse(fs.readFileSync(path.join(metadataDir, file), 'utf8'))
+      }))
+      .sort((a, b) => a.tokenId - b.tokenId);
+  }
+
+  static getTokenId(file) {
+    const [, id] = file.match(TOKEN_FILE);
+    return id.length === 64 ? parseInt(id, 16) : parseInt(id);
+  }
+
+  // String traits only; numeric traits (display_type set) are not ranked, as on marketplaces
+  static getTraits(metadata) {
+    const traits = {};
+    (metadata.attributes || [])
+      .filter(attribute => attribute.trait_type && !attribute.display_type)
+      .forEach(attribute => {
+        traits[attribute.trait_type] = String(attribute.value);
+      });
+    return traits;
+  }
+
+  // tokens: [{ tokenId, metadata }] -> { collectionSize, entropy, traitTypes, frequencies, tokens: [...] by rank }
+  static rank(tokens) {
+    if (tokens.length === 0) {
+      throw new Error('No token metadata to rank');
+    }
+
+    const collectionSize = tokens.length;
+    const tokenTraits = tokens.map(token => this.getTraits(token.metadata));
+    const traitTypes = [...new Set(tokenTraits.flatMap(traits => Object.keys(traits)))];
+
+    // Every token gets a value for every trait type, including the trait count
+    const valuesPerToken = tokenTraits.map(traits => {
+      const values = {};
+      traitTypes.forEach(traitType => {
+        values[traitType] = traits[traitType] !== undefined ? traits[traitType] : NONE;
+      });
+      values[TRAIT_COUNT] = String(Object.keys(traits).length);
+      return values;
+    });
+    const scoredTypes = [...traitTypes, TRAIT_COUNT];
+
+    const frequencies = {};
+    scoredTypes.forEach(traitType => {
+      frequencies[traitType] = {};
+      valuesPerToken.forEach(values => {
+        const value = values[traitType];
+        frequencies[traitType][value] = (frequencies[traitType][value] || 0) + 1;
+      });
+    });
+
+    const entropy = scoredTypes.reduce((sum, traitType) => sum + Object.values(frequencies[traitType])
+      .reduce((typeSum, count) => {
+        const probability = count / collectionSize;
+        return typeSum - probability * Math.log2(probability);
+      }, 0), 0);
+
+    const ranked = tokens.map((token, index) => {
+      const traits = scoredTypes.map(traitType => {
+        const value = valuesPerToken[index][traitType];
+        const count = frequencies[traitType][value];
+        return {
+          trait_type: traitType,
+          value,
+          count,
+          frequency: count / collectionSize,
+          information_content: -Math.log2(count / collectionSize)
+        };
+      });
+      const informationContent = traits.reduce((sum, trait) => sum + trait.information_content, 0);
+      return {
+        tokenId: token.tokenId,
+        score: entropy > 0 ? informationContent / entropy : 0,
+        informationContent,
+        traits
+      };
+    });
+
+    ranked.sort((a, b) => (b.score - a.score) || (a.tokenId - b.tokenId));
+    ranked.forEach((token, index) => {
+      const previous = ranked[index - 1];
+      token.rank = previous && previous.score - token.score < SCORE_EPSILON ? previous.rank : index + 1;
+      token.percentile = Math.round(((collectionSize - token.rank + 1) / collectionSize) * 10000) / 100;
+    });
+
+    return { collectionSize, entropy, traitTypes, frequencies, tokens: ranked };
+  }
+
+  // Field added to extended metadata under rarity_details
+  static getMetadataField(rankedToken, collectionSize) {
+    const round = value => Math.round(value * 10000) / 10000;
+    return {
+      method: 'openrarity',
+      rank: rankedToken.rank,
+      score: round(rankedToken.score),
+      information_content: round(rankedToken.informationContent),
+      percentile: rankedToken.percentile,
+      total_supply: collectionSize,
+      traits: rankedToken.traits.map(trait => ({
+        trait_type: trait.trait_type,
+        value: trait.value,
+        count: trait.count,
+        frequency: round(trait.frequency)
+      }))
+    };
+  }
+
+  // Writes rarity_details.statistical into extended metadata (files that have rarity_details);
+  // standard and minimal files are left alone. Returns the number of files written.
+  static writeMetadata(collection, ranking) {
+    const byTokenId = new Map(ranking.tokens.map(token => [token.tokenId, token]));
+    let written = 0;
+    collection.forEach(({ tokenId, file, metadata }) => {
+      if (!metadata.rarity_details) return;
+      metadata.rarity_details.statistical = this.getMetadataField(byTokenId.get(tokenId), ranking.collectionSize);
+      fs.writeFileSync(file, JSON.stringify(metadata, null, 2));
+      written++;
+    });
+    return written;
+  }
+
+  // One row per token by rank, with each trait value and its frequency
+  static toCsv(ranking, collection = []) {
+    const tiers = new Map(collection.map(({ tokenId, metadata }) => [
+      tokenId,
+      metadata.rarity_details ? metadata.rarity_details.tier_id : (metadata.properties || {}).overall_tier
+    ]));
+    const header = ['rank', 'token_id', 'score', 'information_content', 'percentile', 'tier'];
+    ranking.traitTypes.concat(TRAIT_COUNT).forEach(traitType => header.push(traitType, `${traitType} frequency`));
+
+    const rows = ranking.tokens.map(token => {
+      const row = [
+        token.rank,
+        token.tokenId,
+        token.score.toFixed(6),
+        token.informationContent.toFixed(6),
+        token.percentile,
+        tiers.get(token.tokenId) || ''
+      ];
+      token.traits.forEach(trait => row.push(trait.value, trait.frequency.toFixed(6)));
+      return row;
+    });
+
+    return [header, ...rows].map(row => row.map(this.escapeCsv).join(',')).join('\n') + '\n';
+  }
+
+  static escapeCsv(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+RarityRanking.TOKEN_FILE = TOKEN_FILE;
+RarityRanking.NONE = NONE;
+RarityRanking.TRAIT_COUNT = TRAIT_COUNT;
+
+module.exports = RarityRanking;
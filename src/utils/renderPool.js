@@ -0,0 +1,228 @@
+// worker_threads pool that renders token images concurrently
+// Specs come from ImageCompositor#createRenderSpec; each image depends only on its spec,
+// so the output is identical for any worker count (workers: 0 renders in-process)
+//
+// Events:
+//   progress      { tokenId, completed, failed, submitted, pending } after every token
+//   tokenRendered { tokenId }
+//   tokenFailed   { tokenId, error }
+//
+// A worker that dies before it has loaded the compositor (e.g. canvas missing), or more than
+// maxRespawns worker deaths, fail the pool: pending specs fail and submit()/drain() throw pool.error
+
+const EventEmitter = require('events');
+const os = require('os');
+const path = require('path');
+
+// Decoded 1024x1024 layers are ~4 MB each; this bounds a worker's cache to ~256 MB
+const DEFAULT_CACHED_IMAGES = 64;
+const DEFAULT_MAX_RESPAWNS = 5;
+
+class RenderPool extends EventEmitter {
+  // options: { outputDir, workers, width, height, maxCachedImages, maxPending, maxRespawns, workerPath }
+  constructor(options = {}) {
+    super();
+    this.outputDir = options.outputDir;
+    this.size = options.workers !== undefined && options.workers !== null
+      ? Math.max(0, parseInt(options.workers) || 0)
+      : Math.max(1, os.cpus().length - 1);
+    this.workerPath = options.workerPath || path.join(__dirname, 'renderWorker.js');
+    this.compositorOptions = {
+      width: options.width,
+      height: options.height,
+      maxCachedImages: options.maxCachedImages || DEFAULT_CACHED_IMAGES
+    };
+    // Specs waiting or rendering; submit() blocks beyond this so memory stays bounded
+    this.maxPending = options.maxPending || Math.max(1, this.size) * 2;
+    this.maxRespawns = options.maxRespawns !== undefined ? options.maxRespawns : DEFAULT_MAX_RESPAWNS;
+
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.inFlight = new Map();
+    this.localCompositor = null;
+    this.closing = false;
+    this.respawns = 0;
+    this.error = null;
+
+    this.submitted = 0;
+    this.completed = 0;
+    this.failed = 0;
+    this.pending = 0;
+    this.failures = [];
+    this.capacityWaiters = [];
+    this.drainWaiters = [];
+  }
+
+  start() {
+    for (let i = this.workers.length; i < this.size; i++) {
+      this.spawnWorker();
+    }
+    return this;
+  }
+
+  spawnWorker() {
+    const { Worker } = require('worker_threads');
+    const worker = new Worker(this.workerPath, {
+      workerData: { outputDir: this.outputDir, compositor: this.compositorOptions }
+    });
+
+    // The worker posts { ready } once its compositor has loaded
+    let ready = false;
+    worker.on('message', message => {
+      if (message.ready) {
+        ready = true;
+        return;
+      }
+      if (!this.inFlight.has(worker)) return;
+      this.inFlight.delete(worker);
+      this.finish(message.tokenId, message.error);
+      this.release(worker);
+    });
+
+    // 'error' is followed by 'exit'; whichever comes first handles the death
+    worker.on('error', error => this.handleDeath(worker, ready, `crashed: ${error.message}`));
+    worker.on('exit', code => this.handleDeath(worker, ready, `exited with code ${code}`));
+
+    this.workers.push(worker);
+    this.release(worker);
+  }
+
+  // A dead worker fails its current token and is replaced, up to maxRespawns times
+  handleDeath(worker, ready, reason) {
+    if (this.closing || !this.workers.includes(worker)) return;
+
+    const spec = this.inFlight.get(worker);
+    this.inFlight.delete(worker);
+    this.workers = this.workers.filter(other => other !== worker);
+    this.idle = this.idle.filter(other => other !== worker);
+    if (spec) {
+      this.finish(spec.tokenId, `Render worker ${reason}`);
+    }
+
+    if (!ready) {
+      this.fail(new Error(`Render worker ${reason} before it started (is the canvas package installed?)`));
+    } else if (this.respawns >= this.maxRespawns) {
+      this.fail(new Error(`Render workers died ${this.respawns + 1} times, giving up (last one ${reason})`));
+    } else {
+      this.respawns++;
+      this.spawnWorker();
+    }
+  }
+
+  // Stops every worker and fails the queued and rendering specs, so drain() settles
+  fail(error) {
+    if (this.error) return;
+    this.error = error;
+    this.closing = true;
+
+    const specs = [...this.inFlight.values(), ...this.queue.splice(0)];
+    this.inFlight.clear();
+    this.workers.forEach(worker => worker.terminate());
+    this.workers = [];
+    this.idle = [];
+    specs.forEach(spec => this.finish(spec.tokenId, error.message));
+    this.capacityWaiters.splice(0).forEach(resolve => resolve());
+  }
+
+  release(worker) {
+    const spec = this.queue.shift();
+    if (spec) {
+      this.inFlight.set(worker, spec);
+      worker.postMessage(spec);
+    } else {
+      this.idle.push(worker);
+    }
+  }
+
+  // Resolves once the spec is accepted, not when it is rendered; waits while the pool is full
+  async submit(spec) {
+    while (this.pending >= this.maxPending && !this.error) {
+      await new Promise(resolve => this.capacityWaiters.push(resolve));
+    }
+    if (this.error) throw this.error;
+
+    this.submitted++;
+    this.pending++;
+
+    if (this.size === 0) {
+      await this.renderLocally(spec);
+      return;
+    }
+
+    if (this.workers.length === 0) {
+      this.start();
+    }
+
+    const worker = this.idle.shift();
+    if (worker) {
+      this.inFlight.set(worker, spec);
+      worker.postMessage(spec);
+    } else {
+      this.queue.push(spec);
+    }
+  }
+
+  async renderLocally(spec) {
+    if (!this.localCompositor) {
+      const ImageCompositor = require('./imageCompositor');
+      this.localCompositor = new ImageCompositor(this.compositorOptions);
+    }
+
+    try {
+      await this.localCompositor.renderSpecToFile(spec, this.outputDir);
+      this.finish(spec.tokenId);
+    } catch (error) {
+      this.finish(spec.tokenId, error.message);
+    }
+  }
+
+  finish(tokenId, error = null) {
+    this.pending--;
+    if (error) {
+      this.failed++;
+      this.failures.push({ tokenId, error });
+      this.emit('tokenFailed', { tokenId, error });
+    } else {
+      this.completed++;
+      this.emit('tokenRendered', { tokenId });
+    }
+
+    this.emit('progress', {
+      tokenId,
+      completed: this.completed,
+      failed: this.failed,
+      submitted: this.submitted,
+      pending: this.pending
+    });
+
+    const waiter = this.capacityWaiters.shift();
+    if (waiter) waiter();
+
+    if (this.pending === 0) {
+      this.drainWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  // Wait until every submitted spec has been rendered (or failed); throws once the pool has failed
+  async drain() {
+    if (this.pending > 0) {
+      await new Promise(resolve => this.drainWaiters.push(resolve));
+    }
+    if (this.error) throw this.error;
+    return { completed: this.completed, failed: this.failed, failures: this.failures };
+  }
+
+  async close() {
+    try {
+      return await this.drain();
+    } finally {
+      this.closing = true;
+      await Promise.all(this.workers.map(worker => worker.terminate()));
+      this.workers = [];
+      this.idle = [];
+    }
+  }
+}
+
+module.exports = RenderPool;
@@ -0,0 +1,17 @@
+// Worker thread for RenderPool: renders token specs posted by the pool, one at a time
+// Each worker keeps its own compositor, so layer images are decoded once per worker
+
+const { parentPort, workerData } = require('worker_threads');
+const ImageCompositor = require('./imageCompositor');
+
+const compositor = new ImageCompositor(workerData.compositor);
+parentPort.postMessage({ ready: true });
+
+parentPort.on('message', async spec => {
+  try {
+    const imagePath = await compositor.renderSpecToFile(spec, workerData.outputDir);
+    parentPort.postMessage({ tokenId: spec.tokenId, path: imagePath });
+  } catch (error) {
+    parentPort.postMessage({ tokenId: spec.tokenId, error: error.message });
+  }
+});
@@ -0,0 +1,128 @@
+// Pluggable seeded random number generators for the rarity engine
+// Every generator is deterministic for a given seed and can export/import its state
+
+const crypto = require('crypto');
+
+const DEFAULT_ALGORITHM = 'xoshiro128**';
+
+// Hash any seed (string or number) into a fixed-size buffer of entropy
+function hashSeed(seed) {
+  return crypto.createHash('sha256').update(String(seed)).digest();
+}
+
+// Legacy 233280-period LCG, kept so old collections can still be reproduced
+class LcgRandom {
+  constructor(seed) {
+    const numeric = Number(seed);
+    this.state = Number.isInteger(numeric) ? numeric % 233280 : hashSeed(seed).readUInt32BE(0) % 233280;
+  }
+
+  next() {
+    this.state = (this.state * 9301 + 49297) % 233280;
+    return this.state / 233280;
+  }
+
+  getState() {
+    return { state: this.state };
+  }
+
+  setState(saved) {
+    this.state = saved.state;
+  }
+}
+
+// xoshiro128** - fast 32-bit generator with a 2^128 - 1 period
+class Xoshiro128Random {
+  constructor(seed) {
+    const digest = hashSeed(seed);
+    this.s = [0, 4, 8, 12].map(offset => digest.readUInt32LE(offset));
+
+    // The all-zero state is the one state xoshiro can never leave
+    if (this.s.every(word => word === 0)) {
+      this.s[0] = 1;
+    }
+  }
+
+  static rotl(x, k) {
+    return (x << k) | (x >>> (32 - k));
+  }
+
+  next() {
+    const s = this.s;
+    const result = Math.imul(Xoshiro128Random.rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = Xoshiro128Random.rotl(s[3], 11);
+
+    return result / 4294967296;
+  }
+
+  getState() {
+    return { s: this.s.map(word => word >>> 0) };
+  }
+
+  setState(saved) {
+    this.s = saved.s.map(word => word | 0);
+  }
+}
+
+// SHA-256 in counter mode - slower, but every draw is independently auditable
+class Sha256CounterRandom {
+  constructor(seed) {
+    this.key = hashSeed(seed).toString('hex');
+    this.counter = 0;
+  }
+
+  next() {
+    const block = crypto.createHash('sha256').update(`${this.key}:${this.counter++}`).digest();
+    // 48 bits of the block give a uniform float in [0, 1)
+    return block.readUIntBE(0, 6) / 281474976710656;
+  }
+
+  getState() {
+    return { counter: this.counter };
+  }
+
+  setState(saved) {
+    this.counter = saved.counter;
+  }
+}
+
+const RNG_ALGORITHMS = {
+  'lcg': LcgRandom,
+  'xoshiro128**': Xoshiro128Random,
+  'sha256-ctr': Sha256CounterRandom
+};
+
+// Create a generator by algorithm name
+function createRng(algorithm = DEFAULT_ALGORITHM, seed) {
+  const Generator = RNG_ALGORITHMS[algorithm];
+  if (!Generator) {
+    throw new Error(`Unknown RNG algorithm: ${algorithm} (available: ${Object.keys(RNG_ALGORITHMS).join(', ')})`);
+  }
+  if (seed === undefined || seed === null || seed === '') {
+    throw new Error('An RNG seed is required');
+  }
+
+  const rng = new Generator(seed);
+  rng.algorithm = algorithm;
+  rng.seed = String(seed);
+  return rng;
+}
+
+// Fresh random seed for runs that should not repeat a previous collection
+function generateSeed() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+module.exports = {
+  DEFAULT_ALGORITHM,
+  RNG_ALGORITHMS,
+  createRng,
+  generateSeed
+};
@@ -0,0 +1,101 @@
+// Shard planning for generation split across batches or Lambdas
+// The whole collection is planned once from one seed; each shard is a contiguous slice of that plan
+// with its exact tier/variant sub-quotas, so shards merge back into the configured collection
+
+const RarityEngine = require('./rarityEngine');
+
+class ShardPlanner {
+  // options: { seed, rngAlgorithm, shardSize, startId } - shardSize defaults to 1000
+  static createPlan(config, options = {}) {
+    const engine = new RarityEngine({
+      seed: options.seed,
+      rngAlgorithm: options.rngAlgorithm,
+      allocation: 'planned'
+    });
+    engine.loadConfig(config);
+
+    const collectionSize = engine.planAllocation();
+    const shardSize = options.shardSize || 1000;
+    const startId = options.startId || 1;
+    const rngInfo = engine.getRngInfo();
+
+    const shards = [];
+    for (let offset = 0; offset < collectionSize; offset += shardSize) {
+      const count = Math.min(shardSize, collectionSize - offset);
+      const { tierQuotas, variantQuotas } = engine.countPlannedQuotas(offset, count);
+      shards.push({
+        index: shards.length,
+        startId: startId + offset,
+        endId: startId + offset + count - 1,
+        offset,
+        count,
+        tierQuotas,
+        variantQuotas
+      });
+    }
+
+    const plan = {
+      version: 1,
+      seed: rngInfo.seed,
+      rngAlgorithm: rngInfo.algorithm,
+      configHash: engine.getConfigHash(),
+      collectionSize,
+      shardSize,
+      shards,
+      createdAt: new Date().toISOString()
+    };
+
+    ShardPlanner.checkTotals(plan, config);
+    return plan;
+  }
+
+  // Shard sub-quotas must add back up to the configured tier and variant quotas
+  static checkTotals(plan, config) {
+    config.tiers.forEach(tier => {
+      const total = plan.shards.reduce((sum, shard) => sum + shard.tierQuotas[tier.id], 0);
+      if (total !== tier.quota) {
+        throw new Error(`Shard plan assigns ${total} NFTs to tier ${tier.id}, expected ${tier.quota}`);
+      }
+    });
+
+    config.traits.forEach(trait => {
+      trait.variants.forEach(variant => {
+        const total = plan.shards.reduce((sum, shard) => sum + shard.variantQuotas[variant.name], 0);
+        if (total !== variant.quota) {
+          throw new Error(`Shard plan assigns ${total} NFTs to variant ${variant.name}, expected ${variant.quota}`);
+        }
+      });
+    });
+  }
+
+  // Self-contained shard descriptor: everything one batch or Lambda needs (RarityEngine#selectShard)
+  static getShard(plan, index) {
+    const shard = plan.shards[index];
+    if (!shard) {
+      throw new Error(`Shard ${index} not found (plan has ${plan.shards.length} shards, 0-${plan.shards.length - 1})`);
+    }
+
+    return {
+      ...shard,
+      shardCount: plan.shards.length,
+      seed: plan.seed,
+      rngAlgorithm: plan.rngAlgorithm,
+      configHash: plan.configHash,
+      collectionSize: plan.collectionSize
+    };
+  }
+
+  // Engine ready to generate exactly this shard's NFTs
+  static createEngine(config, shard) {
+    const engine = new RarityEngine({
+      seed: shard.seed,
+      rngAlgorithm: shard.rngAlgorithm,
+      allocation: 'planned'
+    });
+    engine.loadConfig(config);
+    engine.selectShard(shard);
+    return engine;
+  }
+}
+
+module.exports = ShardPlanner;
@@ -7,12 +7,15 @@ const path = require('path');
 class SmartContractHelper {
   
   // Generate contract deployment data
-  static generateContractData(metadataList, outputPath) {
+  // rarityConfig (optional) supplies tier order and trait names; otherwise they are read from the metadata
+  static generateContractData(metadataList, outputPath, rarityConfig = null) {
     console.log('🔗 Generating smart contract integration data...');
     
     const contractData = {
       totalSupply: metadataList.length,
       generationTimestamp: Date.now(),
+      traitNames: this.getTraitNames(metadataList, rarityConfig),
+      tierOrder: this.getTierOrder(metadataList, rarityConfig),
       rarityTiers: this.getTierDistribution(metadataList),
       tokenData: this.getTokenMappings(metadataList),
       distributionWeights: this.getDistributionWeights(metadataList),
@@ -24,7 +27,7 @@ class SmartContractHelper {
     fs.writeFileSync(contractFile, JSON.stringify(contractData, null, 2));
     
     // Generate Solidity mapping code
-    const solidityCode = this.generateSolidityMappings(metadataList);
+    const solidityCode = this.generateSolidityMappings(metadataList, rarityConfig);
     const solidityFile = path.join(outputPath, 'build', 'contract-mappings.sol');
     fs.writeFileSync(solidityFile, solidityCode);
     
@@ -41,6 +44,23 @@ class SmartContractHelper {
     return contractData;
   }
   
+  // Trait names in contract order (the order traitPoints arrays are passed in)
+  static getTraitNames(metadataList, rarityConfig = null) {
+    if (rarityConfig && Array.isArray(rarityConfig.traits)) {
+      return rarityConfig.traits.map(trait => trait.trait);
+    }
+    const first = metadataList.find(nft => nft.traitPoints);
+    return first ? Object.keys(first.traitPoints) : [];
+  }
+
+  // Tier IDs in contract enum order (index = on-chain tier value)
+  static getTierOrder(metadataList, rarityConfig = null) {
+    if (rarityConfig && Array.isArray(rarityConfig.tiers)) {
+      return rarityConfig.tiers.map(tier => tier.id);
+    }
+    return [...new Set(metadataList.map(nft => nft.tierId))].sort();
+  }
+
   // Get tier distribution for contract
   static getTierDistribution(metadataList) {
     const distribution = {};
@@ -126,10 +146,15 @@ class SmartContractHelper {
   }
   
   // Generate Solidity code for on-chain storage
-  static generateSolidityMappings(metadataList) {
+  static generateSolidityMappings(metadataList, rarityConfig = null) {
+    const tierOrder = this.getTierOrder(metadataList, rarityConfig);
+    const traitNames = this.getTraitNames(metadataList, rarityConfig);
+
     let code = `// Auto-generated Solidity mappings for RarityNFT contract
 // Generated: ${new Date().toISOString()}
 // Total NFTs: ${metadataList.length}
+// Traits (constructor order): ${traitNames.join(', ')}
+// Tiers (enum order): ${tierOrder.join(', ')}
 
 pragma solidity ^0.8.0;
 
@@ -138,7 +163,7 @@ contract RarityNFTMappings {
     // Token ID -> Total Points mapping
     mapping(uint256 => uint16) public tokenPoints;
     
-    // Token ID -> Tier ID mapping (0-8)
+    // Token ID -> Tier index mapping (0-${tierOrder.length - 1})
     mapping(uint256 => uint8) public tokenTier;
     
     // Tier quota tracking
@@ -155,9 +180,10 @@ contract RarityNFTMappings {
         code += `        // Tokens ${index}-${Math.min(index + 99, metadataList.length - 1)}\n`;
       }
       code += `        tokenPoints[${nft.edition}] = ${nft.totalPoints};\n`;
-      code += `        tokenTier[${nft.edition}] = ${nft.tierId};\n`;
+      code += `        tokenTier[${nft.edition}] = ${tierOrder.indexOf(nft.tierId)};\n`;
       
-      tierCounts[nft.tierId] = (tierCounts[nft.tierId] || 0) + 1;
+      const tierIndex = tierOrder.indexOf(nft.tierId);
+      tierCounts[tierIndex] = (tierCounts[tierIndex] || 0) + 1;
     });
 
     code += `\n        // Tier totals\n`;
@@ -234,7 +260,8 @@ npx hardhat run scripts/deploy.js --network mainnet
 
 ## Collection Statistics
 - **Total Supply:** ${contractData.totalSupply}
-- **Total Tiers:** 9 (T1-T9)
+- **Total Tiers:** ${contractData.tierOrder.length} (${contractData.tierOrder.join(', ')})
+- **Traits:** ${contractData.traitNames.length} (${contractData.traitNames.join(', ')})
 - **Minimum Points:** ${contractData.summary.minPoints}
 - **Maximum Points:** ${contractData.summary.maxPoints}
 - **Average Points:** ${contractData.summary.averagePoints}
@@ -249,32 +276,24 @@ ${Object.entries(contractData.rarityTiers).map(([tier, data]) =>
 
 ### Single Mint
 \`\`\`javascript
+const traitNames = ${JSON.stringify(contractData.traitNames)};
 const tx = await contract.mintRarityNFT(
   ownerAddress,
-  tierID,              // 0-8
-  totalPoints,         // 42-270
-  socksPoints,         // 7-45
-  shoesPoints,         // 7-45
-  pantsPoints,         // 7-45
-  shirtPoints,         // 7-45
-  facePoints,          // 7-45
-  hatPoints,           // 7-45
-  tokenURI             // ipfs://...
+  tierID,                                       // 0-${contractData.tierOrder.length - 1}
+  totalPoints,                                  // ${contractData.summary.minPoints}-${contractData.summary.maxPoints}
+  traitNames.map(name => nft.traitPoints[name]), // one entry per trait
+  tokenURI                                      // ipfs://...
 );
 await tx.wait();
 \`\`\`
 
 ### Batch Mint (Recommended)
 \`\`\`javascript
+const tierOrder = ${JSON.stringify(contractData.tierOrder)};
 const rarityDataArray = nfts.map(nft => ({
-  tier: nft.tierId,
+  tier: tierOrder.indexOf(nft.tierId),
   totalPoints: nft.totalPoints,
-  socksPoints: nft.points.socks,
-  shoesPoints: nft.points.shoes,
-  pantsPoints: nft.points.pants,
-  shirtPoints: nft.points.shirt,
-  facePoints: nft.points.face,
-  hatPoints: nft.points.hat
+  traitPoints: traitNames.map(name => nft.traitPoints[name])
 }));
 
 const tx = await contract.batchMintRarityNFTs(
@@ -344,12 +363,9 @@ Each NFT should have metadata JSON:
   "attributes": [
     { "trait_type": "Rarity Tier", "value": "Common" },
     { "trait_type": "Total Points", "value": 156 },
-    { "trait_type": "Socks", "value": 26, "max_value": 45 },
-    { "trait_type": "Shoes", "value": 26, "max_value": 45 },
-    { "trait_type": "Pants", "value": 26, "max_value": 45 },
-    { "trait_type": "Shirt", "value": 26, "max_value": 45 },
-    { "trait_type": "Face", "value": 26, "max_value": 45 },
-    { "trait_type": "Hat", "value": 26, "max_value": 45 }
+${contractData.traitNames.map(name =>
+  `    { "trait_type": "${name.charAt(0).toUpperCase() + name.slice(1)}", "value": 26, "max_value": 45 }`
+).join(',\n')}
   ]
 }
 \`\`\`
@@ -394,7 +410,7 @@ Generated: ${new Date().toISOString()}
   }
 
   // Generate Hardhat deployment script
-  static generateHardhatScript() {
+  static generateHardhatScript(traitNames = []) {
     const script = `// scripts/deploy.js
 // Hardhat deployment script for RarityNFT
 
@@ -404,9 +420,10 @@ async function main() {
   console.log("Deploying RarityNFT contract...");
 
   const baseURI = process.env.BASE_URI || "ipfs://QmYourBaseURIHere/";
+  const traitNames = ${JSON.stringify(traitNames)};
 
   const RarityNFT = await hre.ethers.getContractFactory("RarityNFT");
-  const contract = await RarityNFT.deploy(baseURI);
+  const contract = await RarityNFT.deploy(baseURI, traitNames);
 
   await contract.deployed();
 
@@ -420,7 +437,7 @@ async function main() {
     
     await hre.run("verify:verify", {
       address: contract.address,
-      constructorArguments: [baseURI]
+      constructorArguments: [baseURI, traitNames]
     });
     console.log("✓ Contract verified!");
   }
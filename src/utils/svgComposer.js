@@ -0,0 +1,214 @@
+// Composes a token's layers into one self-contained SVG (for IPFS or on-chain storage)
+// Each layer becomes a <g id="{trait}"> wrapping a nested <svg> that applies its draw options;
+// <defs> from every layer are merged, and identical definitions are kept once.
+// PNG layers are embedded as base64 <image> elements.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const hash = text => crypto.createHash('sha256').update(text).digest('hex').slice(0, 8);
+
+// Root attributes replaced by the placement of the layer on the token canvas;
+// the rest (fill, other xmlns:* declarations, ...) stay on the nested <svg>
+const PLACEMENT_ATTRIBUTES = ['xmlns', 'xmlns:xlink', 'version', 'id', 'x', 'y', 'width', 'height', 'viewBox'];
+
+// Top-level elements of an XML fragment (comments already removed)
+const splitElements = fragment => {
+  const elements = [];
+  const tag = /<(\/?)([\w:.-]+)[^>]*?(\/?)>/g;
+  let depth = 0;
+  let start = 0;
+  let match;
+  while ((match = tag.exec(fragment)) !== null) {
+    const [text, closing, , selfClosing] = match;
+    if (!closing && depth === 0) start = match.index;
+    if (closing) depth--;
+    else if (!selfClosing) depth++;
+    if (depth === 0) elements.push(fragment.slice(start, match.index + text.length));
+  }
+  return elements;
+};
+
+const parseAttributes = tag => {
+  const attributes = {};
+  const attribute = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attribute.exec(tag)) !== null) {
+    attributes[match[1]] = match[3] !== undefined ? match[3] : match[4];
+  }
+  return attributes;
+};
+
+// Ids referenced as url(#id) or href="#id" / xlink:href="#id"
+const getReferences = text => {
+  const references = [];
+  const reference = /url\(#([^)]+)\)|href="#([^"]+)"/g;
+  let match;
+  while ((match = reference.exec(text)) !== null) {
+    references.push(match[1] !== undefined ? match[1] : match[2]);
+  }
+  return references;
+};
+
+const escapeAttribute = value => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+class SvgComposer {
+  // options: { width, height, optimize (run svgo over the result, default true) }
+  constructor(options = {}) {
+    this.width = options.width;
+    this.height = options.height;
+    this.optimize = options.optimize !== false;
+    this.layerCache = new Map();
+  }
+
+  // drawables: [{ file, draw, trait }] bottom to top, as ordered by ImageCompositor
+  compose(drawables) {
+    const defs = new Map();
+    const groups = drawables.map(({ file, draw, trait }) => {
+      const layer = this.readLayer(file.path);
+      // Keyed on content: defs with the same name but different meaning can never replace each other
+      layer.defs.forEach(def => defs.set(def.content, def.content));
+
+      const id = file.part ? `${trait}-${file.part}` : trait;
+      return `<g id="${escapeAttribute(id)}"${this.getGroupAttributes(draw)}>${this.placeLayer(layer, draw)}</g>`;
+    });
+
+    const svg =
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+      `width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">` +
+      (defs.size > 0 ? `<defs>${[...defs.values()].join('')}</defs>` : '') +
+      groups.join('') +
+      `</svg>`;
+
+    return this.optimize ? this.optimizeSvg(svg) : svg;
+  }
+
+  getGroupAttributes(draw) {
+    let attributes = '';
+    if (draw.opacity !== 1) attributes += ` opacity="${draw.opacity}"`;
+    // Canvas composite names match CSS mix-blend-mode, except the default
+    if (draw.blend !== 'source-over') attributes += ` style="mix-blend-mode:${draw.blend}"`;
+    return attributes;
+  }
+
+  // Same geometry as ImageCompositor#drawLayer: stretched to the canvas, scaled about the centre, then offset
+  placeLayer(layer, draw) {
+    const width = this.width * draw.scale;
+    const height = this.height * draw.scale;
+    const x = (this.width - width) / 2 + draw.x;
+    const y = (this.height - height) / 2 + draw.y;
+
+    if (layer.image) {
+      return `<image x="${x}" y="${y}" width="${width}" height="${height}" preserveAspectRatio="none" href="${layer.image}"/>`;
+    }
+    return (
+      `<svg x="${x}" y="${y}" width="${width}" height="${height}" viewBox="${layer.viewBox}" ` +
+      `preserveAspectRatio="none"${layer.attributes}>${layer.body}</svg>`
+    );
+  }
+
+  // { viewBox, attributes, defs: [{ id, content }], body } for an SVG file, or { image, defs: [] } for a PNG
+  readLayer(filePath) {
+    if (this.layerCache.has(filePath)) {
+      return this.layerCache.get(filePath);
+    }
+
+    const layer = filePath.toLowerCase().endsWith('.svg')
+      ? this.parseSvg(fs.readFileSync(filePath, 'utf8'), filePath)
+      : { image: `data:image/png;base64,${fs.readFileSync(filePath).toString('base64')}`, defs: [] };
+
+    this.layerCache.set(filePath, layer);
+    return layer;
+  }
+
+  // Definitions are renamed after a hash of their content with its own references already renamed,
+  // so the same gradient in two layers collapses into one entry while <linearGradient id="g" href="#base">
+  // pointing at different "base" gradients stays apart; other ids get a per-file prefix so layers never clash
+  parseSvg(source, filePath) {
+    const cleaned = source
+      .replace(/<\?xml[\s\S]*?\?>/g, '')
+      .replace(/<!DOCTYPE[^>]*>/gi, '')
+      .replace(/<!--[\s\S]*?-->/g, '');
+    const root = cleaned.match(/<svg\b([^>]*)>([\s\S]*)<\/svg>/i);
+    if (!root) {
+      throw new Error(`Not an SVG document: ${filePath}`);
+    }
+
+    const rootAttributes = parseAttributes(root[1]);
+    let content = root[2];
+
+    const defElements = [];
+    content = content.replace(/<defs\b[^>]*>([\s\S]*?)<\/defs>/gi, (match, defs) => {
+      defElements.push(...splitElements(defs));
+      return '';
+    }).replace(/<defs\b[^>]*\/>/gi, '');
+
+    const prefix = `l${hash(source)}-`;
+    const ids = {};
+    const elementsById = new Map();
+    defElements.forEach(element => {
+      const { id } = parseAttributes(element.match(/^<[^>]*>/)[0]);
+      if (id) elementsById.set(id, element);
+    });
+
+    const renameIds = text => text.replace(
+      /(\sid=")([^"]+)(")|url\(#([^)]+)\)|(href=")#([^"]+)(")/g,
+      (match, idStart, id, idEnd, urlId, hrefStart, hrefId, hrefEnd) => {
+        const rename = old => ids[old] || `${prefix}${old}`;
+        if (id !== undefined) return `${idStart}${rename(id)}${idEnd}`;
+        if (urlId !== undefined) return `url(#${rename(urlId)})`;
+        return `${hrefStart}#${rename(hrefId)}${hrefEnd}`;
+      }
+    );
+
+    // Name a definition after the ones it references; a reference cycle keeps per-file names
+    const visiting = new Set();
+    const nameDefinition = id => {
+      if (ids[id]) return;
+      if (visiting.has(id)) {
+        ids[id] = `${prefix}${id}`;
+        return;
+      }
+      visiting.add(id);
+      const element = elementsById.get(id);
+      getReferences(element).filter(ref => elementsById.has(ref)).forEach(nameDefinition);
+      visiting.delete(id);
+      if (!ids[id]) {
+        ids[id] = `d${hash(renameIds(element.replace(/\sid\s*=\s*("[^"]*"|'[^']*')/, '')))}`;
+      }
+    };
+    elementsById.forEach((element, id) => nameDefinition(id));
+
+    const width = parseFloat(rootAttributes.width) || this.width;
+    const height = parseFloat(rootAttributes.height) || this.height;
+    const attributes = Object.keys(rootAttributes)
+      .filter(name => !PLACEMENT_ATTRIBUTES.includes(name))
+      .map(name => ` ${name}="${rootAttributes[name].replace(/"/g, '&quot;')}"`)
+      .join('');
+
+    return {
+      viewBox: rootAttributes.viewBox || `0 0 ${width} ${height}`,
+      attributes,
+      defs: defElements.map(element => {
+        const renamed = renameIds(element);
+        const { id } = parseAttributes(renamed.match(/^<[^>]*>/)[0]);
+        return { id: id || `d${hash(renamed)}`, content: renamed };
+      }),
+      body: renameIds(content).trim()
+    };
+  }
+
+  // svgo's default preset, keeping viewBox and the per-trait group ids
+  optimizeSvg(svg) {
+    const { optimize } = require('svgo');
+    return optimize(svg, {
+      multipass: true,
+      plugins: [{
+        name: 'preset-default',
+        params: { overrides: { removeViewBox: false, cleanupIds: false, collapseGroups: false } }
+      }]
+    }).data;
+  }
+}
+
+module.exports = SvgComposer;
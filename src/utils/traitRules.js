@@ -0,0 +1,160 @@
+// Trait compatibility rules from the "rules" section of rarity config
+// Rules reference variant names (globally unique) and are compiled into lookups:
+//   excludes - the variant never appears with any of the listed variants
+//   requires - the variant only appears with one of the listed variants of each trait they belong to
+//   pairs    - the two variants always appear together
+
+const RULE_TYPES = ['excludes', 'requires', 'pairs'];
+
+class TraitRules {
+  constructor(config) {
+    this.rules = config.rules || [];
+    this.variantTraits = new Map();
+    this.exclusions = new Map();
+    this.requirements = new Map();
+    this.errors = [];
+
+    (config.traits || []).forEach(trait => {
+      (trait.variants || []).forEach(variant => {
+        this.variantTraits.set(variant.name, trait.trait);
+      });
+    });
+
+    this.compile();
+  }
+
+  compile() {
+    if (!Array.isArray(this.rules)) {
+      this.errors.push('rules must be an array');
+      this.rules = [];
+      return;
+    }
+
+    this.rules.forEach((rule, index) => {
+      const label = this.describe(index);
+      const targets = this.getTargets(rule);
+
+      if (!RULE_TYPES.includes(rule.type)) {
+        this.errors.push(`${label}: unknown type (expected ${RULE_TYPES.join(', ')})`);
+        return;
+      }
+      if (!rule.variant || targets.length === 0) {
+        this.errors.push(`${label}: "variant" and "with" are required`);
+        return;
+      }
+
+      const unknown = [rule.variant, ...targets].filter(name => !this.variantTraits.has(name));
+      if (unknown.length > 0) {
+        this.errors.push(`${label}: unknown variant ${unknown.join(', ')}`);
+        return;
+      }
+
+      const sameTrait = targets.filter(name => this.variantTraits.get(name) === this.variantTraits.get(rule.variant));
+      if (sameTrait.length > 0) {
+        this.errors.push(`${label}: ${rule.variant} and ${sameTrait.join(', ')} belong to the same trait`);
+        return;
+      }
+
+      if (rule.type === 'excludes') {
+        targets.forEach(target => {
+          this.addExclusion(rule.variant, target);
+          this.addExclusion(target, rule.variant);
+        });
+      } else if (rule.type === 'requires') {
+        this.addRequirement(rule.variant, targets);
+      } else {
+        if (targets.length !== 1) {
+          this.errors.push(`${label}: pairs takes exactly one variant in "with"`);
+          return;
+        }
+        this.addRequirement(rule.variant, targets);
+        this.addRequirement(targets[0], [rule.variant]);
+      }
+    });
+  }
+
+  // "with" may be a single variant name or a list
+  getTargets(rule) {
+    if (Array.isArray(rule.with)) return rule.with;
+    return rule.with ? [rule.with] : [];
+  }
+
+  describe(index) {
+    const rule = this.rules[index] || {};
+    const targets = this.getTargets(rule);
+    return `Rule #${index + 1} (${rule.variant} ${rule.type} ${targets.join(' | ')})`;
+  }
+
+  addExclusion(name, other) {
+    if (!this.exclusions.has(name)) {
+      this.exclusions.set(name, new Set());
+    }
+    this.exclusions.get(name).add(other);
+  }
+
+  // Required variants are grouped by trait; several rules on the same trait must all hold
+  addRequirement(name, targets) {
+    if (!this.requirements.has(name)) {
+      this.requirements.set(name, new Map());
+    }
+    const byTrait = this.requirements.get(name);
+
+    const grouped = new Map();
+    targets.forEach(target => {
+      const trait = this.variantTraits.get(target);
+      if (!grouped.has(trait)) grouped.set(trait, new Set());
+      grouped.get(trait).add(target);
+    });
+
+    grouped.forEach((allowed, trait) => {
+      if (byTrait.has(trait)) {
+        const existing = byTrait.get(trait);
+        byTrait.set(trait, new Set([...existing].filter(name => allowed.has(name))));
+      } else {
+        byTrait.set(trait, allowed);
+      }
+    });
+  }
+
+  hasRules() {
+    return this.exclusions.size > 0 || this.requirements.size > 0;
+  }
+
+  // Can `name` be added to an NFT that already has `selectedNames`? Unknown names are unconstrained
+  isCompatible(name, selectedNames) {
+    if (!this.hasRules()) return true;
+    return selectedNames.every(other => this.isCompatiblePair(name, other));
+  }
+
+  isCompatiblePair(name, other) {
+    const excluded = this.exclusions.get(name);
+    if (excluded && excluded.has(other)) return false;
+
+    const required = this.requirements.get(name);
+    const otherTrait = this.variantTraits.get(other);
+    if (required && required.has(otherTrait) && !required.get(otherTrait).has(other)) return false;
+
+    const otherRequired = this.requirements.get(other);
+    const trait = this.variantTraits.get(name);
+    if (otherRequired && otherRequired.has(trait) && !otherRequired.get(trait).has(name)) return false;
+
+    return true;
+  }
+
+  // Number of incompatible variant pairs in a complete selection
+  countViolations(names) {
+    if (!this.hasRules()) return 0;
+
+    let violations = 0;
+    for (let i = 1; i < names.length; i++) {
+      for (let j = 0; j < i; j++) {
+        if (!this.isCompatiblePair(names[i], names[j])) violations++;
+      }
+    }
+    return violations;
+  }
+}
+
+TraitRules.RULE_TYPES = RULE_TYPES;
+
+module.exports = TraitRules;
@@ -12,6 +12,17 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const RarityEngine = require('./src/utils/rarityEngine');
+const ConfigAnalyzer = require('./src/utils/configAnalyzer');
+
+// Rarity config drives which traits and how many variants are expected
+function loadRarityConfig() {
+  try {
+    return JSON.parse(fs.readFileSync('./config/rarity-config.json', 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
 
 const checks = {
   passed: 0,
@@ -159,11 +170,18 @@ function validateLayers() {
   console.log(`🎨 LAYER DIRECTORIES`);
   console.log(`${'='.repeat(60)}\n`);
 
-  const traits = ['face', 'hat', 'pants', 'shirt', 'shoes', 'socks'];
+  const config = loadRarityConfig();
+  if (!config || !Array.isArray(config.traits)) {
+    console.log(`⚠️  Skipping layer check - rarity config not readable`);
+    checks.warnings++;
+    return;
+  }
+
   let traitsReady = 0;
 
-  traits.forEach(trait => {
+  config.traits.forEach(({ trait, variants }) => {
     const layerPath = `./layers/${trait}`;
+    const expected = variants.length;
     if (checkDir(layerPath, `${trait.charAt(0).toUpperCase() + trait.slice(1)} layer`)) {
       const files = fs.readdirSync(layerPath);
       const pngFiles = files.filter(f => f.endsWith('.png'));
@@ -171,22 +189,22 @@ function validateLayers() {
       if (pngFiles.length === 0) {
         console.log(`   ⚠️  No PNG images found - ready for images`);
         checks.warnings++;
-      } else if (pngFiles.length === 26) {
-        console.log(`   ✅ All 26 variants present`);
+      } else if (pngFiles.length === expected) {
+        console.log(`   ✅ All ${expected} variants present`);
         traitsReady++;
       } else {
-        console.log(`   ⚠️  ${pngFiles.length}/26 variants found`);
+        console.log(`   ⚠️  ${pngFiles.length}/${expected} variants found`);
         checks.warnings++;
       }
     }
   });
 
-  if (traitsReady === 6) {
+  if (traitsReady === config.traits.length) {
     console.log(`\n✅ All traits ready for generation`);
   } else if (traitsReady === 0) {
     console.log(`\n⚠️  No trait images yet - ready to add your images`);
   } else {
-    console.log(`\n⚠️  ${traitsReady}/6 traits have images`);
+    console.log(`\n⚠️  ${traitsReady}/${config.traits.length} traits have images`);
   }
 }
 
@@ -199,7 +217,9 @@ function validateOutputDirs() {
   console.log(`${'='.repeat(60)}\n`);
 
   checkDir('./output', 'Output directory');
-  checkDir('./output/nfts-final', 'NFTs output directory (cleaned)');
+  if (!checkDir('./output/nfts-final', 'NFTs output directory (cleaned)')) {
+    return;
+  }
   
   const nftFiles = fs.readdirSync('./output/nfts-final');
   if (nftFiles.length === 0) {
@@ -238,19 +258,9 @@ function validateConfiguration() {
     const config = JSON.parse(fs.readFileSync('./config/rarity-config.json', 'utf8'));
 
     // Verify tier structure
-    const tiers = ['T1', 'T2', 'T3', 'T4', 'T5', 'T6', 'T7', 'T8', 'T9'];
-    let allTiersPresent = true;
-
-    tiers.forEach(tierId => {
-      const tier = config.tiers && config.tiers.find(t => t.id === tierId);
-      if (tier) {
-        console.log(`✅ Tier ${tierId}: quota=${tier.quota}, range=${tier.scoreRange.join('-')}`);
-        checks.passed++;
-      } else {
-        console.log(`❌ Tier ${tierId} missing`);
-        checks.failed++;
-        allTiersPresent = false;
-      }
+    (config.tiers || []).forEach(tier => {
+      console.log(`✅ Tier ${tier.id}: quota=${tier.quota}, range=${tier.scoreRange.join('-')}`);
+      checks.passed++;
     });
 
     // Verify total quota
@@ -259,26 +269,26 @@ function validateConfiguration() {
       totalQuota += tier.quota;
     });
 
-    if (totalQuota === 10000) {
+    if (totalQuota === config.collectionSize) {
       console.log(`\n✅ Total quota: ${totalQuota} (correct)`);
       checks.passed++;
     } else {
-      console.log(`\n❌ Total quota: ${totalQuota} (should be 10,000)`);
+      console.log(`\n❌ Total quota: ${totalQuota} (should be ${config.collectionSize})`);
       checks.failed++;
     }
 
-    // Verify traits
-    const traits = ['socks', 'shoes', 'pants', 'shirt', 'face', 'hat'];
-    if (config.traits && Object.keys(config.traits).length === 6) {
-      console.log(`✅ All 6 traits defined`);
+    // Verify traits - names and variant counts come from the config itself
+    if (Array.isArray(config.traits) && config.traits.length > 0) {
+      console.log(`✅ ${config.traits.length} traits defined`);
       checks.passed++;
       
-      traits.forEach(trait => {
-        if (config.traits[trait] && config.traits[trait].length === 26) {
-          console.log(`   ✅ ${trait}: 26 variants`);
+      config.traits.forEach(({ trait, variants }) => {
+        const quota = (variants || []).reduce((sum, variant) => sum + variant.quota, 0);
+        if (quota === config.collectionSize) {
+          console.log(`   ✅ ${trait}: ${variants.length} variants, quota ${quota}`);
           checks.passed++;
         } else {
-          console.log(`   ❌ ${trait}: ${config.traits[trait]?.length || 0} variants (should be 26)`);
+          console.log(`   ❌ ${trait}: ${(variants || []).length} variants, quota ${quota} (should be ${config.collectionSize})`);
           checks.failed++;
         }
       });
@@ -286,6 +296,36 @@ function validateConfiguration() {
       console.log(`❌ Traits missing`);
       checks.failed++;
     }
+
+    // Full consistency check (unknown tiers, duplicate names, missing tier variants)
+    try {
+      new RarityEngine({ seed: 'validate' }).loadConfig(config);
+      console.log(`✅ Rarity engine accepts configuration`);
+      checks.passed++;
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+      checks.failed++;
+      checks.errors.push(error.message);
+    }
+
+    // Feasibility: reachable score ranges, consumable variants, exact quota fit
+    const report = ConfigAnalyzer.analyze(config);
+    report.issues.forEach(issue => {
+      if (issue.severity === 'error') {
+        console.log(`❌ ${issue.message}`);
+        checks.failed++;
+        checks.errors.push(issue.message);
+      } else {
+        console.log(`⚠️  ${issue.message}`);
+        checks.warnings++;
+      }
+    });
+    if (report.feasible) {
+      console.log(`✅ Configuration is feasible (~${report.expectedAttempts} attempts per NFT in sequential mode)`);
+      checks.passed++;
+    } else {
+      console.log(`   Run: npm run analyze:config for the full report`);
+    }
   } catch (error) {
     console.log(`❌ Error reading configuration: ${error.message}`);
     checks.failed++;
@@ -386,7 +426,7 @@ function generateReport() {
 
   if (checks.failed === 0) {
     console.log(`✅ System is ready for NFT generation!\n`);
-    console.log(`1. Add trait images to /layers/{trait}/ (26 each, PNG format)`);
+    console.log(`1. Add trait images to /layers/{trait}/ (one PNG per configured variant)`);
     console.log(`2. Run: npm run generate:local`);
     console.log(`3. Run: npm run generate:metadata`);
     console.log(`3. Run: npm run upload:ipfs -- --token=YOUR_NFT_STORAGE_TOKEN`);